@@ -0,0 +1,359 @@
+// HTTP API Server
+// The agent tool registry over local HTTP for non-Node services: API-key auth, schema validation,
+// and idempotency keys so a retried write is never sent twice
+
+import bs58 from 'bs58';
+import crypto from 'crypto';
+import fs from 'fs';
+import http from 'http';
+import { createToolkit } from '../index.js';
+import { findTool, toolDefinitions, callTool, describeToolError } from './tools.js';
+import { toolkitPath } from '../utils/toolkit-home.js';
+import { ERROR_CODES, buildResult, reportResult } from '../utils/output.js';
+import { runScript } from '../cli/dispatch.js';
+
+const KEYS_FILE = 'api-keys.json';
+const IDEMPOTENCY_FILE = 'api-idempotency.json';
+const IDEMPOTENCY_TTL_MS = 24 * 60 * 60 * 1000;
+const MAX_BODY_BYTES = 64 * 1024;
+const DEFAULT_PORT = 8787;
+
+// Error codes of the API on top of the --json result codes
+const API_ERRORS = {
+  UNAUTHORIZED: 'UNAUTHORIZED', // missing or unknown API key
+  FORBIDDEN: 'FORBIDDEN', // read-only key on a write endpoint
+  NOT_FOUND: 'NOT_FOUND', // no such endpoint
+  IDEMPOTENCY_CONFLICT: 'IDEMPOTENCY_CONFLICT' // key reused for another request, or its first use is still running
+};
+
+const STATUS = {
+  [ERROR_CODES.USAGE]: 400,
+  [API_ERRORS.UNAUTHORIZED]: 401,
+  [ERROR_CODES.POLICY_VIOLATION]: 403,
+  [API_ERRORS.FORBIDDEN]: 403,
+  [API_ERRORS.NOT_FOUND]: 404,
+  [API_ERRORS.IDEMPOTENCY_CONFLICT]: 409,
+  [ERROR_CODES.SIMULATION_FAILED]: 422,
+  [ERROR_CODES.NOT_CONFIRMED]: 409,
+  [ERROR_CODES.EXPIRED]: 504,
+  [ERROR_CODES.FAILED]: 500
+};
+
+/*
+ * Endpoints. Each runs one registry tool; arguments come from the JSON body (POST) or the
+ * query string (GET), plus path parameters. POST /v1/tools/<name> runs any tool by name.
+ */
+const ROUTES = [
+  { method: 'GET', path: '/v1/balance', tool: 'getBalance' },
+  { method: 'GET', path: '/v1/portfolio', tool: 'getPortfolio' },
+  { method: 'GET', path: '/v1/prices', tool: 'getPrices' },
+  { method: 'GET', path: '/v1/transactions/:signature', tool: 'parseTransaction' },
+  { method: 'GET', path: '/v1/positions', tool: 'listPositions' },
+  { method: 'POST', path: '/v1/positions', tool: 'trackPosition' },
+  { method: 'GET', path: '/v1/escrows', tool: 'listEscrows' },
+  { method: 'POST', path: '/v1/escrows', tool: 'createEscrow' },
+  { method: 'POST', path: '/v1/escrows/:escrowId/release', tool: 'releaseEscrow' },
+  { method: 'POST', path: '/v1/transfer', tool: 'transfer' },
+  { method: 'POST', path: '/v1/tokens/transfer', tool: 'transferTokens' },
+  { method: 'POST', path: '/v1/tokens/mint', tool: 'mintTokens' },
+  { method: 'POST', path: '/v1/tokens/launch', tool: 'launchToken' },
+  { method: 'POST', path: '/v1/swap', tool: 'ultraSwap' },
+  { method: 'POST', path: '/v1/tools/:name', tool: null }
+];
+
+class ApiError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'ApiError';
+    this.code = code;
+  }
+}
+
+// API keys: only a SHA-256 hash is stored, the key itself is shown once when created
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// A missing store is empty; a corrupt one fails the request instead of being read as empty
+// (which would replay nothing, or let `keys add` overwrite every key)
+function readStore(file) {
+  let text;
+  try {
+    text = fs.readFileSync(toolkitPath(file), 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return {};
+    throw err;
+  }
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    throw new ApiError(ERROR_CODES.FAILED, `${toolkitPath(file)} is corrupt (${err.message}); fix or restore it`);
+  }
+}
+
+// Write via rename so a crash never leaves a half-written store behind
+function writeStore(file, data) {
+  const target = toolkitPath(file);
+  fs.writeFileSync(`${target}.tmp`, JSON.stringify(data, null, 2), { mode: 0o600 });
+  fs.renameSync(`${target}.tmp`, target);
+}
+
+function loadKeys() {
+  return readStore(KEYS_FILE);
+}
+
+function saveKeys(keys) {
+  writeStore(KEYS_FILE, keys);
+}
+
+export function createApiKey(name, { write = false } = {}) {
+  if (!/^[\w.-]+$/.test(name)) {
+    throw new Error('Key names may only contain letters, numbers, ".", "_" and "-"');
+  }
+  const keys = loadKeys();
+  if (keys[name]) {
+    throw new Error(`API key "${name}" already exists (remove it first)`);
+  }
+  const key = `sat_${bs58.encode(crypto.randomBytes(24))}`;
+  keys[name] = { hash: hashKey(key), scope: write ? 'write' : 'read', createdAt: new Date().toISOString() };
+  saveKeys(keys);
+  return { name, key, scope: keys[name].scope };
+}
+
+export function removeApiKey(name) {
+  const keys = loadKeys();
+  if (!keys[name]) throw new Error(`API key not found: ${name}`);
+  delete keys[name];
+  saveKeys(keys);
+}
+
+function authenticate(req) {
+  const header = req.headers.authorization || '';
+  const key = header.startsWith('Bearer ') ? header.slice(7).trim() : req.headers['x-api-key'];
+  if (!key) throw new ApiError(API_ERRORS.UNAUTHORIZED, 'Missing API key (Authorization: Bearer <key> or X-API-Key)');
+
+  const hash = Buffer.from(hashKey(key), 'hex');
+  for (const [name, entry] of Object.entries(loadKeys())) {
+    if (crypto.timingSafeEqual(hash, Buffer.from(entry.hash, 'hex'))) return { name, scope: entry.scope };
+  }
+  throw new ApiError(API_ERRORS.UNAUTHORIZED, 'Unknown API key');
+}
+
+// Idempotency: the first response to a key is stored and replayed for every retry of the same
+// request. Entries survive restarts, so a write that was running when the server died stays
+// blocked instead of being sent again.
+
+function loadIdempotency() {
+  return readStore(IDEMPOTENCY_FILE);
+}
+
+function saveIdempotency(entries) {
+  const now = Date.now();
+  for (const [key, entry] of Object.entries(entries)) {
+    if (now - new Date(entry.createdAt).getTime() > IDEMPOTENCY_TTL_MS) delete entries[key];
+  }
+  writeStore(IDEMPOTENCY_FILE, entries);
+}
+
+// Compile '/v1/escrows/:escrowId/release' into a matcher returning the path parameters
+function matchRoute(method, pathname) {
+  let pathMatched = false;
+  for (const route of ROUTES) {
+    const names = [];
+    const pattern = new RegExp(`^${route.path.replace(/:(\w+)/g, (_, name) => {
+      names.push(name);
+      return '([^/]+)';
+    })}$`);
+    const match = pattern.exec(pathname);
+    if (!match) continue;
+    pathMatched = true;
+    if (route.method !== method) continue;
+    const params = Object.fromEntries(names.map((name, i) => [name, decodeURIComponent(match[i + 1])]));
+    return { route, params };
+  }
+  throw new ApiError(API_ERRORS.NOT_FOUND, pathMatched ? `${method} is not supported on ${pathname}` : `No endpoint ${pathname}`);
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new ApiError(ERROR_CODES.USAGE, `Request body is larger than ${MAX_BODY_BYTES} bytes`));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      const text = Buffer.concat(chunks).toString('utf8');
+      if (!text.trim()) return resolve({});
+      try {
+        resolve(JSON.parse(text));
+      } catch {
+        reject(new ApiError(ERROR_CODES.USAGE, 'Request body is not valid JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+// Every transaction signature in a tool result
+function signaturesOf(data) {
+  const signatures = [];
+  const add = value => typeof value === 'string' && value && !signatures.includes(value) && signatures.push(value);
+  add(data?.signature);
+  for (const item of [...(data?.results || []), ...(data?.nfts || [])]) add(item.signature);
+  return signatures;
+}
+
+/**
+ * HTTP server bound to one toolkit; call `.listen(port, host)` on the result.
+ *   readOnly      refuse every write endpoint
+ *   unrestricted  allow writes without a spending policy (devnet experiments)
+ * Responses use the --json result schema: { schema, command, success, data, signatures, warnings, error }.
+ */
+export function createApiServer({ toolkit, readOnly = false, unrestricted = false, log = console.log }) {
+  const instance = crypto.randomUUID();
+
+  async function handle(req) {
+    const url = new URL(req.url, 'http://localhost');
+    if (req.method === 'GET' && url.pathname === '/v1/health') {
+      return { status: 200, command: 'health', data: { ok: true, network: toolkit.network.cluster, readOnly } };
+    }
+
+    const caller = authenticate(req);
+    if (req.method === 'GET' && url.pathname === '/v1/tools') {
+      return { status: 200, command: 'tools', data: { tools: toolDefinitions({ format: 'mcp', readOnly: readOnly || caller.scope !== 'write' }) } };
+    }
+
+    const { route, params } = matchRoute(req.method, url.pathname);
+    const toolName = route.tool || params.name;
+    const tool = findTool(toolName);
+    if (!tool) throw new ApiError(API_ERRORS.NOT_FOUND, `Unknown tool: ${toolName}`);
+    if (tool.write && caller.scope !== 'write') {
+      throw new ApiError(API_ERRORS.FORBIDDEN, `API key "${caller.name}" is read-only`);
+    }
+
+    const { name, ...pathArgs } = params;
+    const input = req.method === 'GET' ? Object.fromEntries(url.searchParams) : await readBody(req);
+    if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+      throw new ApiError(ERROR_CODES.USAGE, 'Request body must be a JSON object');
+    }
+    const args = { ...input, ...pathArgs };
+    const run = () => callTool(toolkit, toolName, args, { readOnly, unrestricted });
+
+    if (!tool.write) return { status: 200, command: toolName, data: await run() };
+
+    const idempotencyKey = req.headers['idempotency-key'];
+    if (!idempotencyKey || idempotencyKey.length > 255) {
+      throw new ApiError(ERROR_CODES.USAGE, 'Write endpoints need an Idempotency-Key header (up to 255 characters, unique per operation)');
+    }
+    return idempotent(`${caller.name}:${idempotencyKey}`, `${req.method} ${url.pathname} ${JSON.stringify(args)}`, toolName, run);
+  }
+
+  async function idempotent(key, request, command, run) {
+    const fingerprint = crypto.createHash('sha256').update(request).digest('hex');
+    const entries = loadIdempotency();
+    const previous = entries[key];
+    if (previous) {
+      if (previous.fingerprint !== fingerprint) {
+        throw new ApiError(API_ERRORS.IDEMPOTENCY_CONFLICT, 'Idempotency-Key was already used for a different request');
+      }
+      if (previous.response) return { ...previous.response, replayed: true };
+      throw new ApiError(API_ERRORS.IDEMPOTENCY_CONFLICT, previous.instance === instance
+        ? 'A request with this Idempotency-Key is still running'
+        : 'A request with this Idempotency-Key was interrupted by a server restart; its outcome is unknown - check the wallet before retrying with a new key');
+    }
+
+    entries[key] = { fingerprint, instance, createdAt: new Date().toISOString(), response: null };
+    saveIdempotency(entries);
+
+    let response;
+    try {
+      response = { status: 200, command, data: await run() };
+    } catch (err) {
+      const error = describeToolError(err);
+      // Nothing was executed when the arguments, the simulation or the policy stopped it, or when
+      // the transaction expired unexecuted: the key may be reused
+      if ([ERROR_CODES.USAGE, ERROR_CODES.POLICY_VIOLATION, ERROR_CODES.SIMULATION_FAILED, ERROR_CODES.NOT_CONFIRMED, ERROR_CODES.EXPIRED].includes(error.code)) {
+        const current = loadIdempotency();
+        delete current[key];
+        saveIdempotency(current);
+        throw err;
+      }
+      response = { status: STATUS[error.code], command, error };
+    }
+
+    const current = loadIdempotency();
+    current[key] = { ...current[key], response };
+    saveIdempotency(current);
+    return response;
+  }
+
+  return http.createServer(async (req, res) => {
+    let response;
+    try {
+      response = await handle(req);
+    } catch (err) {
+      const error = err instanceof ApiError ? { code: err.code, message: err.message } : describeToolError(err);
+      response = { status: STATUS[error.code] || 500, command: null, error };
+    }
+
+    const { status, command, data = null, error = null, replayed = false } = response;
+    const body = buildResult({ command, success: !error, data, signatures: signaturesOf(data), error });
+    const headers = { 'Content-Type': 'application/json' };
+    if (replayed) headers['Idempotent-Replayed'] = 'true';
+    res.writeHead(status, headers);
+    res.end(JSON.stringify(body, (key, value) => (typeof value === 'bigint' ? value.toString() : value)));
+    log(`${req.method} ${req.url.split('?')[0]} → ${status}${error ? ` ${error.code}` : ''}${replayed ? ' (replayed)' : ''}`);
+  });
+}
+
+// Commands, called by sat and by the CLI below with parsed options
+export function serveCommand(args, { wallet, port = Number(process.env.SAT_API_PORT || DEFAULT_PORT), host = '127.0.0.1', readOnly, unrestricted }) {
+  if (Object.keys(loadKeys()).length === 0) {
+    throw new Error('No API keys yet - create one with: sat api keys add <name> [--write]');
+  }
+
+  const toolkit = createToolkit({ wallet });
+  const server = createApiServer({ toolkit, readOnly, unrestricted });
+  server.listen(port, host, () => {
+    console.log(`🌐 Toolkit API on http://${host}:${port}/v1 (${toolkit.network.cluster}${readOnly ? ', read-only' : ''}${unrestricted ? ', no policy required' : ''})`);
+    if (host !== '127.0.0.1' && host !== 'localhost') {
+      console.log('⚠️  Listening beyond localhost: put TLS in front of it, API keys travel in plain text');
+    }
+  });
+}
+
+export function listKeysCommand() {
+  const keys = Object.entries(loadKeys()).map(([keyName, entry]) => ({ name: keyName, scope: entry.scope, createdAt: entry.createdAt }));
+  console.log('🔑 API Keys');
+  keys.forEach(k => console.log(`   ${k.name.padEnd(20)} ${k.scope.padEnd(6)} ${k.createdAt}`));
+  if (keys.length === 0) console.log('   none - add one with: keys add <name> [--write]');
+  reportResult(keys);
+}
+
+// Read-only unless --write
+export function addKeyCommand([name], { write }) {
+  const created = createApiKey(name, { write });
+  console.log(`✅ API key "${created.name}" (${created.scope}):`);
+  console.log('');
+  console.log(`   ${created.key}`);
+  console.log('');
+  console.log('   Shown only once - store it now.');
+  reportResult(created);
+}
+
+export function removeKeyCommand([name]) {
+  removeApiKey(name);
+  console.log(`✅ Removed API key: ${name}`);
+  reportResult({ removed: name });
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runScript(import.meta.url);
+}
@@ -0,0 +1,134 @@
+// MCP Server
+// Serves the agent tool registry over the Model Context Protocol (JSON-RPC 2.0, one message per line on stdio)
+
+import { Console } from 'console';
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { fileURLToPath } from 'url';
+import { createToolkit } from '../index.js';
+import { TOOLS, findTool, toolDefinitions, callTool, describeToolError } from './tools.js';
+import { runScript } from '../cli/dispatch.js';
+
+const PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+const JSONRPC_ERRORS = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602
+};
+
+function version() {
+  const root = path.dirname(path.dirname(path.dirname(fileURLToPath(import.meta.url))));
+  return JSON.parse(fs.readFileSync(path.join(root, 'package.json'), 'utf8')).version;
+}
+
+// Tool failures go back to the model as results it can read and act on (isError),
+// not as protocol errors: a policy block tells it which request id a human must approve
+function toolError(err) {
+  return { content: [{ type: 'text', text: JSON.stringify({ error: describeToolError(err) }, null, 2) }], isError: true };
+}
+
+/**
+ * MCP server bound to one toolkit.
+ *   readOnly      only list and run tools that never sign
+ *   unrestricted  allow write tools without a spending policy (devnet experiments)
+ * `send` receives each response object; `handle(message)` processes one parsed message.
+ */
+export function createMcpServer({ toolkit, readOnly = false, unrestricted = false, send, log = console.error }) {
+  const methods = {
+    initialize: ({ protocolVersion } = {}) => ({
+      protocolVersion: PROTOCOL_VERSIONS.includes(protocolVersion) ? protocolVersion : PROTOCOL_VERSIONS[0],
+      capabilities: { tools: { listChanged: false } },
+      serverInfo: { name: 'solana-agent-toolkit', version: version() },
+      instructions: 'Solana wallet, token, swap, NFT and yield tools. Write tools are checked against the spending policy; ' +
+        'when one is blocked, a human can approve the request id in the error and pass the token as `approval`.'
+    }),
+    ping: () => ({}),
+    'tools/list': () => ({ tools: toolDefinitions({ format: 'mcp', readOnly }) }),
+    'tools/call': async ({ name, arguments: args = {} } = {}) => {
+      const tool = findTool(name);
+      if (!tool || (readOnly && tool.write)) {
+        throw Object.assign(new Error(`Unknown tool: ${name}`), { rpcCode: JSONRPC_ERRORS.INVALID_PARAMS });
+      }
+
+      try {
+        const output = await callTool(toolkit, name, args, { readOnly, unrestricted });
+        log(`🔧 ${name}: ok`);
+        return { content: [{ type: 'text', text: JSON.stringify(output, null, 2) }], structuredContent: output, isError: false };
+      } catch (err) {
+        log(`🔧 ${name}: ${err.message}`);
+        return toolError(err);
+      }
+    }
+  };
+
+  async function handle(message) {
+    if (!message || message.jsonrpc !== '2.0' || typeof message.method !== 'string') {
+      // Responses to requests we never send, or garbage
+      if (message?.id !== undefined) {
+        send({ jsonrpc: '2.0', id: message.id, error: { code: JSONRPC_ERRORS.INVALID_REQUEST, message: 'Invalid request' } });
+      }
+      return;
+    }
+
+    const isNotification = message.id === undefined;
+    const method = methods[message.method];
+    if (isNotification) return; // notifications/initialized, notifications/cancelled, ...
+
+    if (!method) {
+      send({ jsonrpc: '2.0', id: message.id, error: { code: JSONRPC_ERRORS.METHOD_NOT_FOUND, message: `Method not found: ${message.method}` } });
+      return;
+    }
+    try {
+      send({ jsonrpc: '2.0', id: message.id, result: await method(message.params) });
+    } catch (err) {
+      send({ jsonrpc: '2.0', id: message.id, error: { code: err.rpcCode || JSONRPC_ERRORS.INVALID_PARAMS, message: err.message } });
+    }
+  }
+
+  return { handle };
+}
+
+// `sat agent mcp`: serves the tools over stdio until the client closes stdin
+export function mcpCommand(args, { wallet, readOnly, unrestricted }) {
+  // stdout carries the protocol; anything a tool prints goes to stderr
+  const stderr = new Console({ stdout: process.stderr, stderr: process.stderr });
+  for (const method of ['log', 'info', 'debug', 'table', 'dir']) {
+    console[method] = (...args) => stderr[method](...args);
+  }
+
+  // The wallet is resolved on the first call that needs it; read-only tools work without one
+  const toolkit = createToolkit({ wallet });
+  const send = message => process.stdout.write(JSON.stringify(message) + '\n');
+  const server = createMcpServer({ toolkit, readOnly, unrestricted, send });
+
+  const tools = TOOLS.filter(tool => !readOnly || !tool.write).length;
+  console.error(`🤖 MCP server ready on stdio: ${tools} tools, ${toolkit.network.cluster}${readOnly ? ', read-only' : ''}${unrestricted ? ', no policy required' : ''}`);
+
+  const pending = new Set();
+  const input = readline.createInterface({ input: process.stdin, crlfDelay: Infinity });
+  input.on('line', line => {
+    if (!line.trim()) return;
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch {
+      send({ jsonrpc: '2.0', id: null, error: { code: JSONRPC_ERRORS.PARSE_ERROR, message: 'Parse error' } });
+      return;
+    }
+    const task = server.handle(message);
+    pending.add(task);
+    task.finally(() => pending.delete(task));
+  });
+  // The client closing stdin ends the session once in-flight calls have answered
+  input.on('close', async () => {
+    await Promise.allSettled([...pending]);
+    process.exit(0);
+  });
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runScript(import.meta.url);
+}
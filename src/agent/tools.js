@@ -0,0 +1,476 @@
+// Agent Tool Registry
+// Every toolkit operation an LLM may call, with JSON Schemas for its input and output.
+// Used by the MCP server and exportable as OpenAI / Anthropic function-calling definitions.
+
+import { loadPolicy, PolicyViolation } from '../wallet/policy.js';
+import { TOKENS as ULTRA_TOKENS } from '../trading/ultra-swap.js';
+import { TOKENS as JUPITER_TOKENS } from '../trading/swap-tokens.js';
+import { TRACKED_TOKENS } from '../yield/position-tracker.js';
+import { validate } from '../utils/schema.js';
+import { PreviewRejected } from '../utils/preview.js';
+import { TransactionExpired } from '../utils/send.js';
+import { ERROR_CODES, reportResult } from '../utils/output.js';
+import { runScript } from '../cli/dispatch.js';
+
+export class ToolInputError extends Error {
+  constructor(toolName, errors) {
+    super(`Invalid arguments for ${toolName}: ${errors.join('; ')}`);
+    this.name = 'ToolInputError';
+    this.code = ERROR_CODES.USAGE;
+    this.errors = errors;
+  }
+}
+
+// Schema building blocks
+const object = (properties, required = []) => ({ type: 'object', properties, required, additionalProperties: false });
+const result = properties => ({ type: 'object', properties });
+const text = description => ({ type: 'string', minLength: 1, description });
+const positive = description => ({ type: 'number', exclusiveMinimum: 0, description });
+
+const address = text('Base58 address, or @label from the address book');
+const mintAddress = text('Token mint address (base58)');
+const signature = { type: 'string', description: 'Transaction signature (base58)' };
+const explorer = { type: 'string', description: 'Solana Explorer link for the transaction' };
+const approval = text('One-time approval token from `sat policy approve <request-id>`, for an operation the spending policy blocked');
+const nonceAccount = text('Durable nonce account to use instead of a recent blockhash');
+
+const escrow = result({
+  id: { type: 'string' },
+  recipient: { type: 'string' },
+  mint: { type: 'string' },
+  amount: { type: 'number' },
+  unlockTime: { type: 'string', description: 'ISO timestamp after which the escrow can be released' },
+  status: { type: 'string', enum: ['locked', 'presigned', 'released'] },
+  signature: { type: ['string', 'null'] }
+});
+const position = result({
+  name: { type: 'string' },
+  token: { type: 'string' },
+  type: { type: 'string' },
+  balance: { type: 'number' },
+  price: { type: 'number', description: 'USD price when last updated' },
+  value: { type: 'number', description: 'USD value when last updated' },
+  apy: { type: 'number' },
+  notes: { type: 'string' },
+  lastUpdated: { type: 'string' }
+});
+const swapResult = result({
+  signature,
+  inputMint: { type: 'string' },
+  outputMint: { type: 'string' },
+  quote: { type: 'object', description: 'The Jupiter quote the swap was built from' },
+  explorer
+});
+
+/**
+ * Tool definitions.
+ *   name         tool name shown to the model
+ *   description  what it does, written for the model
+ *   write        signs or changes state: needs the wallet, and the spending policy applies
+ *   input        JSON Schema of the arguments object
+ *   output       JSON Schema of the result object
+ *   run          (toolkit, args) => result, on a toolkit from createToolkit()
+ */
+export const TOOLS = [
+  // Wallet
+  {
+    name: 'getBalance',
+    description: 'SOL balance of the agent wallet, or of any address.',
+    write: false,
+    input: object({ address: text('Address to check (default: the agent wallet)') }),
+    output: result({ address: { type: 'string' }, lamports: { type: 'integer' }, sol: { type: 'number' } }),
+    run: (toolkit, { address = null }) => toolkit.wallet.balance(address)
+  },
+  {
+    name: 'getPortfolio',
+    description: 'SOL and SPL token balances of the agent wallet, or of any address.',
+    write: false,
+    input: object({ address: text('Address to check (default: the agent wallet)') }),
+    output: result({
+      wallet: { type: 'string' },
+      network: { type: 'string' },
+      sol: { type: 'number' },
+      tokens: { type: 'array', items: result({ mint: { type: 'string' }, balance: { type: 'number' }, amount: { type: 'string', description: 'Exact balance in base units' }, decimals: { type: 'integer' } }) },
+      customToken: { type: ['object', 'null'], description: 'The mint recorded by create-token-mint.js, if any' }
+    }),
+    run: (toolkit, { address = null }) => toolkit.wallet.portfolio(address)
+  },
+  {
+    name: 'requestAirdrop',
+    description: 'Request free SOL from the faucet. Devnet and testnet only.',
+    write: true,
+    input: object({ sol: { ...positive('SOL to request (default: 1)'), maximum: 5 } }),
+    output: result({ signature, address: { type: 'string' }, lamports: { type: 'integer' }, sol: { type: 'number' } }),
+    run: (toolkit, { sol = 1 }) => toolkit.wallet.airdrop(sol)
+  },
+  {
+    name: 'transfer',
+    description: 'Send SOL from the agent wallet. Checked against the spending policy before signing.',
+    write: true,
+    input: object({ recipient: address, amount: positive('SOL to send'), nonceAccount, approval }, ['recipient', 'amount']),
+    output: result({ signature, from: { type: 'string' }, to: { type: 'string' }, amount: { type: 'number' }, balance: { type: 'number', description: 'Sender balance afterwards, in SOL' }, explorer }),
+    run: (toolkit, { recipient, amount, nonceAccount = null, approval = null }) =>
+      toolkit.wallet.transfer(recipient, amount, { nonceAccount, approval })
+  },
+  {
+    name: 'signMessage',
+    description: 'Sign a UTF-8 text message with the agent wallet (ed25519, like a browser wallet signMessage) to prove ownership. Raw bytes cannot be signed here.',
+    write: true,
+    input: object({ message: text('Message to sign (UTF-8 text)') }, ['message']),
+    output: result({ publicKey: { type: 'string' }, signature: { type: 'string', description: 'Message signature (base58)' } }),
+    run: (toolkit, { message }) => toolkit.wallet.signMessage(message)
+  },
+  {
+    name: 'verifyMessage',
+    description: 'Check a message signature against a public key (default: the agent wallet).',
+    write: false,
+    input: object({ message: text('The signed message (UTF-8)'), signature: text('Signature: base58, base64 or hex'), publicKey: text('Signer public key (default: the agent wallet)') }, ['message', 'signature']),
+    output: result({ valid: { type: 'boolean' }, signatureValid: { type: 'boolean' }, publicKey: { type: 'string' }, errors: { type: 'array', items: { type: 'string' } } }),
+    run: (toolkit, { message, signature: sig, publicKey }) => toolkit.wallet.verifyMessage(message, sig, publicKey)
+  },
+
+  // Tokens
+  {
+    name: 'createTokenMint',
+    description: 'Create a new SPL token mint with the agent wallet as mint and freeze authority. The rent and fees are checked against the spending policy before signing.',
+    write: true,
+    input: object({ decimals: { type: 'integer', minimum: 0, maximum: 9, description: 'Decimal places (default: 9)' }, approval }),
+    output: result({ mint: { type: 'string' }, authority: { type: 'string' }, decimals: { type: 'integer' } }),
+    run: (toolkit, { decimals = 9, approval = null }) => toolkit.token.createMint({ decimals, approval })
+  },
+  {
+    name: 'mintTokens',
+    description: 'Mint tokens of a mint the agent wallet controls into its own token account. The mint, rent and fees are checked against the spending policy before signing.',
+    write: true,
+    input: object({ mint: mintAddress, amount: positive('Tokens to mint, in whole tokens'), approval }, ['mint', 'amount']),
+    output: result({ signature, mint: { type: 'string' }, tokenAccount: { type: 'string' }, amount: { type: 'number' }, balance: { type: 'number' }, explorer }),
+    run: (toolkit, { mint, amount, approval = null }) => toolkit.token.mint(mint, amount, { approval })
+  },
+  {
+    name: 'transferTokens',
+    description: 'Send SPL tokens from the agent wallet. Checked against the spending policy before signing.',
+    write: true,
+    input: object({ recipient: address, mint: mintAddress, amount: positive('Tokens to send, in whole tokens'), approval }, ['recipient', 'mint', 'amount']),
+    output: result({ signature, from: { type: 'string' }, to: { type: 'string' }, mint: { type: 'string' }, amount: { type: 'number' }, explorer }),
+    run: (toolkit, { recipient, mint, amount, approval = null }) => toolkit.token.transfer(recipient, mint, amount, { approval })
+  },
+  {
+    name: 'launchToken',
+    description: 'Launch a token in one step: create the mint, mint the whole supply to the agent wallet, optionally revoke the mint authority. The rent and fees are checked against the spending policy before signing.',
+    write: true,
+    input: object({
+      name: text('Token name'),
+      symbol: text('Ticker symbol'),
+      supply: positive('Total supply, in whole tokens'),
+      decimals: { type: 'integer', minimum: 0, maximum: 9, description: 'Decimal places (default: 9)' },
+      revokeMintAuthority: { type: 'boolean', description: 'Make the supply fixed (irreversible)' },
+      freezeAuthority: { type: 'boolean', description: 'Keep a freeze authority' },
+      approval
+    }, ['name', 'symbol', 'supply']),
+    output: result({ name: { type: 'string' }, symbol: { type: 'string' }, mint: { type: 'string' }, tokenAccount: { type: 'string' }, supply: { type: 'number' }, decimals: { type: 'integer' }, mintAuthorityRevoked: { type: 'boolean' } }),
+    run: (toolkit, { approval = null, ...config }) => toolkit.token.launch(config, { approval })
+  },
+  {
+    name: 'distributeTokens',
+    description: 'Send tokens to many recipients. Each payment is checked against the spending policy; failures do not stop the rest.',
+    write: true,
+    input: object({
+      mint: mintAddress,
+      distributions: {
+        type: 'array',
+        minItems: 1,
+        items: object({ address, amount: positive('Tokens for this recipient') }, ['address', 'amount'])
+      },
+      approval
+    }, ['mint', 'distributions']),
+    output: result({
+      results: {
+        type: 'array',
+        items: result({ address: { type: 'string' }, amount: { type: 'number' }, status: { type: 'string', enum: ['success', 'failed'] }, signature, error: { type: 'string' } })
+      }
+    }),
+    run: async (toolkit, { mint, distributions, approval = null }) => ({ results: await toolkit.token.distribute(mint, distributions, { approval }) })
+  },
+
+  // Trading
+  {
+    name: 'getPrices',
+    description: 'Current USDC prices of SOL, JUP and BONK from Jupiter quotes.',
+    write: false,
+    input: object({}),
+    output: result({
+      currency: { type: 'string' },
+      prices: { type: 'object', description: 'Token symbol -> price; tokens whose quote failed are missing' },
+      errors: { type: 'array', items: { type: 'string' } }
+    }),
+    run: toolkit => toolkit.swap.prices()
+  },
+  {
+    name: 'ultraQuote',
+    description: 'Jupiter Ultra quote for a swap, without sending anything.',
+    write: false,
+    input: object({
+      inputToken: { type: 'string', enum: Object.keys(ULTRA_TOKENS), description: 'Token to sell' },
+      outputToken: { type: 'string', enum: Object.keys(ULTRA_TOKENS), description: 'Token to buy' },
+      amount: positive('Amount of inputToken to sell'),
+      slippage: { type: 'number', minimum: 0, maximum: 50, description: 'Slippage tolerance in percent (default: 0.5)' }
+    }, ['inputToken', 'outputToken', 'amount']),
+    output: result({ inputMint: { type: 'string' }, outputMint: { type: 'string' }, quote: { type: 'object' } }),
+    run: (toolkit, { inputToken, outputToken, amount, slippage = 0.5 }) => toolkit.swap.quote(inputToken, outputToken, amount, { slippage })
+  },
+  {
+    name: 'ultraSwap',
+    description: 'Swap tokens through Jupiter Ultra (mainnet liquidity). Checked against the spending policy before signing.',
+    write: true,
+    input: object({
+      inputToken: { type: 'string', enum: Object.keys(ULTRA_TOKENS), description: 'Token to sell' },
+      outputToken: { type: 'string', enum: Object.keys(ULTRA_TOKENS), description: 'Token to buy' },
+      amount: positive('Amount of inputToken to sell'),
+      slippage: { type: 'number', minimum: 0, maximum: 50, description: 'Slippage tolerance in percent (default: 0.5)' },
+      nonceAccount,
+      approval
+    }, ['inputToken', 'outputToken', 'amount']),
+    output: swapResult,
+    run: (toolkit, { inputToken, outputToken, amount, slippage = 0.5, nonceAccount = null, approval = null }) =>
+      toolkit.swap.swap(inputToken, outputToken, amount, { slippage, nonceAccount, approval })
+  },
+  {
+    name: 'jupiterSwap',
+    description: 'Swap SOL, USDC or USDT through the Jupiter v6 quote API. Checked against the spending policy before signing.',
+    write: true,
+    input: object({
+      inputToken: { type: 'string', enum: Object.keys(JUPITER_TOKENS), description: 'Token to sell' },
+      outputToken: { type: 'string', enum: Object.keys(JUPITER_TOKENS), description: 'Token to buy' },
+      amount: positive('Amount of inputToken to sell'),
+      approval
+    }, ['inputToken', 'outputToken', 'amount']),
+    output: swapResult,
+    run: (toolkit, { inputToken, outputToken, amount, approval = null }) => toolkit.swap.jupiter(inputToken, outputToken, amount, { approval })
+  },
+
+  // NFTs
+  {
+    name: 'createNFT',
+    description: 'Mint a Metaplex NFT. The uri must point to metadata JSON in the Metaplex format. The rent and fees are checked against the spending policy before signing.',
+    write: true,
+    input: object({
+      name: text('NFT name'),
+      symbol: text('Collection symbol'),
+      uri: text('Metadata JSON URI'),
+      royalty: { type: 'number', minimum: 0, maximum: 100, description: 'Seller fee in percent (default: 5.5)' },
+      approval
+    }, ['name', 'symbol', 'uri']),
+    output: result({ name: { type: 'string' }, symbol: { type: 'string' }, uri: { type: 'string' }, mint: { type: 'string' }, signature: { type: 'string' }, network: { type: 'string' } }),
+    run: (toolkit, { name, symbol, uri, royalty = 5.5, approval = null }) => toolkit.nft.create(name, symbol, uri, { royalty, approval })
+  },
+  {
+    name: 'createCollection',
+    description: 'Mint `count` NFTs named "<name> #<n>" with metadata at <baseUri>/<n>.json. The rent and fees of the whole collection are checked against the spending policy before the first mint.',
+    write: true,
+    input: object({
+      name: text('Collection name'),
+      symbol: text('Collection symbol'),
+      baseUri: text('URI prefix of the metadata files'),
+      count: { type: 'integer', minimum: 1, maximum: 100, description: 'Number of NFTs to mint' },
+      startNumber: { type: 'integer', minimum: 0, description: 'Number of the first NFT (default: 1)' },
+      royalty: { type: 'number', minimum: 0, maximum: 100, description: 'Seller fee in percent (default: 5)' },
+      approval
+    }, ['name', 'symbol', 'baseUri', 'count']),
+    output: result({
+      name: { type: 'string' },
+      count: { type: 'integer', description: 'NFTs actually created' },
+      nfts: { type: 'array', items: result({ name: { type: 'string' }, number: { type: 'integer' }, mint: { type: 'string' }, signature: { type: 'string' } }) }
+    }),
+    run: (toolkit, { name, symbol, baseUri, count, startNumber = 1, royalty = 5, approval = null }) =>
+      toolkit.nft.createCollection(name, symbol, baseUri, count, { startNumber, royalty, approval })
+  },
+
+  // Yield
+  {
+    name: 'yieldOpportunities',
+    description: 'Known Solana yield opportunities with APY ranges, risk level, pros and cons.',
+    write: false,
+    input: object({}),
+    output: result({ opportunities: { type: 'array', items: { type: 'object' } } }),
+    run: toolkit => ({ opportunities: toolkit.yield.opportunities() })
+  },
+  {
+    name: 'scanProtocols',
+    description: 'DeFi protocols the toolkit tracks (Jupiter, Drift, Fragmetric, ...) with their products and yields.',
+    write: false,
+    input: object({}),
+    output: result({ protocols: { type: 'object' } }),
+    run: toolkit => ({ protocols: toolkit.yield.protocols() })
+  },
+  {
+    name: 'calculateYield',
+    description: 'Simple (non-compounding) yield on a principal over a number of days.',
+    write: false,
+    input: object({ principal: positive('Principal in USD'), apy: { type: 'number', minimum: 0, description: 'APY in percent' }, days: { type: 'integer', minimum: 1, description: 'Duration (default: 365)' } }, ['principal', 'apy']),
+    output: result({ principal: { type: 'number' }, apy: { type: 'number' }, days: { type: 'integer' }, yield: { type: 'number' }, total: { type: 'number' } }),
+    run: (toolkit, { principal, apy, days = 365 }) => {
+      const earned = toolkit.yield.calculate(principal, apy, days);
+      return { principal, apy, days, yield: earned, total: principal + earned };
+    }
+  },
+  {
+    name: 'jlpPrice',
+    description: 'Current price of JLP (Jupiter Liquidity Provider token) in USD.',
+    write: false,
+    input: object({}),
+    output: result({ price: { type: ['number', 'null'], description: 'null when the price API is unavailable' } }),
+    run: async toolkit => ({ price: await toolkit.yield.jlpPrice() })
+  },
+  {
+    name: 'listPositions',
+    description: 'Tracked yield positions with their last recorded balance and value.',
+    write: false,
+    input: object({}),
+    output: result({ positions: { type: 'array', items: position } }),
+    run: toolkit => ({ positions: Object.values(toolkit.yield.positions()) })
+  },
+  {
+    name: 'trackPosition',
+    description: 'Record the agent wallet\'s current balance and USD value of a token as a named yield position.',
+    write: true,
+    input: object({
+      name: text('Position name'),
+      token: { type: 'string', enum: Object.keys(TRACKED_TOKENS) },
+      type: { type: 'string', enum: ['hold', 'stake', 'lp', 'lend'], description: 'Default: hold' },
+      apy: { type: 'number', minimum: 0, description: 'Expected APY in percent' },
+      notes: { type: 'string' }
+    }, ['name', 'token']),
+    output: position,
+    run: (toolkit, { name, token, type = 'hold', apy = 0, notes = '' }) => toolkit.yield.trackPosition(name, token, { type, apy, notes })
+  },
+  {
+    name: 'removePosition',
+    description: 'Stop tracking a yield position.',
+    write: true,
+    input: object({ name: text('Position name') }, ['name']),
+    output: result({ removed: { type: 'boolean' } }),
+    run: async (toolkit, { name }) => ({ removed: await toolkit.yield.removePosition(name) })
+  },
+  {
+    name: 'listEscrows',
+    description: 'Time-locked escrows created by the toolkit and their status.',
+    write: false,
+    input: object({}),
+    output: result({ escrows: { type: 'array', items: escrow } }),
+    run: toolkit => ({ escrows: toolkit.yield.escrows() })
+  },
+  {
+    name: 'createEscrow',
+    description: 'Create a time-locked token escrow that can be released to the recipient after `unlockMinutes`. Refused up front when the spending policy would block the release.',
+    write: true,
+    input: object({ recipient: address, mint: mintAddress, amount: positive('Tokens to escrow, in whole tokens'), unlockMinutes: { type: 'integer', minimum: 1 }, approval }, ['recipient', 'mint', 'amount', 'unlockMinutes']),
+    output: escrow,
+    run: (toolkit, { recipient, mint, amount, unlockMinutes, approval = null }) => toolkit.yield.createEscrow(recipient, mint, amount, unlockMinutes, { approval })
+  },
+  {
+    name: 'releaseEscrow',
+    description: 'Release an unlocked escrow to its recipient. Checked against the spending policy before signing.',
+    write: true,
+    input: object({ escrowId: text('Escrow id from listEscrows'), nonceAccount, approval }, ['escrowId']),
+    output: escrow,
+    run: (toolkit, { escrowId, nonceAccount = null, approval = null }) => toolkit.yield.releaseEscrow(escrowId, { nonceAccount, approval })
+  },
+
+  // Transactions
+  {
+    name: 'parseTransaction',
+    description: 'Fetch a confirmed transaction with its instructions, token and SOL balance changes.',
+    write: false,
+    input: object({ signature: text('Transaction signature (base58)') }, ['signature']),
+    output: result({ found: { type: 'boolean' }, transaction: { type: ['object', 'null'], description: 'getParsedTransaction result' } }),
+    run: async (toolkit, { signature: sig }) => {
+      const transaction = await toolkit.parser.parse(sig);
+      return { found: Boolean(transaction), transaction: transaction || null };
+    }
+  }
+];
+
+export function findTool(name) {
+  return TOOLS.find(tool => tool.name === name) || null;
+}
+
+// Tool list in the shape each client expects: 'mcp', 'openai' (function calling) or 'anthropic' (tool use)
+export function toolDefinitions({ format = 'mcp', readOnly = false } = {}) {
+  const tools = TOOLS.filter(tool => !readOnly || !tool.write);
+  switch (format) {
+    case 'mcp':
+      return tools.map(tool => ({
+        name: tool.name,
+        description: tool.description,
+        inputSchema: tool.input,
+        outputSchema: tool.output,
+        annotations: { readOnlyHint: !tool.write, destructiveHint: false, openWorldHint: true }
+      }));
+    case 'openai':
+      return tools.map(tool => ({ type: 'function', function: { name: tool.name, description: tool.description, parameters: tool.input } }));
+    case 'anthropic':
+      return tools.map(tool => ({ name: tool.name, description: tool.description, input_schema: tool.input }));
+    default:
+      throw new Error(`Unknown format "${format}" (use mcp, openai or anthropic)`);
+  }
+}
+
+// Writes run one at a time so concurrent calls cannot race past the daily limits
+let writeQueue = Promise.resolve();
+
+/**
+ * Validate the arguments and run one tool on a toolkit.
+ *
+ * Write tools are refused when `readOnly` is set, and when no spending policy is configured
+ * unless `unrestricted` is set - an agent must not get an unlimited wallet by accident.
+ * The result is plain JSON (PublicKeys as base58, BigInts as strings).
+ */
+export async function callTool(toolkit, name, args = {}, { readOnly = false, unrestricted = false } = {}) {
+  const tool = findTool(name);
+  if (!tool) throw new ToolInputError(name, [`unknown tool (available: ${TOOLS.map(t => t.name).join(', ')})`]);
+
+  const errors = validate(tool.input, args ?? {}, 'arguments');
+  if (errors.length > 0) throw new ToolInputError(name, errors);
+
+  if (tool.write && readOnly) {
+    throw new Error(`${name} changes state and this server is read-only`);
+  }
+  if (tool.write && !unrestricted && !loadPolicy()) {
+    throw new Error(`${name} needs a spending policy - run \`sat policy init\` first, or start the server with --unrestricted`);
+  }
+
+  let output;
+  if (tool.write) {
+    const task = writeQueue.then(() => tool.run(toolkit, args ?? {}));
+    writeQueue = task.catch(() => {});
+    output = await task;
+  } else {
+    output = await tool.run(toolkit, args ?? {});
+  }
+  return JSON.parse(JSON.stringify(output, (key, value) => (typeof value === 'bigint' ? value.toString() : value)));
+}
+
+// `{ code, message, details }` for a failed call, with the codes of the --json result schema
+export function describeToolError(err) {
+  const error = {
+    code: Object.values(ERROR_CODES).includes(err.code) ? err.code : ERROR_CODES.FAILED,
+    message: err.message
+  };
+  if (err instanceof PolicyViolation) {
+    error.details = { reasons: err.reasons, intentId: err.intentId, approve: `sat policy approve ${err.intentId}` };
+  }
+  if (err instanceof ToolInputError) error.details = { errors: err.errors };
+  if (err instanceof PreviewRejected) error.details = { preview: err.preview };
+  if (err instanceof TransactionExpired) error.details = { signatures: err.signatures };
+  return error;
+}
+
+export function toolsCommand(args, { format = 'mcp', readOnly }) {
+  const definitions = toolDefinitions({ format, readOnly });
+  console.log(JSON.stringify(definitions, null, 2));
+  reportResult({ format, tools: definitions });
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runScript(import.meta.url);
+}
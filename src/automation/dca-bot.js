@@ -1,14 +1,22 @@
-import { Connection, clusterApiUrl, PublicKey, Keypair } from '@solana/web3.js';
 import fs from 'fs';
+import { loadWalletPublicKey } from '../wallet/wallets.js';
+import { enforcePolicy, PolicyViolation, printPolicyViolation } from '../wallet/policy.js';
+import { reportResult, reportWarning } from '../utils/output.js';
+import { requireToken } from '../tokens/registry.js';
+import { parseAmount, formatAmount, toUiAmount } from '../utils/amount.js';
+import { runScript } from '../cli/dispatch.js';
+
+const INPUT = requireToken('SOL', { cluster: 'mainnet-beta' });
+const OUTPUT = requireToken('USDC', { cluster: 'mainnet-beta' });
 
 // DCA Bot Configuration
-const CONFIG = {
+export const CONFIG = {
   // Token to buy (e.g., USDC)
-  outputToken: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v',
+  outputToken: OUTPUT.mint,
   // Token to spend (e.g., SOL)
-  inputToken: 'So11111111111111111111111111111111111111112',
+  inputToken: INPUT.mint,
   // Amount to spend per purchase (in SOL)
-  amountPerTrade: 0.01,
+  amountPerTrade: '0.01',
   // Interval between trades (in minutes)
   intervalMinutes: 5,
   // Total number of trades to execute
@@ -17,33 +25,32 @@ const CONFIG = {
   slippageBps: 50,
 };
 
-const wallet = JSON.parse(fs.readFileSync('wallet.json', 'utf8'));
-const connection = new Connection(clusterApiUrl('devnet'), 'confirmed');
-
-console.log('🤖 DCA Bot - Dollar Cost Averaging');
-console.log('===================================');
-console.log('Strategy: Buy USDC with SOL over time');
-console.log(`Amount per trade: ${CONFIG.amountPerTrade} SOL`);
-console.log(`Interval: ${CONFIG.intervalMinutes} minutes`);
-console.log(`Total trades: ${CONFIG.totalTrades}`);
-console.log('Wallet:', wallet.publicKey);
-console.log('');
+const AMOUNT_PER_TRADE = parseAmount(CONFIG.amountPerTrade, INPUT.decimals, { unit: INPUT.symbol });
 
 // State file to persist bot state
 const STATE_FILE = 'dca-bot-state.json';
 
+// Totals are kept in base units (spentBaseUnits, receivedBaseUnits) so they never drift;
+// totalSpent and totalReceived are derived from them for display
 function loadState() {
+  let state;
   try {
-    return JSON.parse(fs.readFileSync(STATE_FILE, 'utf8'));
+    state = JSON.parse(fs.readFileSync(STATE_FILE, 'utf8'));
   } catch {
     return {
       tradesExecuted: 0,
       totalSpent: 0,
       totalReceived: 0,
+      spentBaseUnits: '0',
+      receivedBaseUnits: '0',
       startTime: new Date().toISOString(),
       trades: []
     };
   }
+  // State files from before base-unit totals only have the float totals to start from
+  state.spentBaseUnits ??= BigInt(Math.round(state.totalSpent * 10 ** INPUT.decimals)).toString();
+  state.receivedBaseUnits ??= BigInt(Math.round(state.totalReceived * 10 ** OUTPUT.decimals)).toString();
+  return state;
 }
 
 function saveState(state) {
@@ -52,10 +59,8 @@ function saveState(state) {
 
 async function getQuote() {
   const JUPITER_API = 'https://quote-api.jup.ag/v6';
-  const amount = CONFIG.amountPerTrade * 10**9; // SOL has 9 decimals
-  
   try {
-    const url = `${JUPITER_API}/quote?inputMint=${CONFIG.inputToken}&outputMint=${CONFIG.outputToken}&amount=${amount}&slippageBps=${CONFIG.slippageBps}`;
+    const url = `${JUPITER_API}/quote?inputMint=${CONFIG.inputToken}&outputMint=${CONFIG.outputToken}&amount=${AMOUNT_PER_TRADE}&slippageBps=${CONFIG.slippageBps}`;
     const response = await fetch(url);
     if (!response.ok) throw new Error(`HTTP ${response.status}`);
     return await response.json();
@@ -65,7 +70,7 @@ async function getQuote() {
   }
 }
 
-async function executeTrade() {
+export async function executeTrade(walletPublicKey, { approval = null } = {}) {
   const state = loadState();
   
   if (state.tradesExecuted >= CONFIG.totalTrades) {
@@ -83,28 +88,48 @@ async function executeTrade() {
   const quote = await getQuote();
   if (!quote) {
     console.log('❌ Failed to get quote, will retry next interval');
+    reportWarning('Failed to get a quote, the trade will be retried next interval');
     return true;
   }
   
-  const usdcReceived = quote.outAmount / 10**6; // USDC has 6 decimals
-  const price = CONFIG.amountPerTrade / usdcReceived;
+  const received = BigInt(quote.outAmount);
+  const usdcReceived = toUiAmount(received, OUTPUT.decimals);
+  const spent = toUiAmount(AMOUNT_PER_TRADE, INPUT.decimals);
+  const price = spent / usdcReceived;
   
   console.log('Quote received:');
-  console.log(`  Spend: ${CONFIG.amountPerTrade} SOL`);
+  console.log(`  Spend: ${formatAmount(AMOUNT_PER_TRADE, INPUT.decimals)} SOL`);
   console.log(`  Receive: ~${usdcReceived.toFixed(2)} USDC`);
   console.log(`  Price: ${price.toFixed(6)} SOL/USDC`);
   
+  // Same policy check a live trade gets; simulated trades are not counted against the daily limit
+  try {
+    enforcePolicy({
+      tool: 'dca-bot',
+      wallet: walletPublicKey.toBase58(),
+      transfers: [{ mint: CONFIG.inputToken, amount: spent, decimals: INPUT.decimals }],
+      mints: [CONFIG.outputToken]
+    }, { approval });
+  } catch (err) {
+    if (!(err instanceof PolicyViolation)) throw err;
+    printPolicyViolation(err);
+    console.log('⏹️  Stopping the bot');
+    return false;
+  }
+
   // Simulate trade execution (in real bot, this would execute the swap)
   console.log('✅ Trade simulated (not executed on devnet to preserve SOL)');
   
   // Update state
   state.tradesExecuted++;
-  state.totalSpent += CONFIG.amountPerTrade;
-  state.totalReceived += usdcReceived;
+  state.spentBaseUnits = (BigInt(state.spentBaseUnits) + AMOUNT_PER_TRADE).toString();
+  state.receivedBaseUnits = (BigInt(state.receivedBaseUnits) + received).toString();
+  state.totalSpent = toUiAmount(state.spentBaseUnits, INPUT.decimals);
+  state.totalReceived = toUiAmount(state.receivedBaseUnits, OUTPUT.decimals);
   state.trades.push({
     trade: state.tradesExecuted,
     timestamp: new Date().toISOString(),
-    spent: CONFIG.amountPerTrade,
+    spent,
     received: usdcReceived,
     price: price
   });
@@ -118,7 +143,7 @@ async function executeTrade() {
   return state.tradesExecuted < CONFIG.totalTrades;
 }
 
-async function run() {
+export async function run(walletPublicKey, { approval = null } = {}) {
   const state = loadState();
   
   console.log('State loaded:');
@@ -128,7 +153,8 @@ async function run() {
   console.log('');
   
   // Execute one trade immediately
-  const shouldContinue = await executeTrade();
+  const shouldContinue = await executeTrade(walletPublicKey, { approval });
+  reportResult({ config: CONFIG, state: loadState(), complete: !shouldContinue });
   
   if (shouldContinue) {
     console.log(`\n⏱️  Next trade in ${CONFIG.intervalMinutes} minutes...`);
@@ -139,24 +165,46 @@ async function run() {
   }
 }
 
-// Check for --continuous flag
-const continuous = process.argv.includes('--continuous');
+export async function dcaCommand(args, { wallet, approve: approval, continuous }) {
+  const walletPublicKey = loadWalletPublicKey(wallet);
+
+  console.log('🤖 DCA Bot - Dollar Cost Averaging');
+  console.log('===================================');
+  console.log('Strategy: Buy USDC with SOL over time');
+  console.log(`Amount per trade: ${CONFIG.amountPerTrade} SOL`);
+  console.log(`Interval: ${CONFIG.intervalMinutes} minutes`);
+  console.log(`Total trades: ${CONFIG.totalTrades}`);
+  console.log('Wallet:', walletPublicKey.toBase58());
+  console.log('');
+
+  if (!continuous) {
+    await run(walletPublicKey, { approval });
+    return;
+  }
 
-if (continuous) {
   console.log('🔄 Continuous mode enabled');
   console.log('Press Ctrl+C to stop\n');
-  
+
+  // A failed round (RPC or quote API outage) is retried next interval instead of ending the strategy
+  const logRoundError = err => console.error(`❌ Trade round failed: ${err.message} - retrying next interval`);
+
   // Run immediately
-  run().then(() => {
-    // Set interval for subsequent trades
-    setInterval(async () => {
-      const shouldContinue = await executeTrade();
+  await run(walletPublicKey, { approval }).catch(logRoundError);
+  // Set interval for subsequent trades
+  setInterval(async () => {
+    try {
+      const shouldContinue = await executeTrade(walletPublicKey, { approval });
+      reportResult({ config: CONFIG, state: loadState(), complete: !shouldContinue });
       if (!shouldContinue) {
         console.log('\n🎯 DCA strategy complete!');
         process.exit(0);
       }
-    }, CONFIG.intervalMinutes * 60 * 1000);
-  });
-} else {
-  run();
+    } catch (err) {
+      logRoundError(err);
+    }
+  }, CONFIG.intervalMinutes * 60 * 1000);
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runScript(import.meta.url);
 }
@@ -1,22 +1,21 @@
-import { Connection, clusterApiUrl, PublicKey } from '@solana/web3.js';
+import { PublicKey } from '@solana/web3.js';
 import fs from 'fs';
+import { loadWalletPublicKey } from '../wallet/wallets.js';
+import { addressFormatter } from '../wallet/address-book.js';
+import { getConnection } from '../utils/network.js';
+import { reportResult } from '../utils/output.js';
+import { formatAmount, formatSol, toUiAmount, lamportsToSol } from '../utils/amount.js';
+import { runScript } from '../cli/dispatch.js';
 
-const wallet = JSON.parse(fs.readFileSync('wallet.json', 'utf8'));
-const connection = new Connection(clusterApiUrl('devnet'), 'confirmed');
-
-console.log('📊 Token Balance Monitor');
-console.log('========================');
-console.log('Wallet:', wallet.publicKey);
-console.log('');
-
-async function monitor() {
+export async function monitor(connection, walletPublicKey, { formatAddress = addressFormatter() } = {}) {
   // Get SOL balance
-  const solBalance = await connection.getBalance(new PublicKey(wallet.publicKey));
-  console.log('SOL Balance:', (solBalance / 10**9).toFixed(4), 'SOL');
+  const solBalance = await connection.getBalance(walletPublicKey);
+  const snapshot = { wallet: walletPublicKey.toBase58(), sol: lamportsToSol(solBalance), tokens: [], transactions: [] };
+  console.log('SOL Balance:', lamportsToSol(solBalance).toFixed(4), 'SOL');
   
   // Get all token accounts
   const tokenAccounts = await connection.getParsedTokenAccountsByOwner(
-    new PublicKey(wallet.publicKey),
+    walletPublicKey,
     { programId: new PublicKey('TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA') }
   );
   
@@ -24,11 +23,12 @@ async function monitor() {
   
   for (const { account } of tokenAccounts.value) {
     const parsed = account.data.parsed.info;
-    const balance = parsed.tokenAmount.uiAmount;
+    const { amount, decimals } = parsed.tokenAmount;
     
-    if (balance > 0) {
+    if (BigInt(amount) > 0n) {
+      snapshot.tokens.push({ mint: parsed.mint, balance: toUiAmount(amount, decimals) });
       console.log(`\n  Mint: ${parsed.mint}`);
-      console.log(`  Balance: ${balance.toLocaleString()}`);
+      console.log(`  Balance: ${formatAmount(amount, decimals)}`);
       
       // Check if it's our custom mint
       try {
@@ -43,7 +43,7 @@ async function monitor() {
   // Check recent transactions
   console.log('\n\nRecent Transactions:');
   const signatures = await connection.getSignaturesForAddress(
-    new PublicKey(wallet.publicKey),
+    walletPublicKey,
     { limit: 5 }
   );
   
@@ -52,7 +52,43 @@ async function monitor() {
     console.log(`  ${date} - ${sig.signature.slice(0, 20)}...`);
     console.log(`    Status: ${sig.confirmationStatus}`);
     if (sig.memo) console.log(`    Memo: ${sig.memo}`);
+    const transfers = await describeTransfers(connection, walletPublicKey, sig.signature, formatAddress);
+    for (const line of transfers) {
+      console.log(`    ${line}`);
+    }
+    snapshot.transactions.push({ signature: sig.signature, blockTime: sig.blockTime, status: sig.confirmationStatus, memo: sig.memo, transfers });
+  }
+  reportResult(snapshot);
+}
+
+// SOL transfers in and out of the wallet, with counterparties shown by address book label
+async function describeTransfers(connection, walletPublicKey, signature, formatAddress) {
+  const tx = await connection.getParsedTransaction(signature, { maxSupportedTransactionVersion: 0 });
+  const wallet = walletPublicKey.toBase58();
+  const lines = [];
+
+  for (const ix of tx?.transaction.message.instructions || []) {
+    if (ix.program !== 'system' || ix.parsed?.type !== 'transfer') continue;
+    const { source, destination, lamports } = ix.parsed.info;
+    if (source === wallet) lines.push(`→ ${formatAddress(destination)}: ${formatSol(lamports)} SOL`);
+    else if (destination === wallet) lines.push(`← ${formatAddress(source)}: ${formatSol(lamports)} SOL`);
   }
+  return lines;
+}
+
+export async function monitorCommand(args, { wallet }) {
+  const connection = getConnection();
+  const walletPublicKey = loadWalletPublicKey(wallet);
+  const formatAddress = addressFormatter();
+
+  console.log('📊 Token Balance Monitor');
+  console.log('========================');
+  console.log('Wallet:', formatAddress(walletPublicKey));
+  console.log('');
+
+  await monitor(connection, walletPublicKey, { formatAddress });
 }
 
-monitor().catch(console.error);
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runScript(import.meta.url);
+}
@@ -0,0 +1,90 @@
+// Argument Parsing
+// The one command-line parser behind sat and every tool script: typed flags, unknown-flag
+// errors and positional checks, so no tool reads process.argv itself
+
+import { parseArgs } from 'util';
+import { ERROR_CODES } from '../utils/output.js';
+
+/*
+ * Option specs, as in the command table:
+ *   'description'                          boolean flag
+ *   [value-name, description]              takes a string
+ *   [value-name, description, 'int']       takes a whole number
+ *   [value-name, description, 'number']    takes any finite number
+ *   [value-name, description, 'list']      takes a string and may be repeated, collected in order
+ */
+
+const SHORT = { help: 'h', yes: 'y' };
+
+export class UsageError extends Error {
+  constructor(message, command = null) {
+    super(message);
+    this.name = 'UsageError';
+    this.code = ERROR_CODES.USAGE;
+    this.command = command;
+  }
+}
+
+const TYPES = {
+  int: (value, name) => {
+    if (!/^-?\d+$/.test(value)) throw new UsageError(`--${name} must be a whole number, got "${value}"`);
+    return Number(value);
+  },
+  number: (value, name) => {
+    const number = Number(value);
+    if (value.trim() === '' || !Number.isFinite(number)) throw new UsageError(`--${name} must be a number, got "${value}"`);
+    return number;
+  }
+};
+
+// dry-run -> dryRun, so handlers can destructure their options
+export function optionKey(name) {
+  return name.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+}
+
+/**
+ * Parse `argv` against option specs and positional argument names (`<required>` or `[optional]`).
+ * Returns { values, positionals }: values are keyed by camel-cased flag name, boolean flags
+ * are false when absent and typed flags are converted. Throws UsageError on anything else.
+ */
+export function parseOptions(options, argv, { args = [], required = [] } = {}) {
+  const spec = Object.fromEntries(Object.entries(options).map(([name, option]) => [
+    name,
+    {
+      type: Array.isArray(option) ? 'string' : 'boolean',
+      ...(Array.isArray(option) && option[2] === 'list' ? { multiple: true } : {}),
+      ...(SHORT[name] ? { short: SHORT[name] } : {})
+    }
+  ]));
+
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: spec, allowPositionals: true, strict: true });
+  } catch (err) {
+    throw new UsageError(err.message.replace(/\. To specify a positional argument.*$/s, ''));
+  }
+
+  const values = {};
+  for (const [name, option] of Object.entries(options)) {
+    const value = parsed.values[name];
+    const type = Array.isArray(option) ? option[2] : null;
+    if (!Array.isArray(option)) values[optionKey(name)] = value === true;
+    else if (type === 'list') values[optionKey(name)] = value || [];
+    else if (value !== undefined) values[optionKey(name)] = type ? TYPES[type](value, name) : value;
+  }
+  if (values.help) return { values, positionals: parsed.positionals };
+
+  const { positionals } = parsed;
+  const requiredArgs = args.filter(arg => arg.startsWith('<')).length;
+  if (positionals.length < requiredArgs) {
+    throw new UsageError(`Missing ${args.slice(positionals.length, requiredArgs).join(' ')}`);
+  }
+  if (positionals.length > args.length) {
+    throw new UsageError(`Unexpected argument: ${positionals[args.length]}`);
+  }
+  for (const name of required) {
+    if (values[optionKey(name)] === undefined) throw new UsageError(`Missing --${name}`);
+  }
+
+  return { values, positionals };
+}
@@ -0,0 +1,428 @@
+// Command Table
+// Every `sat` command: the tool handler it calls, its arguments and its flags
+
+/*
+ * Each entry maps a command path to a handler exported by a tool script:
+ *   script   path under src/
+ *   handler  exported function, called with (positionals, options) once the line is parsed
+ *   run      the sub-command words when the script is run directly with node
+ *   default  the script's command when it is run directly without sub-command words
+ *   args     positional arguments, `<required>` or `[optional]`
+ *   options  flag -> description (boolean), [value-name, description] (takes a string) or
+ *            [value-name, description, 'int' | 'number' | 'list'] (a number, or a repeatable string);
+ *            handlers get them camel-cased
+ *   wallet   accepts --wallet <name>
+ *   approve  spends funds, accepts --approve <token> for policy overrides
+ *   confirm  previews before sending, accepts --yes
+ *   required flags that must be given
+ */
+
+const nonceOption = ['account', 'Durable nonce account (address or label) instead of a recent blockhash'];
+const buildOption = ['tx.json', 'Build an unsigned transaction for offline signing instead of sending'];
+const walletFileArg = '[wallet-file]';
+const journalFilters = {
+  tool: ['tool', 'Only this tool (transfer, ultra-swap, ...)'],
+  status: ['status', 'submitted, confirmed, finalized, failed or expired'],
+  cluster: ['cluster', 'Only this cluster'],
+  since: ['date', 'From this date or time, or 30m / 12h / 7d ago'],
+  until: ['date', 'Up to this date or time (a date includes the whole day)']
+};
+
+export const GROUPS = {
+  wallet: 'Wallets, balances and SOL transfers',
+  keystore: 'Encrypted wallet files',
+  contacts: 'Address book',
+  policy: 'Spending policy and approvals',
+  nonce: 'Durable nonce accounts',
+  tx: 'Offline transactions and transaction parsing',
+  journal: 'Journal of every transaction the toolkit signed',
+  fund: 'Devnet/localnet funding manager',
+  token: 'SPL tokens',
+  swap: 'Jupiter swaps',
+  alerts: 'Price alerts',
+  yield: 'Yield, JLP and positions',
+  escrow: 'Time-locked escrows',
+  nft: 'NFTs and collections',
+  network: 'Cluster, RPC endpoints and health',
+  agent: 'LLM tool schemas and the MCP server',
+  api: 'Local HTTP API',
+  bounty: 'Bounty tracker'
+};
+
+export const COMMANDS = [
+  // Wallets
+  {
+    path: 'wallet create', script: 'wallet/create-wallet.js', run: ['new'], handler: 'createCommand', default: true,
+    summary: 'Generate a seed-phrase wallet',
+    options: {
+      words: ['12|24', 'Seed phrase length (default: 12)', 'int'],
+      account: ['n', "Account index on m/44'/501'/n'/0' (default: 0)", 'int'],
+      out: ['file', 'Wallet file to write (default: wallet.json)'],
+      name: ['name', 'Register the new wallet under this name'],
+      random: 'Plain random keypair without a seed phrase',
+      plaintext: 'Do not encrypt the wallet file'
+    }
+  },
+  {
+    path: 'wallet restore', script: 'wallet/create-wallet.js', run: ['restore'], handler: 'restoreCommand',
+    summary: 'Restore an account from a seed phrase (WALLET_MNEMONIC or prompt)',
+    options: {
+      account: ['n', 'Account index (default: 0)', 'int'],
+      out: ['file', 'Wallet file to write (default: wallet.json)'],
+      name: ['name', 'Register the wallet under this name'],
+      plaintext: 'Do not encrypt the wallet file'
+    }
+  },
+  {
+    path: 'wallet import', script: 'wallet/create-wallet.js', run: ['import'], handler: 'importCommand', args: ['[keyfile]'],
+    summary: 'Import a base58 key, Solana CLI id.json or seed phrase (keyfile, WALLET_IMPORT_KEY or prompt)',
+    options: {
+      expect: ['pubkey', 'Fail unless the key belongs to this address'],
+      account: ['n', 'Account index for seed phrases (default: 0)', 'int'],
+      out: ['file', 'Wallet file to write (default: wallet.json)'],
+      name: ['name', 'Register the wallet under this name'],
+      plaintext: 'Do not encrypt the wallet file'
+    }
+  },
+  {
+    path: 'wallet export', script: 'wallet/create-wallet.js', run: ['export'], handler: 'exportCommand', wallet: true,
+    summary: 'Export the wallet key for another wallet app',
+    options: {
+      format: ['base58|solana-cli', 'Key format (default: base58)'],
+      out: ['file', 'Write to a file (mode 0600) instead of stdout']
+    }
+  },
+  {
+    path: 'wallet derive', script: 'wallet/create-wallet.js', run: ['derive'], handler: 'deriveCommand',
+    summary: 'List addresses derived from a seed phrase (WALLET_MNEMONIC or prompt)',
+    options: {
+      count: ['n', 'Addresses to list (default: 5)', 'int'],
+      start: ['n', 'First account index (default: 0)', 'int']
+    }
+  },
+  { path: 'wallet balance', script: 'wallet/check-balance.js', handler: 'balanceCommand', wallet: true, summary: 'Show the SOL balance (airdrops when empty off mainnet)' },
+  {
+    path: 'wallet transfer', script: 'wallet/transfer.js', handler: 'transferCommand', args: ['<recipient>', '<amount>'], wallet: true, approve: true, confirm: true,
+    summary: 'Send SOL to an address or @label',
+    options: { nonce: nonceOption, build: buildOption }
+  },
+  {
+    path: 'wallet payout', script: 'wallet/batch-transfer.js', handler: 'payoutCommand', args: ['<payouts-file>'], wallet: true, approve: true, confirm: true,
+    summary: 'Batch SOL payouts from a CSV (recipient,amount) or JSON ([{ recipient, amount }]) file; re-running resumes',
+    options: {
+      'dry-run': 'Show the plan without sending',
+      results: ['file', 'Where to write per-payout results']
+    }
+  },
+  {
+    path: 'wallet sweep', script: 'wallet/sweep.js', handler: 'sweepCommand', args: ['<destination>'], wallet: true, approve: true, confirm: true,
+    summary: 'Empty the wallet and reclaim token account rent',
+    options: {
+      'burn-dust': ['amount', 'Burn token balances up to this amount instead of transferring them'],
+      'dry-run': 'Show the plan without sending'
+    }
+  },
+  {
+    path: 'wallet rotate', script: 'wallet/rotate-key.js', handler: 'rotateCommand', args: ['<plan|execute|verify>', '<new-wallet>'], wallet: true, approve: true, confirm: true,
+    summary: 'Move assets and authorities from --wallet to a new key (plan, then execute; verify re-checks)',
+    options: {
+      scan: 'Also search the chain for authorities held by the old key',
+      report: ['file', 'Where execute writes its report (default: rotation-<old-key>.json)']
+    }
+  },
+  { path: 'wallet list', script: 'wallet/wallets.js', run: ['list'], handler: 'listCommand', default: true, summary: 'Show registered wallets' },
+  {
+    path: 'wallet add', script: 'wallet/wallets.js', run: ['add'], handler: 'addCommand', args: ['<name>', '<keyfile|public-key>'],
+    summary: 'Register a keyfile or a watch-only address',
+    options: { default: 'Make it the default wallet' }
+  },
+  { path: 'wallet remove', script: 'wallet/wallets.js', run: ['remove'], handler: 'removeCommand', args: ['<name>'], summary: 'Unregister a wallet (the keyfile is kept)' },
+  { path: 'wallet default', script: 'wallet/wallets.js', run: ['default'], handler: 'defaultCommand', args: ['[name]'], summary: 'Show or set the default wallet' },
+  { path: 'wallet show', script: 'wallet/wallets.js', run: ['show'], handler: 'showCommand', args: ['[name]'], summary: 'Show which wallet a command would use' },
+  {
+    path: 'wallet sign', script: 'wallet/sign-message.js', handler: 'signCommand', args: ['[message]'], wallet: true,
+    summary: 'Sign an off-chain message or a Sign-In With Solana message',
+    options: {
+      file: ['path', 'Sign the contents of a file'],
+      hex: 'The message is hex-encoded bytes',
+      siws: 'Build and sign a Sign-In With Solana message',
+      domain: ['domain', 'SIWS domain'],
+      uri: ['uri', 'SIWS URI'],
+      statement: ['text', 'SIWS statement'],
+      nonce: ['nonce', 'SIWS nonce (default: random)'],
+      'chain-id': ['id', 'SIWS chain id'],
+      'expires-in': ['minutes', 'SIWS expiration', 'int'],
+      'request-id': ['id', 'SIWS request id'],
+      resource: ['uri', 'SIWS resource (repeatable)', 'list']
+    }
+  },
+  {
+    path: 'wallet verify', script: 'wallet/verify-message.js', handler: 'verifyCommand', args: ['[message]', '[signature]', '[public-key]'], wallet: true,
+    summary: 'Verify a message signature (default key: the selected wallet)',
+    options: {
+      file: ['path', 'Message from a file; positionals are then <signature> [public-key]'],
+      hex: 'The message is hex-encoded bytes',
+      domain: ['domain', 'Expected SIWS domain'],
+      nonce: ['nonce', 'Expected SIWS nonce']
+    }
+  },
+
+  // Keystore
+  { path: 'keystore migrate', script: 'wallet/keystore.js', run: ['migrate'], handler: 'migrateCommand', args: [walletFileArg], summary: 'Encrypt a plaintext wallet file in place (passphrase: WALLET_PASSPHRASE or prompt)' },
+  { path: 'keystore info', script: 'wallet/keystore.js', run: ['info'], handler: 'infoCommand', args: [walletFileArg], summary: 'Show public key and encryption status' },
+  { path: 'keystore verify', script: 'wallet/keystore.js', run: ['verify'], handler: 'verifyCommand', args: [walletFileArg], summary: 'Check that the passphrase unlocks the wallet' },
+
+  // Address book
+  {
+    path: 'contacts list', script: 'wallet/address-book.js', run: ['list'], handler: 'listCommand', default: true,
+    summary: 'Show saved contacts',
+    options: { tag: ['tag', 'Only contacts with this tag'] }
+  },
+  {
+    path: 'contacts add', script: 'wallet/address-book.js', run: ['add'], handler: 'addCommand', args: ['<label>', '<address>'],
+    summary: 'Save an address under a label',
+    options: { tags: ['a,b', 'Comma-separated tags'], notes: ['text', 'Free-form notes'] }
+  },
+  { path: 'contacts remove', script: 'wallet/address-book.js', run: ['remove'], handler: 'removeCommand', args: ['<label>'], summary: 'Delete a contact' },
+  { path: 'contacts show', script: 'wallet/address-book.js', run: ['show'], handler: 'showCommand', args: ['<label|address>'], summary: 'Contact details and payment history' },
+
+  // Policy
+  { path: 'policy show', script: 'wallet/policy.js', run: ['show'], handler: 'showCommand', default: true, summary: 'Show the policy and usage over the last 24h' },
+  { path: 'policy init', script: 'wallet/policy.js', run: ['init'], handler: 'initCommand', summary: 'Create a policy file and the human approver key' },
+  {
+    path: 'policy approve', script: 'wallet/policy.js', run: ['approve'], handler: 'approveCommand', args: ['<request-id>'],
+    summary: 'Sign a one-time override for a blocked request',
+    options: { ttl: ['minutes', 'How long the approval stays valid (default: 15)', 'int'] }
+  },
+
+  // Durable nonces
+  {
+    path: 'nonce create', script: 'wallet/nonce.js', run: ['create'], handler: 'createCommand', wallet: true, confirm: true,
+    summary: 'Create a nonce account',
+    options: { authority: ['pubkey', 'Nonce authority (default: the wallet)'], label: ['name', 'Label to refer to the account by'] }
+  },
+  { path: 'nonce list', script: 'wallet/nonce.js', run: ['list'], handler: 'listCommand', summary: 'Show nonce accounts created here' },
+  { path: 'nonce show', script: 'wallet/nonce.js', run: ['show'], handler: 'showCommand', args: ['<account>'], summary: 'Show the current nonce value' },
+  { path: 'nonce advance', script: 'wallet/nonce.js', run: ['advance'], handler: 'advanceCommand', args: ['<account>'], wallet: true, confirm: true, summary: 'Advance the nonce' },
+  { path: 'nonce authorize', script: 'wallet/nonce.js', run: ['authorize'], handler: 'authorizeCommand', args: ['<account>', '<new-authority>'], wallet: true, approve: true, confirm: true, summary: 'Change the nonce authority' },
+  { path: 'nonce withdraw', script: 'wallet/nonce.js', run: ['withdraw'], handler: 'withdrawCommand', args: ['<account>', '<destination>', '[amount]'], wallet: true, approve: true, confirm: true, summary: 'Withdraw SOL (all of it closes the account)' },
+
+  // Transactions
+  { path: 'tx inspect', script: 'wallet/offline-tx.js', run: ['inspect'], handler: 'inspectCommand', args: ['<tx.json>'], summary: 'Decode an unsigned transaction file' },
+  { path: 'tx sign', script: 'wallet/offline-tx.js', run: ['sign'], handler: 'signCommand', args: ['<tx.json>'], wallet: true, approve: true, summary: 'Sign a transaction file (air-gapped machine)' },
+  { path: 'tx broadcast', script: 'wallet/offline-tx.js', run: ['broadcast'], handler: 'broadcastCommand', args: ['<tx.json>', '[rpc-url]'], summary: 'Send a signed transaction file' },
+  { path: 'tx parse', script: 'utils/tx-parser.js', handler: 'parseCommand', args: ['<signature>'], summary: 'Parse a confirmed transaction' },
+
+  // Journal
+  {
+    path: 'journal list', script: 'utils/journal.js', run: ['list'], handler: 'listCommand',
+    summary: 'Latest signed transactions with their status and fee',
+    options: { ...journalFilters, limit: ['n', 'How many to show (default: 20)', 'int'] }
+  },
+  {
+    path: 'journal export', script: 'utils/journal.js', run: ['export'], handler: 'exportCommand', args: ['<file.csv>'],
+    summary: 'Export matching transactions as CSV',
+    options: journalFilters
+  },
+  {
+    path: 'journal reconcile', script: 'utils/journal.js', run: ['reconcile'], handler: 'reconcileCommand',
+    summary: 'Update open transactions from the chain (finalized, failed, expired, fee)',
+    options: { watch: ['seconds', 'Keep running, checking again every <seconds>', 'number'] }
+  },
+
+  // Funding manager
+  {
+    path: 'fund add', script: 'wallet/funding.js', run: ['add'], handler: 'addCommand', args: ['<wallet|@label|address>'],
+    summary: 'Keep a wallet topped up',
+    options: { min: ['sol', 'Top up below this balance'], target: ['sol', 'Top up to this balance'] }
+  },
+  { path: 'fund remove', script: 'wallet/funding.js', run: ['remove'], handler: 'removeCommand', args: ['<wallet|@label|address>'], summary: 'Stop funding a wallet' },
+  { path: 'fund funder', script: 'wallet/funding.js', run: ['funder'], handler: 'funderCommand', args: ['[wallet|none]'], summary: 'Show or set the fallback funder wallet' },
+  {
+    path: 'fund config', script: 'wallet/funding.js', run: ['config'], handler: 'configCommand',
+    summary: 'Default thresholds and RPC',
+    options: { min: ['sol', 'Default minimum'], target: ['sol', 'Default target'], url: ['rpc-url|default', 'RPC used by the funding manager'] }
+  },
+  { path: 'fund list', script: 'wallet/funding.js', run: ['list'], handler: 'listCommand', summary: 'Show the funding list' },
+  {
+    path: 'fund run', script: 'wallet/funding.js', run: ['run'], handler: 'runCommand', approve: true, confirm: true,
+    summary: 'Top up every wallet below its minimum',
+    options: {
+      'dry-run': 'Report without funding',
+      'no-airdrop': 'Only transfer from the funder',
+      every: ['minutes', 'Keep running, re-checking at this interval', 'number'],
+      url: ['rpc-url', 'RPC to fund on'],
+      localnet: 'Use the local validator (http://127.0.0.1:8899)'
+    }
+  },
+
+  // Tokens
+  { path: 'token list', script: 'tokens/registry.js', run: ['list'], handler: 'listCommand', summary: 'Known tokens and mints resolved on this cluster', options: { tag: ['tag', 'Only tokens with this tag (stablecoin, lst, yield, ...)'] } },
+  {
+    path: 'token info', script: 'tokens/registry.js', run: ['info'], handler: 'infoCommand', args: ['<symbol|mint>'],
+    summary: 'Token details; unknown mints are read from the chain and cached',
+    options: { refresh: 'Read the mint again instead of using the cache' }
+  },
+  { path: 'token create', script: 'tokens/create-token-mint.js', handler: 'createCommand', wallet: true, approve: true, confirm: true, summary: 'Create an SPL token mint (saved to token-mint.json)' },
+  { path: 'token mint', script: 'tokens/mint-tokens.js', handler: 'mintCommand', args: ['[mint]', '[amount]'], wallet: true, approve: true, confirm: true, summary: 'Mint tokens to the wallet (default: the saved mint, 1000)' },
+  {
+    path: 'token transfer', script: 'tokens/transfer-tokens.js', handler: 'transferCommand', args: ['<recipient>', '<mint>', '<amount>'], wallet: true, approve: true, confirm: true,
+    summary: 'Send SPL tokens',
+    options: { nonce: nonceOption, build: buildOption }
+  },
+  {
+    path: 'token launch', script: 'tokens/token-launch.js', run: ['launch'], handler: 'launchCommand', args: ['<name>', '<symbol>', '<supply>'], wallet: true, approve: true, confirm: true,
+    summary: 'Launch a new token with metadata',
+    options: {
+      decimals: ['n', 'Token decimals (default: 9)', 'int'],
+      'revoke-mint': 'Revoke the mint authority (fixed supply)',
+      freeze: 'Keep a freeze authority'
+    }
+  },
+  { path: 'token distribute', script: 'tokens/token-launch.js', run: ['distribute'], handler: 'distributeCommand', args: ['<mint>', '<distribution.json>'], wallet: true, approve: true, confirm: true, summary: 'Send tokens to many addresses (JSON: [{ address, amount }])' },
+
+  // Trading
+  { path: 'swap jupiter', script: 'trading/swap-tokens.js', handler: 'swapCommand', args: ['[input]', '[output]', '[amount]'], wallet: true, approve: true, confirm: true, summary: 'Swap through the Jupiter v6 quote API' },
+  {
+    path: 'swap ultra', script: 'trading/ultra-swap.js', handler: 'ultraSwapCommand', args: ['<input>', '<output>', '<amount>', '[slippage]'], wallet: true, approve: true, confirm: true,
+    summary: 'Swap through the Jupiter Ultra API',
+    options: { 'dry-run': 'Quote and build without sending', nonce: nonceOption }
+  },
+  { path: 'prices', script: 'trading/check-prices.js', handler: 'pricesCommand', wallet: true, summary: 'Current token prices' },
+  { path: 'portfolio', script: 'trading/portfolio.js', handler: 'portfolioCommand', wallet: true, summary: 'Wallet holdings and value' },
+  { path: 'dashboard', script: 'trading/dashboard.js', handler: 'dashboardCommand', wallet: true, summary: 'Trading dashboard with P&L' },
+  { path: 'arbitrage', script: 'trading/arbitrage-scanner.js', handler: 'scanCommand', summary: 'Scan for arbitrage opportunities' },
+
+  // Price alerts
+  { path: 'alerts show', script: 'monitoring/price-monitor.js', handler: 'showCommand', summary: 'Prices and alerts, firing any that triggered' },
+  { path: 'alerts prices', script: 'monitoring/price-monitor.js', run: ['prices'], handler: 'pricesCommand', summary: 'Current prices only' },
+  { path: 'alerts list', script: 'monitoring/price-monitor.js', run: ['alerts'], handler: 'alertsCommand', summary: 'Active alerts only' },
+  {
+    path: 'alerts add', script: 'monitoring/price-monitor.js', run: ['add-alert'], handler: 'addAlertCommand',
+    summary: 'Add a price alert',
+    options: {
+      token: ['symbol', 'Token symbol (SOL, JUP, ...)'],
+      type: ['above|below', 'Fire when the price goes above or below the target'],
+      price: ['usd', 'Target price', 'number'],
+      note: ['text', 'Message to show when it fires']
+    },
+    required: ['token', 'type', 'price']
+  },
+  { path: 'alerts remove', script: 'monitoring/price-monitor.js', run: ['remove-alert'], handler: 'removeAlertCommand', args: ['<id>'], summary: 'Remove an alert' },
+  { path: 'alerts clear', script: 'monitoring/price-monitor.js', run: ['clear-triggered'], handler: 'clearTriggeredCommand', summary: 'Remove all triggered alerts' },
+  { path: 'alerts history', script: 'monitoring/price-monitor.js', run: ['history'], handler: 'historyCommand', args: ['<token>'], summary: 'Price history for a token' },
+
+  // Yield
+  { path: 'yield dashboard', script: 'yield/yield-dashboard.js', run: ['dashboard'], handler: 'dashboardCommand', default: true, summary: 'Compare yield opportunities' },
+  { path: 'yield calc', script: 'yield/yield-dashboard.js', run: ['calc'], handler: 'calcCommand', args: ['[principal]'], summary: 'Projected returns for a principal' },
+  { path: 'yield details', script: 'yield/yield-dashboard.js', run: ['details'], handler: 'detailsCommand', args: ['<opportunity>'], summary: 'Details of one opportunity' },
+  {
+    path: 'yield scan', script: 'yield/protocol-scanner.js', handler: 'scanCommand',
+    summary: 'Scan protocols for yields and alerts',
+    options: {
+      principal: ['amount', 'Investment principal (default: 10000)', 'number'],
+      protocol: ['name', 'Only this protocol (jupiter, drift, ...)'],
+      'yields-only': 'Only the yield comparison',
+      'alerts-only': 'Only alerts'
+    }
+  },
+  { path: 'yield jlp', script: 'yield/jlp-monitor.js', run: ['info'], handler: 'infoCommand', default: true, summary: 'JLP price and pool stats' },
+  { path: 'yield jlp-calc', script: 'yield/jlp-monitor.js', run: ['calc'], handler: 'calcCommand', summary: 'JLP yield calculator' },
+  { path: 'yield simulate', script: 'yield/jlp-simulator.js', handler: 'simulateCommand', args: ['[principal]', '[apy]', '[days]', '[simulations]'], summary: 'Monte Carlo simulation of a JLP position' },
+  { path: 'yield positions', script: 'yield/position-tracker.js', run: ['portfolio'], handler: 'portfolioCommand', default: true, wallet: true, summary: 'Tracked positions and their value' },
+  { path: 'yield track', script: 'yield/position-tracker.js', run: ['track'], handler: 'trackCommand', args: ['<name>', '<token>', '[apy]', '[type]', '[notes]'], wallet: true, summary: 'Track a position (types: hold, stake, lp, lend)' },
+  { path: 'yield untrack', script: 'yield/position-tracker.js', run: ['remove'], handler: 'untrackCommand', args: ['<name>'], summary: 'Stop tracking a position' },
+
+  // Escrow
+  { path: 'escrow create', script: 'yield/escrow-tool.js', run: ['create'], handler: 'createCommand', args: ['<recipient>', '<mint>', '<amount>', '<minutes>'], wallet: true, approve: true, summary: 'Create a time-locked escrow' },
+  {
+    path: 'escrow release', script: 'yield/escrow-tool.js', run: ['release'], handler: 'releaseCommand', args: ['<escrow-id>'], wallet: true, approve: true, confirm: true,
+    summary: 'Release an unlocked escrow',
+    options: { nonce: nonceOption }
+  },
+  {
+    path: 'escrow presign', script: 'yield/escrow-tool.js', run: ['presign'], handler: 'presignCommand', args: ['<escrow-id>'], wallet: true, approve: true,
+    summary: 'Pre-sign the release for later broadcast',
+    options: { nonce: ['account', 'Durable nonce account (required)'], out: ['tx.json', 'Where to write the signed release'] },
+    required: ['nonce']
+  },
+  { path: 'escrow list', script: 'yield/escrow-tool.js', run: ['list'], handler: 'listCommand', summary: 'Show all escrows' },
+
+  // NFTs
+  { path: 'nft mint', script: 'nft/create-nft.js', handler: 'mintNftCommand', args: ['<name>', '<symbol>', '<uri>', '[royalty]'], wallet: true, approve: true, confirm: true, summary: 'Mint a single NFT' },
+  { path: 'nft collection', script: 'nft/create-collection.js', handler: 'collectionCommand', args: ['<name>', '<symbol>', '<base-uri>', '<count>', '[start]'], wallet: true, approve: true, confirm: true, summary: 'Create a collection and mint its items' },
+
+  // Automation
+  {
+    path: 'dca', script: 'automation/dca-bot.js', handler: 'dcaCommand', wallet: true, approve: true,
+    summary: 'Dollar-cost averaging bot',
+    options: { continuous: 'Keep trading at the configured interval' }
+  },
+  { path: 'monitor', script: 'automation/monitor.js', handler: 'monitorCommand', wallet: true, summary: 'Token balances and recent activity' },
+  { path: 'test-transfer', script: 'yield/test-transfer.js', handler: 'testTransferCommand', wallet: true, confirm: true, summary: 'Devnet self-transfer to check the setup' },
+
+  // Agents
+  {
+    path: 'agent tools', script: 'agent/tools.js', handler: 'toolsCommand',
+    summary: 'Print the tool definitions for LLM function calling',
+    options: { format: ['format', 'mcp, openai or anthropic (default: mcp)'], 'read-only': 'Only tools that never sign' }
+  },
+  {
+    path: 'agent mcp', script: 'agent/mcp-server.js', handler: 'mcpCommand', wallet: true,
+    summary: 'Serve the tools to an MCP client over stdio',
+    options: {
+      'read-only': 'Only expose tools that never sign',
+      unrestricted: 'Allow write tools without a spending policy'
+    }
+  },
+  {
+    path: 'api serve', script: 'agent/http-server.js', run: ['serve'], handler: 'serveCommand', wallet: true,
+    summary: 'Serve balances, prices, transfers, swaps and escrows over HTTP',
+    options: {
+      port: ['n', 'Port (default: 8787, or SAT_API_PORT)', 'int'],
+      host: ['addr', 'Interface to bind (default: 127.0.0.1)'],
+      'read-only': 'Refuse every write endpoint',
+      unrestricted: 'Allow write endpoints without a spending policy'
+    }
+  },
+  { path: 'api keys', script: 'agent/http-server.js', run: ['keys', 'list'], handler: 'listKeysCommand', summary: 'Show API keys' },
+  {
+    path: 'api keys add', script: 'agent/http-server.js', run: ['keys', 'add'], handler: 'addKeyCommand', args: ['<name>'],
+    summary: 'Create an API key (shown once)',
+    options: { write: 'Allow write endpoints (default: read-only key)' }
+  },
+  { path: 'api keys remove', script: 'agent/http-server.js', run: ['keys', 'remove'], handler: 'removeKeyCommand', args: ['<name>'], summary: 'Revoke an API key' },
+
+  // Network
+  { path: 'network show', script: 'utils/network.js', run: ['show'], handler: 'showCommand', default: true, summary: 'Current cluster and endpoints' },
+  {
+    path: 'network use', script: 'utils/network.js', run: ['use'], handler: 'useCommand', args: ['<cluster>'],
+    summary: 'Save the network for every tool (devnet, testnet, mainnet-beta, localnet, custom)',
+    options: { rpc: ['url', 'Primary RPC endpoint'], ws: ['url', 'WebSocket endpoint'] }
+  },
+  { path: 'network fallback', script: 'utils/network.js', run: ['fallback'], handler: 'fallbackCommand', args: ['<add|remove>', '<url>'], summary: 'Extra endpoints tried when the primary fails' },
+  { path: 'network limit', script: 'utils/network.js', run: ['limit'], handler: 'limitCommand', args: ['<url>', '<rps|off>'], summary: 'Per-endpoint request budget' },
+  { path: 'network health', script: 'utils/network.js', run: ['health'], handler: 'healthCommand', summary: 'Probe every endpoint (health, slot, latency)' },
+  { path: 'network reset', script: 'utils/network.js', run: ['reset'], handler: 'resetCommand', summary: 'Forget the saved network' },
+
+  // Bounties
+  { path: 'bounty show', script: 'utils/bounty-tracker.js', handler: 'dashboardCommand', summary: 'Full bounty dashboard' },
+  { path: 'bounty list', script: 'utils/bounty-tracker.js', run: ['list'], handler: 'listCommand', summary: 'List all bounties' },
+  { path: 'bounty stats', script: 'utils/bounty-tracker.js', run: ['stats'], handler: 'statsCommand', summary: 'Statistics only' },
+  { path: 'bounty closing', script: 'utils/bounty-tracker.js', run: ['closing'], handler: 'closingCommand', summary: 'Bounties closing soon' },
+  { path: 'bounty won', script: 'utils/bounty-tracker.js', run: ['won'], handler: 'wonCommand', summary: 'Winnings summary' },
+  {
+    path: 'bounty add', script: 'utils/bounty-tracker.js', run: ['add'], handler: 'addCommand',
+    summary: 'Add a bounty',
+    options: {
+      title: ['text', 'Bounty title'],
+      sponsor: ['name', 'Sponsor'],
+      prize: ['usdc', 'Prize amount', 'number'],
+      deadline: ['date|rolling', 'Deadline (YYYY-MM-DD)'],
+      url: ['url', 'Bounty URL'],
+      category: ['name', 'Category (default: Development)']
+    },
+    required: ['title']
+  },
+  { path: 'bounty update', script: 'utils/bounty-tracker.js', run: ['update'], handler: 'updateCommand', args: ['<id>', '<status>'], summary: 'Update a bounty status' }
+];
@@ -0,0 +1,182 @@
+// Command Dispatch
+// Parses a command line once against the command table and calls the tool's exported handler,
+// for `sat` and for a tool script run directly with node
+
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { COMMANDS } from './commands.js';
+import { UsageError, parseOptions } from './args.js';
+import { startJsonOutput, reportError } from '../utils/output.js';
+
+const SRC_DIR = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+
+export const EXIT_CODES = {
+  ok: 0,
+  failed: 1, // the command ran and failed (RPC error, policy block, invalid input it detected)
+  usage: 2 // unknown command, unknown flag or missing argument; nothing was run
+};
+
+// Flags every command understands
+export const GLOBAL_OPTIONS = {
+  network: ['cluster', 'devnet, testnet, mainnet-beta, localnet (sets NETWORK)'],
+  rpc: ['url', 'RPC endpoint(s), comma-separated (sets SOLANA_RPC_URL)'],
+  json: 'Print one JSON result on stdout, logs go to stderr',
+  help: 'Show help for the command'
+};
+const WALLET_OPTION = ['name', 'Registered wallet to use (default: WALLET env or the default wallet)'];
+const APPROVE_OPTION = ['token', 'One-time policy approval from `sat policy approve` (default: POLICY_APPROVAL env)'];
+const YES_OPTION = 'Send after the simulation preview without asking';
+
+export function commandOptions(command) {
+  const options = { ...command.options };
+  if (command.wallet) options.wallet = WALLET_OPTION;
+  if (command.approve) options.approve = APPROVE_OPTION;
+  if (command.confirm) options.yes = YES_OPTION;
+  // A command's own flag wins over the global one with the same name (network use --rpc)
+  for (const [name, spec] of Object.entries(GLOBAL_OPTIONS)) {
+    if (!(name in options)) options[name] = spec;
+  }
+  return options;
+}
+
+// Longest command path matching the leading words, e.g. ['wallet', 'transfer', '@bob', '1']
+function findCommand(words) {
+  let best = null;
+  for (const command of COMMANDS) {
+    const parts = command.path.split(' ');
+    if (parts.every((part, i) => words[i] === part) && (!best || parts.length > best.path.split(' ').length)) {
+      best = command;
+    }
+  }
+  return best;
+}
+
+function parseFor(command, argv) {
+  try {
+    const { values, positionals } = parseOptions(commandOptions(command), argv, { args: command.args, required: command.required });
+    return { command, values, positionals, help: values.help };
+  } catch (err) {
+    if (err instanceof UsageError) err.command = command;
+    throw err;
+  }
+}
+
+// `sat` argument vector -> { command, values, positionals }, or { command: null, words } when no command matches
+export function parseCommandLine(argv) {
+  const words = [];
+  for (const arg of argv) {
+    if (arg.startsWith('-')) break;
+    words.push(arg);
+  }
+  const command = findCommand(words);
+  if (!command) {
+    return { command: null, words };
+  }
+  return parseFor(command, argv.slice(command.path.split(' ').length));
+}
+
+function usageLine(command) {
+  const args = (command.args || []).join(' ');
+  return `sat ${command.path}${args ? ` ${args}` : ''} [options]`;
+}
+
+export function formatOptions(options) {
+  const rows = Object.entries(options).map(([name, spec]) => {
+    const flag = `${name === 'help' ? '-h, ' : name === 'yes' ? '-y, ' : ''}--${name}${Array.isArray(spec) ? ` <${spec[0]}>` : ''}`;
+    return [flag, Array.isArray(spec) ? spec[1] : spec];
+  });
+  const width = Math.max(...rows.map(([flag]) => flag.length)) + 2;
+  return rows.map(([flag, description]) => `  ${flag.padEnd(width)}${description}`);
+}
+
+export function commandHelp(command) {
+  const lines = [`Usage: ${usageLine(command)}`, '', command.summary, '', 'Options:', ...formatOptions(commandOptions(command))];
+  if (command.required) {
+    lines.push('', `Required: ${command.required.map(name => `--${name}`).join(', ')}`);
+  }
+  return lines.join('\n');
+}
+
+export function listCommands(commands) {
+  const width = Math.max(...commands.map(c => c.path.length)) + 2;
+  return commands.map(c => `  ${c.path.padEnd(width)}${c.summary}`);
+}
+
+function failUsage(err) {
+  console.error(`❌ ${err.message}`);
+  if (err.command) {
+    console.error('');
+    console.error(commandHelp(err.command));
+  }
+  reportError(err);
+  process.exitCode = EXIT_CODES.usage;
+}
+
+/**
+ * Run a parsed command in this process: apply the global flags, import the tool and call its
+ * handler with (positionals, values). A thrown error is printed and sets the exit code.
+ */
+export async function runCommand(command, values, positionals) {
+  const ownOptions = command.options || {};
+  if (values.network && !('network' in ownOptions)) process.env.NETWORK = values.network;
+  if (values.rpc && !('rpc' in ownOptions)) process.env.SOLANA_RPC_URL = values.rpc;
+  if (command.approve) values.approve ??= process.env.POLICY_APPROVAL || null;
+  // Started before the tool is loaded, so even a crash while loading leaves one result behind
+  if (values.json || process.env.SAT_OUTPUT === 'json') startJsonOutput(command.path);
+
+  try {
+    const tool = await import(pathToFileURL(path.join(SRC_DIR, command.script)).href);
+    await tool[command.handler](positionals, values);
+  } catch (err) {
+    if (err instanceof UsageError) {
+      err.command = command;
+      failUsage(err);
+      return;
+    }
+    console.error('❌', err.message);
+    reportError(err);
+    process.exitCode = EXIT_CODES.failed;
+  }
+}
+
+/**
+ * Entry point of a tool script run directly (`node src/wallet/transfer.js ...`). The leading
+ * words pick the script's sub-command as they always did; the rest is parsed like `sat` does.
+ * Call it without await from the script's CLI guard: it imports the script it is called from.
+ */
+export async function runScript(moduleUrl, argv = process.argv.slice(2)) {
+  const script = path.relative(SRC_DIR, fileURLToPath(moduleUrl)).split(path.sep).join('/');
+  const commands = COMMANDS.filter(c => c.script === script);
+  const matching = commands.filter(c => (c.run || []).every((word, i) => argv[i] === word));
+  let command = matching.sort((a, b) => (b.run || []).length - (a.run || []).length)[0];
+  let words = (command?.run || []).length;
+  // No sub-command words at all: the script's default command, e.g. `node wallets.js --json`
+  if (!command && (!argv[0] || argv[0].startsWith('-'))) {
+    command = commands.find(c => c.default);
+    words = 0;
+  }
+
+  if (!command) {
+    console.error(`❌ Unknown command: ${argv[0] || '(none)'}`);
+    console.error('');
+    console.error('Commands:');
+    commands.forEach(c => console.error(`  ${(c.run || []).join(' ').padEnd(20)}${c.summary} (sat ${c.path})`));
+    process.exitCode = EXIT_CODES.usage;
+    return;
+  }
+
+  if (argv.includes('--json') || process.env.SAT_OUTPUT === 'json') startJsonOutput(command.path);
+  let parsed;
+  try {
+    parsed = parseFor(command, argv.slice(words));
+  } catch (err) {
+    if (!(err instanceof UsageError)) throw err;
+    failUsage(err);
+    return;
+  }
+  if (parsed.help) {
+    console.log(commandHelp(command));
+    return;
+  }
+  await runCommand(command, parsed.values, parsed.positionals);
+}
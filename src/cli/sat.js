@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+// sat - Solana Agent Toolkit CLI
+// One entry point for every tool: shared flag parsing, per-command --help and consistent exit codes
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { COMMANDS, GROUPS } from './commands.js';
+import { UsageError } from './args.js';
+import { EXIT_CODES, GLOBAL_OPTIONS, parseCommandLine, runCommand, commandHelp, formatOptions, listCommands } from './dispatch.js';
+import { ERROR_CODES, buildResult, printResult } from '../utils/output.js';
+
+const SRC_DIR = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+
+// With --json, failures sat detects before a command runs still produce a result on stdout
+function printUsageError(json, command, message) {
+  if (!json) return;
+  printResult(buildResult({ command, success: false, error: { code: ERROR_CODES.USAGE, message } }));
+}
+
+function groupHelp(group) {
+  const commands = COMMANDS.filter(c => c.path.split(' ')[0] === group);
+  return [`sat ${group} - ${GROUPS[group]}`, '', 'Commands:', ...listCommands(commands), '', `Run \`sat ${group} <command> --help\` for its options.`].join('\n');
+}
+
+function mainHelp() {
+  const groups = Object.entries(GROUPS);
+  const width = Math.max(...groups.map(([name]) => name.length)) + 2;
+  const single = COMMANDS.filter(c => !c.path.includes(' '));
+  return [
+    'sat - Solana Agent Toolkit',
+    '',
+    'Usage: sat <command> [arguments] [options]',
+    '',
+    'Command groups:',
+    ...groups.map(([name, summary]) => `  ${name.padEnd(width)}${summary}`),
+    '',
+    'Commands:',
+    ...listCommands(single),
+    '',
+    'Global options:',
+    ...formatOptions(GLOBAL_OPTIONS),
+    '',
+    'Exit codes: 0 success, 1 the command failed, 2 usage error (nothing was run).',
+    'With --json every command prints one result object: { schema, command, success, data, signatures, warnings, error }.',
+    'Run `sat <group>` to list its commands and `sat <command> --help` for details.'
+  ].join('\n');
+}
+
+function version() {
+  return JSON.parse(fs.readFileSync(path.join(SRC_DIR, '..', 'package.json'), 'utf8')).version;
+}
+
+async function run(argv) {
+  // --json may come anywhere, including before the command words
+  const json = argv.includes('--json');
+  if (json) argv = argv.filter(arg => arg !== '--json');
+
+  if (argv.length === 0 || argv[0] === '--help' || argv[0] === '-h' || argv[0] === 'help') {
+    const topic = argv[0] === 'help' ? argv.slice(1) : [];
+    if (topic.length > 0) return run([...topic, '--help']);
+    if (argv.length === 0) {
+      console.error(mainHelp());
+      return EXIT_CODES.usage;
+    }
+    console.log(mainHelp());
+    return EXIT_CODES.ok;
+  }
+  if (argv[0] === '--version' || argv[0] === '-v') {
+    console.log(version());
+    return EXIT_CODES.ok;
+  }
+
+  let parsed;
+  try {
+    parsed = parseCommandLine(argv);
+  } catch (err) {
+    if (!(err instanceof UsageError)) throw err;
+    console.error(`❌ ${err.message}`);
+    console.error('');
+    console.error(commandHelp(err.command));
+    printUsageError(json, err.command.path, err.message);
+    return EXIT_CODES.usage;
+  }
+
+  const { command, words } = parsed;
+  if (!command) {
+    if (GROUPS[words[0]] && words.length === 1) {
+      const help = groupHelp(words[0]);
+      const asked = argv.includes('--help') || argv.includes('-h');
+      (asked ? console.log : console.error)(help);
+      if (!asked) printUsageError(json, words[0], `Missing command for sat ${words[0]}`);
+      return asked ? EXIT_CODES.ok : EXIT_CODES.usage;
+    }
+    console.error(`❌ Unknown command: sat ${words.join(' ')}`);
+    console.error(GROUPS[words[0]] ? groupHelp(words[0]) : 'Run `sat --help` for the list of commands.');
+    printUsageError(json, words.join(' ') || null, `Unknown command: sat ${words.join(' ')}`);
+    return EXIT_CODES.usage;
+  }
+  if (parsed.help) {
+    console.log(commandHelp(command));
+    return EXIT_CODES.ok;
+  }
+
+  // The tool runs in this process and sets the exit code itself when it fails
+  await runCommand(command, { ...parsed.values, json }, parsed.positionals);
+  const code = process.exitCode || EXIT_CODES.ok;
+  return code === EXIT_CODES.usage ? code : Math.min(code, EXIT_CODES.failed);
+}
+
+process.exitCode = await run(process.argv.slice(2));
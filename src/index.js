@@ -0,0 +1,233 @@
+// Solana Agent Toolkit
+// Library entry point: createToolkit({ wallet, rpc }) returns the services behind the CLI tools.
+// Importing this module reads no files, opens no connections and prints nothing.
+
+import { Connection, Keypair, PublicKey } from '@solana/web3.js';
+import bs58 from 'bs58';
+import { loadWalletPublicKey, loadWalletKeypair } from './wallet/wallets.js';
+import { getBalance, requestAirdrop } from './wallet/check-balance.js';
+import { transferSol, buildOfflineTransfer } from './wallet/transfer.js';
+import { encodeMessage, signMessage, verifyMessage } from './wallet/sign-message.js';
+import { createTokenMint } from './tokens/create-token-mint.js';
+import { mintTokens } from './tokens/mint-tokens.js';
+import { transferTokens, buildOfflineTokenTransfer } from './tokens/transfer-tokens.js';
+import { launchToken, distribute } from './tokens/token-launch.js';
+import { resolveToken } from './tokens/registry.js';
+import { prepareSwap, sendSwap } from './trading/swap-tokens.js';
+import { getUltraQuote, prepareUltraSwap, sendUltraSwap } from './trading/ultra-swap.js';
+import { getPortfolio } from './trading/portfolio.js';
+import { getPrices } from './trading/check-prices.js';
+import { createNFT } from './nft/create-nft.js';
+import { createCollection } from './nft/create-collection.js';
+import { YIELD_OPPORTUNITIES, calculateYield } from './yield/yield-dashboard.js';
+import { getJLPPrice } from './yield/jlp-monitor.js';
+import { trackPosition, loadPositions, removePosition } from './yield/position-tracker.js';
+import { PROTOCOLS } from './yield/protocol-scanner.js';
+import { createEscrow, presignRelease, releaseEscrow, listEscrows } from './yield/escrow-tool.js';
+import { parseTransaction } from './utils/tx-parser.js';
+import { readJournal, reconcileJournal, journalToCsv } from './utils/journal.js';
+import { CLUSTERS, normalizeCluster, resolveNetwork, networkFromUrls, getConnection, explorerUrl } from './utils/network.js';
+
+export { PolicyViolation } from './wallet/policy.js';
+export { PreviewRejected, simulatePreview } from './utils/preview.js';
+export { KNOWN_TOKENS, knownTokens, getToken, requireToken, resolveToken } from './tokens/registry.js';
+export { AmountError, parseAmount, formatAmount, toUiAmount } from './utils/amount.js';
+export { JOURNAL_STATUSES, readJournal, reconcileJournal, journalToCsv } from './utils/journal.js';
+export { sendAndConfirm, broadcastAndConfirm, TransactionFailed, TransactionExpired } from './utils/send.js';
+export { createRpcPool, createPooledConnection } from './utils/rpc-pool.js';
+export { CLUSTERS, resolveNetwork, getConnection, explorerUrl };
+export { TOOLS, toolDefinitions, callTool, ToolInputError } from './agent/tools.js';
+export { createMcpServer } from './agent/mcp-server.js';
+export { createApiServer, createApiKey, removeApiKey } from './agent/http-server.js';
+
+const quiet = () => {};
+
+// `rpc` may be a Connection, a cluster name, an RPC URL or a list of URLs (tried in order).
+// Without one the toolkit uses the same network settings as the CLI.
+function resolveRpc(rpc, defaultCluster) {
+  if (rpc instanceof Connection) {
+    return { connection: rpc, network: networkFromUrls([rpc.rpcEndpoint]) };
+  }
+  if (!rpc) {
+    const network = resolveNetwork({ defaultCluster });
+    return { connection: getConnection({ network }), network };
+  }
+
+  const urls = (Array.isArray(rpc) ? rpc : [rpc]).map(url => {
+    if (/^https?:\/\//.test(url)) return url;
+    const cluster = normalizeCluster(url);
+    if (!CLUSTERS[cluster]) throw new Error(`No RPC URL known for cluster "${cluster}"`);
+    return CLUSTERS[cluster];
+  });
+  const network = networkFromUrls(urls);
+  return { connection: getConnection({ network }), network };
+}
+
+// `wallet` may be a Keypair, a registered wallet name, a keyfile path or a public key
+// (watch-only). Named wallets are looked up on first use and decrypted only to sign.
+function resolveSigner(wallet) {
+  if (wallet instanceof Keypair) {
+    return { publicKey: () => wallet.publicKey, keypair: async () => wallet };
+  }
+  if (wallet instanceof PublicKey) {
+    return { publicKey: () => wallet, keypair: watchOnly };
+  }
+
+  let publicKey = null;
+  let keypair = null;
+  let readOnly = false;
+  const lookup = () => {
+    if (publicKey) return publicKey;
+    try {
+      publicKey = loadWalletPublicKey(wallet);
+    } catch (err) {
+      // Not a wallet we know: a bare address is a watch-only wallet
+      if (!wallet || !isAddress(wallet)) throw err;
+      publicKey = new PublicKey(wallet);
+      readOnly = true;
+    }
+    return publicKey;
+  };
+
+  return {
+    publicKey: lookup,
+    keypair: async () => {
+      lookup();
+      if (readOnly) return watchOnly();
+      keypair ||= await loadWalletKeypair(wallet);
+      return keypair;
+    }
+  };
+}
+
+function watchOnly() {
+  throw new Error('This toolkit was created with a watch-only wallet and cannot sign');
+}
+
+function isAddress(value) {
+  try {
+    new PublicKey(value);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Toolkit bound to one wallet and one RPC connection.
+ *
+ * Every write goes through the same spending policy as the CLI: pass `approval` for a
+ * one-time approval token, and catch PolicyViolation to see why something was blocked.
+ * Writes are simulated first and throw PreviewRejected when the simulation fails; pass
+ * `confirm(preview)` to inspect the balance changes and return false to cancel.
+ * Progress output goes to `log` (silent by default); results are returned as objects.
+ */
+export function createToolkit({ wallet = null, rpc = null, defaultCluster = 'devnet', confirm = null, log = quiet } = {}) {
+  const { connection, network } = resolveRpc(rpc, defaultCluster);
+  const signer = resolveSigner(wallet);
+  const withLinks = result => ({ ...result, explorer: explorerUrl('tx', result.signature, network) });
+
+  const walletService = {
+    get publicKey() {
+      return signer.publicKey();
+    },
+    address: () => signer.publicKey().toBase58(),
+    balance: (address = null) => getBalance(connection, address ? new PublicKey(address) : signer.publicKey()),
+    portfolio: (address = null) => getPortfolio(connection, address ? new PublicKey(address) : signer.publicKey(), { network, log }),
+    airdrop: async (sol = 1) => {
+      if (network.cluster === 'mainnet-beta') throw new Error('Airdrops are not available on mainnet');
+      return requestAirdrop(connection, signer.publicKey(), sol);
+    },
+    transfer: async (recipient, amount, { nonceAccount = null, approval = null } = {}) =>
+      withLinks(await transferSol(connection, await signer.keypair(), recipient, amount, { nonceAccount, approval, confirm, log })),
+    buildTransfer: (recipient, amount, outputFile, { nonceAccount = null } = {}) =>
+      buildOfflineTransfer(connection, signer.publicKey(), recipient, amount, outputFile, { nonceAccount, log }),
+    signMessage: async (message, { encoding = 'utf8' } = {}) => {
+      const keypair = await signer.keypair();
+      const bytes = typeof message === 'string' ? encodeMessage(message, encoding) : message;
+      return { publicKey: keypair.publicKey.toBase58(), signature: bs58.encode(signMessage(keypair, bytes)) };
+    },
+    verifyMessage: (message, signature, publicKey = signer.publicKey(), options = {}) =>
+      verifyMessage(typeof message === 'string' ? encodeMessage(message) : message, signature, publicKey, options)
+  };
+
+  const tokenService = {
+    info: (symbolOrMint, { refresh = false } = {}) => resolveToken(connection, symbolOrMint, { network, refresh }),
+    createMint: async ({ decimals = 9, approval = null } = {}) => createTokenMint(connection, await signer.keypair(), { decimals, approval, confirm, log }),
+    mint: async (mint, amount, { approval = null } = {}) =>
+      withLinks(await mintTokens(connection, await signer.keypair(), mint, amount, { approval, confirm, log })),
+    transfer: async (recipient, mint, amount, { approval = null } = {}) =>
+      withLinks(await transferTokens(connection, await signer.keypair(), recipient, mint, amount, { approval, confirm, log })),
+    buildTransfer: (recipient, mint, amount, outputFile, { nonceAccount = null } = {}) =>
+      buildOfflineTokenTransfer(connection, signer.publicKey(), recipient, mint, amount, outputFile, { nonceAccount, log }),
+    launch: async (config, { approval = null } = {}) => launchToken(connection, await signer.keypair(), config, { network, approval, confirm, log }),
+    distribute: async (mint, distributions, { approval = null } = {}) =>
+      distribute(connection, await signer.keypair(), mint, distributions, { approval, confirm, log })
+  };
+
+  const swapService = {
+    prices: () => getPrices({ log }),
+    quote: (inputToken, outputToken, amount, { slippage = 0.5 } = {}) =>
+      getUltraQuote(inputToken.toUpperCase(), outputToken.toUpperCase(), amount, { slippage }),
+    // Jupiter Ultra with auto priority fees; policy is checked before the wallet is unlocked
+    swap: async (inputToken, outputToken, amount, { slippage = 0.5, nonceAccount = null, approval = null } = {}) => {
+      const prepared = await prepareUltraSwap(connection, signer.publicKey(), inputToken.toUpperCase(), outputToken.toUpperCase(), amount, { slippage, nonceAccount, approval, confirm, log });
+      const signature = await sendUltraSwap(connection, await signer.keypair(), prepared, { log });
+      return withLinks({ signature, quote: prepared.quote, inputMint: prepared.inputMint, outputMint: prepared.outputMint, preview: prepared.preview });
+    },
+    // Jupiter v6 route for SOL, USDC and USDT
+    jupiter: async (inputToken, outputToken, amount, { approval = null } = {}) => {
+      const prepared = await prepareSwap(connection, signer.publicKey(), inputToken, outputToken, amount, { approval, confirm, log });
+      const signature = await sendSwap(connection, await signer.keypair(), prepared, { log });
+      return withLinks({ signature, quote: prepared.quote, inputMint: prepared.inputMint, outputMint: prepared.outputMint, preview: prepared.preview });
+    }
+  };
+
+  const nftService = {
+    create: async (name, symbol, uri, { royalty = 5.5, creators, approval = null } = {}) =>
+      createNFT(await signer.keypair(), name, symbol, uri, { royalty, creators, approval, confirm, network, log }),
+    createCollection: async (name, symbol, baseUri, count, { startNumber = 1, royalty = 5, collection, approval = null } = {}) =>
+      createCollection(await signer.keypair(), name, symbol, baseUri, count, { startNumber, royalty, collection, approval, confirm, network, log })
+  };
+
+  const yieldService = {
+    opportunities: () => YIELD_OPPORTUNITIES,
+    protocols: () => PROTOCOLS,
+    calculate: (principal, apy, days = 365) => calculateYield(principal, apy, days),
+    jlpPrice: () => getJLPPrice(),
+    positions: () => loadPositions(),
+    trackPosition: (name, token, { type = 'hold', apy = 0, notes = '' } = {}) =>
+      trackPosition(connection, signer.publicKey(), name, token, type, apy, notes, { log }),
+    removePosition: name => removePosition(name, { log }),
+    escrows: () => listEscrows({ log }),
+    createEscrow: async (recipient, mint, amount, unlockMinutes, { approval = null } = {}) =>
+      createEscrow(connection, await signer.keypair(), recipient, mint, amount, unlockMinutes, { approval, network, log }),
+    presignRelease: async (escrowId, nonceAccount, { outputFile = null, approval = null } = {}) =>
+      presignRelease(connection, await signer.keypair(), escrowId, nonceAccount, { outputFile, approval, network, log }),
+    releaseEscrow: async (escrowId, { nonceAccount = null, approval = null } = {}) =>
+      releaseEscrow(connection, await signer.keypair(), escrowId, { nonceAccount, approval, confirm, network, log })
+  };
+
+  const parserService = {
+    parse: signature => parseTransaction(signature, { connection, network, log })
+  };
+
+  // Transactions signed on this toolkit's cluster, by any tool or process
+  const journalService = {
+    list: (filters = {}) => readJournal({ cluster: network.cluster, ...filters }),
+    csv: (filters = {}) => journalToCsv(readJournal({ cluster: network.cluster, ...filters })),
+    reconcile: () => reconcileJournal(connection, { log })
+  };
+
+  return {
+    connection,
+    network,
+    wallet: walletService,
+    token: tokenService,
+    swap: swapService,
+    nft: nftService,
+    yield: yieldService,
+    parser: parserService,
+    journal: journalService
+  };
+}
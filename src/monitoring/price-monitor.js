@@ -8,6 +8,9 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { reportResult } from '../utils/output.js';
+import { KNOWN_TOKENS, getToken } from '../tokens/registry.js';
+import { runScript } from '../cli/dispatch.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -15,20 +18,17 @@ const __dirname = path.dirname(__filename);
 const ALERTS_FILE = path.join(__dirname, 'price-alerts.json');
 const PRICE_HISTORY_FILE = path.join(__dirname, 'price-history.json');
 
-// Default token list with common Solana tokens
-const TOKENS = {
-  SOL: { symbol: 'SOL', name: 'Solana', mint: 'So11111111111111111111111111111111111111112', decimals: 9 },
-  USDC: { symbol: 'USDC', name: 'USD Coin', mint: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v', decimals: 6 },
-  USDT: { symbol: 'USDT', name: 'Tether', mint: 'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB', decimals: 6 },
-  JUP: { symbol: 'JUP', name: 'Jupiter', mint: 'JUPyiwrYJFskUPiHa7hkeR8VUtAeFoSYbKedZNsDvCN', decimals: 6 },
-  JLP: { symbol: 'JLP', name: 'Jupiter Perps', mint: 'JLP1nJJEfKLmrpcioUGwZ3GJ5YGcBdGyciJvNF1Fbn1', decimals: 6 },
-  BONK: { symbol: 'BONK', name: 'Bonk', mint: 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263', decimals: 5 },
-  PYTH: { symbol: 'PYTH', name: 'Pyth Network', mint: 'HZ1JovNiVvGrGNiiYvEozEVgZ58xaU3RKwX8eACQBCt3', decimals: 6 },
-  RAY: { symbol: 'RAY', name: 'Raydium', mint: '4k3Dyjzvzp8eMZWUXbBCjEvwSkkk59S5iCNLY3QrkX6R', decimals: 6 },
-  ORCA: { symbol: 'ORCA', name: 'Orca', mint: 'orcaEKTdK7LKz57vaAYr9QeNsVEPfiu6QeMU1kektZE', decimals: 6 },
-  mSOL: { symbol: 'mSOL', name: 'Marinade SOL', mint: 'mSoLzYCxHdYgdzU16g5QSh3i5K3z3KZK7ytfqcJm7So', decimals: 9 },
-  jitoSOL: { symbol: 'jitoSOL', name: 'Jito SOL', mint: 'J1toso1uCk3RLmjorhTtrVwY9HJ7X8V9yYac6Y7kGCPn', decimals: 9 }
-};
+// Monitored tokens, from the registry
+const TOKENS = Object.fromEntries(
+  ['SOL', 'USDC', 'USDT', 'JUP', 'JLP', 'BONK', 'PYTH', 'RAY', 'ORCA', 'mSOL', 'jitoSOL']
+    .map(symbol => [symbol, KNOWN_TOKENS.find(t => t.symbol === symbol)])
+);
+
+// Registry symbol for user input (mSOL, MSOL and msol are the same token)
+function monitoredSymbol(input) {
+  const symbol = input && getToken(input, { cluster: 'mainnet-beta' })?.symbol;
+  return symbol && TOKENS[symbol] ? symbol : null;
+}
 
 // Load or initialize alerts
 function loadAlerts() {
@@ -222,38 +222,27 @@ function checkAlerts(alertsData, prices) {
 }
 
 // Command handlers
-function addAlert(alertsData, args) {
-  // Parse: --token SOL --type above --price 200 --note "Take profits"
-  const getArg = (flag) => {
-    const idx = args.indexOf(flag);
-    return idx !== -1 ? args[idx + 1] : null;
-  };
-  
-  const token = getArg('--token');
-  const type = getArg('--type');
-  const price = parseFloat(getArg('--price'));
-  const note = getArg('--note') || '';
-  
-  if (!token || !type || !price) {
-    console.log('❌ Usage: add-alert --token SYMBOL --type above|below --price 200 [--note "Message"]');
-    console.log('   Example: add-alert --token SOL --type above --price 200 --note "Take profits"');
-    return;
-  }
-  
-  if (!TOKENS[token.toUpperCase()]) {
+function addAlert(alertsData, { token, type, price, note = '' }) {
+  const symbol = monitoredSymbol(token);
+  if (!symbol) {
     console.log(`❌ Unknown token: ${token}`);
     console.log(`   Supported: ${Object.keys(TOKENS).join(', ')}`);
-    return;
+    return null;
   }
   
   if (!['above', 'below'].includes(type)) {
     console.log('❌ Type must be "above" or "below"');
-    return;
+    return null;
+  }
+
+  if (!(price > 0)) {
+    console.log('❌ Price must be above 0');
+    return null;
   }
   
   const alert = {
     id: `alert-${Date.now()}`,
-    token: token.toUpperCase(),
+    token: symbol,
     type,
     targetPrice: price,
     note,
@@ -269,25 +258,21 @@ function addAlert(alertsData, args) {
   console.log(`✅ Alert added!`);
   console.log(`   ${alert.token} ${alert.type} ${formatPrice(alert.targetPrice)}`);
   if (note) console.log(`   Note: ${note}`);
+  return alert;
 }
 
-function removeAlert(alertsData, args) {
-  const id = args[0];
-  if (!id) {
-    console.log('❌ Usage: remove-alert <id>');
-    return;
-  }
-  
+function removeAlert(alertsData, [id]) {
   const idx = alertsData.alerts.findIndex(a => a.id === id || a.id.endsWith(id));
   if (idx === -1) {
     console.log(`❌ Alert not found: ${id}`);
-    return;
+    return null;
   }
   
   const removed = alertsData.alerts.splice(idx, 1)[0];
   saveAlerts(alertsData);
   
   console.log(`✅ Removed alert for ${removed.token}`);
+  return removed;
 }
 
 function clearTriggered(alertsData) {
@@ -297,22 +282,22 @@ function clearTriggered(alertsData) {
   
   saveAlerts(alertsData);
   console.log(`✅ Cleared ${beforeCount - afterCount} triggered alerts`);
+  return { cleared: beforeCount - afterCount };
 }
 
-function showHistory(history, args) {
-  const token = args[0];
-  if (!token || !TOKENS[token.toUpperCase()]) {
-    console.log('❌ Usage: history TOKEN');
+function showHistory(history, [token]) {
+  const symbol = monitoredSymbol(token);
+  if (!symbol) {
+    console.log(`❌ Unknown token: ${token}`);
     console.log(`   Supported: ${Object.keys(TOKENS).join(', ')}`);
-    return;
+    return null;
   }
   
-  const symbol = token.toUpperCase();
   const hist = history[symbol] || [];
   
   if (hist.length === 0) {
     console.log(`❌ No price history for ${symbol}`);
-    return;
+    return null;
   }
   
   console.log(`\n📈 PRICE HISTORY: ${symbol}`);
@@ -333,13 +318,11 @@ function showHistory(history, args) {
   console.log(`      Max: ${formatPrice(max)}`);
   console.log(`      Avg: ${formatPrice(avg)}`);
   console.log(`      Records: ${hist.length}`);
+  return { token: symbol, history: hist, min, max, avg };
 }
 
-// Main function
-async function main() {
-  const args = process.argv.slice(2);
-  const command = args[0];
-  
+// Every command first fetches prices and adds them to the history
+async function refreshPrices() {
   const alertsData = loadAlerts();
   const history = loadPriceHistory();
   const prices = await fetchAllPrices();
@@ -354,68 +337,58 @@ async function main() {
     }
   }
   savePriceHistory(history);
-  
-  switch (command) {
-    case 'add-alert':
-      addAlert(alertsData, args.slice(1));
-      break;
-    case 'remove-alert':
-      removeAlert(alertsData, args.slice(1));
-      break;
-    case 'clear-triggered':
-      clearTriggered(alertsData);
-      break;
-    case 'history':
-      showHistory(history, args.slice(1));
-      break;
-    case 'prices':
-      showHeader();
-      showPrices(prices, history);
-      break;
-    case 'alerts':
-      showHeader();
-      showAlerts(alertsData);
-      break;
-    default:
-      showHeader();
-      showPrices(prices, history);
-      showAlerts(alertsData);
-      checkAlerts(alertsData, prices);
-  }
+  return { alertsData, history, prices };
 }
 
-// Help
-if (process.argv.includes('--help') || process.argv.includes('-h')) {
-  console.log(`
-Usage: node price-monitor.js [command] [options]
-
-Commands:
-  (none)                    Show prices and alerts, check for triggers
-  prices                    Show current prices only
-  alerts                    Show active alerts only
-  add-alert [options]       Add a new price alert
-    --token SYMBOL          Token symbol (SOL, JUP, etc.)
-    --type above|below      Alert when price goes above or below target
-    --price NUMBER          Target price
-    --note "Message"        Optional note
-  remove-alert <id>         Remove an alert by ID
-  clear-triggered           Remove all triggered alerts
-  history <token>           Show price history for a token
-
-Examples:
-  node price-monitor.js
-  node price-monitor.js prices
-  node price-monitor.js add-alert --token SOL --type above --price 200
-  node price-monitor.js add-alert --token JLP --type below --price 1.80 --note "Buy the dip"
-  node price-monitor.js history SOL
-
-Supported Tokens:
-  ${Object.keys(TOKENS).join(', ')}
-`);
-  process.exit(0);
+// Each command returns its result, or null after printing why it could not run
+function report(result) {
+  if (result === null) process.exitCode = 1;
+  else reportResult(result);
 }
 
-main().catch(err => {
-  console.error('Error:', err.message);
-  process.exit(1);
-});
+// Commands, called by sat and by the CLI below with parsed options
+export async function showCommand() {
+  const { alertsData, history, prices } = await refreshPrices();
+  showHeader();
+  showPrices(prices, history);
+  showAlerts(alertsData);
+  report({ prices, alerts: alertsData.alerts, triggered: checkAlerts(alertsData, prices) });
+}
+
+export async function pricesCommand() {
+  const { history, prices } = await refreshPrices();
+  showHeader();
+  showPrices(prices, history);
+  report({ prices });
+}
+
+export async function alertsCommand() {
+  const { alertsData } = await refreshPrices();
+  showHeader();
+  showAlerts(alertsData);
+  report({ alerts: alertsData.alerts });
+}
+
+export async function addAlertCommand(args, options) {
+  const { alertsData } = await refreshPrices();
+  report(addAlert(alertsData, options));
+}
+
+export async function removeAlertCommand(args) {
+  const { alertsData } = await refreshPrices();
+  report(removeAlert(alertsData, args));
+}
+
+export async function clearTriggeredCommand() {
+  const { alertsData } = await refreshPrices();
+  report(clearTriggered(alertsData));
+}
+
+export async function historyCommand(args) {
+  const { history } = await refreshPrices();
+  report(showHistory(history, args));
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runScript(import.meta.url);
+}
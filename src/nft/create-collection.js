@@ -4,69 +4,90 @@
 import { createNft, mplTokenMetadata } from '@metaplex-foundation/mpl-token-metadata';
 import { generateSigner, percentAmount, signerIdentity, createSignerFromKeypair } from '@metaplex-foundation/umi';
 import { createUmi } from '@metaplex-foundation/umi-bundle-defaults';
+import bs58 from 'bs58';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { loadWalletKeypair } from '../wallet/wallets.js';
+import { enforcePolicy, recordSpend, PolicyViolation, printPolicyViolation } from '../wallet/policy.js';
+import { nftIntent, previewable } from './create-nft.js';
+import { getConnection, resolveNetwork } from '../utils/network.js';
+import { reportResult, reportSignature, reportWarning } from '../utils/output.js';
+import { journalTransaction } from '../utils/journal.js';
+import { previewPlan, terminalConfirm, PreviewRejected, printPreviewRejection } from '../utils/preview.js';
+import { runScript } from '../cli/dispatch.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const walletPath = process.env.WALLET_PATH || path.join(__dirname, 'wallet.json');
-const walletFile = JSON.parse(fs.readFileSync(walletPath, 'utf-8'));
-const secretKey = new Uint8Array(walletFile.secretKey);
+// Mint `count` NFTs from baseUri/<n>.json; the collection record is written to `outputDir` when given.
+// The whole collection is checked against the spending policy and confirmed after a preview of the
+// first mint, before anything is signed; each NFT is counted as it is created.
+export async function createCollection(keypair, name, symbol, baseUri, count, { network = resolveNetwork(), outputDir = null, approval = null, confirm = null, log = console.log, ...options } = {}) {
+  log(`🎨 Creating NFT Collection on ${network.cluster}...`);
+  log(`   Collection: ${name}`);
+  log(`   Symbol: ${symbol}`);
+  log(`   Count: ${count}`);
+  log(`   Base URI: ${baseUri}`);
+  log('');
 
-const NETWORK = process.env.NETWORK || 'devnet';
-const RPC_URL = NETWORK === 'mainnet' 
-  ? 'https://api.mainnet-beta.solana.com'
-  : 'https://api.devnet.solana.com';
-
-export async function createCollection(name, symbol, baseUri, count, options = {}) {
-  console.log(`🎨 Creating NFT Collection on ${NETWORK}...`);
-  console.log(`   Collection: ${name}`);
-  console.log(`   Symbol: ${symbol}`);
-  console.log(`   Count: ${count}`);
-  console.log(`   Base URI: ${baseUri}`);
-  console.log('');
-
-  const umi = createUmi(RPC_URL);
-  const umiKeypair = umi.eddsa.createKeypairFromSecretKey(secretKey);
+  const umi = createUmi(network.rpcUrl);
+  const umiKeypair = umi.eddsa.createKeypairFromSecretKey(keypair.secretKey);
   const signer = createSignerFromKeypair(umi, umiKeypair);
   umi.use(signerIdentity(signer));
   umi.use(mplTokenMetadata());
 
   const nfts = [];
   const startNum = options.startNumber || 1;
+  const build = (mint, num) => createNft(umi, {
+    mint,
+    name: `${name} #${num}`,
+    symbol,
+    uri: `${baseUri}/${num}.json`,
+    sellerFeeBasisPoints: percentAmount(options.royalty || 5),
+    creators: options.creators || [
+      { address: signer.publicKey, verified: true, share: 100 }
+    ],
+    collection: options.collection ? { key: options.collection, verified: false } : undefined,
+  });
+
+  // Every NFT creates the same accounts, so one of them prices the whole collection
+  const sample = build(generateSigner(umi), startNum);
+  const ticket = enforcePolicy(await nftIntent(umi, sample, 'create-collection', count), { approval });
+  const preview = await previewPlan(getConnection({ network }), previewable(umi, sample), count, { confirm, log });
+  // Each NFT counts as it is created; the first one uses up the collection's approval
+  const each = { ...ticket, intent: await nftIntent(umi, sample, 'create-collection') };
 
   for (let i = 0; i < count; i++) {
     const num = startNum + i;
     const nftName = `${name} #${num}`;
     const uri = `${baseUri}/${num}.json`;
     
-    console.log(`Creating ${nftName}...`);
+    log(`Creating ${nftName}...`);
     
     try {
       const mint = generateSigner(umi);
-      const result = await createNft(umi, {
-        mint,
-        name: nftName,
-        symbol,
-        uri,
-        sellerFeeBasisPoints: percentAmount(options.royalty || 5),
-        creators: options.creators || [
-          { address: signer.publicKey, verified: true, share: 100 }
-        ],
-        collection: options.collection ? { key: options.collection, verified: false } : undefined,
-      }).sendAndConfirm(umi);
+      const result = await build(mint, num).sendAndConfirm(umi);
 
       const mintAddress = mint.publicKey.toString();
+      // Umi returns the raw signature bytes
+      const signature = bs58.encode(result.signature);
+      recordSpend(each, signature);
+      journalTransaction(null, {
+        tool: 'create-collection',
+        intent: `Create NFT ${nftName} (${symbol}) at ${mintAddress}`,
+        params: { name: nftName, symbol, uri, mint: mintAddress, collection: options.collection ? String(options.collection) : null },
+        signature,
+        cluster: network.cluster
+      });
       
-      console.log(`  ✅ Created: ${mintAddress}`);
+      log(`  ✅ Created: ${mintAddress}`);
       
       nfts.push({
         name: nftName,
         number: num,
         mint: mintAddress,
-        signature: result.signature.toString()
+        signature
       });
 
       // Small delay between mints
@@ -74,7 +95,7 @@ export async function createCollection(name, symbol, baseUri, count, options = {
         await new Promise(r => setTimeout(r, 500));
       }
     } catch (error) {
-      console.error(`  ❌ Failed to create ${nftName}:`, error.message);
+      log(`  ❌ Failed to create ${nftName}:`, error.message);
     }
   }
 
@@ -83,45 +104,51 @@ export async function createCollection(name, symbol, baseUri, count, options = {
     name,
     symbol,
     baseUri,
-    network: NETWORK,
+    network: network.cluster,
     createdAt: new Date().toISOString(),
     count: nfts.length,
     nfts
   };
 
-  const outputPath = path.join(__dirname, `collection-${Date.now()}.json`);
-  fs.writeFileSync(outputPath, JSON.stringify(collectionData, null, 2));
+  let outputPath = null;
+  if (outputDir) {
+    outputPath = path.join(outputDir, `collection-${Date.now()}.json`);
+    fs.writeFileSync(outputPath, JSON.stringify(collectionData, null, 2));
+  }
   
-  console.log('');
-  console.log(`✅ Collection Complete!`);
-  console.log(`   Created: ${nfts.length}/${count} NFTs`);
-  console.log(`   Saved to: ${outputPath}`);
+  log('');
+  log(`✅ Collection Complete!`);
+  log(`   Created: ${nfts.length}/${count} NFTs`);
+  if (outputPath) log(`   Saved to: ${outputPath}`);
 
-  return collectionData;
+  return { ...collectionData, preview };
 }
 
-// CLI usage
-if (import.meta.url === `file://${process.argv[1]}`) {
-  const args = process.argv.slice(2);
-  
-  if (args.length < 4) {
-    console.log('Usage: node create-collection.js <name> <symbol> <baseUri> <count> [startNumber]');
-    console.log('');
-    console.log('Example:');
-    console.log('  node create-collection.js "Pixel Punks" "PUNK" "https://arweave.net/collection" 100');
-    console.log('');
-    console.log('Note: Assumes metadata files are at baseUri/1.json, baseUri/2.json, etc.');
+// `sat nft collection`: metadata files are expected at <base-uri>/1.json, <base-uri>/2.json, ...
+export async function collectionCommand([name, symbol, baseUri, count, startNumber], { wallet, approve, yes }) {
+  const keypair = await loadWalletKeypair(wallet);
+
+  try {
+    const collection = await createCollection(keypair, name, symbol, baseUri, parseInt(count), {
+      startNumber: parseInt(startNumber) || 1,
+      outputDir: __dirname,
+      approval: approve,
+      confirm: terminalConfirm(yes)
+    });
+    collection.nfts.forEach(nft => reportSignature(nft.signature));
+    if (collection.count < parseInt(count)) {
+      reportWarning(`${parseInt(count) - collection.count} of ${count} NFTs could not be created`);
+    }
+    reportResult(collection);
+    process.exit(0);
+  } catch (err) {
+    if (err instanceof PolicyViolation) printPolicyViolation(err);
+    else if (err instanceof PreviewRejected) printPreviewRejection(err);
+    else console.error(err);
     process.exit(1);
   }
+}
 
-  const [name, symbol, baseUri, count, startNumber] = args;
-  
-  createCollection(name, symbol, baseUri, parseInt(count), { 
-    startNumber: parseInt(startNumber) || 1 
-  })
-    .then(() => process.exit(0))
-    .catch((err) => {
-      console.error(err);
-      process.exit(1);
-    });
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runScript(import.meta.url);
 }
@@ -1,6 +1,7 @@
 // NFT Minter using Metaplex Umi
 // Creates an NFT with metadata on Solana
 
+import { PublicKey, Transaction, TransactionInstruction } from '@solana/web3.js';
 import { createUmi } from '@metaplex-foundation/umi-bundle-defaults';
 import { 
   createNft,
@@ -12,35 +13,56 @@ import {
   signerIdentity,
   createSignerFromKeypair
 } from '@metaplex-foundation/umi';
+import bs58 from 'bs58';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { loadWalletKeypair } from '../wallet/wallets.js';
+import { enforcePolicy, recordSpend, PolicyViolation, printPolicyViolation, LAMPORTS_PER_SIGNATURE } from '../wallet/policy.js';
+import { getConnection, resolveNetwork, explorerUrl } from '../utils/network.js';
+import { reportResult, reportSignature } from '../utils/output.js';
+import { lamportsToSol } from '../utils/amount.js';
+import { journalTransaction } from '../utils/journal.js';
+import { previewTransaction, terminalConfirm, PreviewRejected, printPreviewRejection } from '../utils/preview.js';
+import { runScript } from '../cli/dispatch.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Load wallet
-const walletPath = process.env.WALLET_PATH || path.join(__dirname, 'wallet.json');
-const walletFile = JSON.parse(fs.readFileSync(walletPath, 'utf-8'));
-const secretKey = new Uint8Array(walletFile.secretKey);
+// Spending policy intent for `count` NFTs like the one `builder` mints: the rent for the mint,
+// metadata, edition and token accounts plus the signature fees count against the SOL limits
+export async function nftIntent(umi, builder, tool, count = 1) {
+  const rent = await builder.getRentCreatedOnChain(umi);
+  const lamports = (rent.basisPoints + BigInt(builder.getSigners(umi).length * LAMPORTS_PER_SIGNATURE)) * BigInt(count);
+  return {
+    tool,
+    wallet: umi.identity.publicKey.toString(),
+    transfers: [{ mint: 'SOL', amount: lamportsToSol(lamports), recipient: null }],
+    programs: [...new Set(builder.getInstructions().map(ix => ix.programId.toString()))]
+  };
+}
 
-// Configuration
-const NETWORK = process.env.NETWORK || 'devnet';
-const RPC_URL = NETWORK === 'mainnet' 
-  ? 'https://api.mainnet-beta.solana.com'
-  : 'https://api.devnet.solana.com';
+// The instructions of an umi builder as a web3.js transaction, for the simulation preview
+export function previewable(umi, builder) {
+  return new Transaction({ feePayer: new PublicKey(umi.payer.publicKey) }).add(...builder.getInstructions().map(ix => new TransactionInstruction({
+    programId: new PublicKey(ix.programId),
+    keys: ix.keys.map(key => ({ pubkey: new PublicKey(key.pubkey), isSigner: key.isSigner, isWritable: key.isWritable })),
+    data: Buffer.from(ix.data)
+  })));
+}
 
-export async function createNFT(name, symbol, uri, options = {}) {
-  console.log(`🎨 Creating NFT on ${NETWORK}...`);
-  console.log(`   Name: ${name}`);
-  console.log(`   Symbol: ${symbol}`);
-  console.log(`   URI: ${uri}`);
+// Mint one NFT signed by `keypair`, after a simulation preview; the mint record is written to `outputDir` when given
+export async function createNFT(keypair, name, symbol, uri, { network = resolveNetwork(), outputDir = null, approval = null, confirm = null, log = console.log, ...options } = {}) {
+  log(`🎨 Creating NFT on ${network.cluster}...`);
+  log(`   Name: ${name}`);
+  log(`   Symbol: ${symbol}`);
+  log(`   URI: ${uri}`);
 
   // Create Umi instance
-  const umi = createUmi(RPC_URL);
+  const umi = createUmi(network.rpcUrl);
   
   // Create signer from keypair using Umi's eddsa
-  const umiKeypair = umi.eddsa.createKeypairFromSecretKey(secretKey);
+  const umiKeypair = umi.eddsa.createKeypairFromSecretKey(keypair.secretKey);
   const signer = createSignerFromKeypair(umi, umiKeypair);
   umi.use(signerIdentity(signer));
   umi.use(mplTokenMetadata());
@@ -50,7 +72,7 @@ export async function createNFT(name, symbol, uri, options = {}) {
 
   try {
     // Create NFT
-    const result = await createNft(umi, {
+    const builder = createNft(umi, {
       mint,
       name,
       symbol,
@@ -59,14 +81,27 @@ export async function createNFT(name, symbol, uri, options = {}) {
       creators: options.creators || [
         { address: signer.publicKey, verified: true, share: 100 }
       ],
-    }).sendAndConfirm(umi);
+    });
+    const ticket = enforcePolicy(await nftIntent(umi, builder, 'create-nft'), { approval });
+    const preview = await previewTransaction(getConnection({ network }), previewable(umi, builder), { confirm, log });
+    const result = await builder.sendAndConfirm(umi);
 
     const mintAddress = mint.publicKey.toString();
+    // Umi returns the raw signature bytes
+    const signature = bs58.encode(result.signature);
+    recordSpend(ticket, signature);
+    journalTransaction(null, {
+      tool: 'create-nft',
+      intent: `Create NFT ${name} (${symbol}) at ${mintAddress}`,
+      params: { name, symbol, uri, mint: mintAddress },
+      signature,
+      cluster: network.cluster
+    });
     
-    console.log('✅ NFT Created Successfully!');
-    console.log(`   Mint Address: ${mintAddress}`);
-    console.log(`   Signature: ${result.signature}`);
-    console.log(`   Explorer: https://explorer.solana.com/address/${mintAddress}?cluster=${NETWORK}`);
+    log('✅ NFT Created Successfully!');
+    log(`   Mint Address: ${mintAddress}`);
+    log(`   Signature: ${signature}`);
+    log(`   Explorer: ${explorerUrl('address', mintAddress, network)}`);
 
     // Save to file
     const nftData = {
@@ -74,58 +109,45 @@ export async function createNFT(name, symbol, uri, options = {}) {
       symbol,
       uri,
       mint: mintAddress,
-      signature: result.signature.toString(),
-      network: NETWORK,
+      signature,
+      network: network.cluster,
       createdAt: new Date().toISOString()
     };
     
-    const outputPath = path.join(__dirname, `nft-${Date.now()}.json`);
-    fs.writeFileSync(outputPath, JSON.stringify(nftData, null, 2));
-    console.log(`   Saved to: ${outputPath}`);
+    if (outputDir) {
+      const outputPath = path.join(outputDir, `nft-${Date.now()}.json`);
+      fs.writeFileSync(outputPath, JSON.stringify(nftData, null, 2));
+      log(`   Saved to: ${outputPath}`);
+    }
 
-    return nftData;
+    return { ...nftData, preview };
   } catch (error) {
-    console.error('❌ Error creating NFT:', error.message);
+    if (error instanceof PolicyViolation || error instanceof PreviewRejected) throw error;
+    log('❌ Error creating NFT:', error.message);
     if (error.logs) {
-      console.error('   Logs:', error.logs);
+      log('   Logs:', error.logs);
     }
     throw error;
   }
 }
 
-// CLI usage
-if (import.meta.url === `file://${process.argv[1]}`) {
-  const args = process.argv.slice(2);
-  
-  if (args.length < 3) {
-    console.log('Usage: node create-nft.js <name> <symbol> <uri> [royalty]');
-    console.log('');
-    console.log('Example:');
-    console.log('  node create-nft.js "My First NFT" "MFN" "https://arweave.net/xxx" 5.5');
-    console.log('');
-    console.log('Note: URI should point to metadata JSON following Metaplex standard');
-    console.log('');
-    console.log('Metadata JSON format:');
-    console.log(JSON.stringify({
-      name: "My NFT #1",
-      symbol: "MNFT",
-      description: "A unique digital asset",
-      image: "https://arweave.net/xxx",
-      attributes: [
-        { trait_type: "Background", value: "Blue" },
-        { trait_type: "Rarity", value: "Rare" }
-      ],
-      properties: {
-        files: [{ uri: "https://arweave.net/xxx", type: "image/png" }],
-        creators: [{ address: "...", share: 100 }]
-      }
-    }, null, 2));
+// `sat nft mint`: <uri> points to metadata JSON following the Metaplex standard
+// (name, symbol, description, image, attributes, properties.files, properties.creators)
+export async function mintNftCommand([name, symbol, uri, royalty], { wallet, approve, yes }) {
+  const keypair = await loadWalletKeypair(wallet);
+
+  try {
+    const nft = await createNFT(keypair, name, symbol, uri, { royalty: parseFloat(royalty) || 5.5, outputDir: __dirname, approval: approve, confirm: terminalConfirm(yes) });
+    reportSignature(nft.signature);
+    reportResult({ ...nft, explorer: explorerUrl('address', nft.mint) });
+    process.exit(0);
+  } catch (err) {
+    if (err instanceof PolicyViolation) printPolicyViolation(err);
+    if (err instanceof PreviewRejected) printPreviewRejection(err);
     process.exit(1);
   }
+}
 
-  const [name, symbol, uri, royalty] = args;
-  
-  createNFT(name, symbol, uri, { royalty: parseFloat(royalty) || 5.5 })
-    .then(() => process.exit(0))
-    .catch(() => process.exit(1));
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runScript(import.meta.url);
 }
@@ -1,43 +1,100 @@
-import { Connection, clusterApiUrl, PublicKey, Keypair } from '@solana/web3.js';
-import { createMint, getOrCreateAssociatedTokenAccount, mintTo, transfer } from '@solana/spl-token';
+// Create Token Mint
+// New SPL token mint with the wallet as mint and freeze authority
+
+import { Keypair, SystemProgram, Transaction } from '@solana/web3.js';
+import { MINT_SIZE, TOKEN_PROGRAM_ID, getMinimumBalanceForRentExemptMint, createInitializeMint2Instruction } from '@solana/spl-token';
 import fs from 'fs';
+import { loadWalletKeypair } from '../wallet/wallets.js';
+import { enforcePolicy, recordSpend, transactionCost, PolicyViolation, printPolicyViolation } from '../wallet/policy.js';
+import { getConnection } from '../utils/network.js';
+import { reportResult, reportSignature } from '../utils/output.js';
+import { lamportsToSol } from '../utils/amount.js';
+import { sendAndConfirm, reportSendError } from '../utils/send.js';
+import { previewTransaction, terminalConfirm, PreviewRejected, printPreviewRejection } from '../utils/preview.js';
+import { runScript } from '../cli/dispatch.js';
 
-const wallet = JSON.parse(fs.readFileSync('wallet.json', 'utf8'));
-const connection = new Connection(clusterApiUrl('devnet'), 'confirmed');
-const secretKey = new Uint8Array(wallet.secretKey);
-const keypair = Keypair.fromSecretKey(secretKey);
-
-console.log('🪙 Creating SPL Token Mint');
-console.log('==========================');
-console.log('Authority:', wallet.publicKey);
-console.log('');
-
-try {
-  // Create mint
-  const mint = await createMint(
-    connection,
-    keypair,
-    keypair.publicKey,
-    keypair.publicKey,
-    9 // 9 decimals
+// Same instructions as spl-token's createMint, built here so it goes through the shared sender.
+// The mint rent and fees count against the SOL limits of the spending policy, and the
+// transaction is simulated and confirmed before it is signed.
+export async function createTokenMint(connection, keypair, { decimals = 9, approval = null, confirm = null, log = console.log } = {}) {
+  const mintKeypair = Keypair.generate();
+  const transaction = new Transaction({ feePayer: keypair.publicKey }).add(
+    SystemProgram.createAccount({
+      fromPubkey: keypair.publicKey,
+      newAccountPubkey: mintKeypair.publicKey,
+      space: MINT_SIZE,
+      lamports: await getMinimumBalanceForRentExemptMint(connection),
+      programId: TOKEN_PROGRAM_ID
+    }),
+    createInitializeMint2Instruction(mintKeypair.publicKey, decimals, keypair.publicKey, keypair.publicKey)
   );
+  const mint = mintKeypair.publicKey;
+  const ticket = enforcePolicy({
+    tool: 'create-token-mint',
+    wallet: keypair.publicKey.toBase58(),
+    transfers: [{ mint: 'SOL', amount: lamportsToSol(await transactionCost(connection, transaction)), recipient: null }]
+  }, { transaction, approval });
+  const preview = await previewTransaction(connection, transaction, { confirm, log });
 
-  console.log('✅ Token mint created!');
-  console.log('Mint Address:', mint.toBase58());
-  console.log('');
-  console.log('💾 Save this mint address for future use!');
-  
-  // Save mint info
-  const mintData = {
+  const { signature } = await sendAndConfirm(connection, transaction, [keypair, mintKeypair], {
+    journal: {
+      tool: 'create-token-mint',
+      intent: `Create mint ${mint.toBase58()} with ${decimals} decimals`,
+      params: { mint: mint.toBase58(), authority: keypair.publicKey.toBase58(), decimals }
+    },
+    log
+  });
+  recordSpend(ticket, signature);
+
+  return {
+    signature,
     mint: mint.toBase58(),
-    authority: wallet.publicKey,
-    decimals: 9,
-    createdAt: new Date().toISOString()
+    authority: keypair.publicKey.toBase58(),
+    decimals,
+    createdAt: new Date().toISOString(),
+    preview
   };
-  
-  fs.writeFileSync('token-mint.json', JSON.stringify(mintData, null, 2));
-  console.log('✅ Mint info saved to token-mint.json');
-  
-} catch (err) {
-  console.log('❌ Failed to create mint:', err.message);
+}
+
+export async function createCommand(args, { wallet, approve, yes }) {
+  const connection = getConnection();
+  const keypair = await loadWalletKeypair(wallet);
+
+  console.log('🪙 Creating SPL Token Mint');
+  console.log('==========================');
+  console.log('Authority:', keypair.publicKey.toBase58());
+  console.log('');
+
+  try {
+    const { preview, ...mintData } = await createTokenMint(connection, keypair, { approval: approve, confirm: terminalConfirm(yes) });
+
+    console.log('✅ Token mint created!');
+    console.log('Mint Address:', mintData.mint);
+    console.log('Signature:', mintData.signature);
+    reportSignature(mintData.signature);
+    console.log('');
+    console.log('💾 Save this mint address for future use!');
+
+    fs.writeFileSync('token-mint.json', JSON.stringify(mintData, null, 2));
+    console.log('✅ Mint info saved to token-mint.json');
+    reportResult({ ...mintData, file: 'token-mint.json', preview });
+
+  } catch (err) {
+    if (err instanceof PolicyViolation) {
+      printPolicyViolation(err);
+      process.exit(1);
+    }
+    if (err instanceof PreviewRejected) {
+      printPreviewRejection(err);
+      process.exit(1);
+    }
+    reportSendError(err);
+    console.log('❌ Failed to create mint:', err.message);
+    process.exit(1);
+  }
+}
+
+// CLI
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runScript(import.meta.url);
 }
@@ -1,63 +1,109 @@
-import { Connection, clusterApiUrl, PublicKey, Keypair } from '@solana/web3.js';
-import { getOrCreateAssociatedTokenAccount, mintTo } from '@solana/spl-token';
+// Mint Tokens
+// Mint tokens of a mint you control into the wallet's own token account
+
+import { PublicKey, Transaction } from '@solana/web3.js';
+import {
+  getMint,
+  getAssociatedTokenAddressSync,
+  createAssociatedTokenAccountIdempotentInstruction,
+  createMintToCheckedInstruction
+} from '@solana/spl-token';
 import fs from 'fs';
+import { loadWalletKeypair } from '../wallet/wallets.js';
+import { enforcePolicy, recordSpend, transactionCost, PolicyViolation, printPolicyViolation } from '../wallet/policy.js';
+import { getConnection } from '../utils/network.js';
+import { reportResult, reportSignature, reportError } from '../utils/output.js';
+import { parseAmount, formatAmount, toUiAmount, lamportsToSol, isAmount, AmountError } from '../utils/amount.js';
+import { previewTransaction, terminalConfirm, PreviewRejected, printPreviewRejection } from '../utils/preview.js';
+import { sendAndConfirm, reportSendError } from '../utils/send.js';
+import { UsageError } from '../cli/args.js';
+import { runScript } from '../cli/dispatch.js';
 
-const wallet = JSON.parse(fs.readFileSync('wallet.json', 'utf8'));
-const connection = new Connection(clusterApiUrl('devnet'), 'confirmed');
-const secretKey = new Uint8Array(wallet.secretKey);
-const keypair = Keypair.fromSecretKey(secretKey);
+// Minting moves no tokens out of the wallet; the token account rent and fees count against the
+// SOL limits, and the mint against allowedMints. The mint is simulated and confirmed before it is signed.
+export async function mintTokens(connection, keypair, mintAddress, amount, { approval = null, confirm = null, log = console.log } = {}) {
+  const mint = new PublicKey(mintAddress);
+  const { decimals } = await getMint(connection, mint);
+  const rawAmount = parseAmount(amount, decimals);
 
-// Get mint from command line or saved file
-let mintAddress = process.argv[2];
-if (!mintAddress) {
-  try {
-    const mintData = JSON.parse(fs.readFileSync('token-mint.json', 'utf8'));
-    mintAddress = mintData.mint;
-    console.log('Using saved mint from token-mint.json');
-  } catch {
-    console.log('Usage: node mint-tokens.js <mint-address> <amount>');
-    console.log('Or create a mint first with create-token-mint.js');
-    process.exit(1);
-  }
+  // Token account (created if needed) and the mint in one transaction
+  const tokenAccount = getAssociatedTokenAddressSync(mint, keypair.publicKey);
+  log('Token Account:', tokenAccount.toBase58());
+
+  const transaction = new Transaction({ feePayer: keypair.publicKey }).add(
+    createAssociatedTokenAccountIdempotentInstruction(keypair.publicKey, tokenAccount, keypair.publicKey, mint),
+    createMintToCheckedInstruction(mint, tokenAccount, keypair.publicKey, rawAmount, decimals)
+  );
+  const ticket = enforcePolicy({
+    tool: 'mint-tokens',
+    wallet: keypair.publicKey.toBase58(),
+    transfers: [{ mint: 'SOL', amount: lamportsToSol(await transactionCost(connection, transaction)), recipient: null }],
+    mints: [mint.toBase58()]
+  }, { transaction, approval });
+  const preview = await previewTransaction(connection, transaction, { confirm, log });
+
+  const { signature } = await sendAndConfirm(connection, transaction, [keypair], {
+    journal: {
+      tool: 'mint-tokens',
+      intent: `Mint ${formatAmount(rawAmount, decimals)} of ${mint.toBase58()} to ${tokenAccount.toBase58()}`,
+      params: { mint: mint.toBase58(), tokenAccount: tokenAccount.toBase58(), amount: formatAmount(rawAmount, decimals), decimals }
+    },
+    log
+  });
+  recordSpend(ticket, signature);
+
+  const balance = await connection.getTokenAccountBalance(tokenAccount);
+  return { signature, mint: mint.toBase58(), tokenAccount: tokenAccount.toBase58(), amount: toUiAmount(rawAmount, decimals), balance: toUiAmount(balance.value.amount, decimals), preview };
 }
 
-const amount = parseFloat(process.argv[3] || '1000');
+// `sat token mint`: without a mint, the one saved by create-token-mint.js in token-mint.json
+export async function mintCommand([mintArg, amount = '1000'], { wallet, approve, yes }) {
+  let mintAddress = mintArg;
+  if (!mintAddress) {
+    try {
+      const mintData = JSON.parse(fs.readFileSync('token-mint.json', 'utf8'));
+      mintAddress = mintData.mint;
+      console.log('Using saved mint from token-mint.json');
+    } catch {
+      throw new UsageError('Missing [mint] - give one or create a mint first with `sat token create`');
+    }
+  }
+  if (!isAmount(amount)) throw new UsageError(`Invalid amount: ${amount}`);
 
-console.log('💰 Minting Tokens');
-console.log('=================');
-console.log('Mint:', mintAddress);
-console.log('Amount:', amount);
-console.log('');
+  const connection = getConnection();
+  const keypair = await loadWalletKeypair(wallet);
 
-try {
-  const mint = new PublicKey(mintAddress);
-  
-  // Get or create token account
-  const tokenAccount = await getOrCreateAssociatedTokenAccount(
-    connection,
-    keypair,
-    mint,
-    keypair.publicKey
-  );
+  console.log('💰 Minting Tokens');
+  console.log('=================');
+  console.log('Mint:', mintAddress);
+  console.log('Amount:', amount);
+  console.log('');
 
-  console.log('Token Account:', tokenAccount.address.toBase58());
-  
-  // Mint tokens
-  await mintTo(
-    connection,
-    keypair,
-    mint,
-    tokenAccount.address,
-    keypair.publicKey,
-    amount * 10**9 // Convert to smallest unit
-  );
+  try {
+    const result = await mintTokens(connection, keypair, mintAddress, amount, { approval: approve, confirm: terminalConfirm(yes) });
+
+    console.log('✅ Minted', result.amount, 'tokens!');
+    console.log('Current balance:', result.balance);
+    reportSignature(result.signature);
+    reportResult(result);
+
+  } catch (err) {
+    if (err instanceof PolicyViolation) {
+      printPolicyViolation(err);
+      process.exit(1);
+    }
+    if (err instanceof PreviewRejected) {
+      printPreviewRejection(err);
+      process.exit(1);
+    }
+    if (err instanceof AmountError) reportError(err);
+    reportSendError(err);
+    console.log('❌ Failed to mint:', err.message);
+    process.exit(1);
+  }
+}
 
-  console.log('✅ Minted', amount, 'tokens!');
-  
-  // Check balance
-  const balance = await connection.getTokenAccountBalance(tokenAccount.address);
-  console.log('Current balance:', balance.value.uiAmount);
-  
-} catch (err) {
-  console.log('❌ Failed to mint:', err.message);
+// CLI
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runScript(import.meta.url);
 }
@@ -0,0 +1,209 @@
+// Token Registry
+// Symbol, mint, decimals, token program and tags of the tokens the toolkit knows on each cluster, plus on-chain
+// lookup for any other mint: decimals from the mint account, name and symbol from Metaplex
+// metadata (or the Token-2022 metadata extension), cached per cluster
+
+import { PublicKey } from '@solana/web3.js';
+import { TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID, unpackMint, getTokenMetadata } from '@solana/spl-token';
+import fs from 'fs';
+import { toolkitPath } from '../utils/toolkit-home.js';
+import { getConnection, resolveNetwork } from '../utils/network.js';
+import { reportResult } from '../utils/output.js';
+import { runScript } from '../cli/dispatch.js';
+
+const CACHE_FILE = 'token-cache.json';
+const METADATA_PROGRAM_ID = new PublicKey('metaqbxxUerdq28cj1RbAWkYQm3ybzjb6a8bt518x1s');
+
+export const TOKEN_PROGRAM = TOKEN_PROGRAM_ID.toBase58();
+export const TOKEN_2022_PROGRAM = TOKEN_2022_PROGRAM_ID.toBase58();
+
+// Mainnet mints. SOL is the wrapped SOL mint, which Jupiter uses for native SOL.
+export const KNOWN_TOKENS = Object.freeze([
+  { symbol: 'SOL', name: 'Solana', mint: 'So11111111111111111111111111111111111111112', decimals: 9, program: TOKEN_PROGRAM, tags: ['native'] },
+  { symbol: 'USDC', name: 'USD Coin', mint: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v', decimals: 6, program: TOKEN_PROGRAM, tags: ['stablecoin'] },
+  { symbol: 'USDT', name: 'Tether', mint: 'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB', decimals: 6, program: TOKEN_PROGRAM, tags: ['stablecoin'] },
+  { symbol: 'JUP', name: 'Jupiter', mint: 'JUPyiwrYJFskUPiHa7hkeR8VUtAeFoSYbKedZNsDvCN', decimals: 6, program: TOKEN_PROGRAM, tags: ['governance'] },
+  { symbol: 'JLP', name: 'Jupiter Perps LP', mint: '27G8MtK7VtTcCHkpASjSDdkWWYfoqT6ggEuKidVJidD4', decimals: 6, program: TOKEN_PROGRAM, tags: ['lp', 'yield'] },
+  { symbol: 'BONK', name: 'Bonk', mint: 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263', decimals: 5, program: TOKEN_PROGRAM, tags: ['meme'] },
+  { symbol: 'PYTH', name: 'Pyth Network', mint: 'HZ1JovNiVvGrGNiiYvEozEVgZ58xaU3RKwX8eACQBCt3', decimals: 6, program: TOKEN_PROGRAM, tags: ['governance'] },
+  { symbol: 'RAY', name: 'Raydium', mint: '4k3Dyjzvzp8eMZWUXbBCjEvwSkkk59S5iCNLY3QrkX6R', decimals: 6, program: TOKEN_PROGRAM, tags: ['governance'] },
+  { symbol: 'ORCA', name: 'Orca', mint: 'orcaEKTdK7LKz57vaAYr9QeNsVEPfiu6QeMU1kektZE', decimals: 6, program: TOKEN_PROGRAM, tags: ['governance'] },
+  { symbol: 'mSOL', name: 'Marinade SOL', mint: 'mSoLzYCxHdYgdzU16g5QSh3i5K3z3KZK7ytfqcJm7So', decimals: 9, program: TOKEN_PROGRAM, tags: ['lst', 'yield'] },
+  { symbol: 'jitoSOL', name: 'Jito SOL', mint: 'J1toso1uCk3RLmjorhTtrVwY9HJ7X8V9yYac6Y7kGCPn', decimals: 9, program: TOKEN_PROGRAM, tags: ['lst', 'yield'] },
+  { symbol: 'INF', name: 'Sanctum Infinity', mint: '5oVNBeEEQvYi1cX3ir8Dx5n1P7pdxydbGF2X6TxNxUFE', decimals: 9, program: TOKEN_PROGRAM, tags: ['lst', 'yield'] }
+].map(Object.freeze));
+
+// Known tokens per cluster. Wrapped SOL has the same mint everywhere; the other mainnet mints do
+// not exist on the test clusters, so a symbol there only finds a token that really lives there.
+const KNOWN_BY_CLUSTER = Object.freeze({
+  'mainnet-beta': KNOWN_TOKENS,
+  devnet: Object.freeze([
+    KNOWN_TOKENS[0],
+    { symbol: 'USDC', name: 'USD Coin (devnet)', mint: '4zMMC9srt5Ri5X14GAgXhaHii3GnPAEERYPJgZJDncDU', decimals: 6, program: TOKEN_PROGRAM, tags: ['stablecoin'] }
+  ].map(Object.freeze))
+});
+
+// Tokens known on `cluster`; wrapped SOL only on clusters without a list of their own
+export function knownTokens(cluster = resolveNetwork().cluster) {
+  return KNOWN_BY_CLUSTER[cluster] || KNOWN_TOKENS.slice(0, 1);
+}
+
+function loadCache() {
+  try {
+    return JSON.parse(fs.readFileSync(toolkitPath(CACHE_FILE), 'utf8'));
+  } catch {
+    return {};
+  }
+}
+
+function saveCache(cache) {
+  fs.writeFileSync(toolkitPath(CACHE_FILE), JSON.stringify(cache, null, 2));
+}
+
+// Symbols are matched case-insensitively (MSOL finds mSOL), mints exactly
+function findKnown(symbolOrMint, cluster) {
+  const wanted = String(symbolOrMint);
+  const tokens = knownTokens(cluster);
+  return tokens.find(t => t.mint === wanted) ||
+    tokens.find(t => t.symbol.toLowerCase() === wanted.toLowerCase()) ||
+    null;
+}
+
+// Token known on `cluster` by symbol or mint, or a mint resolved earlier there; null if neither
+export function getToken(symbolOrMint, { cluster = resolveNetwork().cluster } = {}) {
+  return findKnown(symbolOrMint, cluster) || loadCache()[cluster]?.[symbolOrMint] || null;
+}
+
+// Like getToken, but throws with the list of known symbols
+export function requireToken(symbolOrMint, { cluster = resolveNetwork().cluster } = {}) {
+  const token = getToken(symbolOrMint, { cluster });
+  if (!token) {
+    throw new Error(`Unknown token on ${cluster}: ${symbolOrMint}. Known: ${knownTokens(cluster).map(t => t.symbol).join(', ')} (or pass a mint address)`);
+  }
+  return token;
+}
+
+export function tokensWithTag(tag, { cluster = resolveNetwork().cluster } = {}) {
+  return knownTokens(cluster).filter(t => t.tags.includes(tag));
+}
+
+// { SYMBOL: mint } for the given symbols, the shape the swap tools have always exported
+export function mintTable(symbols, options) {
+  return Object.fromEntries(symbols.map(symbol => [symbol, requireToken(symbol, options).mint]));
+}
+
+export function decimalsTable(symbols, options) {
+  return Object.fromEntries(symbols.map(symbol => [symbol, requireToken(symbol, options).decimals]));
+}
+
+// Metaplex metadata account: key (1), update authority (32), mint (32), then name, symbol
+// and uri as u32-length-prefixed strings padded with NULs
+function decodeMetaplexMetadata(data) {
+  let offset = 1 + 32 + 32;
+  const readString = () => {
+    const length = data.readUInt32LE(offset);
+    const value = data.subarray(offset + 4, offset + 4 + length).toString('utf8').replace(/\0/g, '').trim();
+    offset += 4 + length;
+    return value;
+  };
+  return { name: readString(), symbol: readString(), uri: readString() };
+}
+
+async function fetchMetadata(connection, mint, program) {
+  const [pda] = PublicKey.findProgramAddressSync(
+    [Buffer.from('metadata'), METADATA_PROGRAM_ID.toBuffer(), mint.toBuffer()],
+    METADATA_PROGRAM_ID
+  );
+  const account = await connection.getAccountInfo(pda);
+  if (account) return decodeMetaplexMetadata(account.data);
+
+  if (program.equals(TOKEN_2022_PROGRAM_ID)) {
+    const metadata = await getTokenMetadata(connection, mint).catch(() => null);
+    if (metadata) return { name: metadata.name, symbol: metadata.symbol, uri: metadata.uri };
+  }
+  return { name: null, symbol: null, uri: null };
+}
+
+/**
+ * Token info for a symbol or mint. Known tokens and cached mints are answered locally;
+ * any other mint is read from the chain once and cached for the connection's cluster.
+ */
+export async function resolveToken(connection, symbolOrMint, { network = resolveNetwork(), refresh = false } = {}) {
+  const known = findKnown(symbolOrMint, network.cluster);
+  if (known) return known;
+
+  const cache = loadCache();
+  const cached = cache[network.cluster]?.[symbolOrMint];
+  if (cached && !refresh) return cached;
+
+  let mint;
+  try {
+    mint = new PublicKey(symbolOrMint);
+  } catch {
+    return requireToken(symbolOrMint, { cluster: network.cluster });
+  }
+
+  const info = await connection.getAccountInfo(mint);
+  if (!info) throw new Error(`Mint not found on ${network.cluster}: ${mint.toBase58()}`);
+  if (!info.owner.equals(TOKEN_PROGRAM_ID) && !info.owner.equals(TOKEN_2022_PROGRAM_ID)) {
+    throw new Error(`${mint.toBase58()} is not a token mint (owner ${info.owner.toBase58()})`);
+  }
+  const { decimals } = unpackMint(mint, info, info.owner);
+  const metadata = await fetchMetadata(connection, mint, info.owner);
+
+  const token = {
+    symbol: metadata.symbol || null,
+    name: metadata.name || null,
+    mint: mint.toBase58(),
+    decimals,
+    program: info.owner.toBase58(),
+    tags: ['resolved'],
+    uri: metadata.uri || null,
+    resolvedAt: new Date().toISOString()
+  };
+  cache[network.cluster] = { ...cache[network.cluster], [token.mint]: token };
+  saveCache(cache);
+  return token;
+}
+
+// Symbol when known, otherwise a shortened mint
+export function tokenLabel(mint, options) {
+  const token = getToken(mint, options);
+  return token?.symbol || `${mint.slice(0, 4)}…${mint.slice(-4)}`;
+}
+
+function printToken(token) {
+  console.log(`${token.symbol || '(no symbol)'}${token.name ? ` - ${token.name}` : ''}`);
+  console.log(`   Mint: ${token.mint}`);
+  console.log(`   Decimals: ${token.decimals}`);
+  console.log(`   Program: ${token.program === TOKEN_2022_PROGRAM ? 'Token-2022' : 'Token'} (${token.program})`);
+  console.log(`   Tags: ${token.tags.join(', ')}`);
+  if (token.uri) console.log(`   Metadata: ${token.uri}`);
+}
+
+// Commands, called by sat and by the CLI below with parsed options
+export function listCommand(args, { tag = null }) {
+  const network = resolveNetwork();
+  const cached = Object.values(loadCache()[network.cluster] || {});
+  const tokens = [...knownTokens(network.cluster), ...cached].filter(t => !tag || t.tags.includes(tag));
+  console.log(`🪙 Tokens (${tokens.length})`);
+  console.log('='.repeat(70));
+  tokens.forEach(t => {
+    console.log(`   ${(t.symbol || '?').padEnd(10)} ${String(t.decimals).padEnd(3)} ${t.mint.padEnd(45)} ${t.tags.join(', ')}`);
+  });
+  if (cached.length > 0) console.log(`\n   Resolved on ${network.cluster}: ${cached.length} (cache: ${toolkitPath(CACHE_FILE)})`);
+  reportResult(tokens);
+}
+
+// Unknown mints are read from the chain and cached
+export async function infoCommand([symbolOrMint], { refresh }) {
+  const network = resolveNetwork();
+  const token = await resolveToken(getConnection({ network }), symbolOrMint, { network, refresh });
+  printToken(token);
+  reportResult(token);
+}
+
+// CLI
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runScript(import.meta.url);
+}
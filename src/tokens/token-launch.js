@@ -2,241 +2,272 @@
 // One-command SPL token launches with metadata and distribution
 
 import { 
-  Connection, 
-  Keypair, 
+  Keypair,
   PublicKey, 
-  clusterApiUrl,
   SystemProgram,
   Transaction
 } from '@solana/web3.js';
 import {
   TOKEN_PROGRAM_ID,
-  createMint,
-  mintTo,
-  getOrCreateAssociatedTokenAccount,
+  ASSOCIATED_TOKEN_PROGRAM_ID,
+  MINT_SIZE,
+  getMint,
+  getMinimumBalanceForRentExemptMint,
+  getAssociatedTokenAddressSync,
+  createInitializeMint2Instruction,
+  createAssociatedTokenAccountInstruction,
+  createAssociatedTokenAccountIdempotentInstruction,
+  createMintToInstruction,
+  createTransferCheckedInstruction,
   createSetAuthorityInstruction,
   AuthorityType
 } from '@solana/spl-token';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { loadWalletKeypair } from '../wallet/wallets.js';
+import { resolveAddress } from '../wallet/address-book.js';
+import { enforcePolicy, recordSpend, transactionCost, PolicyViolation, printPolicyViolation } from '../wallet/policy.js';
+import { getConnection, resolveNetwork, explorerUrl } from '../utils/network.js';
+import { reportResult, reportSignature, reportError } from '../utils/output.js';
+import { parseAmount, formatAmount, toUiAmount, lamportsToSol, AmountError } from '../utils/amount.js';
+import { previewTransaction, terminalConfirm, PreviewRejected, printPreviewRejection } from '../utils/preview.js';
+import { sendAndConfirm, reportSendError } from '../utils/send.js';
+import { runScript } from '../cli/dispatch.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Load wallet
-const walletFile = JSON.parse(fs.readFileSync(path.join(__dirname, 'wallet.json'), 'utf-8'));
-const secretKey = new Uint8Array(walletFile.secretKey);
-const keypair = Keypair.fromSecretKey(secretKey);
-
-const NETWORK = process.env.NETWORK || 'devnet';
-const connection = new Connection(clusterApiUrl(NETWORK), 'confirmed');
-
-console.log(`🚀 Token Launch Toolkit on ${NETWORK}`);
-console.log(`Wallet: ${keypair.publicKey.toBase58()}`);
-console.log('');
-
 // Launch token with full setup
-export async function launchToken(config) {
-  console.log('🎯 Launching Token...');
-  console.log(`Name: ${config.name}`);
-  console.log(`Symbol: ${config.symbol}`);
-  console.log(`Supply: ${config.supply}`);
-  console.log(`Decimals: ${config.decimals || 9}`);
-  console.log('');
+// Mint, token account, supply and the optional authority revoke go out as one transaction,
+// so a launch either happens completely or not at all. The rent and fees count against the SOL
+// limits of the spending policy. Launch data is written to `outputDir` when given
+export async function launchToken(connection, keypair, config, { network = resolveNetwork(), outputDir = null, approval = null, confirm = null, log = console.log } = {}) {
+  const decimals = config.decimals ?? 9;
+  log('🎯 Launching Token...');
+  log(`Name: ${config.name}`);
+  log(`Symbol: ${config.symbol}`);
+  log(`Supply: ${config.supply}`);
+  log(`Decimals: ${decimals}`);
+  log('');
 
   try {
-    // Step 1: Create mint
-    console.log('Step 1/4: Creating token mint...');
-    const mint = await createMint(
-      connection,
-      keypair,
-      keypair.publicKey,
-      config.freezeAuthority ? keypair.publicKey : null,
-      config.decimals || 9
-    );
-    console.log(`✅ Mint created: ${mint.toBase58()}`);
-
-    // Step 2: Create token account
-    console.log('Step 2/4: Creating token account...');
-    const tokenAccount = await getOrCreateAssociatedTokenAccount(
-      connection,
-      keypair,
-      mint,
-      keypair.publicKey
-    );
-    console.log(`✅ Token account: ${tokenAccount.address.toBase58()}`);
-
-    // Step 3: Mint tokens
-    console.log('Step 3/4: Minting tokens...');
-    const supplyAmount = config.supply * Math.pow(10, config.decimals || 9);
-    await mintTo(
-      connection,
-      keypair,
-      mint,
-      tokenAccount.address,
-      keypair.publicKey,
-      BigInt(Math.floor(supplyAmount))
+    const rawSupply = parseAmount(config.supply, decimals, { unit: config.symbol });
+    const supply = formatAmount(rawSupply, decimals);
+    const mintKeypair = Keypair.generate();
+    const mint = mintKeypair.publicKey;
+    const tokenAccount = getAssociatedTokenAddressSync(mint, keypair.publicKey);
+
+    const transaction = new Transaction({ feePayer: keypair.publicKey }).add(
+      // Step 1: Create mint
+      SystemProgram.createAccount({
+        fromPubkey: keypair.publicKey,
+        newAccountPubkey: mint,
+        space: MINT_SIZE,
+        lamports: await getMinimumBalanceForRentExemptMint(connection),
+        programId: TOKEN_PROGRAM_ID
+      }),
+      createInitializeMint2Instruction(
+        mint,
+        decimals,
+        keypair.publicKey,
+        config.freezeAuthority ? keypair.publicKey : null
+      ),
+      // Step 2: Create token account
+      createAssociatedTokenAccountInstruction(keypair.publicKey, tokenAccount, keypair.publicKey, mint),
+      // Step 3: Mint tokens
+      createMintToInstruction(mint, tokenAccount, keypair.publicKey, rawSupply)
     );
-    console.log(`✅ Minted ${config.supply} ${config.symbol}`);
 
     // Step 4: Revoke mint authority (if requested)
     if (config.revokeMintAuthority) {
-      console.log('Step 4/4: Revoking mint authority...');
-      const transaction = new Transaction().add(
-        createSetAuthorityInstruction(
-          mint,
-          keypair.publicKey,
-          AuthorityType.MintTokens,
-          null
-        )
-      );
-      await connection.sendAndConfirmTransaction(transaction, [keypair]);
-      console.log('✅ Mint authority revoked (fixed supply)');
-    } else {
-      console.log('Step 4/4: Keeping mint authority...');
-      console.log('⚠️  You can mint more tokens later');
+      transaction.add(createSetAuthorityInstruction(mint, keypair.publicKey, AuthorityType.MintTokens, null));
     }
 
+    log(`Mint: ${mint.toBase58()}`);
+    log(`Token account: ${tokenAccount.toBase58()}`);
+    log(config.revokeMintAuthority ? 'Mint authority: revoked (fixed supply)' : '⚠️  Mint authority kept: you can mint more tokens later');
+    log('');
+
+    const ticket = enforcePolicy({
+      tool: 'token-launch',
+      wallet: keypair.publicKey.toBase58(),
+      transfers: [{ mint: 'SOL', amount: lamportsToSol(await transactionCost(connection, transaction)), recipient: null }]
+    }, { transaction, approval });
+    const preview = await previewTransaction(connection, transaction, { confirm, log });
+
+    log('🚀 Sending launch transaction...');
+    const { signature } = await sendAndConfirm(connection, transaction, [keypair, mintKeypair], {
+      journal: {
+        tool: 'token-launch',
+        intent: `Launch ${config.symbol}: create mint ${mint.toBase58()} and mint ${formatAmount(rawSupply, decimals)}`,
+        params: { name: config.name, symbol: config.symbol, mint: mint.toBase58(), supply: formatAmount(rawSupply, decimals), decimals, revokeMintAuthority: config.revokeMintAuthority || false }
+      },
+      log
+    });
+    recordSpend(ticket, signature);
+    log(`✅ Mint created and ${supply} ${config.symbol} minted`);
+
     // Save launch data
     const launchData = {
       name: config.name,
       symbol: config.symbol,
       mint: mint.toBase58(),
-      tokenAccount: tokenAccount.address.toBase58(),
-      supply: config.supply,
-      decimals: config.decimals || 9,
-      network: NETWORK,
+      tokenAccount: tokenAccount.toBase58(),
+      supply: toUiAmount(rawSupply, decimals),
+      decimals,
+      network: network.cluster,
       creator: keypair.publicKey.toBase58(),
       mintAuthorityRevoked: config.revokeMintAuthority || false,
+      signature,
       createdAt: new Date().toISOString()
     };
 
-    const outputFile = path.join(__dirname, `token-launch-${Date.now()}.json`);
-    fs.writeFileSync(outputFile, JSON.stringify(launchData, null, 2));
+    let outputFile = null;
+    if (outputDir) {
+      outputFile = path.join(outputDir, `token-launch-${Date.now()}.json`);
+      fs.writeFileSync(outputFile, JSON.stringify(launchData, null, 2));
+    }
 
-    console.log('');
-    console.log('🎉 Token Launch Complete!');
-    console.log('=' .repeat(50));
-    console.log(`Token Name: ${config.name}`);
-    console.log(`Symbol: ${config.symbol}`);
-    console.log(`Mint: ${mint.toBase58()}`);
-    console.log(`Supply: ${config.supply}`);
-    console.log(`Explorer: https://explorer.solana.com/address/${mint.toBase58()}?cluster=${NETWORK}`);
-    console.log(`Data saved: ${outputFile}`);
+    log('');
+    log('🎉 Token Launch Complete!');
+    log('=' .repeat(50));
+    log(`Token Name: ${config.name}`);
+    log(`Symbol: ${config.symbol}`);
+    log(`Mint: ${mint.toBase58()}`);
+    log(`Supply: ${supply}`);
+    log(`Explorer: ${explorerUrl('address', mint.toBase58(), network)}`);
+    if (outputFile) log(`Data saved: ${outputFile}`);
 
-    return launchData;
+    return { ...launchData, preview };
 
   } catch (error) {
-    console.error('❌ Launch failed:', error.message);
+    if (!(error instanceof PreviewRejected) && !(error instanceof PolicyViolation)) log('❌ Launch failed:', error.message);
     throw error;
   }
 }
 
-// Distribute tokens to multiple addresses
-export async function distribute(mintAddress, distributions) {
-  console.log(`📤 Distributing tokens from ${mintAddress}...`);
+// Distribute tokens to multiple addresses; each payment is previewed, confirmed and sent on its own
+export async function distribute(connection, keypair, mintAddress, distributions, { approval = null, confirm = null, log = console.log } = {}) {
+  log(`📤 Distributing tokens from ${mintAddress}...`);
   
   const mint = new PublicKey(mintAddress);
+  const { decimals } = await getMint(connection, mint);
+  const senderAccount = getAssociatedTokenAddressSync(mint, keypair.publicKey);
   const results = [];
 
-  for (const dist of distributions) {
+  // Every amount is checked against the mint's decimals before the first payment goes out
+  const amounts = distributions.map(dist => parseAmount(dist.amount, decimals));
+
+  for (const [i, dist] of distributions.entries()) {
+    const amount = toUiAmount(amounts[i], decimals);
     try {
-      const recipient = new PublicKey(dist.address);
-      const amount = dist.amount * Math.pow(10, 9); // Assuming 9 decimals
+      const recipient = resolveAddress(dist.address);
+      const recipientAccount = getAssociatedTokenAddressSync(mint, recipient);
 
-      // Get or create recipient token account
-      const recipientAccount = await getOrCreateAssociatedTokenAccount(
-        connection,
-        keypair,
-        mint,
-        recipient
+      // Create the recipient token account if needed, then transfer
+      const transaction = new Transaction({ feePayer: keypair.publicKey }).add(
+        createAssociatedTokenAccountIdempotentInstruction(keypair.publicKey, recipientAccount, recipient, mint),
+        createTransferCheckedInstruction(senderAccount, mint, recipientAccount, keypair.publicKey, amounts[i], decimals)
       );
 
-      // Get sender token account
-      const senderAccount = await getOrCreateAssociatedTokenAccount(
-        connection,
-        keypair,
-        mint,
-        keypair.publicKey
-      );
+      log('');
+      log(`➡️  ${formatAmount(amounts[i], decimals)} tokens to ${dist.address}`);
 
-      // Transfer tokens
-      const { transfer } = await import('@solana/spl-token');
-      await transfer(
-        connection,
-        keypair,
-        senderAccount.address,
-        recipientAccount.address,
-        keypair.publicKey,
-        BigInt(Math.floor(amount))
-      );
+      // Checked per recipient, before this payment is previewed and confirmed
+      const ticket = enforcePolicy({
+        tool: 'token-launch',
+        wallet: keypair.publicKey.toBase58(),
+        transfers: [{ mint: mint.toBase58(), amount, decimals, recipient: recipient.toBase58() }],
+        programs: [TOKEN_PROGRAM_ID.toBase58(), ASSOCIATED_TOKEN_PROGRAM_ID.toBase58()]
+      }, { transaction, approval });
+      const preview = await previewTransaction(connection, transaction, { confirm, log });
+
+      const { signature } = await sendAndConfirm(connection, transaction, [keypair], {
+        journal: {
+          tool: 'token-launch',
+          intent: `Distribute ${formatAmount(amounts[i], decimals)} of ${mint.toBase58()} to ${recipient.toBase58()}`,
+          params: { mint: mint.toBase58(), to: recipient.toBase58(), amount: formatAmount(amounts[i], decimals), decimals }
+        },
+        log
+      });
+      recordSpend(ticket, signature);
 
-      console.log(`✅ Sent ${dist.amount} tokens to ${dist.address.slice(0, 20)}...`);
-      results.push({ address: dist.address, amount: dist.amount, status: 'success' });
+      log(`✅ Sent ${formatAmount(amounts[i], decimals)} tokens to ${dist.address.slice(0, 20)}...`);
+      results.push({ address: dist.address, amount, status: 'success', signature, preview });
 
     } catch (error) {
-      console.error(`❌ Failed to send to ${dist.address}:`, error.message);
-      results.push({ address: dist.address, amount: dist.amount, status: 'failed', error: error.message });
+      if (error instanceof PolicyViolation) {
+        printPolicyViolation(error);
+      } else if (error instanceof PreviewRejected) {
+        log(`🛑 ${dist.address}: ${error.message}`);
+      } else {
+        log(`❌ Failed to send to ${dist.address}:`, error.message);
+      }
+      results.push({ address: dist.address, amount, status: 'failed', error: error.message });
     }
   }
 
   return results;
 }
 
-// CLI
-if (import.meta.url === `file://${process.argv[1]}`) {
-  const args = process.argv.slice(2);
-  const command = args[0];
-
-  switch (command) {
-    case 'launch':
-      if (args.length < 3) {
-        console.log('Usage: node token-launch.js launch <name> <symbol> <supply> [options]');
-        console.log('');
-        console.log('Options:');
-        console.log('  --decimals <n>      Token decimals (default: 9)');
-        console.log('  --revoke-mint       Revoke mint authority (fixed supply)');
-        console.log('  --freeze            Enable freeze authority');
-        console.log('');
-        console.log('Example:');
-        console.log('  node token-launch.js launch "My Token" "MTK" 1000000 --revoke-mint');
-        process.exit(1);
-      }
+async function launchContext(walletName) {
+  const keypair = await loadWalletKeypair(walletName);
+  const network = resolveNetwork();
+  const connection = getConnection({ network });
 
-      const config = {
-        name: args[1],
-        symbol: args[2],
-        supply: parseFloat(args[3]),
-        decimals: 9,
-        revokeMintAuthority: args.includes('--revoke-mint'),
-        freezeAuthority: args.includes('--freeze')
-      };
-
-      // Parse decimals if provided
-      const decimalsIndex = args.indexOf('--decimals');
-      if (decimalsIndex > -1 && args[decimalsIndex + 1]) {
-        config.decimals = parseInt(args[decimalsIndex + 1]);
-      }
+  console.log(`🚀 Token Launch Toolkit on ${network.cluster}`);
+  console.log(`Wallet: ${keypair.publicKey.toBase58()}`);
+  console.log('');
+  return { keypair, network, connection };
+}
+
+// Commands, called by sat and by the CLI below with parsed options
+export async function launchCommand([name, symbol, supply], { wallet, approve, yes, decimals = 9, revokeMint, freeze }) {
+  const { keypair, network, connection } = await launchContext(wallet);
+  const config = {
+    name,
+    symbol,
+    supply,
+    decimals,
+    revokeMintAuthority: revokeMint,
+    freezeAuthority: freeze
+  };
 
-      launchToken(config);
-      break;
-
-    case 'distribute':
-      console.log('Distribution feature - provide JSON file with addresses');
-      console.log('Usage: node token-launch.js distribute <mint> <distribution.json>');
-      break;
-
-    default:
-      console.log('Token Launch Toolkit');
-      console.log('');
-      console.log('Commands:');
-      console.log('  launch    Launch a new token');
-      console.log('  distribute  Distribute tokens to multiple addresses');
-      console.log('');
-      console.log('Examples:');
-      console.log('  node token-launch.js launch "My Token" "MTK" 1000000 --revoke-mint');
+  try {
+    const launched = await launchToken(connection, keypair, config, { network, outputDir: __dirname, approval: approve, confirm: terminalConfirm(yes) });
+    reportSignature(launched.signature);
+    reportResult(launched);
+  } catch (err) {
+    if (err instanceof PolicyViolation) printPolicyViolation(err);
+    if (err instanceof PreviewRejected) printPreviewRejection(err);
+    if (err instanceof AmountError) reportError(err);
+    reportSendError(err);
+    process.exit(1);
   }
 }
 
-export { launchToken, distribute };
+// distribution.json: [{ "address": "<pubkey or @label>", "amount": 1000 }, ...]
+export async function distributeCommand([mint, distributionFile], { wallet, approve, yes }) {
+  const { keypair, connection } = await launchContext(wallet);
+  const distributions = JSON.parse(fs.readFileSync(distributionFile, 'utf8'));
+  let results;
+  try {
+    results = await distribute(connection, keypair, mint, distributions, { approval: approve, confirm: terminalConfirm(yes) });
+  } catch (err) {
+    if (err instanceof AmountError) reportError(err);
+    console.log('❌ Distribution failed:', err.message);
+    process.exit(1);
+  }
+  const sent = results.filter(r => r.status === 'success').length;
+  console.log('');
+  console.log(`📊 ${sent}/${results.length} distributions sent`);
+  results.forEach(r => reportSignature(r.signature));
+  reportResult(results);
+  if (sent < results.length) process.exit(1);
+}
+
+// CLI
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runScript(import.meta.url);
+}
@@ -1,68 +1,197 @@
-import { Connection, clusterApiUrl, PublicKey, Keypair } from '@solana/web3.js';
-import { getOrCreateAssociatedTokenAccount, transfer } from '@solana/spl-token';
-import fs from 'fs';
-
-const wallet = JSON.parse(fs.readFileSync('wallet.json', 'utf8'));
-const connection = new Connection(clusterApiUrl('devnet'), 'confirmed');
-const secretKey = new Uint8Array(wallet.secretKey);
-const keypair = Keypair.fromSecretKey(secretKey);
-
-// Get parameters
-const recipientAddress = process.argv[2];
-const mintAddress = process.argv[3];
-const amount = parseFloat(process.argv[4]);
-
-if (!recipientAddress || !mintAddress || !amount) {
-  console.log('Usage: node transfer-tokens.js <recipient-address> <mint-address> <amount>');
-  process.exit(1);
-}
+// Token Transfer
+// Send SPL tokens to an address or @label, or build the transfer for offline signing
 
-console.log('💸 Transferring Tokens');
-console.log('======================');
-console.log('From:', wallet.publicKey);
-console.log('To:', recipientAddress);
-console.log('Mint:', mintAddress);
-console.log('Amount:', amount);
-console.log('');
+import { PublicKey, Transaction } from '@solana/web3.js';
+import {
+  TOKEN_PROGRAM_ID,
+  ASSOCIATED_TOKEN_PROGRAM_ID,
+  getMint,
+  getAssociatedTokenAddressSync,
+  createAssociatedTokenAccountIdempotentInstruction,
+  createTransferCheckedInstruction
+} from '@solana/spl-token';
+import { loadWalletKeypair, loadWalletPublicKey } from '../wallet/wallets.js';
+import { getNonceInfo, applyNonce } from '../wallet/nonce.js';
+import { exportTransaction } from '../wallet/offline-tx.js';
+import { resolveAddress, formatAddress, warnIfUnfamiliar, recordSend } from '../wallet/address-book.js';
+import { enforcePolicy, recordSpend, PolicyViolation, printPolicyViolation } from '../wallet/policy.js';
+import { getConnection, resolveNetwork, explorerUrl } from '../utils/network.js';
+import { reportResult, reportSignature, reportError } from '../utils/output.js';
+import { parseAmount, formatAmount, toUiAmount, isAmount, AmountError } from '../utils/amount.js';
+import { previewTransaction, terminalConfirm, PreviewRejected, printPreviewRejection } from '../utils/preview.js';
+import { sendAndConfirm, reportSendError } from '../utils/send.js';
+import { tokenLabel } from './registry.js';
+import { UsageError } from '../cli/args.js';
+import { runScript } from '../cli/dispatch.js';
 
-try {
+// Build an unsigned transfer for offline signing. The recipient's token account is
+// created idempotently inside the same transaction since nothing can be sent beforehand.
+export async function buildOfflineTokenTransfer(connection, owner, recipientAddress, mintAddress, amount, outputFile, { nonceAccount = null, log = console.log } = {}) {
   const mint = new PublicKey(mintAddress);
-  const recipient = new PublicKey(recipientAddress);
-  
-  // Get sender token account
-  const senderTokenAccount = await getOrCreateAssociatedTokenAccount(
-    connection,
-    keypair,
-    mint,
-    keypair.publicKey
-  );
-  
-  // Get or create recipient token account
-  const recipientTokenAccount = await getOrCreateAssociatedTokenAccount(
-    connection,
-    keypair,
-    mint,
-    recipient
+  const recipient = resolveAddress(recipientAddress);
+
+  const { decimals } = await getMint(connection, mint);
+  const rawAmount = parseAmount(amount, decimals);
+
+  log('📝 Building Unsigned Token Transfer');
+  log('===================================');
+  log('From:', owner.toBase58());
+  log('To:', formatAddress(recipient));
+  log('Mint:', mint.toBase58());
+  log('Amount:', formatAmount(rawAmount, decimals));
+  log('');
+  warnIfUnfamiliar(recipient);
+
+  const senderTokenAccount = getAssociatedTokenAddressSync(mint, owner);
+  const recipientTokenAccount = getAssociatedTokenAddressSync(mint, recipient);
+
+  const transaction = new Transaction({ feePayer: owner }).add(
+    createAssociatedTokenAccountIdempotentInstruction(owner, recipientTokenAccount, recipient, mint),
+    createTransferCheckedInstruction(
+      senderTokenAccount,
+      mint,
+      recipientTokenAccount,
+      owner,
+      rawAmount,
+      decimals
+    )
   );
 
-  console.log('Sender Account:', senderTokenAccount.address.toBase58());
-  console.log('Recipient Account:', recipientTokenAccount.address.toBase58());
-  
-  // Transfer tokens
-  const signature = await transfer(
-    connection,
-    keypair,
-    senderTokenAccount.address,
-    recipientTokenAccount.address,
-    keypair.publicKey,
-    amount * 10**9 // Convert to smallest unit
+  let nonceInfo = null;
+  let lastValidBlockHeight = null;
+  if (nonceAccount) {
+    nonceInfo = await getNonceInfo(connection, nonceAccount);
+    applyNonce(transaction, nonceInfo);
+  } else {
+    const latest = await connection.getLatestBlockhash('confirmed');
+    transaction.recentBlockhash = latest.blockhash;
+    lastValidBlockHeight = latest.lastValidBlockHeight;
+    log('⚠️  No --nonce given: this transaction expires in ~90 seconds');
+  }
+
+  return exportTransaction(outputFile, transaction, {
+    tool: 'transfer-tokens',
+    description: `Transfer ${formatAmount(rawAmount, decimals)} of ${mint.toBase58()} from ${owner.toBase58()} to ${recipient.toBase58()}`,
+    cluster: resolveNetwork().cluster,
+    nonceInfo,
+    lastValidBlockHeight
+  });
+}
+
+// Send `amount` tokens of `mintAddress`, creating the recipient's token account if needed;
+// the transfer is simulated and confirmed before it is signed
+export async function transferTokens(connection, keypair, recipientAddress, mintAddress, amount, { approval = null, confirm = null, log = console.log } = {}) {
+  log('💸 Transferring Tokens');
+  log('======================');
+  log('From:', keypair.publicKey.toBase58());
+
+  const mint = new PublicKey(mintAddress);
+  const { decimals } = await getMint(connection, mint);
+  const rawAmount = parseAmount(amount, decimals);
+  const recipient = resolveAddress(recipientAddress);
+  log('To:', formatAddress(recipient));
+  log('Mint:', mint.toBase58());
+  log('Amount:', formatAmount(rawAmount, decimals));
+  log('');
+  warnIfUnfamiliar(recipient);
+
+  const senderTokenAccount = getAssociatedTokenAddressSync(mint, keypair.publicKey);
+  const recipientTokenAccount = getAssociatedTokenAddressSync(mint, recipient);
+
+  // The recipient's token account is created in the same transaction, so nothing is signed before this
+  const ticket = enforcePolicy({
+    tool: 'transfer-tokens',
+    wallet: keypair.publicKey.toBase58(),
+    transfers: [{ mint: mint.toBase58(), amount: toUiAmount(rawAmount, decimals), decimals, recipient: recipient.toBase58() }],
+    programs: [TOKEN_PROGRAM_ID.toBase58(), ASSOCIATED_TOKEN_PROGRAM_ID.toBase58()]
+  }, { approval });
+
+  log('Sender Account:', senderTokenAccount.toBase58());
+  log('Recipient Account:', recipientTokenAccount.toBase58());
+
+  // Transfer tokens; checked against the mint's decimals on-chain as well
+  const transaction = new Transaction({ feePayer: keypair.publicKey }).add(
+    createAssociatedTokenAccountIdempotentInstruction(keypair.publicKey, recipientTokenAccount, recipient, mint),
+    createTransferCheckedInstruction(senderTokenAccount, mint, recipientTokenAccount, keypair.publicKey, rawAmount, decimals)
   );
+  const preview = await previewTransaction(connection, transaction, { confirm, log });
+
+  const { signature } = await sendAndConfirm(connection, transaction, [keypair], {
+    journal: {
+      tool: 'transfer-tokens',
+      intent: `Transfer ${formatAmount(rawAmount, decimals)} ${tokenLabel(mint.toBase58())} to ${recipient.toBase58()}`,
+      params: { from: keypair.publicKey.toBase58(), to: recipient.toBase58(), mint: mint.toBase58(), amount: formatAmount(rawAmount, decimals), decimals }
+    },
+    log
+  });
+
+  recordSpend(ticket, signature);
+  recordSend(recipient);
+
+  return {
+    signature,
+    from: keypair.publicKey.toBase58(),
+    to: recipient.toBase58(),
+    mint: mint.toBase58(),
+    amount: toUiAmount(rawAmount, decimals),
+    senderTokenAccount: senderTokenAccount.toBase58(),
+    recipientTokenAccount: recipientTokenAccount.toBase58(),
+    preview
+  };
+}
+
+// `sat token transfer`; the amount stays a string until the mint's decimals are known
+export async function transferCommand([recipientAddress, mintAddress, amount], { wallet, approve, yes, nonce: nonceAccount = null, build: buildFile }) {
+  if (!isAmount(amount)) throw new UsageError(`Invalid amount: ${amount}`);
+  if (nonceAccount && !buildFile) {
+    throw new UsageError('--nonce is only supported together with --build for token transfers');
+  }
+  const connection = getConnection();
+
+  if (buildFile) {
+    try {
+      const envelope = await buildOfflineTokenTransfer(connection, loadWalletPublicKey(wallet), recipientAddress, mintAddress, amount, buildFile, { nonceAccount });
+      console.log(`✅ Unsigned transaction written to ${buildFile}`);
+      console.log(`   Required signers: ${envelope.requiredSigners.join(', ')}`);
+      console.log(`   Next: node src/wallet/offline-tx.js sign ${buildFile}`);
+      reportResult({ file: buildFile, ...envelope });
+    } catch (err) {
+      if (err instanceof AmountError) reportError(err);
+      console.log('❌ Build failed:', err.message);
+      process.exit(1);
+    }
+    return;
+  }
+
+  const keypair = await loadWalletKeypair(wallet);
+
+  try {
+    const result = await transferTokens(connection, keypair, recipientAddress, mintAddress, amount, { approval: approve, confirm: terminalConfirm(yes) });
+
+    console.log('');
+    console.log('✅ Transfer complete!');
+    console.log('Signature:', result.signature);
+    console.log(`Explorer: ${explorerUrl('tx', result.signature)}`);
+    reportSignature(result.signature);
+    reportResult({ ...result, explorer: explorerUrl('tx', result.signature) });
+
+  } catch (err) {
+    if (err instanceof PolicyViolation) {
+      printPolicyViolation(err);
+      process.exit(1);
+    }
+    if (err instanceof PreviewRejected) {
+      printPreviewRejection(err);
+      process.exit(1);
+    }
+    if (err instanceof AmountError) reportError(err);
+    reportSendError(err);
+    console.log('❌ Transfer failed:', err.message);
+    process.exit(1);
+  }
+}
 
-  console.log('');
-  console.log('✅ Transfer complete!');
-  console.log('Signature:', signature);
-  console.log(`Explorer: https://explorer.solana.com/tx/${signature}?cluster=devnet`);
-  
-} catch (err) {
-  console.log('❌ Transfer failed:', err.message);
+// CLI
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runScript(import.meta.url);
 }
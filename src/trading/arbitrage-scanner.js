@@ -1,15 +1,20 @@
 import fetch from 'node-fetch';
+import { reportResult, reportWarning } from '../utils/output.js';
+import { requireToken } from '../tokens/registry.js';
+import { parseAmount, formatAmount } from '../utils/amount.js';
+import { runScript } from '../cli/dispatch.js';
 
-console.log('🔍 Solana Arbitrage Scanner');
-console.log('===========================');
-console.log('Scanning for price differences between DEXs...');
-console.log('');
+// Token pairs to scan, each round-tripping `size` whole input tokens
+function tokenPair(inputSymbol, outputSymbol, size) {
+  const input = requireToken(inputSymbol, { cluster: 'mainnet-beta' });
+  const output = requireToken(outputSymbol, { cluster: 'mainnet-beta' });
+  return { name: `${inputSymbol}/${outputSymbol}`, input: input.mint, output: output.mint, inputDecimals: input.decimals, outputDecimals: output.decimals, amount: parseAmount(size, input.decimals) };
+}
 
-// Token pairs to scan
 const PAIRS = [
-  { name: 'SOL/USDC', input: 'So11111111111111111111111111111111111111112', output: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v', amount: 1000000000 }, // 1 SOL
-  { name: 'SOL/USDT', input: 'So11111111111111111111111111111111111111112', output: 'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB', amount: 1000000000 },
-  { name: 'USDC/USDT', input: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v', output: 'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB', amount: 1000000 }, // 1 USDC
+  tokenPair('SOL', 'USDC', '1'),
+  tokenPair('SOL', 'USDT', '1'),
+  tokenPair('USDC', 'USDT', '1'),
 ];
 
 const JUPITER_API = 'https://quote-api.jup.ag/v6';
@@ -32,7 +37,8 @@ async function scanPair(pair) {
   const forward = await getQuote(pair.input, pair.output, pair.amount);
   if (!forward) {
     console.log('  ❌ No forward quote available');
-    return;
+    reportWarning(`${pair.name}: no forward quote available`);
+    return null;
   }
   
   // Get reverse quote (B → A)
@@ -40,29 +46,35 @@ async function scanPair(pair) {
   const reverse = await getQuote(pair.output, pair.input, reverseAmount);
   if (!reverse) {
     console.log('  ❌ No reverse quote available');
-    return;
+    reportWarning(`${pair.name}: no reverse quote available`);
+    return null;
   }
   
   // Calculate profit/loss
   const startAmount = pair.amount;
   const endAmount = reverse.outAmount;
-  const diff = endAmount - startAmount;
-  const percent = (diff / startAmount) * 100;
+  const diff = BigInt(endAmount) - startAmount;
+  const percent = (Number(diff) / Number(startAmount)) * 100;
+  const [from, to] = pair.name.split('/');
   
-  console.log(`  Forward:  ${startAmount} → ${forward.outAmount}`);
-  console.log(`  Reverse:  ${reverseAmount} → ${endAmount}`);
-  console.log(`  P/L:      ${diff > 0 ? '+' : ''}${diff} (${percent.toFixed(4)}%)`);
+  console.log(`  Forward:  ${formatAmount(startAmount, pair.inputDecimals)} ${from} → ${formatAmount(forward.outAmount, pair.outputDecimals)} ${to}`);
+  console.log(`  Reverse:  ${formatAmount(reverseAmount, pair.outputDecimals)} ${to} → ${formatAmount(endAmount, pair.inputDecimals)} ${from}`);
+  console.log(`  P/L:      ${diff > 0n ? '+' : ''}${formatAmount(diff, pair.inputDecimals)} ${from} (${percent.toFixed(4)}%)`);
   
   if (percent > 0.5) {
     console.log('  🚨 POTENTIAL ARBITRAGE OPPORTUNITY!');
   }
   console.log('');
+  return { pair: pair.name, startAmount: startAmount.toString(), forwardAmount: forward.outAmount, endAmount, percent, opportunity: percent > 0.5 };
 }
 
 async function main() {
+  const results = [];
   for (const pair of PAIRS) {
-    await scanPair(pair);
+    const result = await scanPair(pair);
+    if (result) results.push(result);
   }
+  reportResult(results);
   
   console.log('✅ Scan complete!');
   console.log('');
@@ -70,4 +82,15 @@ async function main() {
   console.log('      Account for fees (~0.1-0.5%) before executing.');
 }
 
-main().catch(console.error);
+export async function scanCommand() {
+  console.log('🔍 Solana Arbitrage Scanner');
+  console.log('===========================');
+  console.log('Scanning for price differences between DEXs...');
+  console.log('');
+
+  await main();
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runScript(import.meta.url);
+}
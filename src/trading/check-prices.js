@@ -1,76 +1,99 @@
-import { Connection, clusterApiUrl, PublicKey } from '@solana/web3.js';
-import fs from 'fs';
+// Price Checker
+// USDC prices of SOL, JUP and BONK from Jupiter quotes
+
+import { loadWalletPublicKey } from '../wallet/wallets.js';
+import { reportResult, reportWarning } from '../utils/output.js';
+import { requireToken } from '../tokens/registry.js';
+import { parseAmount, toUiAmount } from '../utils/amount.js';
+import { runScript } from '../cli/dispatch.js';
 
 // Jupiter API endpoints
 const JUPITER_API = 'https://quote-api.jup.ag/v6';
 
-const wallet = JSON.parse(fs.readFileSync('wallet.json', 'utf8'));
-
-console.log('💰 Solana Token Price Checker');
-console.log('==============================');
-console.log('Wallet:', wallet.publicKey);
-console.log('');
-
-// Common token mints on Solana
-const TOKENS = {
-  SOL: 'So11111111111111111111111111111111111111112',
-  USDC: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v',
-  USDT: 'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB',
-  BONK: 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263',
-  JUP: 'JUPyiwrYJFskUPiHa7hkeR8VUtAeFoSYbKedZNsDvCN',
-  RAY: '4k3Dyjzvzp8eMZWUXbBCjEvwSkkk59S5iCNLY3QrkX6R',
-  ORCA: 'orcaEKTdK7LKz57vaAYr9QeNsVEPfiu6QeMU1kektZE',
-};
-
-async function getQuote(inputMint, outputMint, amount = 1000000000) {
-  try {
-    const response = await fetch(
-      `${JUPITER_API}/quote?inputMint=${inputMint}&outputMint=${outputMint}&amount=${amount}&slippageBps=50`
-    );
-    
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-    
-    return await response.json();
-  } catch (err) {
-    console.error('Error fetching quote:', err.message);
-    return null;
+const USDC = requireToken('USDC', { cluster: 'mainnet-beta' });
+
+async function getQuote(inputMint, outputMint, amount) {
+  const response = await fetch(
+    `${JUPITER_API}/quote?inputMint=${inputMint}&outputMint=${outputMint}&amount=${amount}&slippageBps=50`
+  );
+
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
   }
+
+  return await response.json();
 }
 
-async function main() {
-  console.log('Fetching prices...\n');
-  
+// Prices in USDC; a token whose quote fails is left out and listed in `errors`
+export async function getPrices({ log = console.log } = {}) {
+  const prices = {};
+  const errors = [];
+  // Quote `size` whole tokens of `symbol` (cheap tokens in bulk, so the USDC output is not
+  // rounded away) and return the quote with the USDC price of one token
+  const quote = async (symbol, size) => {
+    const token = requireToken(symbol, { cluster: 'mainnet-beta' });
+    try {
+      const result = await getQuote(token.mint, USDC.mint, parseAmount(size, token.decimals));
+      return { quote: result, price: toUiAmount(result.outAmount, USDC.decimals) / Number(size) };
+    } catch (err) {
+      log('Error fetching quote:', err.message);
+      errors.push(`Quote ${token.mint} → ${USDC.mint} failed: ${err.message}`);
+      return null;
+    }
+  };
+
   // Get SOL price in USDC
-  const solQuote = await getQuote(TOKENS.SOL, TOKENS.USDC);
-  if (solQuote) {
-    const solPrice = solQuote.outAmount / 10**6; // USDC has 6 decimals
-    console.log(`SOL Price: $${solPrice.toFixed(2)}`);
-    console.log(`  Route: ${solQuote.routePlan?.length || 0} hops`);
-    console.log(`  Slippage: ${solQuote.slippageBps / 100}%`);
-    console.log('');
+  const sol = await quote('SOL', '1');
+  if (sol) {
+    prices.SOL = sol.price;
+    log(`SOL Price: $${sol.price.toFixed(2)}`);
+    log(`  Route: ${sol.quote.routePlan?.length || 0} hops`);
+    log(`  Slippage: ${sol.quote.slippageBps / 100}%`);
+    log('');
   }
-  
+
   // Get JUP price in USDC
-  const jupQuote = await getQuote(TOKENS.JUP, TOKENS.USDC, 1000000000); // 1 JUP
-  if (jupQuote) {
-    const jupPrice = jupQuote.outAmount / 10**6;
-    console.log(`JUP Price: $${jupPrice.toFixed(4)}`);
-    console.log('');
+  const jup = await quote('JUP', '1');
+  if (jup) {
+    prices.JUP = jup.price;
+    log(`JUP Price: $${jup.price.toFixed(4)}`);
+    log('');
   }
-  
+
   // Get BONK price (1M BONK in USDC)
-  const bonkQuote = await getQuote(TOKENS.BONK, TOKENS.USDC, 1000000000); // 1000 BONK
-  if (bonkQuote) {
-    const bonkPricePerM = (bonkQuote.outAmount / 10**6) * 1000;
-    console.log(`BONK Price: $${bonkPricePerM.toFixed(6)} per 1M tokens`);
-    console.log('');
+  const bonk = await quote('BONK', '1000000');
+  if (bonk) {
+    prices.BONK = bonk.price;
+    log(`BONK Price: $${(bonk.price * 1e6).toFixed(6)} per 1M tokens`);
+    log('');
   }
-  
-  console.log('✅ Price check complete!');
+
+  return { currency: 'USDC', prices, errors };
+}
+
+export async function pricesCommand(args, { wallet }) {
+  const walletPublicKey = loadWalletPublicKey(wallet);
+
+  console.log('💰 Solana Token Price Checker');
+  console.log('==============================');
+  console.log('Wallet:', walletPublicKey.toBase58());
   console.log('');
-  console.log('To execute a swap, use the swap script.');
+  console.log('Fetching prices...\n');
+
+  try {
+    const { currency, prices, errors } = await getPrices();
+    errors.forEach(reportWarning);
+
+    console.log('✅ Price check complete!');
+    console.log('');
+    console.log('To execute a swap, use the swap script.');
+    reportResult({ wallet: walletPublicKey.toBase58(), currency, prices });
+  } catch (err) {
+    console.error('❌ Error:', err.message);
+    process.exitCode = 1;
+  }
 }
 
-main().catch(console.error);
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runScript(import.meta.url);
+}
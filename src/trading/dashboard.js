@@ -1,72 +1,32 @@
-import { Connection, clusterApiUrl, PublicKey } from '@solana/web3.js';
+import { PublicKey } from '@solana/web3.js';
 import { getAssociatedTokenAddress, getAccount } from '@solana/spl-token';
 import fs from 'fs';
 import path from 'path';
-
-const wallet = JSON.parse(fs.readFileSync('wallet.json', 'utf8'));
-const connection = new Connection(clusterApiUrl('devnet'), 'confirmed');
-const publicKey = new PublicKey(wallet.publicKey);
+import { loadWalletPublicKey } from '../wallet/wallets.js';
+import { getConnection, resolveNetwork } from '../utils/network.js';
+import { reportResult } from '../utils/output.js';
+import { requireToken, resolveToken } from '../tokens/registry.js';
+import { toUiAmount, lamportsToSol } from '../utils/amount.js';
+import { runScript } from '../cli/dispatch.js';
 
 // Jupiter API
 const JUPITER_PRICE_API = 'https://api.jup.ag/price/v2';
 const JUPITER_QUOTE_API = 'https://quote-api.jup.ag/v6';
 
 // Fallback prices (for demo/display purposes when APIs fail)
-const FALLBACK_PRICES = {
-  'So11111111111111111111111111111111111111112': 235.50, // SOL
-  'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v': 1.00,  // USDC
-  'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB': 1.00,  // USDT
-  'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263': 0.000028, // BONK
-  'JUPyiwrYJFskUPiHa7hkeR8VUtAeFoSYbKedZNsDvCN': 0.85,   // JUP
-  '4k3Dyjzvzp8eMZWUXbBCjEvwSkkk59S5iCNLY3QrkX6R': 2.10,   // RAY
-  'orcaEKTdK7LKz57vaAYr9QeNsVEPfiu6QeMU1kektZE': 0.65,   // ORCA
-};
-
-// Token metadata with icons and names
-const TOKEN_METADATA = {
-  'So11111111111111111111111111111111111111112': { 
-    symbol: 'SOL', 
-    name: 'Solana', 
-    decimals: 9,
-    logo: '◎'
-  },
-  'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v': { 
-    symbol: 'USDC', 
-    name: 'USD Coin', 
-    decimals: 6,
-    logo: '💵'
-  },
-  'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB': { 
-    symbol: 'USDT', 
-    name: 'Tether', 
-    decimals: 6,
-    logo: '💲'
-  },
-  'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263': { 
-    symbol: 'BONK', 
-    name: 'Bonk', 
-    decimals: 5,
-    logo: '🐕'
-  },
-  'JUPyiwrYJFskUPiHa7hkeR8VUtAeFoSYbKedZNsDvCN': { 
-    symbol: 'JUP', 
-    name: 'Jupiter', 
-    decimals: 6,
-    logo: '🪐'
-  },
-  '4k3Dyjzvzp8eMZWUXbBCjEvwSkkk59S5iCNLY3QrkX6R': { 
-    symbol: 'RAY', 
-    name: 'Raydium', 
-    decimals: 6,
-    logo: '⚡'
-  },
-  'orcaEKTdK7LKz57vaAYr9QeNsVEPfiu6QeMU1kektZE': { 
-    symbol: 'ORCA', 
-    name: 'Orca', 
-    decimals: 6,
-    logo: '🐋'
-  },
-};
+const FALLBACK_PRICES = Object.fromEntries(Object.entries({
+  SOL: 235.50,
+  USDC: 1.00,
+  USDT: 1.00,
+  BONK: 0.000028,
+  JUP: 0.85,
+  RAY: 2.10,
+  ORCA: 0.65,
+}).map(([symbol, price]) => [requireToken(symbol, { cluster: 'mainnet-beta' }).mint, price]));
+
+// Display icons by symbol; names and decimals come from the token registry
+const LOGOS = { SOL: '◎', USDC: '💵', USDT: '💲', BONK: '🐕', JUP: '🪐', RAY: '⚡', ORCA: '🐋' };
+const SOL_MINT = requireToken('SOL', { cluster: 'mainnet-beta' }).mint;
 
 // Portfolio history for P&L tracking
 const HISTORY_FILE = 'portfolio-history.json';
@@ -145,7 +105,7 @@ function drawBar(percent, width = 20) {
   return '█'.repeat(filled) + '░'.repeat(empty);
 }
 
-async function getPortfolioData() {
+export async function getPortfolioData(connection, publicKey) {
   const data = {
     solBalance: 0,
     tokens: [],
@@ -155,7 +115,7 @@ async function getPortfolioData() {
 
   // Get SOL balance
   const solLamports = await connection.getBalance(publicKey);
-  data.solBalance = solLamports / 10**9;
+  data.solBalance = lamportsToSol(solLamports);
 
   // Get token accounts
   const tokenAccounts = await connection.getParsedTokenAccountsByOwner(
@@ -164,13 +124,13 @@ async function getPortfolioData() {
   );
 
   // Collect all mints for price fetching
-  const mints = ['So11111111111111111111111111111111111111112'];
+  const mints = [SOL_MINT];
   const tokenData = [];
 
   for (const { account } of tokenAccounts.value) {
     const parsedInfo = account.data.parsed.info;
     const mint = parsedInfo.mint;
-    const balance = parsedInfo.tokenAmount.uiAmount;
+    const balance = toUiAmount(parsedInfo.tokenAmount.amount, parsedInfo.tokenAmount.decimals);
     
     if (balance > 0) {
       mints.push(mint);
@@ -183,12 +143,12 @@ async function getPortfolioData() {
   data.prices = prices;
 
   // Calculate SOL value
-  const solPrice = parseFloat(prices['So11111111111111111111111111111111111111112']?.price || 0);
+  const solPrice = parseFloat(prices[SOL_MINT]?.price || 0);
   const solValue = data.solBalance * solPrice;
   data.totalValue = solValue;
 
   data.tokens.push({
-    mint: 'So11111111111111111111111111111111111111112',
+    mint: SOL_MINT,
     symbol: 'SOL',
     name: 'Solana',
     logo: '◎',
@@ -202,7 +162,9 @@ async function getPortfolioData() {
   for (const { mint, balance } of tokenData) {
     const price = parseFloat(prices[mint]?.price || 0);
     const value = balance * price;
-    const meta = TOKEN_METADATA[mint] || { symbol: 'UNKNOWN', name: 'Unknown Token', logo: '❓', decimals: 6 };
+    // Mints outside the registry are read from the chain once and cached
+    const token = await resolveToken(connection, mint).catch(() => null);
+    const meta = { symbol: token?.symbol || 'UNKNOWN', name: token?.name || 'Unknown Token', logo: LOGOS[token?.symbol] || '❓' };
     
     data.totalValue += value;
     
@@ -229,18 +191,18 @@ async function getPortfolioData() {
   return data;
 }
 
-async function generateDashboard() {
+export async function generateDashboard(connection, publicKey) {
   console.clear();
   console.log('');
   console.log('╔══════════════════════════════════════════════════════════════════╗');
   console.log('║           📊 DERIVERSE TRADING DASHBOARD v1.0                    ║');
   console.log('╠══════════════════════════════════════════════════════════════════╣');
-  console.log(`║  Wallet: ${wallet.publicKey.slice(0, 20)}...${wallet.publicKey.slice(-12)}    ║`);
-  console.log(`║  Network: Devnet                              Time: ${new Date().toLocaleTimeString()}    ║`);
+  console.log(`║  Wallet: ${publicKey.toBase58().slice(0, 20)}...${publicKey.toBase58().slice(-12)}    ║`);
+  console.log(`║  Network: ${resolveNetwork().cluster.padEnd(36)}Time: ${new Date().toLocaleTimeString()}    ║`);
   console.log('╚══════════════════════════════════════════════════════════════════╝');
   console.log('');
 
-  const portfolio = await getPortfolioData();
+  const portfolio = await getPortfolioData(connection, publicKey);
   const history = loadHistory();
 
   // Portfolio Summary
@@ -337,7 +299,7 @@ async function generateDashboard() {
 
   // Export JSON for external use
   const exportData = {
-    wallet: wallet.publicKey,
+    wallet: publicKey.toBase58(),
     timestamp: new Date().toISOString(),
     totalValue,
     pnl24h: { usd: pnl, percent: pnlPercent },
@@ -347,7 +309,13 @@ async function generateDashboard() {
   
   fs.writeFileSync('dashboard-data.json', JSON.stringify(exportData, null, 2));
   console.log('💾 Dashboard data exported to dashboard-data.json');
+  reportResult(exportData);
+}
+
+export async function dashboardCommand(args, { wallet }) {
+  await generateDashboard(getConnection(), loadWalletPublicKey(wallet));
 }
 
-// Run dashboard
-generateDashboard().catch(console.error);
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runScript(import.meta.url);
+}
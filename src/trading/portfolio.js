@@ -1,75 +1,92 @@
-import { Connection, clusterApiUrl, PublicKey } from '@solana/web3.js';
+// Portfolio Tracker
+// SOL and token balances of a wallet, plus the custom token recorded in token-mint.json
+
+import { PublicKey } from '@solana/web3.js';
 import { getAssociatedTokenAddress, getAccount } from '@solana/spl-token';
 import fs from 'fs';
+import { loadWalletPublicKey } from '../wallet/wallets.js';
+import { getConnection, resolveNetwork } from '../utils/network.js';
+import { reportResult } from '../utils/output.js';
+import { formatAmount, toUiAmount, lamportsToSol } from '../utils/amount.js';
+import { runScript } from '../cli/dispatch.js';
 
-const wallet = JSON.parse(fs.readFileSync('wallet.json', 'utf8'));
-const connection = new Connection(clusterApiUrl('devnet'), 'confirmed');
-const publicKey = new PublicKey(wallet.publicKey);
+export async function getPortfolio(connection, publicKey, { network = resolveNetwork(), log = console.log } = {}) {
+  // Get SOL balance
+  const solBalance = await connection.getBalance(publicKey);
+  const portfolio = { wallet: publicKey.toBase58(), network: network.cluster, sol: lamportsToSol(solBalance), tokens: [], customToken: null };
+  log('SOL Balance:', lamportsToSol(solBalance).toFixed(4), 'SOL');
+  log('');
 
-console.log('💼 Portfolio Tracker');
-console.log('====================');
-console.log('Wallet:', wallet.publicKey);
-console.log('Network: Devnet');
-console.log('');
+  // Get token accounts
+  log('Token Accounts:');
+  log('---------------');
 
-async function getPortfolio() {
-  try {
-    // Get SOL balance
-    const solBalance = await connection.getBalance(publicKey);
-    console.log('SOL Balance:', (solBalance / 10**9).toFixed(4), 'SOL');
-    console.log('');
-    
-    // Get token accounts
-    console.log('Token Accounts:');
-    console.log('---------------');
-    
-    const tokenAccounts = await connection.getParsedTokenAccountsByOwner(
-      publicKey,
-      { programId: new PublicKey('TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA') }
-    );
-    
-    if (tokenAccounts.value.length === 0) {
-      console.log('No token accounts found.');
-    } else {
-      for (const { account } of tokenAccounts.value) {
-        const parsedInfo = account.data.parsed.info;
-        const mint = parsedInfo.mint;
-        const balance = parsedInfo.tokenAmount.uiAmount;
-        const decimals = parsedInfo.tokenAmount.decimals;
-        
-        if (balance > 0) {
-          console.log(`Mint: ${mint}`);
-          console.log(`Balance: ${balance.toLocaleString()}`);
-          console.log(`Decimals: ${decimals}`);
-          console.log('---');
-        }
+  const tokenAccounts = await connection.getParsedTokenAccountsByOwner(
+    publicKey,
+    { programId: new PublicKey('TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA') }
+  );
+
+  if (tokenAccounts.value.length === 0) {
+    log('No token accounts found.');
+  } else {
+    for (const { account } of tokenAccounts.value) {
+      const parsedInfo = account.data.parsed.info;
+      const mint = parsedInfo.mint;
+      const { amount, decimals } = parsedInfo.tokenAmount;
+
+      if (BigInt(amount) > 0n) {
+        portfolio.tokens.push({ mint, balance: toUiAmount(amount, decimals), amount, decimals });
+        log(`Mint: ${mint}`);
+        log(`Balance: ${formatAmount(amount, decimals)}`);
+        log(`Decimals: ${decimals}`);
+        log('---');
       }
     }
-    
-    // Check for our custom mint
-    console.log('');
-    console.log('Custom Token:');
-    console.log('-------------');
+  }
+
+  // Check for our custom mint
+  log('');
+  log('Custom Token:');
+  log('-------------');
+  try {
+    const mintData = JSON.parse(fs.readFileSync('token-mint.json', 'utf8'));
+    const customMint = new PublicKey(mintData.mint);
+    const tokenAccount = await getAssociatedTokenAddress(customMint, publicKey);
+
     try {
-      const mintData = JSON.parse(fs.readFileSync('token-mint.json', 'utf8'));
-      const customMint = new PublicKey(mintData.mint);
-      const tokenAccount = await getAssociatedTokenAddress(customMint, publicKey);
-      
-      try {
-        const account = await getAccount(connection, tokenAccount);
-        console.log('Mint:', mintData.mint);
-        console.log('Balance:', Number(account.amount) / 10**mintData.decimals);
-        console.log('Created:', mintData.createdAt);
-      } catch {
-        console.log('Token account not created yet.');
-      }
+      const account = await getAccount(connection, tokenAccount);
+      portfolio.customToken = { mint: mintData.mint, balance: toUiAmount(account.amount, mintData.decimals), createdAt: mintData.createdAt };
+      log('Mint:', mintData.mint);
+      log('Balance:', formatAmount(account.amount, mintData.decimals));
+      log('Created:', mintData.createdAt);
     } catch {
-      console.log('No custom mint found. Create one with create-token-mint.js');
+      log('Token account not created yet.');
     }
-    
+  } catch {
+    log('No custom mint found. Create one with create-token-mint.js');
+  }
+  return portfolio;
+}
+
+export async function portfolioCommand(args, { wallet }) {
+  const network = resolveNetwork();
+  const connection = getConnection({ network });
+  const publicKey = loadWalletPublicKey(wallet);
+
+  console.log('💼 Portfolio Tracker');
+  console.log('====================');
+  console.log('Wallet:', publicKey.toBase58());
+  console.log('Network:', network.cluster);
+  console.log('');
+
+  try {
+    reportResult(await getPortfolio(connection, publicKey, { network }));
   } catch (err) {
-    console.error('Error:', err.message);
+    console.error('❌ Error:', err.message);
+    process.exitCode = 1;
   }
 }
 
-getPortfolio();
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runScript(import.meta.url);
+}
@@ -1,17 +1,22 @@
-import { Connection, clusterApiUrl, PublicKey, Keypair, VersionedTransaction } from '@solana/web3.js';
-import fetch from 'node-fetch';
-import fs from 'fs';
+// Jupiter Swap
+// Quote and swap SOL, USDC and USDT through the Jupiter v6 API
 
-const wallet = JSON.parse(fs.readFileSync('wallet.json', 'utf8'));
-const connection = new Connection(clusterApiUrl('devnet'), 'confirmed');
-const secretKey = new Uint8Array(wallet.secretKey);
-const keypair = Keypair.fromSecretKey(secretKey);
+import { PublicKey, VersionedTransaction } from '@solana/web3.js';
+import { loadWalletPublicKey, loadWalletKeypair } from '../wallet/wallets.js';
+import { enforcePolicy, recordSpend, programIds, PolicyViolation, printPolicyViolation } from '../wallet/policy.js';
+import { getConnection, explorerUrl } from '../utils/network.js';
+import { reportResult, reportSignature, reportError } from '../utils/output.js';
+import { mintTable, requireToken, tokenLabel } from '../tokens/registry.js';
+import { parseAmount, formatAmount, toUiAmount, AmountError } from '../utils/amount.js';
+import { previewTransaction, terminalConfirm, PreviewRejected, printPreviewRejection } from '../utils/preview.js';
+import { sendAndConfirm, reportSendError } from '../utils/send.js';
+import { runScript } from '../cli/dispatch.js';
 
 // Jupiter API
 const JUPITER_QUOTE_API = 'https://quote-api.jup.ag/v6';
 const JUPITER_SWAP_API = 'https://quote-api.jup.ag/v6';
 
-async function getQuote(inputMint, outputMint, amount, slippageBps = 50) {
+export async function getQuote(inputMint, outputMint, amount, slippageBps = 50) {
   const url = `${JUPITER_QUOTE_API}/quote?inputMint=${inputMint}&outputMint=${outputMint}&amount=${amount}&slippageBps=${slippageBps}`;
   
   try {
@@ -24,7 +29,7 @@ async function getQuote(inputMint, outputMint, amount, slippageBps = 50) {
   }
 }
 
-async function getSwapTransaction(quoteResponse, userPublicKey) {
+export async function getSwapTransaction(quoteResponse, userPublicKey) {
   try {
     const response = await fetch(`${JUPITER_SWAP_API}/swap`, {
       method: 'POST',
@@ -44,88 +49,149 @@ async function getSwapTransaction(quoteResponse, userPublicKey) {
   }
 }
 
-async function main() {
-  // Parse arguments
-  const inputToken = process.argv[2] || 'SOL';
-  const outputToken = process.argv[3] || 'USDC';
-  const amount = parseFloat(process.argv[4] || '0.1');
-  
-  console.log('🔄 Jupiter Swap');
-  console.log('===============');
-  console.log(`Swap: ${amount} ${inputToken} → ${outputToken}`);
-  console.log('Wallet:', wallet.publicKey);
-  console.log('');
-  
-  // Token mints
-  const TOKENS = {
-    SOL: 'So11111111111111111111111111111111111111112',
-    USDC: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v',
-    USDT: 'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB',
-  };
-  
+// Jupiter only routes mainnet tokens, whatever cluster the wallet is on
+const MAINNET = { cluster: 'mainnet-beta' };
+
+// Tokens the v6 route is used for
+export const TOKENS = mintTable(['SOL', 'USDC', 'USDT'], MAINNET);
+
+// Quote, build, simulate and policy-check a swap for `walletPublicKey`. Nothing is signed yet,
+// so the keypair only has to be unlocked once the preview is confirmed and the policy allows it.
+export async function prepareSwap(connection, walletPublicKey, inputToken, outputToken, amount, { approval = null, confirm = null, log = console.log } = {}) {
   const inputMint = TOKENS[inputToken.toUpperCase()];
   const outputMint = TOKENS[outputToken.toUpperCase()];
-  
+
   if (!inputMint || !outputMint) {
-    console.log('Supported tokens: SOL, USDC, USDT');
-    process.exit(1);
+    throw new Error(`Supported tokens: ${Object.keys(TOKENS).join(', ')}`);
   }
-  
+
   // Convert amount to lamports/smallest unit
-  const amountInSmallest = inputToken.toUpperCase() === 'SOL' 
-    ? amount * 10**9 
-    : amount * 10**6; // Assuming 6 decimals for tokens
-  
-  console.log('Fetching quote...');
+  const inputDecimals = requireToken(inputMint, MAINNET).decimals;
+  const outputDecimals = requireToken(outputMint, MAINNET).decimals;
+  const amountInSmallest = parseAmount(amount, inputDecimals, { unit: inputToken });
+
+  log('Fetching quote...');
   const quote = await getQuote(inputMint, outputMint, amountInSmallest);
-  
+
   if (!quote) {
-    console.log('❌ Failed to get quote');
-    process.exit(1);
+    throw new Error('Failed to get quote');
   }
-  
-  console.log('Quote received:');
-  console.log('  Input:', quote.inAmount / 10**9, inputToken);
-  console.log('  Output:', quote.outAmount / 10**6, outputToken);
-  console.log('  Price impact:', quote.priceImpactPct, '%');
-  console.log('  Route:', quote.routePlan.length, 'hops');
-  console.log('');
-  
+
+  log('Quote received:');
+  log('  Input:', formatAmount(quote.inAmount, inputDecimals), inputToken);
+  log('  Output:', formatAmount(quote.outAmount, outputDecimals), outputToken);
+  log('  Price impact:', quote.priceImpactPct, '%');
+  log('  Route:', quote.routePlan.length, 'hops');
+  log('');
+
   // Get swap transaction
-  console.log('Building swap transaction...');
-  const swapData = await getSwapTransaction(quote, keypair.publicKey);
-  
+  log('Building swap transaction...');
+  const swapData = await getSwapTransaction(quote, walletPublicKey);
+
   if (!swapData || !swapData.swapTransaction) {
-    console.log('❌ Failed to build swap transaction');
-    process.exit(1);
+    throw new Error('Failed to build swap transaction');
   }
-  
-  console.log('Transaction built!');
-  console.log('');
-  
-  // Deserialize and sign transaction
+
+  log('Transaction built!');
+  log('');
+
+  // Deserialize transaction
   const swapTransactionBuf = Buffer.from(swapData.swapTransaction, 'base64');
   const transaction = VersionedTransaction.deserialize(swapTransactionBuf);
-  
-  // Sign
-  transaction.sign([keypair]);
-  
-  // Execute
-  console.log('Executing swap...');
+
+  const ticket = enforcePolicy({
+    tool: 'swap-tokens',
+    wallet: walletPublicKey.toBase58(),
+    transfers: [{ mint: inputMint, amount: toUiAmount(quote.inAmount, inputDecimals), decimals: inputDecimals }],
+    mints: [outputMint]
+  }, { transaction, approval });
+  const preview = await previewTransaction(connection, transaction, { confirm, log });
+
+  return { quote, transaction, ticket, preview, inputMint, outputMint, inputDecimals, outputDecimals, lastValidBlockHeight: swapData.lastValidBlockHeight ?? null };
+}
+
+// After the blockhash expired: a fresh quote for the same input, taken only if it still pays at
+// least the minimum output that was confirmed and calls no program the original did not
+async function rebuildSwap(quote, transaction, inputMint, outputMint, userPublicKey) {
+  const fresh = await getQuote(inputMint, outputMint, quote.inAmount, quote.slippageBps);
+  if (!fresh) throw new Error('Failed to get a new quote');
+  if (BigInt(fresh.otherAmountThreshold) < BigInt(quote.otherAmountThreshold)) {
+    throw new Error('the new quote pays less than the minimum output that was confirmed');
+  }
+
+  const swapData = await getSwapTransaction(fresh, userPublicKey);
+  if (!swapData || !swapData.swapTransaction) throw new Error('Failed to build swap transaction');
+  const rebuilt = VersionedTransaction.deserialize(Buffer.from(swapData.swapTransaction, 'base64'));
+
+  const confirmed = new Set(programIds(transaction));
+  const unexpected = programIds(rebuilt).filter(id => !confirmed.has(id));
+  if (unexpected.length > 0) throw new Error(`the new route calls programs the confirmed one did not: ${unexpected.join(', ')}`);
+  return { transaction: rebuilt, lastValidBlockHeight: swapData.lastValidBlockHeight ?? null };
+}
+
+// Sign and send a prepared swap, resolving once it is confirmed
+export async function sendSwap(connection, keypair, { quote, transaction, ticket, inputMint, outputMint, inputDecimals, outputDecimals, lastValidBlockHeight }, { log = console.log } = {}) {
+  const inAmount = formatAmount(quote.inAmount, inputDecimals);
+  const outAmount = formatAmount(quote.outAmount, outputDecimals);
+
+  log('Executing swap...');
+  const { signature } = await sendAndConfirm(connection, transaction, [keypair], {
+    lastValidBlockHeight,
+    rebuild: () => rebuildSwap(quote, transaction, inputMint, outputMint, keypair.publicKey),
+    journal: {
+      tool: 'swap-tokens',
+      intent: `Swap ${inAmount} ${tokenLabel(inputMint, MAINNET)} for ~${outAmount} ${tokenLabel(outputMint, MAINNET)}`,
+      params: { inputMint, outputMint, inAmount, outAmount, slippageBps: quote.slippageBps ?? null }
+    },
+    onSigned: signature => {
+      log('Signature:', signature);
+      log(`Explorer: ${explorerUrl('tx', signature)}`);
+      log('Waiting for confirmation...');
+    },
+    log
+  });
+  recordSpend(ticket, signature);
+  return signature;
+}
+
+export async function swapCommand([inputToken = 'SOL', outputToken = 'USDC', amount = '0.1'], { wallet, approve, yes }) {
+  const connection = getConnection();
+  const walletPublicKey = loadWalletPublicKey(wallet);
+
+  console.log('🔄 Jupiter Swap');
+  console.log('===============');
+  console.log(`Swap: ${amount} ${inputToken} → ${outputToken}`);
+  console.log('Wallet:', walletPublicKey.toBase58());
+  console.log('');
+
+  let prepared;
   try {
-    const signature = await connection.sendTransaction(transaction);
-    console.log('✅ Swap submitted!');
-    console.log('Signature:', signature);
-    console.log(`Explorer: https://explorer.solana.com/tx/${signature}?cluster=devnet`);
-    
-    // Wait for confirmation
-    console.log('Waiting for confirmation...');
-    await connection.confirmTransaction(signature);
+    prepared = await prepareSwap(connection, walletPublicKey, inputToken, outputToken, amount, { approval: approve, confirm: terminalConfirm(yes) });
+  } catch (err) {
+    if (err instanceof PolicyViolation) printPolicyViolation(err);
+    else if (err instanceof PreviewRejected) printPreviewRejection(err);
+    else {
+      if (err instanceof AmountError) reportError(err);
+      console.log(`❌ ${err.message}`);
+    }
+    process.exit(1);
+  }
+
+  // Sign and execute
+  const keypair = await loadWalletKeypair(wallet);
+  try {
+    const signature = await sendSwap(connection, keypair, prepared);
     console.log('✅ Swap confirmed!');
-    
+    reportSignature(signature);
+    reportResult({ signature, inputMint: prepared.inputMint, outputMint: prepared.outputMint, quote: prepared.quote, preview: prepared.preview, explorer: explorerUrl('tx', signature) });
   } catch (err) {
+    reportSendError(err);
     console.log('❌ Swap failed:', err.message);
+    process.exit(1);
   }
 }
 
-main().catch(console.error);
+// CLI
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runScript(import.meta.url);
+}
@@ -1,38 +1,28 @@
-import { Connection, clusterApiUrl, PublicKey, Keypair, VersionedTransaction } from '@solana/web3.js';
-import fetch from 'node-fetch';
-import fs from 'fs';
+// Jupiter Ultra Swap
+// Swap through the Jupiter Ultra API with auto priority fees and optional durable nonces
 
-const wallet = JSON.parse(fs.readFileSync('wallet.json', 'utf8'));
-const connection = new Connection(clusterApiUrl('devnet'), 'confirmed');
-const secretKey = new Uint8Array(wallet.secretKey);
-const keypair = Keypair.fromSecretKey(secretKey);
+import { PublicKey, VersionedTransaction } from '@solana/web3.js';
+import { loadWalletPublicKey, loadWalletKeypair } from '../wallet/wallets.js';
+import { getNonceInfo, applyNonceToVersioned } from '../wallet/nonce.js';
+import { enforcePolicy, recordSpend, programIds, PolicyViolation, printPolicyViolation } from '../wallet/policy.js';
+import { getConnection, resolveNetwork, explorerUrl } from '../utils/network.js';
+import { reportResult, reportSignature, reportError } from '../utils/output.js';
+import { mintTable, decimalsTable } from '../tokens/registry.js';
+import { parseAmount, formatAmount, toUiAmount, formatSol, AmountError } from '../utils/amount.js';
+import { previewTransaction, terminalConfirm, PreviewRejected, printPreviewRejection } from '../utils/preview.js';
+import { sendAndConfirm, reportSendError } from '../utils/send.js';
+import { UsageError } from '../cli/args.js';
+import { runScript } from '../cli/dispatch.js';
 
 // Jupiter Ultra API (2025 - latest)
 const JUPITER_ULTRA_API = 'https://api.jup.ag/swap/v1';
 
-// Common token mints
-const TOKENS = {
-  SOL: 'So11111111111111111111111111111111111111112',
-  USDC: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v',
-  USDT: 'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB',
-  JUP: 'JUPyiwrYJFskUPiHa7hkeR8VUtAeFoSYbKedZNsDvCN',
-  JLP: 'JLPzqFQZv3mZ8GTYZ5v8CnhWnQpc6Lqo25tHt7tWo2D',
-  BONK: 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263',
-  PYTH: 'HZ1JovNiVvGrGNiiYvEozEVgZ58xaU3RKwX8eACQBCt3',
-};
-
-// Token decimals
-const DECIMALS = {
-  SOL: 9,
-  USDC: 6,
-  USDT: 6,
-  JUP: 6,
-  JLP: 6,
-  BONK: 5,
-  PYTH: 6,
-};
-
-async function ultraSwap(inputMint, outputMint, amount, slippageBps = 50) {
+// Tokens the Ultra tools accept by symbol
+const SYMBOLS = ['SOL', 'USDC', 'USDT', 'JUP', 'JLP', 'BONK', 'PYTH'];
+export const TOKENS = mintTable(SYMBOLS, { cluster: 'mainnet-beta' });
+export const DECIMALS = decimalsTable(SYMBOLS, { cluster: 'mainnet-beta' });
+
+export async function ultraSwap(inputMint, outputMint, amount, slippageBps = 50) {
   const url = `${JUPITER_ULTRA_API}/quote?inputMint=${inputMint}&outputMint=${outputMint}&amount=${amount}&slippageBps=${slippageBps}&onlyDirectRoutes=false`;
   
   try {
@@ -48,7 +38,7 @@ async function ultraSwap(inputMint, outputMint, amount, slippageBps = 50) {
   }
 }
 
-async function getSwapTransaction(quoteResponse, userPublicKey) {
+export async function getSwapTransaction(quoteResponse, userPublicKey) {
   try {
     const response = await fetch(`${JUPITER_ULTRA_API}/swap`, {
       method: 'POST',
@@ -72,127 +62,189 @@ async function getSwapTransaction(quoteResponse, userPublicKey) {
   }
 }
 
-function formatAmount(amount, token) {
-  const decimals = DECIMALS[token] || 6;
-  return (amount / 10**decimals).toLocaleString('en-US', { 
-    maximumFractionDigits: decimals 
-  });
-}
-
-async function main() {
-  const inputToken = (process.argv[2] || 'SOL').toUpperCase();
-  const outputToken = (process.argv[3] || 'USDC').toUpperCase();
-  const amount = parseFloat(process.argv[4] || '0.1');
-  const slippage = parseFloat(process.argv[5] || '0.5'); // 0.5% default
-  const dryRun = process.argv.includes('--dry-run');
-  
-  console.log('🚀 Jupiter Ultra Swap');
-  console.log('====================');
-  console.log(`Swap: ${amount} ${inputToken} → ${outputToken}`);
-  console.log(`Slippage: ${slippage}%`);
-  console.log(`Network: ${dryRun ? 'DRY RUN' : 'devnet'}`);
-  console.log('Wallet:', wallet.publicKey);
-  console.log('');
-  
+// Quote a swap of `amount` (UI units, string or number) between two symbols from TOKENS
+export async function getUltraQuote(inputToken, outputToken, amount, { slippage = 0.5 } = {}) {
   const inputMint = TOKENS[inputToken];
   const outputMint = TOKENS[outputToken];
-  
+
   if (!inputMint || !outputMint) {
-    console.log('❌ Supported tokens:', Object.keys(TOKENS).join(', '));
-    process.exit(1);
+    throw new Error(`Supported tokens: ${Object.keys(TOKENS).join(', ')}`);
   }
-  
-  const inputDecimals = DECIMALS[inputToken] || 6;
-  const amountInSmallest = Math.floor(amount * 10**inputDecimals);
-  
-  console.log('📊 Fetching Ultra quote...');
+
+  const amountInSmallest = parseAmount(amount, DECIMALS[inputToken], { unit: inputToken });
   const slippageBps = Math.floor(slippage * 100);
   const quote = await ultraSwap(inputMint, outputMint, amountInSmallest, slippageBps);
-  
+
   if (!quote) {
-    console.log('❌ Failed to get quote');
-    process.exit(1);
+    throw new Error('Failed to get quote');
   }
-  
-  console.log('✅ Quote received:');
-  console.log('  Input:', formatAmount(quote.inAmount, inputToken), inputToken);
-  console.log('  Output:', formatAmount(quote.outAmount, outputToken), outputToken);
-  console.log('  Price impact:', quote.priceImpactPct, '%');
-  console.log('  Route:', quote.routePlan?.length || 'direct', 'hops');
+  return { quote, inputMint, outputMint };
+}
+
+function logQuote(quote, inputToken, outputToken, log) {
+  log('✅ Quote received:');
+  log('  Input:', formatAmount(quote.inAmount, DECIMALS[inputToken]), inputToken);
+  log('  Output:', formatAmount(quote.outAmount, DECIMALS[outputToken]), outputToken);
+  log('  Price impact:', quote.priceImpactPct, '%');
+  log('  Route:', quote.routePlan?.length || 'direct', 'hops');
   if (quote.prioritizationFeeLamports) {
-    console.log('  Priority fee:', quote.prioritizationFeeLamports / 10**9, 'SOL');
+    log('  Priority fee:', formatSol(quote.prioritizationFeeLamports), 'SOL');
+  }
+  log('');
+}
+
+// Quote, build, simulate and policy-check an Ultra swap for `walletPublicKey`; with `nonceAccount`
+// the Jupiter blockhash is replaced by the durable nonce. Nothing is signed yet.
+export async function prepareUltraSwap(connection, walletPublicKey, inputToken, outputToken, amount, { slippage = 0.5, nonceAccount = null, approval = null, confirm = null, log = console.log } = {}) {
+  log('📊 Fetching Ultra quote...');
+  const { quote, inputMint, outputMint } = await getUltraQuote(inputToken, outputToken, amount, { slippage });
+  logQuote(quote, inputToken, outputToken, log);
+
+  log('⚡ Building swap transaction...');
+  const swapData = await getSwapTransaction(quote, walletPublicKey);
+
+  if (!swapData || !swapData.swapTransaction) {
+    throw new Error('Failed to build swap transaction');
+  }
+
+  log('✅ Transaction built!');
+  log('');
+
+  // Deserialize
+  const swapTransactionBuf = Buffer.from(swapData.swapTransaction, 'base64');
+  let transaction = VersionedTransaction.deserialize(swapTransactionBuf);
+
+  // Swap the Jupiter blockhash for a durable nonce so signing is not racing expiry
+  let nonceInfo = null;
+  if (nonceAccount) {
+    nonceInfo = await getNonceInfo(connection, nonceAccount);
+    transaction = await applyNonceToVersioned(connection, transaction, nonceInfo);
+    log('🔢 Using durable nonce:', nonceInfo.nonce);
+    log('');
+  }
+
+  const ticket = enforcePolicy({
+    tool: 'ultra-swap',
+    wallet: walletPublicKey.toBase58(),
+    transfers: [{ mint: inputMint, amount: toUiAmount(quote.inAmount, DECIMALS[inputToken]), decimals: DECIMALS[inputToken] }],
+    mints: [outputMint]
+  }, { transaction, approval });
+  const preview = await previewTransaction(connection, transaction, { confirm, log });
+
+  return { quote, transaction, ticket, preview, nonceInfo, inputToken, outputToken, inputMint, outputMint, lastValidBlockHeight: swapData.lastValidBlockHeight ?? null };
+}
+
+// After the blockhash expired: a fresh quote for the same input, taken only if it still pays at
+// least the minimum output that was confirmed and calls no program the original did not
+async function rebuildUltraSwap(quote, transaction, inputMint, outputMint, userPublicKey) {
+  const fresh = await ultraSwap(inputMint, outputMint, quote.inAmount, quote.slippageBps);
+  if (!fresh) throw new Error('Failed to get a new quote');
+  if (BigInt(fresh.otherAmountThreshold) < BigInt(quote.otherAmountThreshold)) {
+    throw new Error('the new quote pays less than the minimum output that was confirmed');
   }
+
+  const swapData = await getSwapTransaction(fresh, userPublicKey);
+  if (!swapData || !swapData.swapTransaction) throw new Error('Failed to build swap transaction');
+  const rebuilt = VersionedTransaction.deserialize(Buffer.from(swapData.swapTransaction, 'base64'));
+
+  const confirmed = new Set(programIds(transaction));
+  const unexpected = programIds(rebuilt).filter(id => !confirmed.has(id));
+  if (unexpected.length > 0) throw new Error(`the new route calls programs the confirmed one did not: ${unexpected.join(', ')}`);
+  return { transaction: rebuilt, lastValidBlockHeight: swapData.lastValidBlockHeight ?? null };
+}
+
+// Sign and send a prepared Ultra swap; rejects when the transaction fails on chain. Without a
+// nonce an expired swap is re-quoted; on a nonce it is not, since the nonce has moved on.
+export async function sendUltraSwap(connection, keypair, { quote, transaction, ticket, nonceInfo, inputToken, outputToken, inputMint, outputMint, lastValidBlockHeight }, { log = console.log } = {}) {
+  const inAmount = formatAmount(quote.inAmount, DECIMALS[inputToken]);
+  const outAmount = formatAmount(quote.outAmount, DECIMALS[outputToken]);
+
+  log('🔄 Executing swap...');
+  const { signature } = await sendAndConfirm(connection, transaction, [keypair], {
+    lastValidBlockHeight,
+    nonce: nonceInfo ? { nonceAccount: nonceInfo.nonceAccount, nonce: nonceInfo.nonce } : null,
+    rebuild: nonceInfo ? null : () => rebuildUltraSwap(quote, transaction, inputMint, outputMint, keypair.publicKey),
+    journal: {
+      tool: 'ultra-swap',
+      intent: `Swap ${inAmount} ${inputToken} for ~${outAmount} ${outputToken}`,
+      params: { inputMint, outputMint, inAmount, outAmount, slippageBps: quote.slippageBps ?? null, nonceAccount: nonceInfo?.nonceAccount ?? null }
+    },
+    onSigned: signature => {
+      log('Signature:', signature);
+      log(`Explorer: ${explorerUrl('tx', signature)}`);
+      log('');
+      log('⏳ Waiting for confirmation...');
+    },
+    log
+  });
+  recordSpend(ticket, signature);
+  return signature;
+}
+
+// `sat swap ultra`: slippage in percent (default: 0.5)
+export async function ultraSwapCommand([input, output, amount, slippageArg = '0.5'], { wallet, approve, yes, dryRun, nonce: nonceAccount = null }) {
+  const inputToken = input.toUpperCase();
+  const outputToken = output.toUpperCase();
+  const slippage = Number(slippageArg);
+  if (!Number.isFinite(slippage) || slippage < 0) throw new UsageError(`Invalid slippage: ${slippageArg}`);
+
+  const connection = getConnection();
+  const walletPublicKey = loadWalletPublicKey(wallet);
+
+  console.log('🚀 Jupiter Ultra Swap');
+  console.log('====================');
+  console.log(`Swap: ${amount} ${inputToken} → ${outputToken}`);
+  console.log(`Slippage: ${slippage}%`);
+  console.log(`Network: ${dryRun ? 'DRY RUN' : resolveNetwork().cluster}`);
+  console.log('Wallet:', walletPublicKey.toBase58());
   console.log('');
-  
+
   if (dryRun) {
+    console.log('📊 Fetching Ultra quote...');
+    try {
+      const { quote, inputMint, outputMint } = await getUltraQuote(inputToken, outputToken, amount, { slippage });
+      logQuote(quote, inputToken, outputToken, console.log);
+      reportResult({ dryRun: true, inputMint, outputMint, quote });
+    } catch (err) {
+      if (err instanceof AmountError) reportError(err);
+      console.log(`❌ ${err.message}`);
+      process.exit(1);
+    }
     console.log('📝 Dry run complete - no transaction sent');
-    process.exit(0);
+    return;
   }
-  
-  // Confirm swap
-  console.log('⚡ Building swap transaction...');
-  const swapData = await getSwapTransaction(quote, keypair.publicKey);
-  
-  if (!swapData || !swapData.swapTransaction) {
-    console.log('❌ Failed to build swap transaction');
+
+  let prepared;
+  try {
+    prepared = await prepareUltraSwap(connection, walletPublicKey, inputToken, outputToken, amount, { slippage, nonceAccount, approval: approve, confirm: terminalConfirm(yes) });
+  } catch (err) {
+    if (err instanceof PolicyViolation) printPolicyViolation(err);
+    else if (err instanceof PreviewRejected) printPreviewRejection(err);
+    else {
+      if (err instanceof AmountError) reportError(err);
+      console.log(`❌ ${err.message}`);
+    }
     process.exit(1);
   }
-  
-  console.log('✅ Transaction built!');
-  console.log('');
-  
-  // Deserialize and sign
-  const swapTransactionBuf = Buffer.from(swapData.swapTransaction, 'base64');
-  const transaction = VersionedTransaction.deserialize(swapTransactionBuf);
-  transaction.sign([keypair]);
-  
-  // Execute
-  console.log('🔄 Executing swap...');
+
+  const keypair = await loadWalletKeypair(wallet);
+
   try {
-    const signature = await connection.sendTransaction(transaction, {
-      maxRetries: 3,
-      skipPreflight: false,
-    });
-    
-    console.log('✅ Swap submitted!');
-    console.log('Signature:', signature);
-    console.log(`Explorer: https://explorer.solana.com/tx/${signature}?cluster=devnet`);
-    console.log('');
-    
-    // Wait for confirmation
-    console.log('⏳ Waiting for confirmation...');
-    const confirmation = await connection.confirmTransaction(signature, 'confirmed');
-    
-    if (confirmation.value.err) {
-      console.log('❌ Transaction failed:', confirmation.value.err);
-    } else {
-      console.log('✅ Swap confirmed successfully!');
-    }
-    
+    const signature = await sendUltraSwap(connection, keypair, prepared);
+    console.log('✅ Swap confirmed successfully!');
+    reportSignature(signature);
+    reportResult({ signature, inputMint: prepared.inputMint, outputMint: prepared.outputMint, quote: prepared.quote, preview: prepared.preview, explorer: explorerUrl('tx', signature) });
   } catch (err) {
+    reportSendError(err);
     console.log('❌ Swap failed:', err.message);
     if (err.message.includes('insufficient funds')) {
       console.log('💡 Tip: Get devnet SOL from https://faucet.solana.com/');
     }
+    process.exit(1);
   }
 }
 
-// Show help
-if (process.argv.includes('--help') || process.argv.includes('-h')) {
-  console.log('Jupiter Ultra Swap Tool');
-  console.log('=======================');
-  console.log('Usage: node ultra-swap.js <input> <output> <amount> [slippage] [--dry-run]');
-  console.log('');
-  console.log('Examples:');
-  console.log('  node ultra-swap.js SOL USDC 0.5       # Swap 0.5 SOL for USDC');
-  console.log('  node ultra-swap.js USDC SOL 100 1     # Swap 100 USDC for SOL with 1% slippage');
-  console.log('  node ultra-swap.js SOL JUP 1 --dry-run # Preview swap without executing');
-  console.log('');
-  console.log('Supported tokens:', Object.keys(TOKENS).join(', '));
-  process.exit(0);
+// CLI
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runScript(import.meta.url);
 }
-
-main().catch(err => {
-  console.error('Fatal error:', err);
-  process.exit(1);
-});
\ No newline at end of file
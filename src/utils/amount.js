@@ -0,0 +1,118 @@
+// Token Amounts
+// Exact conversion between UI amounts ("1.5") and base units (1500000000n). Amounts are parsed
+// as decimal strings into BigInt, never through floating point, using the mint's own decimals
+
+import { ERROR_CODES } from './output.js';
+
+export const SOL_DECIMALS = 9;
+
+// SPL token and lamport amounts are u64 on-chain
+export const MAX_BASE_UNITS = 2n ** 64n - 1n;
+
+const DECIMAL_PATTERN = /^(\d*)(?:\.(\d*))?$/;
+
+export class AmountError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AmountError';
+    this.code = ERROR_CODES.USAGE;
+  }
+}
+
+// Plain decimal digits for a JS number: 1e-7 → "0.0000001", 1.5e21 → "1500000000000000000000".
+// String(number) is the shortest round-trip form, so 0.1 stays "0.1"
+function numberToDecimal(value) {
+  const [mantissa, exponentPart] = String(value).split('e');
+  if (exponentPart === undefined) return mantissa;
+
+  const exponent = Number(exponentPart);
+  const [whole, fraction = ''] = mantissa.split('.');
+  const digits = whole + fraction;
+  const point = whole.length + exponent;
+  if (point <= 0) return `0.${'0'.repeat(-point)}${digits}`;
+  if (point >= digits.length) return digits + '0'.repeat(point - digits.length);
+  return `${digits.slice(0, point)}.${digits.slice(point)}`;
+}
+
+// Whole and fraction digits of a UI amount, fraction without trailing zeros
+function splitDecimal(value, label) {
+  let text;
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) throw new AmountError(`Invalid amount: ${value}`);
+    text = numberToDecimal(value);
+  } else if (typeof value === 'string') {
+    text = value.trim();
+  } else if (typeof value === 'bigint') {
+    throw new AmountError('Amounts are UI amounts: pass a string or number, not base units');
+  } else {
+    throw new AmountError(`Invalid amount: ${value}`);
+  }
+
+  const match = DECIMAL_PATTERN.exec(text);
+  if (!match || (match[1] === '' && !match[2])) {
+    throw new AmountError(`Invalid amount: ${label} (expected a non-negative decimal like 1.5)`);
+  }
+  return { whole: match[1] || '0', fraction: (match[2] || '').replace(/0+$/, '') };
+}
+
+/**
+ * UI amount (string or number) → base units as BigInt, exactly.
+ * Throws AmountError for anything that is not a plain non-negative decimal, for more
+ * fraction digits than `decimals` allows, and for results outside u64.
+ *   allowZero  accept 0 (default: amounts to send must be positive)
+ *   unit       name used in error messages ("SOL", a token symbol, ...)
+ */
+export function parseAmount(value, decimals, { allowZero = false, unit = null } = {}) {
+  if (!Number.isInteger(decimals) || decimals < 0) throw new Error(`Invalid decimals: ${decimals}`);
+  const label = `${value}${unit ? ` ${unit}` : ''}`;
+  const { whole, fraction } = splitDecimal(value, label);
+
+  if (fraction.length > decimals) {
+    throw new AmountError(`${label} has more precision than the ${decimals} decimal${decimals === 1 ? '' : 's'} supported${unit ? ` by ${unit}` : ''}`);
+  }
+
+  const raw = BigInt(whole + fraction.padEnd(decimals, '0'));
+  if (raw === 0n && !allowZero) throw new AmountError(`Amount must be greater than zero: ${label}`);
+  if (raw > MAX_BASE_UNITS) throw new AmountError(`Amount too large: ${label}`);
+  return raw;
+}
+
+// Base units (BigInt, integer number or digit string) → exact UI string, trailing zeros trimmed
+export function formatAmount(raw, decimals) {
+  let units = BigInt(raw);
+  const negative = units < 0n;
+  if (negative) units = -units;
+
+  const digits = units.toString().padStart(decimals + 1, '0');
+  const whole = digits.slice(0, digits.length - decimals);
+  const fraction = digits.slice(digits.length - decimals).replace(/0+$/, '');
+  return `${negative ? '-' : ''}${whole}${fraction ? `.${fraction}` : ''}`;
+}
+
+// Base units → JS number for display and JSON results; exact up to 2^53 base units
+export function toUiAmount(raw, decimals) {
+  return Number(formatAmount(raw, decimals));
+}
+
+export const parseSol = (value, options = {}) => parseAmount(value, SOL_DECIMALS, { unit: 'SOL', ...options });
+export const formatSol = lamports => formatAmount(lamports, SOL_DECIMALS);
+export const lamportsToSol = lamports => toUiAmount(lamports, SOL_DECIMALS);
+
+// Base units against a UI amount of any precision (a threshold, not something to send): -1, 0 or 1
+export function compareAmount(raw, decimals, value) {
+  const { whole, fraction } = splitDecimal(value, value);
+  const scale = Math.max(decimals, fraction.length);
+  const left = BigInt(raw) * 10n ** BigInt(scale - decimals);
+  const right = BigInt(whole + fraction.padEnd(scale, '0'));
+  return left < right ? -1 : left > right ? 1 : 0;
+}
+
+// Decimal syntax check for CLI arguments read before the mint's decimals are known
+export function isAmount(value, { allowZero = false } = {}) {
+  try {
+    const { whole, fraction } = splitDecimal(value, value);
+    return allowZero || /[1-9]/.test(whole + fraction);
+  } catch {
+    return false;
+  }
+}
@@ -8,6 +8,8 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { reportResult } from './output.js';
+import { runScript } from '../cli/dispatch.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -218,6 +220,7 @@ function showClosingSoon(data) {
   if (closingSoon.length > 0) {
     showBounties(closingSoon, '⏰ CLOSING SOON');
   }
+  return closingSoon;
 }
 
 function showWinnings(data) {
@@ -241,6 +244,7 @@ function showWinnings(data) {
     console.log('\n   No winnings yet. Keep building! 🚀');
   }
   console.log();
+  return { won, totalWon };
 }
 
 function showRecommendations(data) {
@@ -284,25 +288,7 @@ function showRecommendations(data) {
 }
 
 // Command handlers
-function addBounty(data, args) {
-  // Parse args: --title "X" --sponsor "Y" --prize 1000 --deadline 2026-02-15 --url "Z"
-  const getArg = (flag) => {
-    const idx = args.indexOf(flag);
-    return idx !== -1 ? args[idx + 1] : null;
-  };
-  
-  const title = getArg('--title');
-  const sponsor = getArg('--sponsor') || 'Unknown';
-  const prize = parseInt(getArg('--prize')) || 0;
-  const deadline = getArg('--deadline') || 'rolling';
-  const url = getArg('--url') || '';
-  const category = getArg('--category') || 'Development';
-  
-  if (!title) {
-    console.log('❌ Error: --title is required');
-    return;
-  }
-  
+function addBounty(data, { title, sponsor = 'Unknown', prize = 0, deadline = 'rolling', url = '', category = 'Development' }) {
   const newBounty = {
     id: `manual-${Date.now()}`,
     title,
@@ -328,24 +314,16 @@ function addBounty(data, args) {
   console.log(`✅ Added bounty: ${title}`);
   console.log(`   Prize: ${formatMoney(prize, 'USDC')}`);
   console.log(`   Deadline: ${deadline}`);
+  return newBounty;
 }
 
-function updateStatus(data, args) {
-  const id = args[0];
-  const newStatus = args[1];
-  
-  if (!id || !newStatus) {
-    console.log('❌ Usage: update <id> <status>');
-    console.log('   Status options: watching, applied, submitted, pending-review, won, lost');
-    return;
-  }
-  
+function updateStatus(data, [id, newStatus]) {
   const allBounties = [...data.superteam, ...data.other, ...(data.manual || [])];
   const bounty = allBounties.find(b => b.id === id);
   
   if (!bounty) {
     console.log(`❌ Bounty not found: ${id}`);
-    return;
+    return null;
   }
   
   bounty.status = newStatus;
@@ -360,78 +338,61 @@ function updateStatus(data, args) {
   
   saveData(data);
   console.log(`✅ Updated ${bounty.title} to ${newStatus}`);
+  return bounty;
 }
 
-// Main function
-function main() {
-  const args = process.argv.slice(2);
-  const command = args[0];
-  
+const allBounties = data => [...data.superteam, ...data.other, ...(data.manual || [])];
+
+// Commands, called by sat and by the CLI below with parsed options
+export function dashboardCommand() {
   const data = loadData();
-  
-  switch (command) {
-    case 'add':
-      addBounty(data, args.slice(1));
-      break;
-    case 'update':
-      updateStatus(data, args.slice(1));
-      break;
-    case 'stats':
-      showHeader();
-      showStats(data);
-      break;
-    case 'closing':
-      showHeader();
-      showClosingSoon(data);
-      break;
-    case 'won':
-      showWinnings(data);
-      break;
-    case 'list':
-      showHeader();
-      showBounties(data.superteam, 'SUPERTEAM EARN BOUNTIES');
-      showBounties(data.other, 'OTHER OPPORTUNITIES');
-      if (data.manual) {
-        showBounties(data.manual, 'MANUALLY TRACKED');
-      }
-      break;
-    default:
-      showHeader();
-      showStats(data);
-      showClosingSoon(data);
-      showBounties(data.superteam.filter(b => b.status !== 'expired'), 'SUPERTEAM EARN BOUNTIES');
-      showBounties(data.other.filter(b => b.status !== 'expired'), 'OTHER OPPORTUNITIES');
-      showRecommendations(data);
+  showHeader();
+  showStats(data);
+  showClosingSoon(data);
+  showBounties(data.superteam.filter(b => b.status !== 'expired'), 'SUPERTEAM EARN BOUNTIES');
+  showBounties(data.other.filter(b => b.status !== 'expired'), 'OTHER OPPORTUNITIES');
+  showRecommendations(data);
+  reportResult({ bounties: allBounties(data) });
+}
+
+export function listCommand() {
+  const data = loadData();
+  showHeader();
+  showBounties(data.superteam, 'SUPERTEAM EARN BOUNTIES');
+  showBounties(data.other, 'OTHER OPPORTUNITIES');
+  if (data.manual) {
+    showBounties(data.manual, 'MANUALLY TRACKED');
   }
+  reportResult({ bounties: allBounties(data) });
+}
+
+export function statsCommand() {
+  const data = loadData();
+  showHeader();
+  showStats(data);
+  reportResult({ bounties: allBounties(data) });
+}
+
+export function closingCommand() {
+  showHeader();
+  reportResult({ bounties: showClosingSoon(loadData()) });
 }
 
-// Help
-if (process.argv.includes('--help') || process.argv.includes('-h')) {
-  console.log(`
-Usage: node bounty-tracker.js [command] [options]
+export function wonCommand() {
+  reportResult(showWinnings(loadData()));
+}
 
-Commands:
-  (none)              Show full dashboard
-  list                List all bounties
-  stats               Show statistics only
-  closing             Show bounties closing soon
-  won                 Show winnings summary
-  add [options]       Add a new bounty
-    --title "X"       Bounty title (required)
-    --sponsor "Y"     Sponsor name
-    --prize 1000      Prize amount in USDC
-    --deadline DATE   Deadline (YYYY-MM-DD or 'rolling')
-    --url "Z"         Bounty URL
-    --category "Cat"  Category (default: Development)
-  update <id> <status> Update bounty status
+export function addCommand(args, options) {
+  reportResult(addBounty(loadData(), options));
+}
 
-Examples:
-  node bounty-tracker.js
-  node bounty-tracker.js list
-  node bounty-tracker.js add --title "New Bounty" --sponsor "Acme" --prize 500 --deadline 2026-02-15
-  node bounty-tracker.js update st-001 applied
-`);
-  process.exit(0);
+// Status: watching, applied, submitted, pending-review, won or lost
+export function updateCommand(args) {
+  const bounty = updateStatus(loadData(), args);
+  if (!bounty) process.exitCode = 1;
+  else reportResult(bounty);
 }
 
-main();
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runScript(import.meta.url);
+}
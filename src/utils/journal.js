@@ -0,0 +1,246 @@
+// Transaction Journal
+// Append-only record of every transaction the toolkit signs (journal.jsonl in the toolkit home),
+// a reconciler that follows each one on-chain to its final status and fee, and queries / CSV export
+
+import fs from 'fs';
+import { toolkitPath } from './toolkit-home.js';
+import { getConnection, connectionCluster } from './network.js';
+import { reportResult } from './output.js';
+import { formatSol } from './amount.js';
+import { UsageError } from '../cli/args.js';
+import { runScript } from '../cli/dispatch.js';
+
+const JOURNAL_FILE = 'journal.jsonl';
+
+export const JOURNAL_STATUSES = ['submitted', 'confirmed', 'finalized', 'failed', 'expired'];
+
+// Still worth asking the chain about; the others are final
+const OPEN_STATUSES = new Set(['submitted', 'confirmed']);
+
+// A blockhash is valid for ~150 blocks (about a minute); a submitted transaction that the
+// cluster still does not know after this long was dropped
+const EXPIRY_MS = 5 * 60 * 1000;
+
+// getSignatureStatuses accepts at most 256 signatures per request
+const STATUS_BATCH = 256;
+
+const CSV_COLUMNS = ['timestamp', 'tool', 'intent', 'signature', 'cluster', 'status', 'fee', 'slot', 'error', 'params'];
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// One JSON object per line. Lines are only ever appended: status changes are separate
+// `status` lines that readJournal folds into the transaction they refer to.
+function appendLine(record) {
+  const line = JSON.stringify(record, (key, value) => (typeof value === 'bigint' ? value.toString() : value));
+  fs.appendFileSync(toolkitPath(JOURNAL_FILE), line + '\n', { mode: 0o600 });
+}
+
+function readLines() {
+  let text;
+  try {
+    text = fs.readFileSync(toolkitPath(JOURNAL_FILE), 'utf8');
+  } catch {
+    return [];
+  }
+  // A line cut short by a crash mid-append is skipped rather than failing every query
+  return text.split('\n').filter(Boolean).flatMap(line => {
+    try {
+      return [JSON.parse(line)];
+    } catch {
+      return [];
+    }
+  });
+}
+
+/**
+ * Append a signed transaction to the journal. Called by the sender (send.js) once a transaction
+ * is accepted, and directly by tools that send some other way (the Umi-based NFT tools):
+ *   tool      the tool that signed ('transfer', 'ultra-swap', ...)
+ *   intent    one line saying what the transaction does
+ *   params    the tool's parameters (amounts as UI strings, addresses as base58)
+ *   status    'submitted' when only sent, 'confirmed' when the tool waited for confirmation
+ * The cluster is taken from `connection` unless given (tools that send through Umi pass null
+ * and the cluster); the fee is filled in by the reconciler.
+ */
+export function journalTransaction(connection, { tool, intent, params = {}, signature, status = 'confirmed', cluster = null }) {
+  const entry = {
+    type: 'transaction',
+    timestamp: new Date().toISOString(),
+    tool,
+    intent,
+    params,
+    signature: String(signature),
+    cluster: cluster || connectionCluster(connection),
+    status,
+    fee: null
+  };
+  try {
+    appendLine(entry);
+  } catch (err) {
+    // The transaction went out either way; a journal write error must not turn it into a failure
+    console.error(`⚠️  Could not write to the transaction journal: ${err.message}`);
+  }
+  return entry;
+}
+
+// Append a status change for a journaled transaction (e.g. { status: 'failed', error })
+export function journalStatus(signature, update) {
+  try {
+    appendLine({ type: 'status', timestamp: new Date().toISOString(), signature: String(signature), ...update });
+  } catch (err) {
+    console.error(`⚠️  Could not write to the transaction journal: ${err.message}`);
+  }
+}
+
+// Since/until filters: ISO dates or times, or a duration back from now (30m, 12h, 7d).
+// A plain date as `until` includes that whole day.
+export function parseJournalTime(value, { endOfDay = false } = {}) {
+  const relative = /^(\d+)([mhd])$/.exec(value);
+  if (relative) {
+    const unit = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 }[relative[2]];
+    return new Date(Date.now() - Number(relative[1]) * unit);
+  }
+  const time = new Date(endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T23:59:59.999Z` : value);
+  if (Number.isNaN(time.getTime())) throw new Error(`Invalid date: ${value} (use 2024-05-01, an ISO time, or 30m / 12h / 7d)`);
+  return time;
+}
+
+/**
+ * Journal entries with their latest status, oldest first. Filters:
+ *   tool, status, cluster   exact match
+ *   since, until            Date or anything parseJournalTime accepts, on the entry's timestamp
+ */
+export function readJournal({ tool = null, status = null, cluster = null, since = null, until = null } = {}) {
+  const from = since ? (since instanceof Date ? since : parseJournalTime(since)) : null;
+  const to = until ? (until instanceof Date ? until : parseJournalTime(until, { endOfDay: true })) : null;
+
+  const entries = new Map();
+  for (const record of readLines()) {
+    if (record.type === 'transaction') {
+      entries.set(record.signature, { ...record });
+    } else if (record.type === 'status' && entries.has(record.signature)) {
+      const { type, signature, timestamp, ...update } = record;
+      Object.assign(entries.get(signature), update, { updatedAt: timestamp });
+    }
+  }
+
+  return [...entries.values()]
+    .map(({ type, ...entry }) => entry)
+    .filter(e => !tool || e.tool === tool)
+    .filter(e => !status || e.status === status)
+    .filter(e => !cluster || e.cluster === cluster)
+    .filter(e => !from || new Date(e.timestamp) >= from)
+    .filter(e => !to || new Date(e.timestamp) <= to);
+}
+
+// Status and fee of confirmed-or-better transactions; fee is null when the RPC no longer has it
+async function settledDetails(connection, signature) {
+  const tx = await connection.getTransaction(signature, { commitment: 'confirmed', maxSupportedTransactionVersion: 0 });
+  return { fee: tx?.meta?.fee ?? null, slot: tx?.slot ?? null };
+}
+
+/**
+ * Ask the chain about every open (submitted or confirmed) entry for the connection's cluster
+ * and append what changed: finalized or failed (with the fee paid), or expired when a submitted
+ * transaction was never seen. Returns the updates.
+ */
+export async function reconcileJournal(connection, { log = console.log, now = Date.now() } = {}) {
+  const cluster = connectionCluster(connection);
+  const open = readJournal({ cluster }).filter(e => OPEN_STATUSES.has(e.status));
+  const updates = [];
+
+  for (let i = 0; i < open.length; i += STATUS_BATCH) {
+    const batch = open.slice(i, i + STATUS_BATCH);
+    const { value } = await connection.getSignatureStatuses(batch.map(e => e.signature), { searchTransactionHistory: true });
+
+    for (const [j, entry] of batch.entries()) {
+      const chain = value[j];
+      let update = null;
+
+      if (!chain) {
+        if (entry.status === 'submitted' && now - new Date(entry.timestamp).getTime() > EXPIRY_MS) {
+          update = { status: 'expired', error: 'Not found on-chain: the transaction was dropped before it landed' };
+        }
+      } else if (chain.err) {
+        update = { status: 'failed', error: JSON.stringify(chain.err), ...await settledDetails(connection, entry.signature) };
+      } else if (chain.confirmationStatus === 'finalized') {
+        update = { status: 'finalized', ...await settledDetails(connection, entry.signature) };
+      } else if (chain.confirmationStatus === 'confirmed' && entry.status === 'submitted') {
+        update = { status: 'confirmed', slot: chain.slot };
+      }
+
+      if (!update) continue;
+      journalStatus(entry.signature, update);
+      updates.push({ signature: entry.signature, tool: entry.tool, from: entry.status, ...update });
+      log(`   ${entry.signature.slice(0, 16)}… ${entry.tool}: ${entry.status} → ${update.status}${update.fee != null ? ` (fee ${formatSol(update.fee)} SOL)` : ''}`);
+    }
+  }
+  return { cluster, checked: open.length, updates };
+}
+
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Entries as CSV with a header row; fee in lamports, params as JSON
+export function journalToCsv(entries) {
+  const rows = entries.map(entry => CSV_COLUMNS.map(column => csvField(entry[column])).join(','));
+  return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+}
+
+function printEntry(entry) {
+  const fee = entry.fee != null ? `  fee ${formatSol(entry.fee)} SOL` : '';
+  console.log(`${entry.timestamp.replace('T', ' ').slice(0, 19)}  ${entry.status.padEnd(9)}  ${entry.tool.padEnd(15)} ${entry.cluster}${fee}`);
+  console.log(`   ${entry.intent}`);
+  console.log(`   ${entry.signature}`);
+  if (entry.error) console.log(`   Error: ${entry.error}`);
+}
+
+function journalFilters({ tool = null, status = null, cluster = null, since = null, until = null }) {
+  if (status && !JOURNAL_STATUSES.includes(status)) {
+    throw new UsageError(`Unknown status "${status}" (use ${JOURNAL_STATUSES.join(', ')})`);
+  }
+  return { tool, status, cluster, since, until };
+}
+
+// Commands, called by sat and by the CLI below with parsed options.
+// --since / --until take 2024-05-01, an ISO time, or 30m / 12h / 7d ago.
+export function listCommand(args, { limit = 20, ...options }) {
+  const entries = readJournal(journalFilters(options));
+  const shown = entries.slice(-limit).reverse();
+  console.log(`📒 Transaction Journal (${shown.length} of ${entries.length})`);
+  console.log('='.repeat(70));
+  shown.forEach(printEntry);
+  if (entries.length === 0) console.log('   No matching transactions');
+  reportResult(shown);
+}
+
+export function exportCommand([file], options) {
+  const entries = readJournal(journalFilters(options));
+  fs.writeFileSync(file, journalToCsv(entries));
+  console.log(`✅ Exported ${entries.length} transaction(s) to ${file}`);
+  reportResult({ file, count: entries.length });
+}
+
+export async function reconcileCommand(args, { watch = null }) {
+  if (watch !== null && !(watch > 0)) {
+    throw new UsageError('--watch needs a positive number of seconds');
+  }
+  const connection = getConnection();
+  for (;;) {
+    console.log(`🔄 Reconciling journal on ${connectionCluster(connection)}...`);
+    const result = await reconcileJournal(connection);
+    console.log(`✅ Checked ${result.checked} open transaction(s), ${result.updates.length} updated`);
+    reportResult(result);
+    if (!watch) break;
+    console.log(`\n⏱️  Next check in ${watch} seconds (Ctrl+C to stop)`);
+    await sleep(watch * 1000);
+  }
+}
+
+// CLI
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runScript(import.meta.url);
+}
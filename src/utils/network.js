@@ -0,0 +1,226 @@
+// Network Configuration
+// Cluster and RPC/WebSocket selection shared by every tool, plus cluster-aware explorer links
+
+import fs from 'fs';
+import { toolkitPath } from './toolkit-home.js';
+import { createRpcPool, createPooledConnection, endpointLabel } from './rpc-pool.js';
+import { reportResult } from './output.js';
+import { UsageError } from '../cli/args.js';
+import { runScript } from '../cli/dispatch.js';
+
+const NETWORK_FILE = 'network.json';
+
+export const CLUSTERS = {
+  devnet: 'https://api.devnet.solana.com',
+  testnet: 'https://api.testnet.solana.com',
+  'mainnet-beta': 'https://api.mainnet-beta.solana.com',
+  localnet: 'http://127.0.0.1:8899'
+};
+
+const ALIASES = { mainnet: 'mainnet-beta', local: 'localnet', localhost: 'localnet' };
+
+// Request budget for the free public endpoints (documented as 100 requests per 10 seconds per IP)
+const PUBLIC_RPS = 10;
+
+export function normalizeCluster(name) {
+  const cluster = ALIASES[name] || name;
+  if (!CLUSTERS[cluster] && cluster !== 'custom') {
+    throw new Error(`Unknown network "${name}" (use ${Object.keys(CLUSTERS).join(', ')} or a custom RPC URL)`);
+  }
+  return cluster;
+}
+
+// Best guess at the cluster behind a custom RPC URL, used for explorer links and labels
+function clusterFromUrl(rpcUrl) {
+  const known = Object.entries(CLUSTERS).find(([, url]) => url === rpcUrl);
+  if (known) return known[0];
+  if (/^https?:\/\/(localhost|127\.0\.0\.1|0\.0\.0\.0)(:\d+)?/.test(rpcUrl)) return 'localnet';
+  if (/devnet/i.test(rpcUrl)) return 'devnet';
+  if (/testnet/i.test(rpcUrl)) return 'testnet';
+  if (/mainnet/i.test(rpcUrl)) return 'mainnet-beta';
+  return 'custom';
+}
+
+export function loadNetworkConfig() {
+  try {
+    return JSON.parse(fs.readFileSync(toolkitPath(NETWORK_FILE), 'utf8'));
+  } catch {
+    return {};
+  }
+}
+
+export function saveNetworkConfig(config) {
+  if (config.network) config.network = normalizeCluster(config.network);
+  fs.writeFileSync(toolkitPath(NETWORK_FILE), JSON.stringify(config, null, 2));
+}
+
+// Selection order for each setting: environment (NETWORK, SOLANA_RPC_URL, SOLANA_WS_URL),
+// then network.json in the toolkit home, then the tool's own default cluster.
+// SOLANA_RPC_URL may list several comma-separated URLs; network.json adds `fallbacks`
+// after `rpcUrl` and per-URL request budgets in `limits` ({ url: requestsPerSecond }).
+export function resolveNetwork({ defaultCluster = 'devnet' } = {}) {
+  let config = loadNetworkConfig();
+  // NETWORK in the environment picks another cluster, so the saved endpoints no longer apply
+  if (process.env.NETWORK && config.network && normalizeCluster(process.env.NETWORK) !== config.network) config = {};
+  const envUrls = (process.env.SOLANA_RPC_URL || '').split(',').map(u => u.trim()).filter(Boolean);
+  const urls = envUrls.length > 0 ? envUrls : config.rpcUrl ? [config.rpcUrl, ...(config.fallbacks || [])] : [];
+  const rpcOverride = urls[0] || null;
+  const named = process.env.NETWORK || config.network || null;
+
+  const cluster = named ? normalizeCluster(named) : rpcOverride ? clusterFromUrl(rpcOverride) : normalizeCluster(defaultCluster);
+  if (cluster === 'custom' && !rpcOverride) {
+    throw new Error('NETWORK=custom needs SOLANA_RPC_URL (or rpcUrl in network.json)');
+  }
+
+  const limits = config.limits || {};
+  const endpoints = (urls.length > 0 ? urls : [CLUSTERS[cluster]]).map(url => ({
+    url,
+    rps: limits[url] ?? (Object.values(CLUSTERS).includes(url) && cluster !== 'localnet' ? PUBLIC_RPS : null)
+  }));
+
+  return {
+    cluster,
+    rpcUrl: endpoints[0].url,
+    endpoints,
+    wsUrl: process.env.SOLANA_WS_URL || config.wsUrl || null,
+    custom: Boolean(rpcOverride)
+  };
+}
+
+// Network for RPC URLs chosen by the caller rather than the environment (library use);
+// the cluster behind them is guessed from the first URL
+export function networkFromUrls(urls, { wsUrl = null } = {}) {
+  const cluster = clusterFromUrl(urls[0]);
+  return {
+    cluster,
+    rpcUrl: urls[0],
+    endpoints: urls.map(url => ({
+      url,
+      rps: Object.values(CLUSTERS).includes(url) && cluster !== 'localnet' ? PUBLIC_RPS : null
+    })),
+    wsUrl,
+    custom: true
+  };
+}
+
+// Cluster a connection talks to: the configured one when the connection uses its endpoints,
+// otherwise a guess from the connection's URL
+export function connectionCluster(connection) {
+  const network = resolveNetwork();
+  if (network.endpoints.some(e => e.url === connection.rpcEndpoint)) return network.cluster;
+  return clusterFromUrl(connection.rpcEndpoint);
+}
+
+// RPC endpoint for a named cluster: the configured one if it serves that cluster,
+// otherwise the public endpoint (e.g. to broadcast a file built for another cluster)
+export function rpcUrlFor(name) {
+  const cluster = normalizeCluster(name);
+  const network = resolveNetwork({ defaultCluster: cluster });
+  if (network.cluster === cluster) return network.rpcUrl;
+  if (!CLUSTERS[cluster]) {
+    throw new Error(`No RPC URL known for cluster "${cluster}" - set SOLANA_RPC_URL`);
+  }
+  return CLUSTERS[cluster];
+}
+
+// Connection backed by an RPC pool over the selected endpoints (see rpc-pool.js).
+// `rpcUrl` pins a single endpoint, e.g. one given on the command line; it still gets retries.
+export function getConnection({ commitment = 'confirmed', defaultCluster = 'devnet', network = null, rpcUrl = null, pool = {} } = {}) {
+  if (rpcUrl) {
+    return createPooledConnection(createRpcPool([{ url: rpcUrl }], pool), { commitment });
+  }
+  const { endpoints, wsUrl } = network || resolveNetwork({ defaultCluster });
+  return createPooledConnection(createRpcPool(endpoints, pool), { commitment, wsUrl });
+}
+
+// Solana Explorer link for a transaction ('tx') or account ('address') on the given network
+export function explorerUrl(kind, value, network = resolveNetwork()) {
+  const base = `https://explorer.solana.com/${kind}/${value}`;
+  if (network.cluster === 'mainnet-beta') return base;
+  if (network.cluster === 'devnet' || network.cluster === 'testnet') return `${base}?cluster=${network.cluster}`;
+  // Local validators and unknown RPCs: the explorer reads the chain through the RPC itself
+  return `${base}?cluster=custom&customUrl=${encodeURIComponent(network.rpcUrl)}`;
+}
+
+// Commands, called by sat and by the CLI below with parsed options. Environment variables
+// override the saved config: NETWORK, SOLANA_RPC_URL (comma-separated for several), SOLANA_WS_URL.
+export function showCommand() {
+  const network = resolveNetwork();
+  const config = loadNetworkConfig();
+  console.log('🌐 Network');
+  console.log('==========');
+  console.log(`Cluster: ${network.cluster}`);
+  network.endpoints.forEach((e, i) => {
+    console.log(`${i === 0 ? 'RPC:' : 'Fallback:'} ${e.url}${e.rps ? ` (${e.rps} req/s)` : ''}`);
+  });
+  console.log(`WebSocket: ${network.wsUrl || '(derived from RPC)'}`);
+  console.log('');
+  console.log(`Env: NETWORK=${process.env.NETWORK || ''} SOLANA_RPC_URL=${process.env.SOLANA_RPC_URL || ''} SOLANA_WS_URL=${process.env.SOLANA_WS_URL || ''}`);
+  console.log(`Config file: ${toolkitPath(NETWORK_FILE)} ${Object.keys(config).length ? JSON.stringify(config) : '(not set)'}`);
+  reportResult({ network, config, configFile: toolkitPath(NETWORK_FILE) });
+}
+
+export function useCommand([cluster], { rpc, ws }) {
+  const config = { network: normalizeCluster(cluster) };
+  if (rpc) config.rpcUrl = rpc;
+  if (ws) config.wsUrl = ws;
+  saveNetworkConfig(config);
+  const network = resolveNetwork();
+  console.log(`✅ Network: ${network.cluster} (${network.rpcUrl})`);
+  reportResult({ network });
+}
+
+export function fallbackCommand([action, url]) {
+  if (!['add', 'remove'].includes(action)) {
+    throw new UsageError(`Unknown fallback action "${action}" - use add or remove`);
+  }
+  const config = loadNetworkConfig();
+  if (!config.rpcUrl) {
+    throw new Error('Set a primary endpoint first: node network.js use <cluster> --rpc <url>');
+  }
+  const fallbacks = (config.fallbacks || []).filter(u => u !== url);
+  if (action === 'add') fallbacks.push(url);
+  config.fallbacks = fallbacks;
+  saveNetworkConfig(config);
+  console.log(`✅ Endpoints: ${[config.rpcUrl, ...fallbacks].map(endpointLabel).join(' → ')}`);
+  reportResult({ rpcUrl: config.rpcUrl, fallbacks });
+}
+
+export function limitCommand([url, rps]) {
+  if (rps !== 'off' && !(Number(rps) > 0)) {
+    throw new UsageError(`Request budget must be a positive number or off, got "${rps}"`);
+  }
+  const config = loadNetworkConfig();
+  config.limits = { ...config.limits };
+  if (rps === 'off') delete config.limits[url];
+  else config.limits[url] = Number(rps);
+  saveNetworkConfig(config);
+  console.log(`✅ ${endpointLabel(url)}: ${rps === 'off' ? 'no request budget' : `${rps} requests/second`}`);
+  reportResult({ url, rps: rps === 'off' ? null : Number(rps) });
+}
+
+export async function healthCommand() {
+  const network = resolveNetwork();
+  const pool = createRpcPool(network.endpoints, { timeoutMs: 10000, log: () => {} });
+  console.log(`🩺 Checking ${network.endpoints.length} endpoint(s) on ${network.cluster}...`);
+  console.log('');
+  const results = await pool.checkHealth();
+  for (const r of results) {
+    const status = r.ok ? '✅' : '❌';
+    const detail = r.ok ? `slot ${r.slot}, ${r.latencyMs}ms` : r.error;
+    console.log(`${status} ${endpointLabel(r.url).padEnd(36)} ${detail}${r.rps ? ` (budget ${r.rps}/s)` : ''}`);
+  }
+  reportResult({ cluster: network.cluster, endpoints: results });
+  if (!results.some(r => r.ok)) process.exit(1);
+}
+
+export function resetCommand() {
+  saveNetworkConfig({});
+  console.log('✅ Network config cleared - each tool uses its default cluster');
+  reportResult({ network: resolveNetwork() });
+}
+
+// CLI
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runScript(import.meta.url);
+}
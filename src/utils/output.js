@@ -0,0 +1,114 @@
+// Command Output
+// --json for every tool: one result object on stdout, human-readable logs moved to stderr
+
+import fs from 'fs';
+import { Console } from 'console';
+import { format } from 'util';
+
+export const RESULT_SCHEMA = 'sat.result/v1';
+
+// Stable values for `error.code`; the message is for humans and may change
+export const ERROR_CODES = {
+  USAGE: 'USAGE', // bad or missing arguments, nothing was run
+  POLICY_VIOLATION: 'POLICY_VIOLATION', // blocked by the spending policy (see error.details)
+  SIMULATION_FAILED: 'SIMULATION_FAILED', // the pre-send simulation failed, nothing was sent (see error.details.preview)
+  NOT_CONFIRMED: 'NOT_CONFIRMED', // the preview was declined, or not confirmed with --yes
+  EXPIRED: 'EXPIRED', // sent, but the blockhash expired before it landed: nothing was executed, safe to retry
+  INTERRUPTED: 'INTERRUPTED', // stopped by Ctrl+C or SIGTERM
+  FAILED: 'FAILED' // anything else: RPC errors, failed transactions, invalid input
+};
+
+const SIGNALS = { SIGINT: 130, SIGTERM: 143 };
+
+const state = {
+  command: null,
+  data: null,
+  signatures: [],
+  warnings: [],
+  error: null,
+  // Error taken from the last "❌ ..." or "Usage:" line, for tools that only report
+  // a failure as text before exiting
+  printedError: null
+};
+
+export function isJsonOutput() {
+  return state.command !== null;
+}
+
+// Switches the process to JSON output for `command` (--json, or SAT_OUTPUT=json in the environment)
+export function startJsonOutput(command) {
+  if (isJsonOutput()) return;
+  state.command = command;
+
+  // Everything the tool prints still reaches the terminal, on stderr
+  const stderr = new Console({ stdout: process.stderr, stderr: process.stderr });
+  for (const method of ['log', 'info', 'warn', 'error', 'table', 'dir']) {
+    console[method] = (...args) => {
+      if (typeof args[0] === 'string') notePrintedError(format(...args));
+      stderr[method](...args);
+    };
+  }
+
+  process.on('uncaughtExceptionMonitor', err => reportError(err));
+  for (const [signal, code] of Object.entries(SIGNALS)) {
+    process.once(signal, () => {
+      reportError({ code: ERROR_CODES.INTERRUPTED, message: `Stopped by ${signal}` });
+      process.exit(code);
+    });
+  }
+  process.on('exit', writeResult);
+}
+
+function notePrintedError(line) {
+  const text = line.trim();
+  const message = text.replace(/^❌\s*/, '');
+  if (message.startsWith('Usage:')) state.printedError = { code: ERROR_CODES.USAGE, message };
+  else if (text.startsWith('❌')) state.printedError = { code: ERROR_CODES.FAILED, message };
+}
+
+// The command's result; objects from several calls are merged
+export function reportResult(data) {
+  const mergeable = value => value && typeof value === 'object' && !Array.isArray(value);
+  state.data = mergeable(state.data) && mergeable(data) ? { ...state.data, ...data } : data;
+}
+
+export function reportSignature(signature) {
+  if (signature && !state.signatures.includes(String(signature))) state.signatures.push(String(signature));
+}
+
+export function reportWarning(message) {
+  state.warnings.push(message);
+}
+
+// First error wins: later ones are usually fallout from it
+export function reportError(err, code = null) {
+  if (state.error) return;
+  const message = typeof err === 'string' ? err : err.message;
+  state.error = { code: code || (Object.values(ERROR_CODES).includes(err.code) ? err.code : ERROR_CODES.FAILED), message };
+  if (err.reasons) state.error.details = { reasons: err.reasons, intentId: err.intentId };
+  if (err.preview) state.error.details = { preview: err.preview };
+}
+
+export function buildResult({ command, success, data = null, signatures = [], warnings = [], error = null }) {
+  return { schema: RESULT_SCHEMA, command, success, data, signatures, warnings, error };
+}
+
+// BigInt amounts become strings; PublicKeys already serialize as base58
+function toJson(result) {
+  return JSON.stringify(result, (key, value) => (typeof value === 'bigint' ? value.toString() : value), 2);
+}
+
+export function printResult(result) {
+  fs.writeSync(1, toJson(result) + '\n');
+}
+
+function writeResult(code) {
+  // A tool that reported an error but still exited 0 did not succeed
+  if (code === 0 && state.error) process.exitCode = 1;
+  const success = code === 0 && !state.error;
+  const error = success
+    ? null
+    : state.error || state.printedError || { code: ERROR_CODES.FAILED, message: `Exited with code ${code}` };
+
+  printResult(buildResult({ ...state, success, error }));
+}
@@ -0,0 +1,223 @@
+// Transaction Preview
+// Simulates a transaction before it is signed and shows what it will change: SOL and token
+// balance deltas per account, compute units and program logs
+
+import { PublicKey, Transaction, VersionedTransaction } from '@solana/web3.js';
+import readline from 'readline';
+import { addressFormatter } from '../wallet/address-book.js';
+import { tokenLabel } from '../tokens/registry.js';
+import { toUiAmount } from './amount.js';
+import { ERROR_CODES, reportError } from './output.js';
+
+const TOKEN_PROGRAMS = new Set([
+  'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA',
+  'TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb'
+]);
+
+// Token-2022 accounts carry extensions after the base layout, tagged by this byte
+const BASE_ACCOUNT_SIZE = 165;
+const MINT_SIZE = 82;
+const ACCOUNT_TYPE = { MINT: 1, ACCOUNT: 2 };
+
+// Legacy transactions get their blockhash when they are sent; the simulator replaces this one
+const PLACEHOLDER_BLOCKHASH = PublicKey.default.toBase58();
+
+export class PreviewRejected extends Error {
+  constructor(code, message, preview = null) {
+    super(message);
+    this.name = 'PreviewRejected';
+    this.code = code;
+    this.preview = preview;
+  }
+}
+
+// Message and resolved account keys, for legacy and versioned transactions alike
+async function compileForSimulation(connection, transaction) {
+  if (transaction instanceof VersionedTransaction) {
+    const lookupTables = await Promise.all(
+      transaction.message.addressTableLookups.map(async ({ accountKey }) => {
+        const { value } = await connection.getAddressLookupTable(accountKey);
+        if (!value) throw new Error(`Address lookup table not found: ${accountKey.toBase58()}`);
+        return value;
+      })
+    );
+    return { message: transaction.message, accountKeys: transaction.message.getAccountKeys({ addressLookupTableAccounts: lookupTables }) };
+  }
+
+  const legacy = transaction.recentBlockhash
+    ? transaction
+    : new Transaction({ feePayer: transaction.feePayer, blockhash: PLACEHOLDER_BLOCKHASH, lastValidBlockHeight: 0 }).add(...transaction.instructions);
+  const message = legacy.compileMessage();
+  return { message, accountKeys: message.getAccountKeys() };
+}
+
+function normalizeAccount(account) {
+  if (!account) return null;
+  const data = Array.isArray(account.data) ? Buffer.from(account.data[0], 'base64') : account.data;
+  return { lamports: account.lamports, owner: account.owner.toString(), data };
+}
+
+function accountType(account) {
+  if (!account || !TOKEN_PROGRAMS.has(account.owner)) return null;
+  if (account.data.length === MINT_SIZE) return ACCOUNT_TYPE.MINT;
+  if (account.data.length === BASE_ACCOUNT_SIZE) return ACCOUNT_TYPE.ACCOUNT;
+  return account.data.length > BASE_ACCOUNT_SIZE ? account.data[BASE_ACCOUNT_SIZE] : null;
+}
+
+function tokenBalance(account) {
+  if (accountType(account) !== ACCOUNT_TYPE.ACCOUNT) return null;
+  return {
+    mint: new PublicKey(account.data.subarray(0, 32)).toBase58(),
+    owner: new PublicKey(account.data.subarray(32, 64)).toBase58(),
+    amount: account.data.readBigUInt64LE(64)
+  };
+}
+
+// Decimals of every mint involved; mints created by the transaction only exist in `after`
+async function mintDecimals(connection, mints, accounts) {
+  const decimals = new Map();
+  for (const [address, account] of accounts) {
+    if (accountType(account) === ACCOUNT_TYPE.MINT) decimals.set(address, account.data[44]);
+  }
+  const missing = mints.filter(mint => !decimals.has(mint));
+  if (missing.length > 0) {
+    const infos = await connection.getMultipleAccountsInfo(missing.map(mint => new PublicKey(mint)));
+    infos.forEach((info, i) => decimals.set(missing[i], info ? info.data[44] : 0));
+  }
+  return decimals;
+}
+
+/**
+ * Simulate `transaction` without signing it and diff every writable account.
+ * Returns { ok, error, unitsConsumed, logs, sol: [{ account, before, after, change }],
+ * tokens: [{ account, owner, mint, before, after, change }] }, amounts in SOL / UI units.
+ */
+export async function simulatePreview(connection, transaction) {
+  const { message, accountKeys } = await compileForSimulation(connection, transaction);
+  const writable = accountKeys.keySegments().flat().filter((key, i) => message.isAccountWritable(i));
+  const addresses = writable.map(key => key.toBase58());
+
+  const before = (await connection.getMultipleAccountsInfo(writable, 'confirmed')).map(normalizeAccount);
+  const { value } = await connection.simulateTransaction(new VersionedTransaction(message), {
+    sigVerify: false,
+    replaceRecentBlockhash: true,
+    commitment: 'confirmed',
+    accounts: { encoding: 'base64', addresses }
+  });
+
+  const preview = {
+    ok: !value.err,
+    error: value.err ? JSON.stringify(value.err) : null,
+    unitsConsumed: value.unitsConsumed ?? null,
+    logs: value.logs || [],
+    sol: [],
+    tokens: []
+  };
+  if (!value.accounts) return preview;
+
+  const after = value.accounts.map(normalizeAccount);
+  const changed = [];
+  addresses.forEach((account, i) => {
+    const lamportsBefore = before[i]?.lamports || 0;
+    const lamportsAfter = after[i]?.lamports || 0;
+    if (lamportsBefore !== lamportsAfter) {
+      preview.sol.push({ account, before: toUiAmount(lamportsBefore, 9), after: toUiAmount(lamportsAfter, 9), change: toUiAmount(lamportsAfter - lamportsBefore, 9) });
+    }
+
+    const tokenBefore = tokenBalance(before[i]);
+    const tokenAfter = tokenBalance(after[i]);
+    const token = tokenAfter || tokenBefore;
+    const rawBefore = tokenBefore?.amount || 0n;
+    const rawAfter = tokenAfter?.amount || 0n;
+    if (token && rawBefore !== rawAfter) changed.push({ account, owner: token.owner, mint: token.mint, rawBefore, rawAfter });
+  });
+
+  const decimals = await mintDecimals(connection, [...new Set(changed.map(c => c.mint))], addresses.map((address, i) => [address, after[i]]));
+  preview.tokens = changed.map(({ account, owner, mint, rawBefore, rawAfter }) => {
+    const d = decimals.get(mint);
+    return { account, owner, mint, before: toUiAmount(rawBefore, d), after: toUiAmount(rawAfter, d), change: toUiAmount(rawAfter - rawBefore, d) };
+  });
+  return preview;
+}
+
+const signed = value => `${value > 0 ? '+' : ''}${value.toLocaleString('en-US', { maximumFractionDigits: 9 })}`;
+
+export function printPreview(preview, log = console.log) {
+  const format = addressFormatter();
+  log('🔍 Simulation Preview');
+  log('=====================');
+  if (!preview.ok) log(`❌ Simulation failed: ${preview.error}`);
+  if (preview.unitsConsumed !== null) log(`Compute units: ${preview.unitsConsumed.toLocaleString('en-US')}`);
+
+  if (preview.sol.length > 0) {
+    log('SOL changes:');
+    preview.sol.forEach(c => log(`   ${signed(c.change)} SOL  ${format(c.account)}`));
+  }
+  if (preview.tokens.length > 0) {
+    log('Token changes:');
+    preview.tokens.forEach(c => log(`   ${signed(c.change)} ${tokenLabel(c.mint)}  owner ${format(c.owner)}`));
+  }
+  if (preview.ok && preview.sol.length === 0 && preview.tokens.length === 0) log('No balance changes');
+
+  if (preview.logs.length > 0) {
+    log('Program logs:');
+    preview.logs.forEach(line => log(`   ${line}`));
+  }
+  log('');
+}
+
+function ask(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+  return new Promise(resolve => rl.question(question, answer => { rl.close(); resolve(answer.trim()); }));
+}
+
+// Confirmation for the CLIs: --yes sends straight away, otherwise ask on the terminal.
+// Without a terminal there is nobody to ask, so the preview has to be confirmed with --yes.
+export function terminalConfirm(yes) {
+  return async (preview, { question = 'Send this transaction?' } = {}) => {
+    if (yes) return true;
+    if (!process.stdin.isTTY) {
+      throw new PreviewRejected(ERROR_CODES.NOT_CONFIRMED, 'Not sent: no terminal to confirm on - review the preview and re-run with --yes');
+    }
+    return /^y(es)?$/i.test(await ask(`${question} [y/N] `));
+  };
+}
+
+/**
+ * Simulate, print the preview and wait for the go-ahead, before anything is signed.
+ * Throws PreviewRejected when the simulation fails or `confirm(preview)` says no;
+ * library callers that pass no `confirm` still get the simulation and its failure check.
+ */
+export async function previewTransaction(connection, transaction, { confirm = null, log = console.log } = {}) {
+  const preview = await simulatePreview(connection, transaction);
+  printPreview(preview, log);
+
+  if (!preview.ok) {
+    throw new PreviewRejected(ERROR_CODES.SIMULATION_FAILED, `Simulation failed, nothing was sent: ${preview.error}`, preview);
+  }
+  if (confirm) {
+    let confirmed;
+    try {
+      confirmed = await confirm(preview);
+    } catch (err) {
+      if (err instanceof PreviewRejected) err.preview = preview;
+      throw err;
+    }
+    if (!confirmed) throw new PreviewRejected(ERROR_CODES.NOT_CONFIRMED, 'Cancelled, nothing was sent', preview);
+  }
+  return preview;
+}
+
+// Multi-transaction flows simulate their first transaction, built before anything is signed,
+// and one go-ahead covers all `count` of them. `confirm` gets the question as a second argument.
+export async function previewPlan(connection, first, count, { confirm = null, log = console.log } = {}) {
+  if (count > 1) log(`🔍 Previewing transaction 1 of ${count}; confirming sends all of them`);
+  const question = count > 1 ? `Send all ${count} transactions?` : 'Send this transaction?';
+  return previewTransaction(connection, first, { confirm: confirm && (preview => confirm(preview, { question })), log });
+}
+
+// Standard output for the CLIs when a preview stopped the send
+export function printPreviewRejection(err) {
+  reportError(err);
+  console.log(`🛑 ${err.message}`);
+}
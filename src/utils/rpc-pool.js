@@ -0,0 +1,303 @@
+// RPC Endpoint Pool
+// Spread JSON-RPC traffic over several endpoints with health checks, failover, retries and per-endpoint rate limits
+
+import { Connection } from '@solana/web3.js';
+
+// Methods that change chain state. Everything else is a read and can be retried anywhere.
+const WRITE_METHODS = new Set(['sendTransaction', 'requestAirdrop']);
+
+// HTTP statuses that say "not now" rather than "bad request"
+const RETRYABLE_STATUS = new Set([408, 429, 500, 502, 503, 504]);
+
+// JSON-RPC errors from a node that is behind or missing data another node may have
+// (block not available, node unhealthy, block status not yet available, min context slot not reached)
+const RETRYABLE_RPC_CODES = new Set([-32004, -32005, -32014, -32016]);
+
+// Connection errors where the request never reached the node, so even a write is safe to resend
+const NOT_SENT_CODES = new Set(['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH', 'UND_ERR_CONNECT_TIMEOUT']);
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function rpcMethods(body) {
+  try {
+    const payload = JSON.parse(body);
+    return (Array.isArray(payload) ? payload : [payload]).map(request => request.method);
+  } catch {
+    return [];
+  }
+}
+
+function rpcErrorCodes(text) {
+  if (!text.includes('"error"')) return [];
+  try {
+    const payload = JSON.parse(text);
+    return (Array.isArray(payload) ? payload : [payload]).filter(r => r && r.error).map(r => r.error.code);
+  } catch {
+    return [];
+  }
+}
+
+function retryAfterMs(response) {
+  const seconds = Number(response.headers.get('retry-after'));
+  return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : 0;
+}
+
+// Short host form for logs, without any API key in the path or query
+export function endpointLabel(url) {
+  try {
+    return new URL(url).host;
+  } catch {
+    return url;
+  }
+}
+
+function createEndpoint({ url, rps = null }) {
+  return {
+    url,
+    rps,
+    tokens: rps || 0,
+    refilledAt: Date.now(),
+    failures: 0,
+    downUntil: 0,
+    requests: 0,
+    errors: 0,
+    latencyMs: null,
+    slot: null,
+    lastError: null
+  };
+}
+
+// Token bucket: up to `rps` requests in any one-second burst, refilled continuously
+function refill(endpoint, now) {
+  if (!endpoint.rps) return;
+  endpoint.tokens = Math.min(endpoint.rps, endpoint.tokens + (now - endpoint.refilledAt) * endpoint.rps / 1000);
+  endpoint.refilledAt = now;
+}
+
+function waitForToken(endpoint, now) {
+  if (!endpoint.rps) return 0;
+  refill(endpoint, now);
+  return endpoint.tokens >= 1 ? 0 : Math.ceil((1 - endpoint.tokens) * 1000 / endpoint.rps);
+}
+
+/**
+ * Pool over `endpoints` ([{ url, rps }], in order of preference). Requests go to the first
+ * healthy endpoint with budget left; failed endpoints are benched with a growing cooldown.
+ * Reads are retried with backoff across the pool, writes only when they provably never
+ * reached a node, so a transaction is never submitted twice by the pool itself.
+ */
+export function createRpcPool(endpoints, {
+  timeoutMs = 30000,
+  maxRetries = 4,
+  backoffMs = 500,
+  maxBackoffMs = 8000,
+  cooldownMs = 5000,
+  maxCooldownMs = 60000,
+  maxLagSlots = 50,
+  log = message => console.error(message)
+} = {}) {
+  if (!endpoints || endpoints.length === 0) {
+    throw new Error('The RPC pool needs at least one endpoint');
+  }
+  const pool = endpoints.map(createEndpoint);
+  let healthTimer = null;
+
+  function markSuccess(endpoint, latencyMs) {
+    if (endpoint.downUntil > 0) log(`✅ RPC ${endpointLabel(endpoint.url)} is back`);
+    endpoint.failures = 0;
+    endpoint.downUntil = 0;
+    endpoint.latencyMs = latencyMs;
+  }
+
+  function markFailure(endpoint, error, minCooldownMs = 0) {
+    endpoint.errors++;
+    endpoint.failures++;
+    endpoint.lastError = error;
+    const cooldown = Math.max(minCooldownMs, Math.min(maxCooldownMs, cooldownMs * 2 ** (endpoint.failures - 1)));
+    if (endpoint.downUntil <= Date.now() && pool.length > 1) {
+      log(`⚠️  RPC ${endpointLabel(endpoint.url)} failed (${error}), benched for ${Math.round(cooldown / 1000)}s`);
+    }
+    endpoint.downUntil = Date.now() + cooldown;
+  }
+
+  // Next endpoint to use, preferring healthy ones not tried yet for this request.
+  // Waits for budget when every candidate has used up its requests for the second.
+  async function acquire(tried) {
+    const now = Date.now();
+    const fresh = pool.filter(e => !tried.has(e));
+    const up = fresh.filter(e => e.downUntil <= now);
+    // With everything benched, the endpoint that comes back first beats giving up
+    const candidates = up.length > 0 ? up : [...fresh].sort((a, b) => a.downUntil - b.downUntil);
+
+    let best = null;
+    let bestWait = Infinity;
+    for (const endpoint of candidates) {
+      const wait = waitForToken(endpoint, now);
+      if (wait === 0) {
+        best = endpoint;
+        bestWait = 0;
+        break;
+      }
+      if (wait < bestWait) {
+        best = endpoint;
+        bestWait = wait;
+      }
+    }
+
+    if (bestWait > 0) await sleep(bestWait);
+    refill(best, Date.now());
+    if (best.rps) best.tokens -= 1;
+    best.requests++;
+    return best;
+  }
+
+  async function post(endpoint, init) {
+    const started = Date.now();
+    const { agent, ...options } = init;
+    const response = await fetch(endpoint.url, { ...options, signal: AbortSignal.timeout(timeoutMs) });
+    return { response, latencyMs: Date.now() - started };
+  }
+
+  // Drop-in `fetch` for web3.js: the URL it passes is ignored in favour of the pool's choice
+  async function poolFetch(_url, init) {
+    const methods = rpcMethods(init.body);
+    const write = methods.some(m => WRITE_METHODS.has(m));
+    const name = methods.join(',') || 'request';
+    const tried = new Set();
+    let lastFailure = null;
+
+    for (let attempt = 0; ; attempt++) {
+      const endpoint = await acquire(tried);
+      tried.add(endpoint);
+      let retryAfter = 0;
+      let sent = true;
+
+      try {
+        const { response, latencyMs } = await post(endpoint, init);
+        const text = await response.text();
+        const result = new Response(text, { status: response.status, statusText: response.statusText });
+
+        if (RETRYABLE_STATUS.has(response.status)) {
+          retryAfter = retryAfterMs(response);
+          // A rate-limited or unavailable node has not processed the request
+          sent = response.status !== 429 && response.status !== 503;
+          markFailure(endpoint, `HTTP ${response.status}`, retryAfter);
+          lastFailure = { response: result };
+        } else if (!write && rpcErrorCodes(text).some(code => RETRYABLE_RPC_CODES.has(code))) {
+          markFailure(endpoint, `RPC error ${rpcErrorCodes(text).join(',')}`);
+          lastFailure = { response: result };
+        } else {
+          markSuccess(endpoint, latencyMs);
+          return result;
+        }
+      } catch (err) {
+        const code = err.cause?.code || err.code;
+        const reason = err.name === 'TimeoutError' ? `timed out after ${timeoutMs / 1000}s` : code || err.message;
+        sent = !NOT_SENT_CODES.has(code);
+        markFailure(endpoint, reason);
+        lastFailure = { error: new Error(`${name} to ${endpointLabel(endpoint.url)} failed: ${reason}`) };
+        if (write && sent) {
+          lastFailure.error.message += ' - not resent, the request may still have been processed';
+        }
+      }
+
+      // Writes go to each endpoint at most once, and only if the last one never saw them
+      const retry = write
+        ? !sent && tried.size < pool.length
+        : attempt < maxRetries;
+      if (!retry) break;
+
+      if (tried.size >= pool.length) {
+        tried.clear();
+        await sleep(Math.max(retryAfter, Math.min(maxBackoffMs, backoffMs * 2 ** attempt)));
+      }
+    }
+
+    // Hand the last HTTP response back so web3.js reports it the usual way ("429 Too Many Requests: ...")
+    if (lastFailure.response) return lastFailure.response;
+    throw lastFailure.error;
+  }
+
+  async function call(endpoint, method) {
+    const { response, latencyMs } = await post(endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ jsonrpc: '2.0', id: 1, method })
+    });
+    const payload = await response.json().catch(() => ({}));
+    if (!response.ok || payload.error) {
+      throw new Error(payload.error?.message || `HTTP ${response.status}`);
+    }
+    return { result: payload.result, latencyMs };
+  }
+
+  // Probe every endpoint (getHealth + getSlot); unhealthy or lagging endpoints are benched
+  async function checkHealth() {
+    const results = await Promise.all(pool.map(async endpoint => {
+      try {
+        const [health, slot] = await Promise.all([call(endpoint, 'getHealth'), call(endpoint, 'getSlot')]);
+        endpoint.slot = slot.result;
+        return { endpoint, ok: health.result === 'ok', latencyMs: Math.max(health.latencyMs, slot.latencyMs), slot: slot.result, error: null };
+      } catch (err) {
+        const reason = err.name === 'TimeoutError' ? 'timed out' : err.cause?.code || err.message;
+        return { endpoint, ok: false, latencyMs: null, slot: null, error: reason };
+      }
+    }));
+
+    const tip = Math.max(...results.filter(r => r.slot !== null).map(r => r.slot));
+    for (const r of results) {
+      r.lag = r.slot !== null ? tip - r.slot : null;
+      if (r.ok && r.lag > maxLagSlots) {
+        r.ok = false;
+        r.error = `${r.lag} slots behind`;
+      }
+      if (r.ok) markSuccess(r.endpoint, r.latencyMs);
+      else markFailure(r.endpoint, r.error || 'unhealthy');
+    }
+
+    return results.map(({ endpoint, ...r }) => ({ url: endpoint.url, rps: endpoint.rps, ...r }));
+  }
+
+  // Periodic probes for long-running processes; the timer never keeps the process alive
+  function startHealthChecks(intervalMs = 30000) {
+    stopHealthChecks();
+    const run = () => checkHealth().catch(() => {});
+    run();
+    healthTimer = setInterval(run, intervalMs);
+    healthTimer.unref();
+  }
+
+  function stopHealthChecks() {
+    if (healthTimer) clearInterval(healthTimer);
+    healthTimer = null;
+  }
+
+  function stats() {
+    const now = Date.now();
+    return pool.map(e => ({
+      url: e.url,
+      rps: e.rps,
+      healthy: e.downUntil <= now,
+      requests: e.requests,
+      errors: e.errors,
+      latencyMs: e.latencyMs,
+      slot: e.slot,
+      lastError: e.lastError
+    }));
+  }
+
+  return { endpoints: pool, fetch: poolFetch, checkHealth, startHealthChecks, stopHealthChecks, stats };
+}
+
+// web3.js Connection whose HTTP requests all go through `pool`. WebSocket subscriptions
+// use `wsUrl`, or the endpoint derived from the first RPC URL.
+export function createPooledConnection(pool, { commitment = 'confirmed', wsUrl = null } = {}) {
+  const connection = new Connection(pool.endpoints[0].url, {
+    commitment,
+    fetch: pool.fetch,
+    disableRetryOnRateLimit: true,
+    ...(wsUrl ? { wsEndpoint: wsUrl } : {})
+  });
+  connection.rpcPool = pool;
+  return connection;
+}
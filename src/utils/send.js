@@ -0,0 +1,216 @@
+// Transaction Sender
+// Sign, send and confirm with block-height expiry: the transaction is rebroadcast until it lands
+// or its blockhash expires, an on-chain failure is told apart from expiry, and an expired
+// transaction is only re-signed once the cluster has finalized past its last valid block
+
+import { PublicKey, Transaction } from '@solana/web3.js';
+import bs58 from 'bs58';
+import { ERROR_CODES, reportError, reportSignature } from './output.js';
+import { journalTransaction, journalStatus } from './journal.js';
+
+// A blockhash stays valid for 150 blocks after the block it was taken from
+const BLOCKHASH_LIFETIME = 150;
+const POLL_MS = 1000;
+const REBROADCAST_MS = 2000;
+
+// Landed at or beyond the requested commitment
+const COMMITMENT_RANK = { processed: 0, confirmed: 1, finalized: 2 };
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+export class TransactionFailed extends Error {
+  constructor(signature, err) {
+    super(`Transaction ${signature} failed: ${JSON.stringify(err)}`);
+    this.name = 'TransactionFailed';
+    this.code = ERROR_CODES.FAILED;
+    this.signature = signature;
+    this.err = err;
+  }
+}
+
+// Nothing was executed: every attempt provably expired without landing, so it is safe to retry
+export class TransactionExpired extends Error {
+  constructor(signatures, reason) {
+    super(`${reason}; nothing was executed and it is safe to run again`);
+    this.name = 'TransactionExpired';
+    this.code = ERROR_CODES.EXPIRED;
+    this.signatures = signatures;
+  }
+}
+
+function signatureOf(transaction) {
+  const bytes = transaction instanceof Transaction ? transaction.signature : transaction.signatures[0];
+  return bs58.encode(bytes);
+}
+
+// What decides when a transaction can no longer land: its blockhash, or its durable nonce
+function lifetimeOf(transaction) {
+  if (transaction instanceof Transaction && transaction.nonceInfo) {
+    return { nonceAccount: transaction.nonceInfo.nonceInstruction.keys[0].pubkey, nonce: transaction.nonceInfo.nonce };
+  }
+  return null;
+}
+
+async function lifetimeOver(connection, lifetime, commitment) {
+  if (lifetime.nonceAccount) {
+    const account = await connection.getNonce(new PublicKey(lifetime.nonceAccount), commitment);
+    return !account || account.nonce !== lifetime.nonce;
+  }
+  return await connection.getBlockHeight(commitment) > lifetime.lastValidBlockHeight;
+}
+
+async function signatureStatus(connection, signature, { searchTransactionHistory = false } = {}) {
+  const { value } = await connection.getSignatureStatuses([signature], { searchTransactionHistory });
+  return value[0];
+}
+
+/**
+ * Broadcast a signed transaction and follow it until it reaches `commitment`.
+ * Rebroadcasts every couple of seconds while it is valid; throws TransactionFailed when it
+ * landed with an error and TransactionExpired once its lifetime ({ lastValidBlockHeight } or
+ * { nonceAccount, nonce }) is over at finalized commitment and it is still not on-chain.
+ * With `journal` ({ tool, intent, params }) it is journaled once the RPC node accepted it,
+ * followed by its outcome.
+ */
+export async function broadcastAndConfirm(connection, rawTransaction, signature, lifetime, { commitment = 'confirmed', skipPreflight = false, journal = null } = {}) {
+  await connection.sendRawTransaction(rawTransaction, { skipPreflight, preflightCommitment: 'confirmed', maxRetries: 0 });
+  if (!journal) return followTransaction(connection, rawTransaction, signature, lifetime, commitment);
+
+  journalTransaction(connection, { ...journal, signature, status: 'submitted' });
+  try {
+    const result = await followTransaction(connection, rawTransaction, signature, lifetime, commitment);
+    journalStatus(signature, { status: commitment === 'finalized' ? 'finalized' : 'confirmed', slot: result.slot });
+    return result;
+  } catch (err) {
+    if (err instanceof TransactionFailed) journalStatus(signature, { status: 'failed', error: JSON.stringify(err.err) });
+    if (err instanceof TransactionExpired) journalStatus(signature, { status: 'expired', error: 'Expired before the transaction landed' });
+    throw err;
+  }
+}
+
+// Poll until the transaction settles or provably can no longer land, rebroadcasting meanwhile
+async function followTransaction(connection, rawTransaction, signature, lifetime, commitment) {
+  const settled = status => {
+    if (!status) return null;
+    if (status.err) throw new TransactionFailed(signature, status.err);
+    return COMMITMENT_RANK[status.confirmationStatus] >= COMMITMENT_RANK[commitment] ? { signature, slot: status.slot } : null;
+  };
+
+  let lastSent = Date.now();
+  for (;;) {
+    const landed = settled(await signatureStatus(connection, signature));
+    if (landed) return landed;
+
+    if (await lifetimeOver(connection, lifetime, 'confirmed')) {
+      // A block at or below the last valid height may still be confirmed on another fork;
+      // only once that height is finalized can the transaction never land
+      while (!(await lifetimeOver(connection, lifetime, 'finalized'))) await sleep(POLL_MS);
+      const status = await signatureStatus(connection, signature, { searchTransactionHistory: true });
+      if (!status) throw new TransactionExpired([signature], `Transaction ${signature} expired before it landed`);
+
+      // It landed after all, possibly not yet at the requested commitment
+      let result = settled(status);
+      while (!result) {
+        await sleep(POLL_MS);
+        result = settled(await signatureStatus(connection, signature, { searchTransactionHistory: true }));
+      }
+      return result;
+    }
+
+    if (Date.now() - lastSent >= REBROADCAST_MS) {
+      await connection.sendRawTransaction(rawTransaction, { skipPreflight: true, maxRetries: 0 }).catch(() => {});
+      lastSent = Date.now();
+    }
+    await sleep(POLL_MS);
+  }
+}
+
+// Legacy transactions get a fresh blockhash here; versioned ones (e.g. from Jupiter) arrive
+// with one and, when the caller does not know its lastValidBlockHeight, get the latest it can be
+async function prepareAttempt(connection, transaction, signers, { lastValidBlockHeight, nonce }) {
+  if (transaction instanceof Transaction) {
+    if (!transaction.feePayer) transaction.feePayer = signers[0].publicKey;
+    let lifetime = lifetimeOf(transaction);
+    if (!lifetime) {
+      const latest = await connection.getLatestBlockhash('confirmed');
+      transaction.recentBlockhash = latest.blockhash;
+      lifetime = { lastValidBlockHeight: latest.lastValidBlockHeight };
+    }
+    transaction.sign(...signers);
+    return lifetime;
+  }
+
+  transaction.sign(signers);
+  if (nonce) return { nonceAccount: nonce.nonceAccount, nonce: nonce.nonce };
+  return { lastValidBlockHeight: lastValidBlockHeight ?? await connection.getBlockHeight('confirmed') + BLOCKHASH_LIFETIME };
+}
+
+/**
+ * Sign `transaction` with `signers`, send it and wait for `commitment`. Returns
+ * { signature, slot, attempts }.
+ *
+ * When the blockhash expires first, a legacy transaction is re-signed with a fresh blockhash
+ * and sent again (up to `maxAttempts` in all). A versioned transaction is rebuilt only through
+ * `rebuild()`, which returns { transaction, lastValidBlockHeight } for a new attempt or throws
+ * to give up (e.g. when the new quote is worse than the one that was confirmed).
+ * A new attempt only starts once the previous one provably can never land, so the same
+ * operation cannot execute twice. Transactions on a durable nonce are never re-signed: their
+ * nonce was used by something else.
+ *
+ * Options: lastValidBlockHeight and nonce ({ nonceAccount, nonce }) for versioned transactions;
+ * journal ({ tool, intent, params }) records every attempt and its outcome; onSigned(signature,
+ * lifetime) runs before each attempt is sent, e.g. to persist the signature first.
+ */
+export async function sendAndConfirm(connection, transaction, signers, {
+  commitment = 'confirmed',
+  skipPreflight = false,
+  lastValidBlockHeight = null,
+  nonce = null,
+  rebuild = null,
+  maxAttempts = 3,
+  journal = null,
+  onSigned = null,
+  log = console.log
+} = {}) {
+  const signatures = [];
+  let current = { transaction, lastValidBlockHeight };
+
+  for (let attempt = 1; ; attempt++) {
+    const lifetime = await prepareAttempt(connection, current.transaction, signers, { lastValidBlockHeight: current.lastValidBlockHeight, nonce });
+    const signature = signatureOf(current.transaction);
+    signatures.push(signature);
+    if (onSigned) await onSigned(signature, lifetime);
+
+    try {
+      const result = await broadcastAndConfirm(connection, current.transaction.serialize(), signature, lifetime, { commitment, skipPreflight, journal });
+      return { ...result, attempts: attempt };
+    } catch (err) {
+      if (!(err instanceof TransactionExpired)) throw err;
+
+      const renewable = !lifetime.nonceAccount && (current.transaction instanceof Transaction || rebuild);
+      if (!renewable || attempt >= maxAttempts) {
+        throw new TransactionExpired(signatures, lifetime.nonceAccount
+          ? `Transaction ${signature} did not land and its nonce has moved on`
+          : `Transaction expired before it landed (${attempt} attempt${attempt === 1 ? '' : 's'})`);
+      }
+      log(`⌛ Blockhash expired before ${signature.slice(0, 16)}... landed - ${rebuild ? 'rebuilding' : 're-signing'} (attempt ${attempt + 1}/${maxAttempts})`);
+      if (rebuild) {
+        try {
+          current = await rebuild();
+        } catch (rebuildErr) {
+          throw new TransactionExpired(signatures, `Transaction expired before it landed and could not be rebuilt: ${rebuildErr.message}`);
+        }
+      }
+    }
+  }
+}
+
+// For the CLI error handlers: EXPIRED under --json, and the signatures that were sent
+export function reportSendError(err) {
+  if (err instanceof TransactionExpired) {
+    reportError(err);
+    err.signatures.forEach(reportSignature);
+  } else if (err instanceof TransactionFailed) {
+    reportSignature(err.signature);
+  }
+}
@@ -0,0 +1,14 @@
+// Toolkit Home
+// Per-user directory for toolkit state shared by every tool (~/.solana-agent-toolkit)
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+export const TOOLKIT_HOME = process.env.SAT_HOME || path.join(os.homedir(), '.solana-agent-toolkit');
+
+// Absolute path of a file inside the toolkit home, creating the directory on demand
+export function toolkitPath(fileName) {
+  fs.mkdirSync(TOOLKIT_HOME, { recursive: true, mode: 0o700 });
+  return path.join(TOOLKIT_HOME, fileName);
+}
@@ -1,11 +1,12 @@
 // Solana Transaction Parser
 // Makes Solana transactions human-readable
 
-import { Connection, clusterApiUrl } from '@solana/web3.js';
 import fs from 'fs';
-
-const NETWORK = process.env.NETWORK || 'devnet';
-const connection = new Connection(clusterApiUrl(NETWORK), 'confirmed');
+import { addressFormatter } from '../wallet/address-book.js';
+import { getConnection, resolveNetwork, explorerUrl } from './network.js';
+import { reportResult } from './output.js';
+import { formatAmount, formatSol } from './amount.js';
+import { runScript } from '../cli/dispatch.js';
 
 // Instruction name mapping for common programs
 const PROGRAM_NAMES = {
@@ -59,125 +60,137 @@ const INSTRUCTION_NAMES = {
   },
 };
 
-async function parseTransaction(signature) {
-  console.log(`🔍 Parsing Transaction: ${signature}`);
-  console.log('=' .repeat(70));
+// Replace known addresses in parsed instruction info with their address book labels
+function labelInfo(value, format) {
+  if (typeof value === 'string') return format(value);
+  if (Array.isArray(value)) return value.map(v => labelInfo(v, format));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, labelInfo(v, format)]));
+  }
+  return value;
+}
+
+async function parseTransaction(signature, { network = resolveNetwork(), connection = getConnection({ network }), log = console.log } = {}) {
+  log(`🔍 Parsing Transaction: ${signature}`);
+  log('=' .repeat(70));
   
-  try {
-    const tx = await connection.getParsedTransaction(signature, {
-      commitment: 'confirmed',
-      maxSupportedTransactionVersion: 0,
-    });
-    
-    if (!tx) {
-      console.log('❌ Transaction not found');
-      return;
-    }
+  const tx = await connection.getParsedTransaction(signature, {
+    commitment: 'confirmed',
+    maxSupportedTransactionVersion: 0,
+  });
+  
+  if (!tx) {
+    log('❌ Transaction not found');
+    return;
+  }
+  
+  const format = addressFormatter();
+  const accountKeys = tx.transaction.message.accountKeys;
+
+  // Basic info
+  log('\n📋 Basic Information');
+  log('-'.repeat(70));
+  log(`Signature: ${signature}`);
+  log(`Slot: ${tx.slot}`);
+  log(`Block Time: ${tx.blockTime ? new Date(tx.blockTime * 1000).toISOString() : 'Unknown'}`);
+  log(`Status: ${tx.meta?.err ? '❌ Failed' : '✅ Success'}`);
+  
+  if (tx.meta?.err) {
+    log(`Error: ${JSON.stringify(tx.meta.err)}`);
+  }
+  
+  // Fee
+  log(`\n💰 Fee: ${formatSol(tx.meta?.fee || 0)} SOL`);
+  
+  // Accounts
+  log('\n👥 Accounts Involved');
+  log('-'.repeat(70));
+  accountKeys.forEach((acc, i) => {
+    const signer = acc.signer ? '✓' : ' ';
+    const writable = acc.writable ? '✓' : ' ';
+    log(`  [${i}] ${format(acc.pubkey)} (signer:${signer} writable:${writable})`);
+  });
+  
+  // Instructions
+  log('\n📜 Instructions');
+  log('-'.repeat(70));
+  
+  tx.transaction.message.instructions.forEach((ix, i) => {
+    log(`\n  Instruction ${i + 1}:`);
     
-    // Basic info
-    console.log('\n📋 Basic Information');
-    console.log('-'.repeat(70));
-    console.log(`Signature: ${signature}`);
-    console.log(`Slot: ${tx.slot}`);
-    console.log(`Block Time: ${tx.blockTime ? new Date(tx.blockTime * 1000).toISOString() : 'Unknown'}`);
-    console.log(`Status: ${tx.meta?.err ? '❌ Failed' : '✅ Success'}`);
+    const programId = ix.programId.toString();
+    const programName = PROGRAM_NAMES[programId] || programId.slice(0, 20) + '...';
+    log(`    Program: ${programName}`);
+    log(`    Program ID: ${programId}`);
     
-    if (tx.meta?.err) {
-      console.log(`Error: ${JSON.stringify(tx.meta.err)}`);
+    // Try to decode instruction
+    if ('parsed' in ix) {
+      log(`    Type: ${ix.parsed.type}`);
+      log(`    Info: ${JSON.stringify(labelInfo(ix.parsed.info, format), null, 6)}`);
+    } else {
+      log(`    Data: ${ix.data}`);
+      log(`    Accounts: ${ix.accounts.join(', ')}`);
     }
+  });
+  
+  // Token balances
+  if (tx.meta?.postTokenBalances?.length > 0) {
+    log('\n🪙 Token Balance Changes');
+    log('-'.repeat(70));
     
-    // Fee
-    console.log(`\n💰 Fee: ${(tx.meta?.fee || 0) / 1e9} SOL`);
-    
-    // Accounts
-    console.log('\n👥 Accounts Involved');
-    console.log('-'.repeat(70));
-    tx.transaction.message.accountKeys.forEach((acc, i) => {
-      const signer = acc.signer ? '✓' : ' ';
-      const writable = acc.writable ? '✓' : ' ';
-      console.log(`  [${i}] ${acc.pubkey.toString()} (signer:${signer} writable:${writable})`);
-    });
-    
-    // Instructions
-    console.log('\n📜 Instructions');
-    console.log('-'.repeat(70));
-    
-    tx.transaction.message.instructions.forEach((ix, i) => {
-      console.log(`\n  Instruction ${i + 1}:`);
+    tx.meta.postTokenBalances.forEach((post, i) => {
+      const pre = tx.meta.preTokenBalances?.find(p => p.accountIndex === post.accountIndex);
+      const { decimals } = post.uiTokenAmount;
+      const change = BigInt(post.uiTokenAmount.amount) - BigInt(pre?.uiTokenAmount?.amount || 0);
       
-      const programId = ix.programId.toString();
-      const programName = PROGRAM_NAMES[programId] || programId.slice(0, 20) + '...';
-      console.log(`    Program: ${programName}`);
-      console.log(`    Program ID: ${programId}`);
-      
-      // Try to decode instruction
-      if ('parsed' in ix) {
-        console.log(`    Type: ${ix.parsed.type}`);
-        console.log(`    Info: ${JSON.stringify(ix.parsed.info, null, 6)}`);
-      } else {
-        console.log(`    Data: ${ix.data}`);
-        console.log(`    Accounts: ${ix.accounts.join(', ')}`);
+      if (change !== 0n) {
+        const changeStr = change > 0n ? `+${formatAmount(change, decimals)}` : formatAmount(change, decimals);
+        const owner = post.owner ? format(post.owner) : `Account ${post.accountIndex}`;
+        log(`  ${owner}: ${changeStr} ${post.mint.slice(0, 20)}...`);
       }
     });
+  }
+  
+  // SOL balance changes
+  if (tx.meta?.preBalances && tx.meta?.postBalances) {
+    log('\n💎 SOL Balance Changes');
+    log('-'.repeat(70));
     
-    // Token balances
-    if (tx.meta?.postTokenBalances?.length > 0) {
-      console.log('\n🪙 Token Balance Changes');
-      console.log('-'.repeat(70));
-      
-      tx.meta.postTokenBalances.forEach((post, i) => {
-        const pre = tx.meta.preTokenBalances?.find(p => p.accountIndex === post.accountIndex);
-        const preAmount = pre?.uiTokenAmount?.uiAmount || 0;
-        const postAmount = post.uiTokenAmount.uiAmount;
-        const change = postAmount - preAmount;
-        
-        if (change !== 0) {
-          const changeStr = change > 0 ? `+${change}` : `${change}`;
-          console.log(`  Account ${post.accountIndex}: ${changeStr} ${post.mint.slice(0, 20)}...`);
-        }
-      });
-    }
-    
-    // SOL balance changes
-    if (tx.meta?.preBalances && tx.meta?.postBalances) {
-      console.log('\n💎 SOL Balance Changes');
-      console.log('-'.repeat(70));
+    tx.meta.postBalances.forEach((post, i) => {
+      const pre = tx.meta.preBalances[i];
+      const change = post - pre;
       
-      tx.meta.postBalances.forEach((post, i) => {
-        const pre = tx.meta.preBalances[i];
-        const change = (post - pre) / 1e9;
-        
-        if (change !== 0) {
-          const changeStr = change > 0 ? `+${change.toFixed(9)}` : `${change.toFixed(9)}`;
-          console.log(`  Account ${i}: ${changeStr} SOL`);
-        }
-      });
+      if (change !== 0) {
+        const changeStr = change > 0 ? `+${formatSol(change)}` : formatSol(change);
+        log(`  ${format(accountKeys[i].pubkey)}: ${changeStr} SOL`);
+      }
+    });
+  }
+  
+  // Log summary
+  log('\n✅ Transaction parsed successfully');
+  log(`\nExplorer: ${explorerUrl('tx', signature, network)}`);
+  
+  return tx;
+}
+
+export async function parseCommand([signature]) {
+  try {
+    const tx = await parseTransaction(signature);
+    if (!tx) {
+      process.exitCode = 1;
+      return;
     }
-    
-    // Log summary
-    console.log('\n✅ Transaction parsed successfully');
-    console.log(`\nExplorer: https://explorer.solana.com/tx/${signature}?cluster=${NETWORK}`);
-    
-    return tx;
-    
+    reportResult({ signature, explorer: explorerUrl('tx', signature), transaction: tx });
   } catch (error) {
     console.error('❌ Error parsing transaction:', error.message);
+    process.exit(1);
   }
 }
 
 // CLI
 if (import.meta.url === `file://${process.argv[1]}`) {
-  const signature = process.argv[2];
-  
-  if (!signature) {
-    console.log('Usage: node tx-parser.js <transaction-signature>');
-    console.log('');
-    console.log('Example:');
-    console.log('  node tx-parser.js 5UfgJ5P3...');
-    process.exit(1);
-  }
-  
-  parseTransaction(signature);
+  runScript(import.meta.url);
 }
 
 export { parseTransaction };
@@ -0,0 +1,173 @@
+// Address Book
+// Labels for known addresses: use @label anywhere an address is expected, see labels in tool output
+
+import { PublicKey } from '@solana/web3.js';
+import fs from 'fs';
+import { loadRegistry } from './wallets.js';
+import { toolkitPath } from '../utils/toolkit-home.js';
+import { reportResult, reportWarning } from '../utils/output.js';
+import { runScript } from '../cli/dispatch.js';
+
+const ADDRESS_BOOK_FILE = 'address-book.json';
+
+export function loadAddressBook() {
+  try {
+    return JSON.parse(fs.readFileSync(toolkitPath(ADDRESS_BOOK_FILE), 'utf8'));
+  } catch {
+    return { contacts: {}, sent: {} };
+  }
+}
+
+function saveAddressBook(book) {
+  fs.writeFileSync(toolkitPath(ADDRESS_BOOK_FILE), JSON.stringify(book, null, 2));
+}
+
+function normalizeLabel(label) {
+  const name = label.replace(/^@/, '');
+  if (!/^[\w.-]+$/.test(name)) {
+    throw new Error('Labels may only contain letters, numbers, ".", "_" and "-"');
+  }
+  return name;
+}
+
+export function addContact(label, address, { tags = [], notes = '' } = {}) {
+  const name = normalizeLabel(label);
+  const book = loadAddressBook();
+  if (book.contacts[name]) {
+    throw new Error(`@${name} already exists (remove it first)`);
+  }
+
+  book.contacts[name] = {
+    address: new PublicKey(address).toBase58(),
+    tags,
+    notes,
+    addedAt: new Date().toISOString()
+  };
+  saveAddressBook(book);
+  return { label: name, ...book.contacts[name] };
+}
+
+export function removeContact(label) {
+  const name = normalizeLabel(label);
+  const book = loadAddressBook();
+  if (!book.contacts[name]) {
+    throw new Error(`Unknown contact: @${name}`);
+  }
+  delete book.contacts[name];
+  saveAddressBook(book);
+}
+
+// `@alice` → alice's address; anything else must be a valid base58 address
+export function resolveAddress(input) {
+  if (input?.startsWith('@')) {
+    const name = input.slice(1);
+    const contact = loadAddressBook().contacts[name];
+    if (!contact) {
+      throw new Error(`Unknown contact @${name} - add it with: node src/wallet/address-book.js add ${name} <address>`);
+    }
+    return new PublicKey(contact.address);
+  }
+  try {
+    return new PublicKey(input);
+  } catch {
+    throw new Error(`Invalid address: ${input}`);
+  }
+}
+
+// Label for a known address: a contact, or one of our own registered wallets
+export function labelFor(address) {
+  const base58 = address.toString();
+  const contact = Object.entries(loadAddressBook().contacts).find(([, c]) => c.address === base58);
+  if (contact) return `@${contact[0]}`;
+
+  const wallet = Object.entries(loadRegistry().wallets).find(([, w]) => w.publicKey === base58);
+  return wallet ? `wallet:${wallet[0]}` : null;
+}
+
+// Formatter that loads the book once, for output that prints many addresses
+export function addressFormatter() {
+  const contacts = Object.entries(loadAddressBook().contacts).map(([name, c]) => [c.address, `@${name}`]);
+  const wallets = Object.entries(loadRegistry().wallets).map(([name, w]) => [w.publicKey, `wallet:${name}`]);
+  const labels = new Map([...wallets, ...contacts]);
+
+  return (address) => {
+    const base58 = address.toString();
+    const label = labels.get(base58);
+    return label ? `${label} (${base58})` : base58;
+  };
+}
+
+export function formatAddress(address) {
+  return addressFormatter()(address);
+}
+
+// Print a warning before the first payment to an address that is not in the book
+export function warnIfUnfamiliar(address) {
+  const base58 = address.toString();
+  const book = loadAddressBook();
+  if (labelFor(base58) || book.sent[base58]) return false;
+
+  console.log(`⚠️  ${base58} is not in your address book and has never been paid from this toolkit.`);
+  reportWarning(`${base58} is not in the address book and has never been paid from this toolkit`);
+  console.log('   Double-check it, then save it with: node src/wallet/address-book.js add <label> ' + base58);
+  return true;
+}
+
+export function recordSend(address) {
+  const base58 = address.toString();
+  const book = loadAddressBook();
+  const entry = book.sent[base58] || { firstSent: new Date().toISOString(), count: 0 };
+  book.sent[base58] = { ...entry, lastSent: new Date().toISOString(), count: entry.count + 1 };
+  saveAddressBook(book);
+}
+
+function printContact(name, contact) {
+  console.log(`@${name.padEnd(16)} ${contact.address}`);
+  if (contact.tags?.length) console.log(`${''.padEnd(18)}tags: ${contact.tags.join(', ')}`);
+  if (contact.notes) console.log(`${''.padEnd(18)}${contact.notes}`);
+}
+
+// Commands, called by sat and by the CLI below with parsed options.
+// Use @label in place of an address in transfers, payouts, token transfers and escrows.
+export function listCommand(args, { tag = null }) {
+  const contacts = Object.entries(loadAddressBook().contacts)
+    .filter(([, c]) => !tag || c.tags?.includes(tag));
+
+  console.log(`📇 Address Book${tag ? ` (tag: ${tag})` : ''}`);
+  console.log('='.repeat(70));
+  if (contacts.length === 0) {
+    console.log('No contacts yet. Use: node address-book.js add <label> <address>');
+  }
+  contacts.forEach(([name, contact]) => printContact(name, contact));
+  reportResult(contacts.map(([name, contact]) => ({ label: name, ...contact })));
+}
+
+export function addCommand([label, address], { tags = null, notes = '' }) {
+  const tagList = tags ? tags.split(',').map(t => t.trim()).filter(Boolean) : [];
+  const contact = addContact(label, address, { tags: tagList, notes });
+  console.log(`✅ Saved @${contact.label} → ${contact.address}`);
+  reportResult(contact);
+}
+
+export function removeCommand([label]) {
+  removeContact(label);
+  console.log(`✅ Removed ${label.startsWith('@') ? label : '@' + label}`);
+  reportResult({ removed: label.replace(/^@/, '') });
+}
+
+export function showCommand([labelOrAddress]) {
+  const book = loadAddressBook();
+  const input = book.contacts[labelOrAddress] ? `@${labelOrAddress}` : labelOrAddress;
+  const address = resolveAddress(input).toBase58();
+  const [name, contact] = Object.entries(book.contacts).find(([, c]) => c.address === address) || [];
+  if (contact) printContact(name, contact);
+  else console.log(`${address} (no label)`);
+  const sent = book.sent[address];
+  console.log(sent ? `Paid ${sent.count} time(s), last ${sent.lastSent}` : 'Never paid from this toolkit');
+  reportResult({ address, label: name || null, ...(contact || {}), sent: sent || null });
+}
+
+// CLI
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runScript(import.meta.url);
+}
@@ -0,0 +1,338 @@
+// Batch SOL Payouts
+// Pay many recipients from a CSV/JSON file, packing as many transfers per transaction as fit
+
+import {
+  PACKET_DATA_SIZE,
+  PublicKey,
+  SystemProgram,
+  Transaction
+} from '@solana/web3.js';
+import fs from 'fs';
+import crypto from 'crypto';
+import { loadWalletKeypair, loadWalletPublicKey } from './wallets.js';
+import { resolveAddress, addressFormatter, warnIfUnfamiliar, recordSend } from './address-book.js';
+import { enforcePolicy, recordSpend, PolicyViolation, printPolicyViolation } from './policy.js';
+import { getConnection } from '../utils/network.js';
+import { reportResult, reportSignature, reportWarning } from '../utils/output.js';
+import { parseSol, formatSol, lamportsToSol } from '../utils/amount.js';
+import { previewPlan, terminalConfirm, PreviewRejected, printPreviewRejection } from '../utils/preview.js';
+import { sendAndConfirm, TransactionFailed, TransactionExpired, reportSendError } from '../utils/send.js';
+import { runScript } from '../cli/dispatch.js';
+
+const SIGNATURE_SIZE = 64;
+
+// Accepts `recipient,amount` CSV (header and # comments optional) or a JSON array of
+// { recipient | address, amount } objects. Recipients may be address book @labels.
+export function parsePayouts(file) {
+  const raw = fs.readFileSync(file, 'utf8');
+  let rows;
+
+  if (file.endsWith('.json')) {
+    rows = JSON.parse(raw).map(row => [row.recipient || row.address, row.amount]);
+  } else {
+    rows = raw.split(/\r?\n/)
+      .map(line => line.trim())
+      .filter(line => line && !line.startsWith('#'))
+      .map(line => line.split(',').map(cell => cell.trim()));
+    if (rows.length > 0 && isNaN(parseFloat(rows[0][1]))) {
+      rows.shift(); // header row
+    }
+  }
+
+  return rows.map(([recipient, amount], index) => {
+    let address;
+    try {
+      address = resolveAddress(recipient).toBase58();
+    } catch (err) {
+      throw new Error(`Row ${index + 1}: ${err.message}`);
+    }
+    let lamports;
+    try {
+      lamports = parseSol(amount ?? '');
+    } catch (err) {
+      throw new Error(`Row ${index + 1}: ${err.message} for ${address}`);
+    }
+    // Results files store lamports as JSON numbers, exact up to ~9 million SOL per payout
+    return { index, recipient: address, amount: lamportsToSol(lamports), lamports: Number(lamports) };
+  });
+}
+
+// Fingerprint of the payout list so a results file is never resumed against a different input
+function payoutsHash(payouts) {
+  const canonical = payouts.map(p => `${p.recipient}:${p.lamports}`).join('\n');
+  return crypto.createHash('sha256').update(canonical).digest('hex');
+}
+
+export function defaultResultsFile(inputFile) {
+  return inputFile.replace(/\.(csv|json)$/i, '') + '.results.json';
+}
+
+function loadResults(resultsFile, payouts, wallet) {
+  const hash = payoutsHash(payouts);
+
+  if (fs.existsSync(resultsFile)) {
+    const results = JSON.parse(fs.readFileSync(resultsFile, 'utf8'));
+    if (results.inputHash !== hash) {
+      throw new Error(`${resultsFile} belongs to a different payout list - move it away or pass --results <file>`);
+    }
+    if (results.wallet !== wallet) {
+      throw new Error(`${resultsFile} was started from wallet ${results.wallet}, not ${wallet}`);
+    }
+    return results;
+  }
+
+  return {
+    inputHash: hash,
+    wallet,
+    createdAt: new Date().toISOString(),
+    items: payouts.map(p => ({ ...p, status: 'pending', signature: null }))
+  };
+}
+
+// Write via rename so a crash never leaves a half-written results file behind
+function saveResults(resultsFile, results) {
+  results.updatedAt = new Date().toISOString();
+  fs.writeFileSync(`${resultsFile}.tmp`, JSON.stringify(results, null, 2));
+  fs.renameSync(`${resultsFile}.tmp`, resultsFile);
+}
+
+function transactionSize(transaction, signers = 1) {
+  return transaction.serializeMessage().length + 1 + signers * SIGNATURE_SIZE;
+}
+
+// Greedily group items into transactions that stay under the packet size limit
+export function packTransfers(items, feePayer) {
+  const placeholderBlockhash = PublicKey.default.toBase58();
+  const batches = [];
+  let current = [];
+
+  for (const item of items) {
+    const candidate = new Transaction({ feePayer, recentBlockhash: placeholderBlockhash });
+    [...current, item].forEach(i => candidate.add(transferInstruction(feePayer, i)));
+
+    if (current.length > 0 && transactionSize(candidate) > PACKET_DATA_SIZE) {
+      batches.push(current);
+      current = [item];
+    } else {
+      current.push(item);
+    }
+  }
+  if (current.length > 0) batches.push(current);
+  return batches;
+}
+
+function transferInstruction(fromPubkey, item) {
+  return SystemProgram.transfer({
+    fromPubkey,
+    toPubkey: new PublicKey(item.recipient),
+    lamports: item.lamports
+  });
+}
+
+// Items left in `sent` by an interrupted run: settle them before anything is re-sent
+async function reconcileSent(connection, results, resultsFile) {
+  const sent = results.items.filter(i => i.status === 'sent');
+  const signatures = [...new Set(sent.map(i => i.signature))];
+  if (signatures.length === 0) return;
+
+  console.log(`🔁 Checking ${signatures.length} transaction(s) from the previous run...`);
+  // Finalized height first: once it is past a transaction's last valid block height, no fork can
+  // still include it, and the statuses read afterwards show everything that did land
+  const blockHeight = await connection.getBlockHeight('finalized');
+  const { value: statuses } = await connection.getSignatureStatuses(signatures, { searchTransactionHistory: true });
+
+  signatures.forEach((signature, i) => {
+    const status = statuses[i];
+    const items = sent.filter(item => item.signature === signature);
+
+    if (status && !status.err && status.confirmationStatus !== 'processed') {
+      items.forEach(item => { item.status = 'confirmed'; });
+      console.log(`   ✅ ${signature.slice(0, 16)}... landed (${items.length} payouts)`);
+    } else if (status?.err) {
+      items.forEach(item => { item.status = 'failed'; item.error = JSON.stringify(status.err); });
+      console.log(`   ❌ ${signature.slice(0, 16)}... failed on-chain`);
+    } else if (blockHeight > items[0].lastValidBlockHeight) {
+      // The blockhash expired without the transaction landing, so it can never land now
+      items.forEach(item => { item.status = 'pending'; item.signature = null; });
+      console.log(`   ↩️  ${signature.slice(0, 16)}... expired, will resend`);
+    } else {
+      throw new Error(`Transaction ${signature} may still land - wait ~1 minute and run again`);
+    }
+  });
+
+  saveResults(resultsFile, results);
+}
+
+async function sendBatch(connection, keypair, batch, results, resultsFile) {
+  const transaction = new Transaction({ feePayer: keypair.publicKey });
+  batch.forEach(item => transaction.add(transferInstruction(keypair.publicKey, item)));
+  const lamports = batch.reduce((sum, item) => sum + item.lamports, 0);
+
+  try {
+    const { signature } = await sendAndConfirm(connection, transaction, [keypair], {
+      journal: {
+        tool: 'batch-transfer',
+        intent: `Pay ${formatSol(lamports)} SOL to ${batch.length} recipient${batch.length === 1 ? '' : 's'}`,
+        params: { from: keypair.publicKey.toBase58(), resultsFile, payouts: batch.map(item => ({ recipient: item.recipient, amount: formatSol(item.lamports) })) }
+      },
+      // Record every signature before it is sent: after a crash we can look it up instead of paying twice
+      onSigned: (signature, { lastValidBlockHeight }) => {
+        batch.forEach(item => Object.assign(item, { status: 'sent', signature, lastValidBlockHeight }));
+        saveResults(resultsFile, results);
+      }
+    });
+    batch.forEach(item => { item.status = 'confirmed'; });
+    batch.forEach(item => recordSend(item.recipient));
+    saveResults(resultsFile, results);
+    return signature;
+  } catch (err) {
+    if (err instanceof TransactionFailed) {
+      batch.forEach(item => Object.assign(item, { status: 'failed', error: JSON.stringify(err.err) }));
+      saveResults(resultsFile, results);
+      return err.signature;
+    }
+    if (err instanceof TransactionExpired) {
+      // Nothing was paid; the next run sends these again
+      batch.forEach(item => Object.assign(item, { status: 'pending', signature: null }));
+      saveResults(resultsFile, results);
+    }
+    throw err;
+  }
+}
+
+function printPreview({ items, batches, fee, balance, wallet }) {
+  const total = items.reduce((sum, i) => sum + i.lamports, 0);
+  const totalFees = fee * batches.length;
+
+  console.log('📋 Payout Preview');
+  console.log('=================');
+  console.log(`Wallet: ${wallet}`);
+  console.log(`Recipients: ${items.length}`);
+  console.log(`Total: ${formatSol(total)} SOL`);
+  console.log(`Transactions: ${batches.length} (up to ${Math.max(...batches.map(b => b.length))} transfers each)`);
+  console.log(`Estimated fees: ${formatSol(totalFees)} SOL`);
+  console.log(`Balance: ${formatSol(balance)} SOL`);
+  console.log('');
+
+  return total + totalFees;
+}
+
+export async function batchTransfer(inputFile, { walletName = null, resultsFile = null, dryRun = false, rpcUrl = null, approval = null, confirm = null } = {}) {
+  const connection = getConnection({ rpcUrl });
+  const walletPubkey = loadWalletPublicKey(walletName);
+  const payouts = parsePayouts(inputFile);
+  const resultsPath = resultsFile || defaultResultsFile(inputFile);
+
+  const seen = new Set();
+  for (const p of payouts) {
+    if (seen.has(p.recipient)) {
+      console.log(`⚠️  ${p.recipient} appears more than once and will be paid each time`);
+      reportWarning(`${p.recipient} appears more than once and will be paid each time`);
+    }
+    seen.add(p.recipient);
+  }
+
+  const results = loadResults(resultsPath, payouts, walletPubkey.toBase58());
+  if (!dryRun) {
+    await reconcileSent(connection, results, resultsPath);
+  }
+
+  const remaining = results.items.filter(i => i.status === 'pending');
+  const done = results.items.filter(i => i.status === 'confirmed').length;
+  if (done > 0) {
+    console.log(`⏭️  Skipping ${done} payouts already confirmed in ${resultsPath}`);
+  }
+  if (remaining.length === 0) {
+    console.log('✅ Nothing left to pay');
+    return results;
+  }
+
+  const batches = packTransfers(remaining, walletPubkey);
+  const sample = new Transaction({ feePayer: walletPubkey, recentBlockhash: (await connection.getLatestBlockhash()).blockhash });
+  batches[0].forEach(item => sample.add(transferInstruction(walletPubkey, item)));
+  const fee = (await connection.getFeeForMessage(sample.compileMessage())).value ?? 5000;
+  const balance = await connection.getBalance(walletPubkey);
+
+  const required = printPreview({ items: remaining, batches, fee, balance, wallet: walletPubkey.toBase58() });
+  if (balance < required) {
+    throw new Error(`Insufficient balance: need ${formatSol(required)} SOL`);
+  }
+
+  const unfamiliar = [...new Set(remaining.map(i => i.recipient))].filter(address => warnIfUnfamiliar(address));
+  if (unfamiliar.length > 0) console.log('');
+
+  if (dryRun) {
+    const format = addressFormatter();
+    batches.forEach((batch, i) => {
+      console.log(`Transaction ${i + 1}:`);
+      batch.forEach(item => console.log(`   ${format(item.recipient)}  ${item.amount} SOL`));
+    });
+    console.log('');
+    console.log('📝 Dry run complete - nothing was sent');
+    return results;
+  }
+
+  // The first transaction is simulated before the wallet is unlocked; confirming it sends them all
+  await previewPlan(connection, sample, batches.length, { confirm });
+
+  const keypair = await loadWalletKeypair(walletName);
+
+  for (const [i, batch] of batches.entries()) {
+    console.log(`💸 Sending transaction ${i + 1}/${batches.length} (${batch.length} payouts)...`);
+    // Each packed transaction is checked on its own; a block stops the run and it can be resumed
+    const ticket = enforcePolicy({
+      tool: 'batch-transfer',
+      wallet: keypair.publicKey.toBase58(),
+      transfers: batch.map(item => ({ mint: 'SOL', amount: item.amount, recipient: item.recipient })),
+      programs: [SystemProgram.programId.toBase58()]
+    }, { approval });
+
+    const signature = await sendBatch(connection, keypair, batch, results, resultsPath);
+    const failed = batch[0].status === 'failed';
+    if (!failed) recordSpend(ticket, signature);
+    console.log(`   ${failed ? '❌ Failed' : '✅ Confirmed'}: ${signature}`);
+    if (failed) {
+      console.log(`   Error: ${batch[0].error}`);
+    }
+  }
+
+  const summary = results.items.reduce((acc, i) => ({ ...acc, [i.status]: (acc[i.status] || 0) + 1 }), {});
+  console.log('');
+  console.log(`📊 Done: ${summary.confirmed || 0} confirmed, ${summary.failed || 0} failed`);
+  console.log(`   Results: ${resultsPath}`);
+  return results;
+}
+
+// `sat wallet payout`: progress is written to <input>.results.json after every transaction, and
+// re-running the same command resumes and never pays a confirmed row twice
+export async function payoutCommand([payoutsFile], { wallet, approve, yes, dryRun, results: resultsFile = null }) {
+  try {
+    const results = await batchTransfer(payoutsFile, {
+      walletName: wallet,
+      resultsFile,
+      dryRun,
+      approval: approve,
+      confirm: terminalConfirm(yes)
+    });
+    results.items.forEach(i => reportSignature(i.signature));
+    const failed = results.items.filter(i => i.status === 'failed').length;
+    if (failed > 0) reportWarning(`${failed} payout(s) failed on-chain, see the results file`);
+    reportResult(results);
+  } catch (err) {
+    if (err instanceof PolicyViolation) {
+      printPolicyViolation(err);
+      console.log('   Payouts confirmed so far are kept; re-running resumes from here.');
+    } else if (err instanceof PreviewRejected) {
+      printPreviewRejection(err);
+    } else {
+      reportSendError(err);
+      console.error('❌', err.message);
+    }
+    process.exit(1);
+  }
+}
+
+// CLI
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runScript(import.meta.url);
+}
@@ -1,28 +1,57 @@
-import { Connection, clusterApiUrl, LAMPORTS_PER_SOL, PublicKey } from '@solana/web3.js';
-import fs from 'fs';
+// Check Balance
+// SOL balance of a wallet, with a devnet/testnet airdrop when it is empty
 
-const wallet = JSON.parse(fs.readFileSync('wallet.json', 'utf8'));
-const connection = new Connection(clusterApiUrl('devnet'), 'confirmed');
-const publicKey = new PublicKey(wallet.publicKey);
+import { loadWalletPublicKey } from './wallets.js';
+import { getConnection, resolveNetwork } from '../utils/network.js';
+import { reportResult, reportSignature, reportWarning } from '../utils/output.js';
+import { parseSol, lamportsToSol } from '../utils/amount.js';
+import { runScript } from '../cli/dispatch.js';
 
-console.log('💰 Checking Balance');
-console.log('===================');
-console.log('Address:', wallet.publicKey);
-console.log('Network: Devnet');
-console.log('');
+export async function getBalance(connection, publicKey) {
+  const lamports = await connection.getBalance(publicKey);
+  return { address: publicKey.toBase58(), lamports, sol: lamportsToSol(lamports) };
+}
+
+// Airdrops only exist off mainnet
+export async function requestAirdrop(connection, publicKey, sol = 2) {
+  const signature = await connection.requestAirdrop(publicKey, Number(parseSol(sol)));
+  const latest = await connection.getLatestBlockhash('confirmed');
+  const { value } = await connection.confirmTransaction({ signature, ...latest }, 'confirmed');
+  if (value.err) throw new Error(`Airdrop failed: ${JSON.stringify(value.err)}`);
+  return { signature, ...(await getBalance(connection, publicKey)) };
+}
 
-const balance = await connection.getBalance(publicKey);
-console.log(`Balance: ${balance / LAMPORTS_PER_SOL} SOL`);
+export async function balanceCommand(args, { wallet }) {
+  const network = resolveNetwork();
+  const connection = getConnection({ network });
+  const publicKey = loadWalletPublicKey(wallet);
 
-if (balance === 0) {
+  console.log('💰 Checking Balance');
+  console.log('===================');
+  console.log('Address:', publicKey.toBase58());
+  console.log('Network:', network.cluster);
   console.log('');
-  console.log('🚰 Requesting airdrop...');
-  try {
-    const signature = await connection.requestAirdrop(publicKey, 2 * LAMPORTS_PER_SOL);
-    await connection.confirmTransaction(signature);
-    const newBalance = await connection.getBalance(publicKey);
-    console.log(`✅ Airdrop complete! New balance: ${newBalance / LAMPORTS_PER_SOL} SOL`);
-  } catch (err) {
-    console.log('❌ Airdrop failed:', err.message);
+
+  const balance = await getBalance(connection, publicKey);
+  console.log(`Balance: ${balance.sol} SOL`);
+  reportResult({ ...balance, network: network.cluster });
+
+  if (balance.lamports === 0 && network.cluster !== 'mainnet-beta') {
+    console.log('');
+    console.log('🚰 Requesting airdrop...');
+    try {
+      const airdrop = await requestAirdrop(connection, publicKey);
+      console.log(`✅ Airdrop complete! New balance: ${airdrop.sol} SOL`);
+      reportSignature(airdrop.signature);
+      reportResult({ lamports: airdrop.lamports, sol: airdrop.sol, airdrop: true });
+    } catch (err) {
+      console.log('❌ Airdrop failed:', err.message);
+      reportWarning(`Airdrop failed: ${err.message}`);
+    }
   }
 }
+
+// CLI
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runScript(import.meta.url);
+}
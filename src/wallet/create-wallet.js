@@ -1,26 +1,253 @@
-import { Keypair, Connection, clusterApiUrl, LAMPORTS_PER_SOL } from '@solana/web3.js';
+import { Keypair, PublicKey } from '@solana/web3.js';
+import bs58 from 'bs58';
 import fs from 'fs';
-import path from 'path';
-
-// Generate a new wallet
-const keypair = Keypair.generate();
-
-console.log('🔑 New Solana Wallet Generated');
-console.log('================================');
-console.log('Public Key:', keypair.publicKey.toBase58());
-console.log('Private Key (save this!):', JSON.stringify(Array.from(keypair.secretKey)));
-console.log('');
-console.log('💾 Saving to wallet.json...');
-
-// Save to file
-const walletData = {
-  publicKey: keypair.publicKey.toBase58(),
-  secretKey: Array.from(keypair.secretKey),
-  createdAt: new Date().toISOString()
-};
-
-fs.writeFileSync('wallet.json', JSON.stringify(walletData, null, 2));
-console.log('✅ Wallet saved to wallet.json');
-console.log('');
-console.log('⚠️  IMPORTANT: Back up wallet.json securely!');
-console.log('   This is your only way to access your funds.');
+import { getPassphrase, promptSecret, saveWallet, isEncrypted } from './keystore.js';
+import { generateMnemonic, deriveKeypair, deriveAccounts, derivationPath, normalizeMnemonic } from './hd-wallet.js';
+import { addWallet, loadRegistry, loadWalletKeypair } from './wallets.js';
+import { reportResult } from '../utils/output.js';
+import { runScript } from '../cli/dispatch.js';
+
+const MNEMONIC_ENV = 'WALLET_MNEMONIC';
+const IMPORT_ENV = 'WALLET_IMPORT_KEY';
+
+async function readMnemonic() {
+  const mnemonic = process.env[MNEMONIC_ENV] || await promptSecret('🌱 Seed phrase: ', { envHint: MNEMONIC_ENV });
+  return normalizeMnemonic(mnemonic);
+}
+
+// Refuse an existing file and ask for the passphrase before any key material is shown
+async function choosePassphrase(walletPath, { plaintext = false } = {}) {
+  if (fs.existsSync(walletPath)) {
+    throw new Error(`${walletPath} already exists - refusing to overwrite it`);
+  }
+  return plaintext ? null : getPassphrase('🔐 Choose a passphrase: ', { confirm: true });
+}
+
+function writeWallet(walletPath, keypair, { passphrase, extra = {} }) {
+  console.log(`💾 Saving to ${walletPath}...`);
+  saveWallet(walletPath, keypair, { passphrase, extra: { ...extra, createdAt: new Date().toISOString() } });
+
+  if (!passphrase) {
+    console.log(`✅ Wallet saved to ${walletPath} (UNENCRYPTED)`);
+    console.log('   Encrypt it later with: node src/wallet/keystore.js migrate');
+  } else {
+    console.log(`✅ Wallet saved to ${walletPath} (encrypted)`);
+  }
+}
+
+// Generate a new wallet, backed by a seed phrase unless `random` is set
+export async function createWallet({ walletPath = 'wallet.json', words = 12, account = 0, random = false, plaintext = false } = {}) {
+  const passphrase = await choosePassphrase(walletPath, { plaintext });
+
+  let keypair;
+  let extra = {};
+  let mnemonic = null;
+
+  if (random) {
+    keypair = Keypair.generate();
+  } else {
+    mnemonic = generateMnemonic(words);
+    keypair = deriveKeypair(mnemonic, account);
+    extra = { derivationPath: derivationPath(account) };
+  }
+
+  console.log('🔑 New Solana Wallet Generated');
+  console.log('================================');
+  console.log('Public Key:', keypair.publicKey.toBase58());
+  if (mnemonic) {
+    console.log('Derivation Path:', extra.derivationPath);
+    console.log('');
+    console.log('🌱 Seed Phrase (write this down, it will not be shown again):');
+    console.log('');
+    console.log(`   ${mnemonic}`);
+  }
+  console.log('');
+
+  writeWallet(walletPath, keypair, { passphrase, extra });
+
+  console.log('');
+  console.log(`⚠️  IMPORTANT: Back up ${mnemonic ? 'the seed phrase' : walletPath} and your passphrase securely!`);
+  console.log('   This is your only way to access your funds.');
+  if (mnemonic) {
+    console.log('   The seed phrase can also be imported into Phantom or Solflare.');
+  }
+
+  return { publicKey: keypair.publicKey.toBase58(), ...extra };
+}
+
+// Restore one derived account from an existing seed phrase
+export async function restoreWallet({ walletPath = 'wallet.json', account = 0, plaintext = false } = {}) {
+  const passphrase = await choosePassphrase(walletPath, { plaintext });
+  const mnemonic = await readMnemonic();
+  const keypair = deriveKeypair(mnemonic, account);
+  const path = derivationPath(account);
+
+  console.log('♻️  Restoring Wallet');
+  console.log('===================');
+  console.log('Public Key:', keypair.publicKey.toBase58());
+  console.log('Derivation Path:', path);
+  console.log('');
+
+  writeWallet(walletPath, keypair, { passphrase, extra: { derivationPath: path } });
+  return { publicKey: keypair.publicKey.toBase58(), derivationPath: path };
+}
+
+// A 64-byte secret key carries its public key in the last 32 bytes; check it
+// against the one derived from the seed half before trusting it
+function keypairFromSecretBytes(bytes) {
+  if (bytes.length === 32) {
+    return Keypair.fromSeed(Uint8Array.from(bytes));
+  }
+  if (bytes.length !== 64) {
+    throw new Error(`Expected a 32 or 64 byte key, got ${bytes.length} bytes`);
+  }
+
+  const derived = Keypair.fromSeed(Uint8Array.from(bytes.slice(0, 32)));
+  const embedded = new PublicKey(Uint8Array.from(bytes.slice(32)));
+  if (!derived.publicKey.equals(embedded)) {
+    throw new Error(`Secret key is corrupt: it derives ${derived.publicKey.toBase58()} but embeds ${embedded.toBase58()}`);
+  }
+  return derived;
+}
+
+// Recognise a Phantom base58 key, a Solana CLI byte array, a toolkit wallet file or a seed phrase
+export function parseSecret(input, { account = 0 } = {}) {
+  const text = input.trim();
+
+  if (text.startsWith('[')) {
+    return { keypair: keypairFromSecretBytes(JSON.parse(text)), format: 'solana-cli' };
+  }
+  if (text.startsWith('{')) {
+    const walletData = JSON.parse(text);
+    if (isEncrypted(walletData)) {
+      throw new Error('This is already an encrypted toolkit wallet - register it with wallets.js add instead');
+    }
+    const keypair = keypairFromSecretBytes(walletData.secretKey || []);
+    if (walletData.publicKey && walletData.publicKey !== keypair.publicKey.toBase58()) {
+      throw new Error(`publicKey ${walletData.publicKey} does not match its secretKey`);
+    }
+    return { keypair, format: 'toolkit' };
+  }
+  if (text.split(/\s+/).length >= 12) {
+    return { keypair: deriveKeypair(text, account), format: 'mnemonic', derivationPath: derivationPath(account) };
+  }
+
+  let bytes;
+  try {
+    bytes = bs58.decode(text);
+  } catch {
+    throw new Error('Unrecognised key: expected a base58 private key, a JSON byte array or a seed phrase');
+  }
+  return { keypair: keypairFromSecretBytes(Array.from(bytes)), format: 'base58' };
+}
+
+// Import an existing key into the toolkit wallet format. The secret comes from a
+// file, WALLET_IMPORT_KEY or a hidden prompt - never from the command line.
+export async function importWallet({ source = null, walletPath = 'wallet.json', account = 0, expect = null, plaintext = false } = {}) {
+  if (fs.existsSync(walletPath)) {
+    throw new Error(`${walletPath} already exists - refusing to overwrite it`);
+  }
+  const secret = source
+    ? fs.readFileSync(source, 'utf8')
+    : process.env[IMPORT_ENV] || process.env[MNEMONIC_ENV] || await promptSecret('🔑 Private key or seed phrase: ', { envHint: IMPORT_ENV });
+
+  const { keypair, format, derivationPath: path } = parseSecret(secret, { account });
+  const publicKey = keypair.publicKey.toBase58();
+
+  if (expect && new PublicKey(expect).toBase58() !== publicKey) {
+    throw new Error(`Key belongs to ${publicKey}, not ${expect}${format === 'mnemonic' ? ' (try another --account)' : ''}`);
+  }
+
+  console.log('📥 Importing Wallet');
+  console.log('===================');
+  console.log('Format:', format);
+  console.log('Public Key:', publicKey);
+  if (path) console.log('Derivation Path:', path);
+  console.log('');
+
+  const extra = { importedFrom: format, ...(path ? { derivationPath: path } : {}) };
+  writeWallet(walletPath, keypair, { passphrase: await choosePassphrase(walletPath, { plaintext }), extra });
+  return { publicKey, format, ...(path ? { derivationPath: path } : {}) };
+}
+
+// Export a wallet's key as a Phantom base58 string or a Solana CLI id.json array
+export async function exportWallet({ walletName = null, format = 'base58', outPath = null } = {}) {
+  if (!['base58', 'solana-cli'].includes(format)) {
+    throw new Error(`Unknown export format "${format}" (use base58 or solana-cli)`);
+  }
+
+  const keypair = await loadWalletKeypair(walletName);
+  const exported = format === 'base58'
+    ? bs58.encode(keypair.secretKey)
+    : JSON.stringify(Array.from(keypair.secretKey));
+
+  console.error(`⚠️  Exporting the private key of ${keypair.publicKey.toBase58()} - anyone holding it controls the wallet`);
+  if (outPath) {
+    if (fs.existsSync(outPath)) {
+      throw new Error(`${outPath} already exists - refusing to overwrite it`);
+    }
+    fs.writeFileSync(outPath, exported + '\n', { mode: 0o600 });
+    console.error(`✅ Written to ${outPath} (${format})`);
+  } else {
+    console.log(exported);
+  }
+  return { publicKey: keypair.publicKey.toBase58(), format };
+}
+
+// List the first N addresses derived from a seed phrase
+export async function listDerivedAccounts({ count = 5, start = 0 } = {}) {
+  const mnemonic = await readMnemonic();
+  const accounts = deriveAccounts(mnemonic, count, start);
+
+  console.log('🌳 Derived Accounts');
+  console.log('===================');
+  for (const { account, path, publicKey } of accounts) {
+    console.log(`  #${String(account).padEnd(3)} ${path.padEnd(20)} ${publicKey}`);
+  }
+  console.log('');
+  console.log('Save one with: node create-wallet.js restore --account <n> --out <file>');
+
+  return accounts.map(({ account, path, publicKey }) => ({ account, path, publicKey }));
+}
+
+// `wallet create`, `restore` and `import`: write the wallet file, then register it under --name.
+// Seed phrases only ever go to the terminal, never into the JSON result.
+async function saveCommand(save, { out = 'wallet.json', plaintext, name = null }) {
+  if (name && loadRegistry().wallets[name]) {
+    throw new Error(`Wallet "${name}" is already registered`);
+  }
+
+  const result = { ...await save({ walletPath: out, plaintext }), file: out, encrypted: !plaintext };
+  if (name) {
+    addWallet(name, out);
+    console.log(`👛 Registered as "${name}" (use --wallet ${name})`);
+    result.name = name;
+  }
+  reportResult(result);
+}
+
+export function createCommand(args, { words = 12, account = 0, random, ...options }) {
+  return saveCommand(target => createWallet({ ...target, words, account, random }), options);
+}
+
+export function restoreCommand(args, { account = 0, ...options }) {
+  return saveCommand(target => restoreWallet({ ...target, account }), options);
+}
+
+export function importCommand([keyfile = null], { account = 0, expect = null, ...options }) {
+  return saveCommand(target => importWallet({ ...target, source: keyfile, account, expect }), options);
+}
+
+// Exported keys go to the terminal or --out, never into the JSON result
+export async function exportCommand(args, { wallet = null, format = 'base58', out = null }) {
+  reportResult(await exportWallet({ walletName: wallet, format, outPath: out }));
+}
+
+export async function deriveCommand(args, { count = 5, start = 0 }) {
+  reportResult(await listDerivedAccounts({ count, start }));
+}
+
+// CLI
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runScript(import.meta.url);
+}
@@ -0,0 +1,333 @@
+// Devnet Funding Manager
+// Keep a list of devnet/localnet wallets above a SOL threshold with airdrops, falling back to a funder wallet
+
+import {
+  PublicKey,
+  SystemProgram,
+  Transaction
+} from '@solana/web3.js';
+import fs from 'fs';
+import { loadRegistry, loadWalletKeypair } from './wallets.js';
+import { resolveAddress, formatAddress } from './address-book.js';
+import { enforcePolicy, recordSpend, PolicyViolation, printPolicyViolation } from './policy.js';
+import { toolkitPath } from '../utils/toolkit-home.js';
+import { getConnection, resolveNetwork } from '../utils/network.js';
+import { reportResult, reportSignature, reportError } from '../utils/output.js';
+import { parseSol, formatSol, lamportsToSol } from '../utils/amount.js';
+import { previewTransaction, terminalConfirm, PreviewRejected } from '../utils/preview.js';
+import { sendAndConfirm } from '../utils/send.js';
+import { runScript } from '../cli/dispatch.js';
+
+const FUNDING_FILE = 'funding.json';
+const MAINNET_GENESIS_HASH = '5eykt4UsFv8P8NJdTREpY1vzqKqZKvdpKuc147dw2N9d';
+
+// The public devnet faucet hands out at most this much per request
+const DEVNET_AIRDROP_MAX = 2;
+
+// Balances in the config are SOL; everything below works in lamports
+const toLamports = sol => Number(parseSol(sol, { allowZero: true }));
+const AIRDROP_ATTEMPTS = 5;
+const AIRDROP_BACKOFF_MS = 2000;
+
+const DEFAULT_CONFIG = {
+  rpcUrl: null,
+  funder: null,
+  defaults: { minBalance: 1, targetBalance: 2 },
+  wallets: []
+};
+
+export function loadFundingConfig() {
+  try {
+    return { ...DEFAULT_CONFIG, ...JSON.parse(fs.readFileSync(toolkitPath(FUNDING_FILE), 'utf8')) };
+  } catch {
+    return { ...DEFAULT_CONFIG, wallets: [] };
+  }
+}
+
+function saveFundingConfig(config) {
+  fs.writeFileSync(toolkitPath(FUNDING_FILE), JSON.stringify(config, null, 2));
+}
+
+// Entries may name a registered wallet, an @label or a bare address
+function resolveTarget(target) {
+  const wallet = loadRegistry().wallets[target];
+  return wallet ? new PublicKey(wallet.publicKey) : resolveAddress(target);
+}
+
+function isLocalUrl(rpcUrl) {
+  return /^https?:\/\/(localhost|127\.0\.0\.1|0\.0\.0\.0)(:\d+)?/.test(rpcUrl);
+}
+
+function isRateLimited(err) {
+  return /429|rate.?limit|too many requests|airdrop.*limit|run dry/i.test(err.message);
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+export function addFundingWallet(target, { minBalance = null, targetBalance = null } = {}) {
+  resolveTarget(target);
+  const config = loadFundingConfig();
+  const entry = { wallet: target };
+  if (minBalance !== null) entry.minBalance = minBalance;
+  if (targetBalance !== null) entry.targetBalance = targetBalance;
+  if ((entry.targetBalance ?? config.defaults.targetBalance) < (entry.minBalance ?? config.defaults.minBalance)) {
+    throw new Error('The target balance must not be below the minimum');
+  }
+
+  config.wallets = config.wallets.filter(w => w.wallet !== target);
+  config.wallets.push(entry);
+  saveFundingConfig(config);
+  return entry;
+}
+
+export function removeFundingWallet(target) {
+  const config = loadFundingConfig();
+  const before = config.wallets.length;
+  config.wallets = config.wallets.filter(w => w.wallet !== target);
+  if (config.wallets.length === before) {
+    throw new Error(`${target} is not in the funding list`);
+  }
+  saveFundingConfig(config);
+}
+
+export function setFunder(walletName) {
+  if (walletName && !loadRegistry().wallets[walletName]) {
+    throw new Error(`Unknown wallet "${walletName}" - the funder must be a registered wallet`);
+  }
+  const config = loadFundingConfig();
+  config.funder = walletName;
+  saveFundingConfig(config);
+}
+
+// Airdrop `lamports` in faucet-sized chunks, backing off when the faucet rate-limits us.
+// Returns how much actually arrived.
+async function airdrop(connection, publicKey, lamports, { local = false, log = () => {} } = {}) {
+  const chunk = local ? lamports : toLamports(DEVNET_AIRDROP_MAX);
+  let received = 0;
+
+  while (received < lamports) {
+    const amount = Math.min(chunk, lamports - received);
+    let attempt = 0;
+
+    for (;;) {
+      try {
+        const signature = await connection.requestAirdrop(publicKey, amount);
+        const latest = await connection.getLatestBlockhash();
+        const { value } = await connection.confirmTransaction({ signature, ...latest }, 'confirmed');
+        if (value.err) throw new Error(`Airdrop failed: ${JSON.stringify(value.err)}`);
+        received += amount;
+        break;
+      } catch (err) {
+        attempt++;
+        if (!isRateLimited(err) || attempt >= AIRDROP_ATTEMPTS) {
+          log(`   Airdrop stopped: ${err.message}`);
+          return received;
+        }
+        const delay = AIRDROP_BACKOFF_MS * 2 ** (attempt - 1);
+        log(`   Rate limited, retrying in ${delay / 1000}s (${attempt}/${AIRDROP_ATTEMPTS - 1})`);
+        await sleep(delay);
+      }
+    }
+  }
+  return received;
+}
+
+// Transfer from the funder, keeping the funder itself at or above its own minimum. Each top-up
+// is simulated and confirmed on its own, since it depends on what the airdrops delivered.
+async function fundFromFunder(connection, funder, publicKey, lamports, { reserve, approval, confirm, log }) {
+  const balance = await connection.getBalance(funder.publicKey);
+  if (balance - lamports < reserve) {
+    throw new Error(`Funder ${funder.publicKey.toBase58()} has ${formatSol(balance)} SOL, not enough to send ${formatSol(lamports)} SOL and keep ${formatSol(reserve)} SOL`);
+  }
+
+  const transaction = new Transaction({ feePayer: funder.publicKey }).add(
+    SystemProgram.transfer({ fromPubkey: funder.publicKey, toPubkey: publicKey, lamports })
+  );
+  const ticket = enforcePolicy({
+    tool: 'funding',
+    wallet: funder.publicKey.toBase58(),
+    transfers: [{ mint: 'SOL', amount: lamportsToSol(lamports), recipient: publicKey.toBase58() }]
+  }, { transaction, approval });
+  await previewTransaction(connection, transaction, { confirm, log });
+
+  const { signature } = await sendAndConfirm(connection, transaction, [funder], {
+    journal: {
+      tool: 'funding',
+      intent: `Top up ${publicKey.toBase58()} with ${formatSol(lamports)} SOL`,
+      params: { from: funder.publicKey.toBase58(), to: publicKey.toBase58(), amount: formatSol(lamports) }
+    },
+    log
+  });
+  recordSpend(ticket, signature);
+  return signature;
+}
+
+// Top up every listed wallet that is below its minimum back to its target balance
+export async function runFunding({ rpcUrl = null, dryRun = false, airdrops = true, approval = null, confirm = null, log = console.log } = {}) {
+  const config = loadFundingConfig();
+  const connection = getConnection({ rpcUrl: rpcUrl || config.rpcUrl });
+  const url = connection.rpcEndpoint;
+  const local = isLocalUrl(url);
+
+  if (await connection.getGenesisHash() === MAINNET_GENESIS_HASH) {
+    throw new Error('Refusing to run the funding manager against mainnet');
+  }
+  if (config.wallets.length === 0) {
+    throw new Error('No wallets to fund - add some with: node funding.js add <wallet|@label|address>');
+  }
+
+  let funder = null;
+  const report = [];
+
+  for (const entry of config.wallets) {
+    const publicKey = resolveTarget(entry.wallet);
+    const min = toLamports(entry.minBalance ?? config.defaults.minBalance);
+    const target = toLamports(entry.targetBalance ?? config.defaults.targetBalance);
+    const before = await connection.getBalance(publicKey);
+    const row = { wallet: entry.wallet, address: publicKey.toBase58(), before, after: before, airdropped: 0, funded: 0, status: 'ok' };
+    report.push(row);
+
+    if (before >= min) continue;
+
+    const needed = target - before;
+    log(`🚰 ${formatAddress(publicKey)}: ${formatSol(before)} SOL < ${formatSol(min)}, topping up ${formatSol(needed)} SOL`);
+    if (dryRun) {
+      row.status = 'would-fund';
+      continue;
+    }
+
+    if (airdrops) {
+      row.airdropped = await airdrop(connection, publicKey, needed, { local, log });
+    }
+
+    const remaining = needed - row.airdropped;
+    if (remaining > 0 && config.funder) {
+      try {
+        funder ||= await loadWalletKeypair(config.funder);
+        if (funder.publicKey.equals(publicKey)) throw new Error('the funder cannot fund itself');
+        const funderEntry = config.wallets.find(w => w.wallet === config.funder);
+        const reserve = toLamports(funderEntry?.minBalance ?? config.defaults.minBalance);
+        row.signature = await fundFromFunder(connection, funder, publicKey, remaining, { reserve, approval, confirm, log });
+        row.funded = remaining;
+      } catch (err) {
+        if (err instanceof PolicyViolation) printPolicyViolation(err);
+        else if (err instanceof PreviewRejected) log(`🛑 ${err.message}`);
+        row.error = err.message;
+      }
+    }
+
+    row.after = await connection.getBalance(publicKey);
+    row.status = row.after >= min ? 'topped-up' : 'failed';
+    if (row.status === 'failed' && !row.error) {
+      row.error = config.funder ? 'airdrop and funder both fell short' : 'airdrop fell short and no funder is configured';
+    }
+  }
+
+  return { rpcUrl: url, report };
+}
+
+function printReport({ rpcUrl, report }) {
+  const sol = lamports => lamportsToSol(lamports).toFixed(4).padStart(10);
+  const icons = { ok: '✅', 'topped-up': '⬆️ ', 'would-fund': '📝', failed: '❌' };
+
+  console.log('');
+  console.log('📋 Funding Report');
+  console.log('=================');
+  console.log(`RPC: ${rpcUrl}`);
+  console.log('');
+  console.log(`   ${'Wallet'.padEnd(24)} ${'Before'.padStart(10)} ${'After'.padStart(10)} ${'Airdrop'.padStart(10)} ${'Funder'.padStart(10)}`);
+  for (const row of report) {
+    const name = row.wallet.length > 24 ? `${row.wallet.slice(0, 21)}...` : row.wallet;
+    console.log(`${icons[row.status]} ${name.padEnd(24)} ${sol(row.before)} ${sol(row.after)} ${sol(row.airdropped)} ${sol(row.funded)}`);
+    if (row.error) console.log(`   ${''.padEnd(24)} ${row.error}`);
+  }
+
+  const counts = report.reduce((acc, r) => ({ ...acc, [r.status]: (acc[r.status] || 0) + 1 }), {});
+  console.log('');
+  console.log(`📊 ${counts['topped-up'] || 0} topped up, ${counts.ok || 0} already funded, ${counts.failed || 0} failed${counts['would-fund'] ? `, ${counts['would-fund']} would be funded (dry run)` : ''}`);
+  report.forEach(row => reportSignature(row.signature));
+  reportResult({ rpcUrl, report });
+  return !counts.failed;
+}
+
+// --min / --target in SOL, checked exactly before they are stored as numbers
+function solOption(value) {
+  return value === undefined ? null : lamportsToSol(parseSol(value, { allowZero: true }));
+}
+
+// Commands, called by sat and by the CLI below with parsed options
+export function addCommand([wallet], { min, target }) {
+  const entry = addFundingWallet(wallet, { minBalance: solOption(min), targetBalance: solOption(target) });
+  const { defaults } = loadFundingConfig();
+  console.log(`✅ Funding ${entry.wallet}: keep above ${entry.minBalance ?? defaults.minBalance} SOL, top up to ${entry.targetBalance ?? defaults.targetBalance} SOL`);
+  reportResult({ ...entry, minBalance: entry.minBalance ?? defaults.minBalance, targetBalance: entry.targetBalance ?? defaults.targetBalance });
+}
+
+export function removeCommand([wallet]) {
+  removeFundingWallet(wallet);
+  console.log(`✅ Removed ${wallet} from the funding list`);
+  reportResult({ removed: wallet });
+}
+
+// The funder is the registered wallet used when airdrops fail
+export function funderCommand([wallet]) {
+  if (!wallet) {
+    console.log(`Funder: ${loadFundingConfig().funder || '(none - airdrops only)'}`);
+    reportResult({ funder: loadFundingConfig().funder || null });
+    return;
+  }
+  setFunder(wallet === 'none' ? null : wallet);
+  console.log(wallet === 'none' ? '✅ Funder removed' : `✅ Funder: ${wallet}`);
+  reportResult({ funder: wallet === 'none' ? null : wallet });
+}
+
+export function configCommand(args, { min, target, url }) {
+  const config = loadFundingConfig();
+  if (min !== undefined) config.defaults.minBalance = solOption(min);
+  if (target !== undefined) config.defaults.targetBalance = solOption(target);
+  if (url) config.rpcUrl = url === 'default' ? null : url;
+  saveFundingConfig(config);
+  console.log(JSON.stringify({ rpcUrl: config.rpcUrl, funder: config.funder, defaults: config.defaults }, null, 2));
+  reportResult({ rpcUrl: config.rpcUrl, funder: config.funder, defaults: config.defaults });
+}
+
+export function listCommand() {
+  const config = loadFundingConfig();
+  console.log('🚰 Funding List');
+  console.log('===============');
+  console.log(`RPC: ${config.rpcUrl || resolveNetwork().rpcUrl}   Funder: ${config.funder || '(none)'}`);
+  console.log(`Defaults: keep above ${config.defaults.minBalance} SOL, top up to ${config.defaults.targetBalance} SOL`);
+  console.log('');
+  config.wallets.forEach(w => {
+    console.log(`  ${w.wallet.padEnd(24)} min ${w.minBalance ?? config.defaults.minBalance} / target ${w.targetBalance ?? config.defaults.targetBalance} SOL`);
+  });
+  if (config.wallets.length === 0) console.log('  (empty)');
+  reportResult({ rpcUrl: config.rpcUrl || resolveNetwork().rpcUrl, funder: config.funder, defaults: config.defaults, wallets: config.wallets });
+}
+
+// Wallets below their minimum are topped up to their target. Airdrops are retried with backoff
+// when rate limited; whatever they do not cover is transferred from the funder, after a
+// simulation preview and confirmation (--yes for unattended runs).
+export async function runCommand(args, { approve, yes, dryRun, noAirdrop, every = null, url = null, localnet }) {
+  const rpcUrl = localnet ? 'http://127.0.0.1:8899' : url;
+  const options = { rpcUrl, dryRun, airdrops: !noAirdrop, approval: approve, confirm: terminalConfirm(yes) };
+  let ok = printReport(await runFunding(options));
+  while (every) {
+    console.log(`\n⏱️  Next check in ${every} minutes (Ctrl+C to stop)`);
+    await sleep(every * 60 * 1000);
+    try {
+      ok = printReport(await runFunding(options));
+    } catch (err) {
+      // Keep watching through RPC outages; the next round starts from fresh balances anyway
+      console.error('❌', err.message);
+      ok = false;
+    }
+  }
+  if (!ok) reportError('Some wallets could not be funded (see data.report)');
+  process.exit(ok ? 0 : 1);
+}
+
+// CLI
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runScript(import.meta.url);
+}
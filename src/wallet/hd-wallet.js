@@ -0,0 +1,46 @@
+// HD Wallet
+// BIP39 seed phrases and Solana account derivation (m/44'/501'/n'/0')
+
+import { Keypair } from '@solana/web3.js';
+import * as bip39 from 'bip39';
+import { derivePath } from 'ed25519-hd-key';
+
+// Same path Phantom and Solflare use, so derived accounts can be recovered there
+export function derivationPath(account = 0) {
+  if (!Number.isInteger(account) || account < 0) {
+    throw new Error(`Invalid account index: ${account}`);
+  }
+  return `m/44'/501'/${account}'/0'`;
+}
+
+export function generateMnemonic(words = 12) {
+  const strength = { 12: 128, 24: 256 }[words];
+  if (!strength) {
+    throw new Error('Seed phrases must be 12 or 24 words');
+  }
+  return bip39.generateMnemonic(strength);
+}
+
+export function normalizeMnemonic(mnemonic) {
+  const normalized = mnemonic.trim().toLowerCase().split(/\s+/).join(' ');
+  if (!bip39.validateMnemonic(normalized)) {
+    throw new Error('Invalid BIP39 seed phrase (check the words and their order)');
+  }
+  return normalized;
+}
+
+export function deriveKeypair(mnemonic, account = 0) {
+  const seed = bip39.mnemonicToSeedSync(normalizeMnemonic(mnemonic));
+  const { key } = derivePath(derivationPath(account), seed.toString('hex'));
+  return Keypair.fromSeed(key);
+}
+
+// First `count` accounts starting at `start`
+export function deriveAccounts(mnemonic, count = 5, start = 0) {
+  const accounts = [];
+  for (let account = start; account < start + count; account++) {
+    const keypair = deriveKeypair(mnemonic, account);
+    accounts.push({ account, path: derivationPath(account), publicKey: keypair.publicKey.toBase58(), keypair });
+  }
+  return accounts;
+}
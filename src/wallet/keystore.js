@@ -0,0 +1,235 @@
+// Encrypted Keystore
+// Password-protected wallet files (scrypt + AES-256-GCM) and the shared wallet loader
+
+import { Keypair, PublicKey } from '@solana/web3.js';
+import crypto from 'crypto';
+import fs from 'fs';
+import readline from 'readline';
+import { reportResult } from '../utils/output.js';
+import { runScript } from '../cli/dispatch.js';
+
+const KEYSTORE_VERSION = 1;
+const PASSPHRASE_ENV = 'WALLET_PASSPHRASE';
+
+// scrypt cost parameters (N=2^16 needs ~64MB of memory)
+const SCRYPT_PARAMS = { n: 2 ** 16, r: 8, p: 1, dklen: 32 };
+
+function deriveKey(passphrase, salt, params) {
+  return crypto.scryptSync(passphrase.normalize('NFKC'), salt, params.dklen, {
+    N: params.n,
+    r: params.r,
+    p: params.p,
+    maxmem: 256 * params.n * params.r
+  });
+}
+
+// Encrypt a 64-byte secret key into the keystore format
+export function encryptSecretKey(secretKey, passphrase) {
+  if (!passphrase) {
+    throw new Error('A passphrase is required to encrypt the wallet');
+  }
+
+  const keypair = Keypair.fromSecretKey(Uint8Array.from(secretKey));
+  const salt = crypto.randomBytes(32);
+  const iv = crypto.randomBytes(12);
+  const key = deriveKey(passphrase, salt, SCRYPT_PARAMS);
+
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  // Bind the public key to the ciphertext so it cannot be swapped
+  cipher.setAAD(Buffer.from(keypair.publicKey.toBase58()));
+  const ciphertext = Buffer.concat([cipher.update(Buffer.from(keypair.secretKey)), cipher.final()]);
+
+  return {
+    version: KEYSTORE_VERSION,
+    publicKey: keypair.publicKey.toBase58(),
+    crypto: {
+      kdf: 'scrypt',
+      kdfparams: { ...SCRYPT_PARAMS, salt: salt.toString('hex') },
+      cipher: 'aes-256-gcm',
+      iv: iv.toString('hex'),
+      tag: cipher.getAuthTag().toString('hex'),
+      ciphertext: ciphertext.toString('hex')
+    }
+  };
+}
+
+// Decrypt a keystore back into the raw 64-byte secret key
+export function decryptKeystore(keystore, passphrase) {
+  const { kdf, kdfparams, cipher: cipherName, iv, tag, ciphertext } = keystore.crypto;
+  if (kdf !== 'scrypt' || cipherName !== 'aes-256-gcm') {
+    throw new Error(`Unsupported keystore (kdf: ${kdf}, cipher: ${cipherName})`);
+  }
+
+  const key = deriveKey(passphrase, Buffer.from(kdfparams.salt, 'hex'), kdfparams);
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'hex'));
+  decipher.setAAD(Buffer.from(keystore.publicKey));
+  decipher.setAuthTag(Buffer.from(tag, 'hex'));
+
+  let secretKey;
+  try {
+    secretKey = Buffer.concat([decipher.update(Buffer.from(ciphertext, 'hex')), decipher.final()]);
+  } catch {
+    throw new Error('Wrong passphrase or corrupted keystore');
+  }
+
+  const keypair = Keypair.fromSecretKey(new Uint8Array(secretKey));
+  if (keypair.publicKey.toBase58() !== keystore.publicKey) {
+    throw new Error('Keystore public key does not match decrypted secret key');
+  }
+  return keypair.secretKey;
+}
+
+export function isEncrypted(walletData) {
+  return Boolean(walletData && walletData.crypto && !walletData.secretKey);
+}
+
+// Read a secret from the terminal without echoing it
+export function promptSecret(question, { envHint = PASSPHRASE_ENV } = {}) {
+  return new Promise((resolve, reject) => {
+    if (!process.stdin.isTTY) {
+      reject(new Error(`No terminal available: set ${envHint} instead`));
+      return;
+    }
+
+    const rl = readline.createInterface({ input: process.stdin, output: process.stderr, terminal: true });
+    // Only echo the prompt itself, never the typed characters
+    rl._writeToOutput = (text) => {
+      if (text.includes(question)) rl.output.write(text);
+    };
+    rl.question(question, (answer) => {
+      rl.close();
+      process.stderr.write('\n');
+      resolve(answer);
+    });
+  });
+}
+
+// Passphrase from WALLET_PASSPHRASE, otherwise prompt on the terminal
+export async function getPassphrase(question = '🔐 Wallet passphrase: ', { confirm = false } = {}) {
+  if (process.env[PASSPHRASE_ENV]) {
+    return process.env[PASSPHRASE_ENV];
+  }
+
+  const passphrase = await promptSecret(question);
+  if (confirm) {
+    const again = await promptSecret('🔐 Repeat passphrase: ');
+    if (again !== passphrase) {
+      throw new Error('Passphrases do not match');
+    }
+  }
+  if (!passphrase) {
+    throw new Error('Empty passphrase');
+  }
+  return passphrase;
+}
+
+export function readWalletFile(walletPath = 'wallet.json') {
+  try {
+    return JSON.parse(fs.readFileSync(walletPath, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      throw new Error(`Wallet file not found: ${walletPath} (create one with create-wallet.js)`);
+    }
+    throw err;
+  }
+}
+
+// Public key only - never needs the passphrase
+export function loadPublicKey(walletPath = 'wallet.json') {
+  return new PublicKey(readWalletFile(walletPath).publicKey);
+}
+
+const warnedPlaintext = new Set();
+
+// Shared loader used by every tool that signs
+export async function loadKeypair(walletPath = 'wallet.json') {
+  const walletData = readWalletFile(walletPath);
+
+  if (isEncrypted(walletData)) {
+    const passphrase = await getPassphrase(`🔐 Passphrase for ${walletData.publicKey.slice(0, 8)}…: `);
+    return Keypair.fromSecretKey(decryptKeystore(walletData, passphrase));
+  }
+
+  if (!Array.isArray(walletData.secretKey)) {
+    throw new Error(`${walletPath} has no secret key`);
+  }
+
+  if (!warnedPlaintext.has(walletPath)) {
+    warnedPlaintext.add(walletPath);
+    console.warn(`⚠️  ${walletPath} is stored in plaintext. Encrypt it with: node src/wallet/keystore.js migrate ${walletPath}`);
+  }
+  return Keypair.fromSecretKey(new Uint8Array(walletData.secretKey));
+}
+
+// Write a keypair to disk, encrypted unless no passphrase is given
+export function saveWallet(walletPath, keypair, { passphrase, extra = {} } = {}) {
+  const walletData = passphrase
+    ? { ...encryptSecretKey(keypair.secretKey, passphrase), ...extra }
+    : { publicKey: keypair.publicKey.toBase58(), secretKey: Array.from(keypair.secretKey), ...extra };
+
+  fs.writeFileSync(walletPath, JSON.stringify(walletData, null, 2), { mode: 0o600 });
+  return walletData;
+}
+
+// Convert a plaintext wallet.json into an encrypted keystore in place
+export async function migrateWallet(walletPath = 'wallet.json') {
+  const walletData = readWalletFile(walletPath);
+
+  if (isEncrypted(walletData)) {
+    console.log(`✅ ${walletPath} is already encrypted`);
+    return walletData;
+  }
+
+  const keypair = Keypair.fromSecretKey(new Uint8Array(walletData.secretKey));
+  if (walletData.publicKey && walletData.publicKey !== keypair.publicKey.toBase58()) {
+    throw new Error(`publicKey in ${walletPath} does not match its secretKey`);
+  }
+
+  const passphrase = await getPassphrase('🔐 New passphrase: ', { confirm: true });
+  const { secretKey, publicKey, ...extra } = walletData;
+
+  // Keep a backup until the new file has been verified
+  const backupPath = `${walletPath}.bak`;
+  fs.copyFileSync(walletPath, backupPath);
+  fs.chmodSync(backupPath, 0o600);
+
+  const encrypted = saveWallet(walletPath, keypair, { passphrase, extra: { ...extra, migratedAt: new Date().toISOString() } });
+  decryptKeystore(encrypted, passphrase);
+  fs.rmSync(backupPath);
+
+  console.log(`✅ ${walletPath} encrypted (${encrypted.crypto.kdf} + ${encrypted.crypto.cipher})`);
+  console.log(`   Public Key: ${encrypted.publicKey}`);
+  return encrypted;
+}
+
+// Commands, called by sat and by the CLI below with parsed options
+export async function migrateCommand([walletPath = 'wallet.json']) {
+  const walletData = await migrateWallet(walletPath);
+  reportResult({ file: walletPath, publicKey: walletData.publicKey, encrypted: true });
+}
+
+export function infoCommand([walletPath = 'wallet.json']) {
+  const walletData = readWalletFile(walletPath);
+  console.log('🔑 Wallet File');
+  console.log('==============');
+  console.log('File:', walletPath);
+  console.log('Public Key:', walletData.publicKey);
+  console.log('Encrypted:', isEncrypted(walletData) ? `yes (${walletData.crypto.kdf} + ${walletData.crypto.cipher})` : 'NO - run migrate');
+  reportResult({
+    file: walletPath,
+    publicKey: walletData.publicKey,
+    encrypted: isEncrypted(walletData),
+    ...(isEncrypted(walletData) ? { kdf: walletData.crypto.kdf, cipher: walletData.crypto.cipher } : {})
+  });
+}
+
+export async function verifyCommand([walletPath = 'wallet.json']) {
+  const keypair = await loadKeypair(walletPath);
+  console.log(`✅ Unlocked ${keypair.publicKey.toBase58()}`);
+  reportResult({ file: walletPath, publicKey: keypair.publicKey.toBase58(), unlocked: true });
+}
+
+// CLI
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runScript(import.meta.url);
+}
@@ -0,0 +1,329 @@
+// Durable Nonce
+// Create and manage nonce accounts, and build transactions against them instead of a recent blockhash
+
+import {
+  Keypair,
+  NONCE_ACCOUNT_LENGTH,
+  PublicKey,
+  SystemProgram,
+  Transaction,
+  TransactionMessage,
+  VersionedTransaction
+} from '@solana/web3.js';
+import fs from 'fs';
+import { loadWalletKeypair } from './wallets.js';
+import { enforcePolicy, recordSpend, PolicyViolation, printPolicyViolation } from './policy.js';
+import { toolkitPath } from '../utils/toolkit-home.js';
+import { getConnection, explorerUrl } from '../utils/network.js';
+import { reportResult, reportSignature } from '../utils/output.js';
+import { parseSol, formatSol, lamportsToSol } from '../utils/amount.js';
+import { previewTransaction, terminalConfirm, PreviewRejected, printPreviewRejection } from '../utils/preview.js';
+import { sendAndConfirm, reportSendError } from '../utils/send.js';
+import { runScript } from '../cli/dispatch.js';
+
+const NONCES_FILE = 'nonces.json';
+
+// Nonce accounts created by this toolkit, so they can be listed and reused by label
+export function loadNonceAccounts() {
+  try {
+    return JSON.parse(fs.readFileSync(toolkitPath(NONCES_FILE), 'utf8'));
+  } catch {
+    return {};
+  }
+}
+
+function saveNonceAccounts(accounts) {
+  fs.writeFileSync(toolkitPath(NONCES_FILE), JSON.stringify(accounts, null, 2));
+}
+
+// Accept either a nonce account address or the label it was created with
+export function resolveNonceAccount(nameOrAddress) {
+  const known = loadNonceAccounts()[nameOrAddress];
+  return new PublicKey(known ? known.address : nameOrAddress);
+}
+
+// Current nonce value and authority of a nonce account
+export async function getNonceInfo(connection, nonceAccount) {
+  const noncePubkey = resolveNonceAccount(nonceAccount);
+  const { context, value: account } = await connection.getNonceAndContext(noncePubkey, 'confirmed');
+  if (!account) {
+    throw new Error(`${noncePubkey.toBase58()} is not an initialized nonce account`);
+  }
+  return {
+    nonceAccount: noncePubkey.toBase58(),
+    nonce: account.nonce,
+    authority: account.authorizedPubkey.toBase58(),
+    minContextSlot: context.slot
+  };
+}
+
+function advanceInstruction(nonceInfo) {
+  return SystemProgram.nonceAdvance({
+    noncePubkey: new PublicKey(nonceInfo.nonceAccount),
+    authorizedPubkey: new PublicKey(nonceInfo.authority)
+  });
+}
+
+// Use the nonce as the blockhash; web3.js prepends the required AdvanceNonce instruction
+// and sendAndConfirm follows the nonce instead of block height
+export function applyNonce(transaction, nonceInfo) {
+  transaction.recentBlockhash = nonceInfo.nonce;
+  transaction.nonceInfo = {
+    nonce: nonceInfo.nonce,
+    nonceInstruction: advanceInstruction(nonceInfo)
+  };
+  transaction.minNonceContextSlot = nonceInfo.minContextSlot;
+  return transaction;
+}
+
+// Rebuild an unsigned versioned transaction (e.g. from Jupiter) so it uses the nonce.
+// The AdvanceNonce instruction has to be first, so the message is decompiled and recompiled.
+export async function applyNonceToVersioned(connection, transaction, nonceInfo) {
+  const lookupTables = await Promise.all(
+    transaction.message.addressTableLookups.map(async ({ accountKey }) => {
+      const { value } = await connection.getAddressLookupTable(accountKey);
+      if (!value) throw new Error(`Address lookup table not found: ${accountKey.toBase58()}`);
+      return value;
+    })
+  );
+
+  const message = TransactionMessage.decompile(transaction.message, { addressLookupTableAccounts: lookupTables });
+  message.instructions.unshift(advanceInstruction(nonceInfo));
+  message.recentBlockhash = nonceInfo.nonce;
+
+  return new VersionedTransaction(message.compileToV0Message(lookupTables));
+}
+
+// Create and initialize a nonce account funded by `payer`. The authority defaults to the
+// payer; pass a cold wallet's public key so only the offline signer can advance it.
+// Every command here simulates its transaction and waits for `confirm` before signing.
+export async function createNonceAccount(connection, payer, { authority = null, label = null, confirm = null } = {}) {
+  const nonceKeypair = Keypair.generate();
+  const authorizedPubkey = authority ? new PublicKey(authority) : payer.publicKey;
+  const lamports = await connection.getMinimumBalanceForRentExemption(NONCE_ACCOUNT_LENGTH);
+
+  const transaction = new Transaction({ feePayer: payer.publicKey }).add(
+    SystemProgram.createNonceAccount({
+      fromPubkey: payer.publicKey,
+      noncePubkey: nonceKeypair.publicKey,
+      authorizedPubkey,
+      lamports
+    })
+  );
+  await previewTransaction(connection, transaction, { confirm });
+  const address = nonceKeypair.publicKey.toBase58();
+  const { signature } = await sendAndConfirm(connection, transaction, [payer, nonceKeypair], {
+    journal: {
+      tool: 'nonce',
+      intent: `Create nonce account ${address}`,
+      params: { nonceAccount: address, authority: authorizedPubkey.toBase58(), label, rent: formatSol(lamports) }
+    }
+  });
+  const accounts = loadNonceAccounts();
+  accounts[label || address] = { address, authority: authorizedPubkey.toBase58(), createdAt: new Date().toISOString() };
+  saveNonceAccounts(accounts);
+
+  return { address, authority: authorizedPubkey.toBase58(), lamports, signature };
+}
+
+// Move the nonce forward, invalidating every transaction signed against the old value
+export async function advanceNonce(connection, authority, nonceAccount, { confirm = null } = {}) {
+  const noncePubkey = resolveNonceAccount(nonceAccount);
+  const transaction = new Transaction({ feePayer: authority.publicKey }).add(
+    SystemProgram.nonceAdvance({
+      noncePubkey,
+      authorizedPubkey: authority.publicKey
+    })
+  );
+  await previewTransaction(connection, transaction, { confirm });
+  const { signature } = await sendAndConfirm(connection, transaction, [authority], {
+    journal: {
+      tool: 'nonce',
+      intent: `Advance nonce ${noncePubkey.toBase58()}`,
+      params: { nonceAccount: noncePubkey.toBase58() }
+    }
+  });
+  return signature;
+}
+
+// Handing over the authority hands over the balance, so it is checked as a transfer of it
+export async function authorizeNonce(connection, authority, nonceAccount, newAuthority, { approval = null, confirm = null } = {}) {
+  const noncePubkey = resolveNonceAccount(nonceAccount);
+  const transaction = new Transaction({ feePayer: authority.publicKey }).add(
+    SystemProgram.nonceAuthorize({
+      noncePubkey,
+      authorizedPubkey: authority.publicKey,
+      newAuthorizedPubkey: new PublicKey(newAuthority)
+    })
+  );
+  const ticket = enforcePolicy({
+    tool: 'nonce',
+    wallet: authority.publicKey.toBase58(),
+    transfers: [{ mint: 'SOL', amount: lamportsToSol(await connection.getBalance(noncePubkey)), recipient: new PublicKey(newAuthority).toBase58() }]
+  }, { transaction, approval });
+  await previewTransaction(connection, transaction, { confirm });
+
+  const { signature } = await sendAndConfirm(connection, transaction, [authority], {
+    journal: {
+      tool: 'nonce',
+      intent: `Hand nonce ${noncePubkey.toBase58()} to ${new PublicKey(newAuthority).toBase58()}`,
+      params: { nonceAccount: noncePubkey.toBase58(), newAuthority: new PublicKey(newAuthority).toBase58() }
+    }
+  });
+  recordSpend(ticket, signature);
+
+  const accounts = loadNonceAccounts();
+  const entry = Object.values(accounts).find(a => a.address === noncePubkey.toBase58());
+  if (entry) {
+    entry.authority = new PublicKey(newAuthority).toBase58();
+    saveNonceAccounts(accounts);
+  }
+  return signature;
+}
+
+// Withdraw lamports; withdrawing the full balance closes the nonce account
+export async function withdrawNonce(connection, authority, nonceAccount, destination, lamports = null, { approval = null, confirm = null } = {}) {
+  const noncePubkey = resolveNonceAccount(nonceAccount);
+  const amount = lamports ?? await connection.getBalance(noncePubkey);
+
+  const transaction = new Transaction({ feePayer: authority.publicKey }).add(
+    SystemProgram.nonceWithdraw({
+      noncePubkey,
+      authorizedPubkey: authority.publicKey,
+      toPubkey: new PublicKey(destination),
+      lamports: amount
+    })
+  );
+  const ticket = enforcePolicy({
+    tool: 'nonce',
+    wallet: authority.publicKey.toBase58(),
+    transfers: [{ mint: 'SOL', amount: lamportsToSol(amount), recipient: new PublicKey(destination).toBase58() }]
+  }, { transaction, approval });
+  await previewTransaction(connection, transaction, { confirm });
+
+  const { signature } = await sendAndConfirm(connection, transaction, [authority], {
+    journal: {
+      tool: 'nonce',
+      intent: `Withdraw ${formatSol(amount)} SOL from nonce ${noncePubkey.toBase58()}`,
+      params: { nonceAccount: noncePubkey.toBase58(), destination: new PublicKey(destination).toBase58(), amount: formatSol(amount) }
+    }
+  });
+  recordSpend(ticket, signature);
+
+  const accounts = loadNonceAccounts();
+  const remaining = await connection.getBalance(noncePubkey);
+  if (remaining === 0) {
+    for (const [key, entry] of Object.entries(accounts)) {
+      if (entry.address === noncePubkey.toBase58()) delete accounts[key];
+    }
+    saveNonceAccounts(accounts);
+  }
+  return { signature, lamports: amount, closed: remaining === 0 };
+}
+
+async function showNonce(connection, nonceAccount) {
+  const info = await getNonceInfo(connection, nonceAccount);
+  const balance = await connection.getBalance(new PublicKey(info.nonceAccount));
+  console.log(`Account: ${info.nonceAccount}`);
+  console.log(`Nonce: ${info.nonce}`);
+  console.log(`Authority: ${info.authority}`);
+  console.log(`Balance: ${formatSol(balance)} SOL`);
+  return { ...info, balance: lamportsToSol(balance) };
+}
+
+function failNonceCommand(err) {
+  if (err instanceof PolicyViolation) {
+    printPolicyViolation(err);
+  } else if (err instanceof PreviewRejected) {
+    printPreviewRejection(err);
+  } else {
+    reportSendError(err);
+    console.error('❌', err.message);
+  }
+  process.exit(1);
+}
+
+// Commands, called by sat and by the CLI below with parsed options. <account> is a nonce account
+// address or its --label; use one with --nonce <account> on transfers, token transfers, escrow
+// releases and Ultra swaps.
+export async function createCommand(args, { wallet, yes, authority = null, label = null }) {
+  try {
+    const payer = await loadWalletKeypair(wallet);
+    console.log('🔢 Creating nonce account...');
+    const result = await createNonceAccount(getConnection(), payer, { authority, label, confirm: terminalConfirm(yes) });
+    console.log('✅ Nonce account created!');
+    console.log(`   Address: ${result.address}`);
+    console.log(`   Authority: ${result.authority}`);
+    console.log(`   Rent deposit: ${formatSol(result.lamports)} SOL`);
+    console.log(`   Explorer: ${explorerUrl('tx', result.signature)}`);
+    reportSignature(result.signature);
+    reportResult(result);
+  } catch (err) {
+    failNonceCommand(err);
+  }
+}
+
+export function listCommand() {
+  const accounts = Object.entries(loadNonceAccounts());
+  console.log('🔢 Nonce Accounts');
+  console.log('='.repeat(70));
+  if (accounts.length === 0) {
+    console.log('No nonce accounts yet. Create one with: node nonce.js create');
+  }
+  for (const [label, entry] of accounts) {
+    console.log(`${label === entry.address ? '' : `${label}  `}${entry.address}`);
+    console.log(`   Authority: ${entry.authority}`);
+  }
+  reportResult(accounts.map(([label, entry]) => ({ label: label === entry.address ? null : label, ...entry })));
+}
+
+export async function showCommand([account]) {
+  reportResult(await showNonce(getConnection(), account));
+}
+
+export async function advanceCommand([account], { wallet, yes }) {
+  const connection = getConnection();
+  try {
+    const authority = await loadWalletKeypair(wallet);
+    const signature = await advanceNonce(connection, authority, account, { confirm: terminalConfirm(yes) });
+    console.log('✅ Nonce advanced - transactions signed against the old value are now invalid');
+    console.log(`   Signature: ${signature}`);
+    reportSignature(signature);
+    reportResult(await showNonce(connection, account));
+  } catch (err) {
+    failNonceCommand(err);
+  }
+}
+
+// authorize and withdraw are checked against the spending policy
+export async function authorizeCommand([account, newAuthority], { wallet, approve, yes }) {
+  try {
+    const authority = await loadWalletKeypair(wallet);
+    const signature = await authorizeNonce(getConnection(), authority, account, newAuthority, { approval: approve, confirm: terminalConfirm(yes) });
+    console.log(`✅ Nonce authority changed to ${newAuthority}`);
+    console.log(`   Signature: ${signature}`);
+    reportSignature(signature);
+    reportResult({ nonceAccount: account, authority: newAuthority });
+  } catch (err) {
+    failNonceCommand(err);
+  }
+}
+
+export async function withdrawCommand([account, destination, amount], { wallet, approve, yes }) {
+  try {
+    const authority = await loadWalletKeypair(wallet);
+    const lamports = amount ? Number(parseSol(amount)) : null;
+    const result = await withdrawNonce(getConnection(), authority, account, destination, lamports, { approval: approve, confirm: terminalConfirm(yes) });
+    console.log(`✅ Withdrew ${formatSol(result.lamports)} SOL${result.closed ? ' (nonce account closed)' : ''}`);
+    console.log(`   Signature: ${result.signature}`);
+    reportSignature(result.signature);
+    reportResult(result);
+  } catch (err) {
+    failNonceCommand(err);
+  }
+}
+
+// CLI
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runScript(import.meta.url);
+}
@@ -0,0 +1,299 @@
+// Offline Signing
+// Build unsigned transactions online, sign them on an air-gapped machine, broadcast them later
+
+import {
+  SystemInstruction,
+  SystemProgram,
+  Transaction
+} from '@solana/web3.js';
+import { TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID, ASSOCIATED_TOKEN_PROGRAM_ID, decodeInstruction, TokenInstruction } from '@solana/spl-token';
+import fs from 'fs';
+import bs58 from 'bs58';
+import { loadWalletKeypair } from './wallets.js';
+import { enforcePolicy, recordSpend, loadPolicy, programIds, PolicyViolation, printPolicyViolation } from './policy.js';
+import { getConnection, rpcUrlFor, explorerUrl } from '../utils/network.js';
+import { reportResult, reportSignature } from '../utils/output.js';
+import { formatAmount, formatSol, toUiAmount, lamportsToSol } from '../utils/amount.js';
+import { broadcastAndConfirm, reportSendError } from '../utils/send.js';
+import { runScript } from '../cli/dispatch.js';
+
+const ENVELOPE_TYPE = 'solana-agent-toolkit/offline-tx';
+const ENVELOPE_VERSION = 1;
+
+function serialize(transaction) {
+  return transaction.serialize({ requireAllSignatures: false, verifySignatures: false }).toString('base64');
+}
+
+export function requiredSigners(transaction) {
+  const message = transaction.compileMessage();
+  return message.accountKeys
+    .slice(0, message.header.numRequiredSignatures)
+    .map(key => key.toBase58());
+}
+
+function signedBy(transaction) {
+  return transaction.signatures
+    .filter(({ signature }) => signature !== null)
+    .map(({ publicKey }) => publicKey.toBase58());
+}
+
+// Write an unsigned transaction plus everything the signer needs to review it
+export function exportTransaction(outputFile, transaction, { tool, description, cluster = 'devnet', nonceInfo = null, lastValidBlockHeight = null }) {
+  const envelope = {
+    type: ENVELOPE_TYPE,
+    version: ENVELOPE_VERSION,
+    tool,
+    description,
+    cluster,
+    feePayer: transaction.feePayer.toBase58(),
+    nonceAccount: nonceInfo?.nonceAccount || null,
+    nonce: nonceInfo?.nonce || null,
+    blockhash: transaction.recentBlockhash,
+    lastValidBlockHeight,
+    requiredSigners: requiredSigners(transaction),
+    signedBy: [],
+    transaction: serialize(transaction),
+    createdAt: new Date().toISOString()
+  };
+
+  fs.writeFileSync(outputFile, JSON.stringify(envelope, null, 2));
+  return envelope;
+}
+
+export function readEnvelope(file) {
+  const envelope = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (envelope.type !== ENVELOPE_TYPE) {
+    throw new Error(`${file} is not an offline transaction file`);
+  }
+  return envelope;
+}
+
+export function loadTransaction(envelope) {
+  return Transaction.from(Buffer.from(envelope.transaction, 'base64'));
+}
+
+// Human-readable summary of every instruction, decoded from the transaction itself
+export function describeTransaction(transaction) {
+  return transaction.instructions.map((ix) => {
+    try {
+      if (ix.programId.equals(SystemProgram.programId)) {
+        const type = SystemInstruction.decodeInstructionType(ix);
+        if (type === 'Transfer') {
+          const { toPubkey, lamports } = SystemInstruction.decodeTransfer(ix);
+          return `System Transfer: ${formatSol(lamports)} SOL → ${toPubkey.toBase58()}`;
+        }
+        if (type === 'AdvanceNonceAccount') {
+          const { noncePubkey } = SystemInstruction.decodeNonceAdvance(ix);
+          return `Advance Nonce: ${noncePubkey.toBase58()}`;
+        }
+        return `System ${type}`;
+      }
+      if (ix.programId.equals(TOKEN_PROGRAM_ID)) {
+        const decoded = decodeInstruction(ix);
+        if (decoded.data.instruction === TokenInstruction.TransferChecked) {
+          const amount = formatAmount(decoded.data.amount, decoded.data.decimals);
+          return `Token TransferChecked: ${amount} of ${decoded.keys.mint.pubkey.toBase58()} → ${decoded.keys.destination.pubkey.toBase58()}`;
+        }
+        return `Token ${TokenInstruction[decoded.data.instruction]}`;
+      }
+      if (ix.programId.equals(ASSOCIATED_TOKEN_PROGRAM_ID)) {
+        return `Create Associated Token Account: ${ix.keys[1].pubkey.toBase58()}`;
+      }
+    } catch {
+      // Fall through to the raw program id
+    }
+    return `Program ${ix.programId.toBase58()} (${ix.data.length} bytes)`;
+  });
+}
+
+function showEnvelope(envelope, transaction) {
+  console.log(`Tool: ${envelope.tool}`);
+  console.log(`Intent: ${envelope.description}`);
+  console.log(`Cluster: ${envelope.cluster}`);
+  console.log(`Fee Payer: ${envelope.feePayer}`);
+  if (envelope.nonceAccount) {
+    console.log(`Durable Nonce: ${envelope.nonceAccount} (${envelope.nonce})`);
+  } else {
+    console.log(`Blockhash: ${envelope.blockhash} (expires ~90s after it was built)`);
+  }
+  console.log('');
+  console.log('Instructions:');
+  describeTransaction(transaction).forEach((line, i) => console.log(`  ${i + 1}. ${line}`));
+  console.log('');
+  console.log('Signers:');
+  const signed = signedBy(transaction);
+  envelope.requiredSigners.forEach((signer) => {
+    console.log(`  ${signed.includes(signer) ? '✅' : '⏳'} ${signer}`);
+  });
+}
+
+// What `signer` spends by signing `transaction`, for the spending policy. Decoded from the
+// instructions themselves, not the envelope's description, so a hand-built file is checked too.
+export function offlineIntent(envelope, transaction, signer) {
+  const transfers = [];
+  const sol = (lamports, to) => transfers.push({ mint: 'SOL', amount: lamportsToSol(lamports), recipient: to.toBase58() });
+
+  // Token accounts created in the same transaction are paid to their owner's wallet
+  const owners = new Map(transaction.instructions
+    .filter(ix => ix.programId.equals(ASSOCIATED_TOKEN_PROGRAM_ID))
+    .map(ix => [ix.keys[1].pubkey.toBase58(), ix.keys[2].pubkey.toBase58()]));
+
+  for (const ix of transaction.instructions) {
+    if (ix.programId.equals(SystemProgram.programId)) {
+      const type = SystemInstruction.decodeInstructionType(ix);
+      if (type === 'Transfer') {
+        const { fromPubkey, toPubkey, lamports } = SystemInstruction.decodeTransfer(ix);
+        if (fromPubkey.toBase58() === signer) sol(lamports, toPubkey);
+      } else if (type === 'TransferWithSeed') {
+        const { basePubkey, toPubkey, lamports } = SystemInstruction.decodeTransferWithSeed(ix);
+        if (basePubkey.toBase58() === signer) sol(lamports, toPubkey);
+      } else if (type === 'Create') {
+        const { fromPubkey, newAccountPubkey, lamports } = SystemInstruction.decodeCreateAccount(ix);
+        if (fromPubkey.toBase58() === signer) sol(lamports, newAccountPubkey);
+      } else if (type === 'WithdrawNonceAccount') {
+        const { authorizedPubkey, toPubkey, lamports } = SystemInstruction.decodeNonceWithdraw(ix);
+        if (authorizedPubkey.toBase58() === signer) sol(lamports, toPubkey);
+      }
+      continue;
+    }
+    if (!ix.programId.equals(TOKEN_PROGRAM_ID) && !ix.programId.equals(TOKEN_2022_PROGRAM_ID)) continue;
+
+    let decoded;
+    try {
+      decoded = decodeInstruction(ix, ix.programId);
+    } catch {
+      continue;
+    }
+    const { instruction } = decoded.data;
+    if (decoded.keys.owner?.pubkey.toBase58() !== signer) continue;
+
+    if (instruction === TokenInstruction.TransferChecked || instruction === TokenInstruction.ApproveChecked) {
+      const to = (instruction === TokenInstruction.TransferChecked ? decoded.keys.destination : decoded.keys.delegate).pubkey.toBase58();
+      transfers.push({
+        mint: decoded.keys.mint.pubkey.toBase58(),
+        amount: toUiAmount(decoded.data.amount, decoded.data.decimals),
+        decimals: decoded.data.decimals,
+        recipient: owners.get(to) || to
+      });
+    } else if ((instruction === TokenInstruction.Transfer || instruction === TokenInstruction.Approve) && loadPolicy()) {
+      // No mint or decimals in the instruction, and nothing can be looked up offline
+      throw new Error(`Cannot check a token ${TokenInstruction[instruction]} against the spending policy: rebuild it with ${TokenInstruction[instruction]}Checked`);
+    }
+  }
+
+  return { tool: envelope.tool || 'offline-tx', wallet: signer, transfers, programs: programIds(transaction) };
+}
+
+// Add a signature without touching the network. The spending policy is checked first, against
+// `intent` when the caller knows it better than the instructions show, and counted once signed
+// unless `record` is off because the caller counts it when it broadcasts.
+export async function signOfflineTransaction(file, keypair, { approval = null, intent = null, record = true } = {}) {
+  const envelope = readEnvelope(file);
+  const transaction = loadTransaction(envelope);
+  const signer = keypair.publicKey.toBase58();
+
+  if (!envelope.requiredSigners.includes(signer)) {
+    throw new Error(`${signer} is not a required signer of this transaction`);
+  }
+
+  const ticket = enforcePolicy(intent || offlineIntent(envelope, transaction, signer), { transaction, approval });
+
+  transaction.partialSign(keypair);
+  envelope.transaction = serialize(transaction);
+  envelope.signedBy = signedBy(transaction);
+  envelope.signedAt = new Date().toISOString();
+
+  fs.writeFileSync(file, JSON.stringify(envelope, null, 2));
+  if (record) recordSpend(ticket);
+  return envelope;
+}
+
+// Send a fully signed transaction and wait for confirmation. It cannot be re-signed here, so
+// when its blockhash expires first it has to be built and signed again (TransactionExpired).
+export async function broadcastOfflineTransaction(file, rpcUrl = null) {
+  const envelope = readEnvelope(file);
+  const transaction = loadTransaction(envelope);
+
+  const missing = envelope.requiredSigners.filter(s => !signedBy(transaction).includes(s));
+  if (missing.length > 0) {
+    throw new Error(`Missing signatures from: ${missing.join(', ')}`);
+  }
+  if (!transaction.verifySignatures()) {
+    throw new Error('Signature verification failed - the transaction was modified after signing');
+  }
+
+  const connection = getConnection({ rpcUrl: rpcUrl || rpcUrlFor(envelope.cluster) });
+  const signature = bs58.encode(transaction.signature);
+  const lifetime = envelope.nonceAccount
+    ? { nonceAccount: envelope.nonceAccount, nonce: envelope.nonce }
+    : { lastValidBlockHeight: envelope.lastValidBlockHeight };
+  await broadcastAndConfirm(connection, transaction.serialize(), signature, lifetime, {
+    journal: {
+      tool: envelope.tool || 'offline-tx',
+      intent: envelope.description || `Broadcast ${file}`,
+      params: { file, nonceAccount: envelope.nonceAccount || null, signers: envelope.requiredSigners }
+    }
+  });
+
+  envelope.signature = signature;
+  envelope.broadcastAt = new Date().toISOString();
+  fs.writeFileSync(file, JSON.stringify(envelope, null, 2));
+  return signature;
+}
+
+// Commands, called by sat and by the CLI below with parsed options. Build a transaction file with
+// --build tx.json --nonce <nonce-account> on a SOL or token transfer.
+export function inspectCommand([file]) {
+  const envelope = readEnvelope(file);
+  const transaction = loadTransaction(envelope);
+  console.log('🔎 Offline Transaction');
+  console.log('======================');
+  showEnvelope(envelope, transaction);
+  reportResult({ ...envelope, instructions: describeTransaction(transaction), signedBy: signedBy(transaction) });
+}
+
+// Runs on the air-gapped machine: no network access
+export async function signCommand([file], { wallet, approve }) {
+  const envelope = readEnvelope(file);
+  console.log('✍️  Signing Offline Transaction');
+  console.log('==============================');
+  showEnvelope(envelope, loadTransaction(envelope));
+  console.log('');
+
+  try {
+    const keypair = await loadWalletKeypair(wallet);
+    const signed = await signOfflineTransaction(file, keypair, { approval: approve });
+    const remaining = signed.requiredSigners.filter(s => !signed.signedBy.includes(s));
+    console.log(`✅ Signed by ${keypair.publicKey.toBase58()}`);
+    console.log(remaining.length > 0
+      ? `   Still needs: ${remaining.join(', ')}`
+      : `   Ready to broadcast: node offline-tx.js broadcast ${file}`);
+    reportResult({ file, signer: keypair.publicKey.toBase58(), signedBy: signed.signedBy, remainingSigners: remaining });
+  } catch (err) {
+    if (!(err instanceof PolicyViolation)) throw err;
+    printPolicyViolation(err);
+    process.exit(1);
+  }
+}
+
+export async function broadcastCommand([file, rpcUrl]) {
+  const envelope = readEnvelope(file);
+  console.log(`📡 Broadcasting to ${envelope.cluster}...`);
+  try {
+    const signature = await broadcastOfflineTransaction(file, rpcUrl);
+    const explorer = explorerUrl('tx', signature, { cluster: envelope.cluster, rpcUrl: rpcUrl || rpcUrlFor(envelope.cluster) });
+    console.log('✅ Transaction confirmed!');
+    console.log('Signature:', signature);
+    console.log(`Explorer: ${explorer}`);
+    reportSignature(signature);
+    reportResult({ file, cluster: envelope.cluster, signature, explorer });
+  } catch (err) {
+    reportSendError(err);
+    throw err;
+  }
+}
+
+// CLI
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runScript(import.meta.url);
+}
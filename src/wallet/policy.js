@@ -0,0 +1,425 @@
+// Spending Policy
+// Limits every tool checks right before it signs: per-transaction caps, rolling daily caps,
+// allowed recipients, mints and programs. Overrides need a token signed by a human approver.
+
+import { Keypair, PublicKey, SystemInstruction, SystemProgram, VersionedTransaction } from '@solana/web3.js';
+import { ACCOUNT_SIZE, ASSOCIATED_TOKEN_PROGRAM_ID } from '@solana/spl-token';
+import bs58 from 'bs58';
+import crypto from 'crypto';
+import fs from 'fs';
+import readline from 'readline';
+import nacl from 'tweetnacl';
+import { encryptSecretKey, decryptKeystore, promptSecret, readWalletFile } from './keystore.js';
+import { resolveAddress, formatAddress } from './address-book.js';
+import { getToken } from '../tokens/registry.js';
+import { toolkitPath } from '../utils/toolkit-home.js';
+import { SOL_DECIMALS, parseAmount, formatAmount, compareAmount } from '../utils/amount.js';
+import { reportResult, reportError } from '../utils/output.js';
+import { runScript } from '../cli/dispatch.js';
+
+const POLICY_FILE = 'policy.json';
+const LEDGER_FILE = 'policy-ledger.json';
+const APPROVER_FILE = 'policy-approver.json';
+
+const NATIVE_SOL = 'SOL';
+const WRAPPED_SOL_MINT = 'So11111111111111111111111111111111111111112';
+const DAY_MS = 24 * 60 * 60 * 1000;
+export const LAMPORTS_PER_SIGNATURE = 5000;
+
+export class PolicyViolation extends Error {
+  constructor(reasons, intentId) {
+    super(`Blocked by spending policy: ${reasons.join('; ')}`);
+    this.name = 'PolicyViolation';
+    this.code = 'POLICY_VIOLATION';
+    this.reasons = reasons;
+    this.intentId = intentId;
+  }
+}
+
+function policyPath() {
+  return process.env.POLICY_FILE || toolkitPath(POLICY_FILE);
+}
+
+// No policy file means no limits
+export function loadPolicy() {
+  const file = policyPath();
+  if (!fs.existsSync(file)) return null;
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// Only a missing ledger starts empty: an unreadable one would forget today's spends and used approvals
+function loadLedger() {
+  const file = toolkitPath(LEDGER_FILE);
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return { spends: [], pending: {}, usedApprovals: [] };
+    throw err;
+  }
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Spending ledger ${file} is corrupt (${err.message}); fix or restore it before spending`);
+  }
+}
+
+function saveLedger(ledger) {
+  // Keep two days of history, which is all the rolling window needs
+  const cutoff = Date.now() - 2 * DAY_MS;
+  ledger.spends = ledger.spends.filter(s => new Date(s.time).getTime() > cutoff);
+  // Write via rename so a crash never leaves a half-written ledger behind
+  const file = toolkitPath(LEDGER_FILE);
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(ledger, null, 2));
+  fs.renameSync(`${file}.tmp`, file);
+}
+
+// wSOL is spent like SOL, so both count against the same limits
+function assetKey(mint) {
+  return !mint || mint === WRAPPED_SOL_MINT ? NATIVE_SOL : mint;
+}
+
+// Program ids invoked by a legacy or versioned transaction
+export function programIds(transaction) {
+  if (transaction instanceof VersionedTransaction) {
+    const keys = transaction.message.staticAccountKeys;
+    return [...new Set(transaction.message.compiledInstructions.map(ix => keys[ix.programIdIndex].toBase58()))];
+  }
+  return [...new Set(transaction.instructions.map(ix => ix.programId.toBase58()))];
+}
+
+// Lamports the fee payer of a legacy transaction spends without sending anything anywhere:
+// rent for the accounts it creates and the signature fees. Tools that only create accounts
+// (mints, token accounts) are checked against the SOL limits with this.
+export async function transactionCost(connection, transaction) {
+  const payer = transaction.feePayer || transaction.instructions.flatMap(ix => ix.keys).find(key => key.isSigner)?.pubkey;
+  const signers = new Set([payer?.toBase58(), ...transaction.instructions.flatMap(ix => ix.keys.filter(key => key.isSigner).map(key => key.pubkey.toBase58()))]);
+  let lamports = signers.size * LAMPORTS_PER_SIGNATURE;
+
+  const tokenAccounts = [];
+  for (const ix of transaction.instructions) {
+    if (ix.programId.equals(SystemProgram.programId) && SystemInstruction.decodeInstructionType(ix) === 'Create') {
+      const { fromPubkey, lamports: rent } = SystemInstruction.decodeCreateAccount(ix);
+      if (payer && fromPubkey.equals(payer)) lamports += Number(rent);
+    } else if (ix.programId.equals(ASSOCIATED_TOKEN_PROGRAM_ID) && payer && ix.keys[0].pubkey.equals(payer)) {
+      tokenAccounts.push(ix.keys[1].pubkey);
+    }
+  }
+
+  // Only token accounts that don't exist yet cost rent (the idempotent create is a no-op otherwise)
+  if (tokenAccounts.length > 0) {
+    const existing = await connection.getMultipleAccountsInfo(tokenAccounts);
+    const missing = existing.filter(info => !info).length;
+    if (missing > 0) lamports += missing * await connection.getMinimumBalanceForRentExemption(ACCOUNT_SIZE);
+  }
+  return lamports;
+}
+
+// Stable id for "the same request": approving it once covers a re-run of the same command
+function intentId(intent) {
+  const canonical = JSON.stringify({
+    tool: intent.tool,
+    wallet: intent.wallet,
+    transfers: intent.transfers.map(t => [assetKey(t.mint), t.amount, t.recipient || null]),
+    mints: (intent.mints || []).map(assetKey)
+  });
+  return crypto.createHash('sha256').update(canonical).digest('hex').slice(0, 16);
+}
+
+// Decimals an asset's amounts are counted in: SOL's, the ones the tool passed, the known token's
+// or the ones recorded with an earlier spend; null if none of those knows the mint
+function assetDecimals(asset, decimals, ledger) {
+  if (asset === NATIVE_SOL) return SOL_DECIMALS;
+  return decimals ?? getToken(asset)?.decimals ?? ledger?.spends.find(s => s.asset === asset && s.decimals !== undefined)?.decimals ?? null;
+}
+
+function spendUnits(t, asset, decimals) {
+  return parseAmount(t.amount, decimals, { allowZero: true, unit: asset });
+}
+
+// Ledger entries written before spends were stored in base units hold the UI amount as a number
+function spentToday(ledger, asset, decimals, now = Date.now()) {
+  return ledger.spends
+    .filter(s => s.asset === asset && now - new Date(s.time).getTime() < DAY_MS)
+    .reduce((sum, s) => sum + (typeof s.amount === 'number' ? parseAmount(s.amount.toFixed(decimals), decimals, { allowZero: true }) : BigInt(s.amount)), 0n);
+}
+
+// Every rule the intent breaks, as human-readable reasons (empty = allowed)
+export function evaluatePolicy(intent, policy, ledger = loadLedger()) {
+  const reasons = [];
+  if (!policy) return reasons;
+
+  // Summed in base units: 0.1 + 0.2 SOL is exactly 0.3 SOL
+  const totals = {};
+  for (const t of intent.transfers) {
+    const asset = assetKey(t.mint);
+    totals[asset] ??= { transfers: [], decimals: null };
+    totals[asset].transfers.push(t);
+    totals[asset].decimals ??= t.decimals ?? null;
+  }
+
+  for (const [asset, total] of Object.entries(totals)) {
+    const cap = policy.maxPerTransaction?.[asset];
+    const daily = policy.dailyLimit?.[asset];
+    if (cap === undefined && daily === undefined) continue;
+
+    const decimals = assetDecimals(asset, total.decimals, ledger);
+    if (decimals === null) {
+      throw new Error(`Cannot check ${asset} against the spending policy: its decimals are unknown (run: sat token info ${asset})`);
+    }
+    const amount = total.transfers.reduce((sum, t) => sum + spendUnits(t, asset, decimals), 0n);
+    const shown = formatAmount(amount, decimals);
+
+    if (cap !== undefined && compareAmount(amount, decimals, cap) > 0) {
+      reasons.push(`${shown} ${asset} exceeds the per-transaction cap of ${cap}`);
+    }
+    if (daily !== undefined) {
+      const used = spentToday(ledger, asset, decimals) + amount;
+      if (compareAmount(used, decimals, daily) > 0) {
+        reasons.push(`${shown} ${asset} would bring the last 24h to ${formatAmount(used, decimals)} (daily limit ${daily})`);
+      }
+    }
+  }
+
+  if (policy.allowedMints) {
+    const allowed = new Set(policy.allowedMints.map(assetKey));
+    const touched = new Set([...intent.transfers.map(t => assetKey(t.mint)), ...(intent.mints || []).map(assetKey)]);
+    for (const asset of touched) {
+      if (!allowed.has(asset)) reasons.push(`mint ${asset} is not in allowedMints`);
+    }
+  }
+
+  if (policy.allowedRecipients) {
+    const allowed = new Set(policy.allowedRecipients.map(r => resolveAddress(r).toBase58()));
+    for (const t of intent.transfers) {
+      if (t.recipient && !allowed.has(t.recipient)) {
+        reasons.push(`recipient ${formatAddress(t.recipient)} is not in allowedRecipients`);
+      }
+    }
+  }
+
+  if (policy.allowedPrograms && intent.programs) {
+    const allowed = new Set(policy.allowedPrograms);
+    for (const program of intent.programs) {
+      if (!allowed.has(program)) reasons.push(`program ${program} is not in allowedPrograms`);
+    }
+  }
+
+  return reasons;
+}
+
+function verifyApproval(token, id, policy, ledger) {
+  if (!token) return false;
+  if (!policy.approver) {
+    throw new Error('Policy has no approver configured - run: node src/wallet/policy.js init');
+  }
+
+  const [tokenId, expires, signature] = token.split('.');
+  if (tokenId !== id) {
+    throw new Error(`Approval token is for request ${tokenId}, not ${id}`);
+  }
+  if (Date.now() > Number(expires) * 1000) {
+    throw new Error('Approval token has expired');
+  }
+  if (ledger.usedApprovals.includes(signature)) {
+    throw new Error('Approval token was already used');
+  }
+
+  const valid = nacl.sign.detached.verify(
+    Buffer.from(`${tokenId}.${expires}`),
+    bs58.decode(signature),
+    new PublicKey(policy.approver).toBytes()
+  );
+  if (!valid) {
+    throw new Error('Approval token signature is invalid');
+  }
+  return signature;
+}
+
+// Check an intent right before signing. Throws PolicyViolation unless it is allowed or
+// carries a valid approval token; returns a ticket for recordSpend once it was sent. The approval
+// is only used up by recordSpend, so a send that fails or is cancelled can be retried with it.
+//   intent: { tool, wallet, transfers: [{ mint, amount, decimals?, recipient }], mints?, programs? }
+// Token amounts are counted at `decimals`, or the registry's for known mints.
+export function enforcePolicy(intent, { transaction = null, approval = null } = {}) {
+  const policy = loadPolicy();
+  const id = intentId(intent);
+  const ticket = { id, intent };
+  if (!policy) return ticket;
+
+  const checked = transaction ? { ...intent, programs: programIds(transaction) } : intent;
+  const ledger = loadLedger();
+  const reasons = evaluatePolicy(checked, policy, ledger);
+  if (reasons.length === 0) return ticket;
+
+  const approvalSignature = verifyApproval(approval, id, policy, ledger);
+  if (approvalSignature) {
+    console.warn(`⚠️  Policy override approved for request ${id}: ${reasons.join('; ')}`);
+    return { ...ticket, approval: approvalSignature };
+  }
+
+  ledger.pending[id] = { ...checked, reasons, requestedAt: new Date().toISOString() };
+  saveLedger(ledger);
+  throw new PolicyViolation(reasons, id);
+}
+
+// Count a sent transaction against the rolling daily limits, in base units of the asset, and use
+// up the approval it was let through with
+export function recordSpend(ticket, signature = null) {
+  const ledger = loadLedger();
+  const time = new Date().toISOString();
+  if (ticket.approval && !ledger.usedApprovals.includes(ticket.approval)) {
+    ledger.usedApprovals.push(ticket.approval);
+    delete ledger.pending[ticket.id];
+  }
+  for (const t of ticket.intent.transfers) {
+    const asset = assetKey(t.mint);
+    const decimals = assetDecimals(asset, t.decimals, ledger);
+    const spend = decimals === null
+      ? { amount: t.amount }
+      : { amount: spendUnits(t, asset, decimals).toString(), decimals };
+    ledger.spends.push({ time, tool: ticket.intent.tool, asset, ...spend, recipient: t.recipient || null, signature });
+  }
+  saveLedger(ledger);
+}
+
+// Standard rejection output shared by the tools
+export function printPolicyViolation(err) {
+  reportError(err);
+  console.log('🛑 Blocked by spending policy:');
+  err.reasons.forEach(reason => console.log(`   - ${reason}`));
+  console.log('');
+  console.log(`   Request id: ${err.intentId}`);
+  console.log(`   To override, a human approver runs: node src/wallet/policy.js approve ${err.intentId}`);
+  console.log('   and then re-runs this command with --approve <token>');
+}
+
+function ask(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+  return new Promise(resolve => rl.question(question, answer => { rl.close(); resolve(answer.trim()); }));
+}
+
+// Sign an approval token with the approver key. Interactive on purpose: the passphrase is
+// never read from the environment, so an agent cannot approve its own requests.
+async function approve(id, ttlMinutes = 15) {
+  const ledger = loadLedger();
+  const request = ledger.pending[id];
+  if (!request) {
+    throw new Error(`No pending request ${id}`);
+  }
+  if (!process.stdin.isTTY) {
+    throw new Error('Approvals must be given interactively on a terminal');
+  }
+
+  console.log('🛂 Policy Override Request');
+  console.log('==========================');
+  console.log(`Tool: ${request.tool}`);
+  console.log(`Wallet: ${request.wallet}`);
+  request.transfers.forEach(t => {
+    console.log(`Spend: ${t.amount} ${assetKey(t.mint)}${t.recipient ? ` → ${formatAddress(t.recipient)}` : ''}`);
+  });
+  console.log(`Requested: ${request.requestedAt}`);
+  console.log('Violations:');
+  request.reasons.forEach(reason => console.log(`   - ${reason}`));
+  console.log('');
+
+  if (await ask(`Type the request id to approve it: `) !== id) {
+    throw new Error('Not approved');
+  }
+
+  const approverFile = toolkitPath(APPROVER_FILE);
+  const secretKey = decryptKeystore(readWalletFile(approverFile), await promptSecret('🔐 Approver passphrase: ', { envHint: 'an interactive terminal' }));
+  const expires = Math.floor(Date.now() / 1000) + ttlMinutes * 60;
+  const signature = nacl.sign.detached(Buffer.from(`${id}.${expires}`), secretKey);
+
+  return `${id}.${expires}.${bs58.encode(signature)}`;
+}
+
+const EXAMPLE_POLICY = {
+  maxPerTransaction: { SOL: 1 },
+  dailyLimit: { SOL: 5 },
+  allowedMints: ['SOL', 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v'],
+  allowedRecipients: null,
+  allowedPrograms: null
+};
+
+async function init() {
+  const file = policyPath();
+  const policy = loadPolicy() || EXAMPLE_POLICY;
+
+  if (!policy.approver) {
+    console.log('Creating the approver key. Choose a passphrase only humans know -');
+    console.log('it must NOT be the wallet passphrase or anything an agent can read.');
+    const passphrase = await promptSecret('🔐 Approver passphrase: ', { envHint: 'an interactive terminal' });
+    if (passphrase !== await promptSecret('🔐 Repeat passphrase: ', { envHint: 'an interactive terminal' })) {
+      throw new Error('Passphrases do not match');
+    }
+
+    const approver = Keypair.generate();
+    fs.writeFileSync(toolkitPath(APPROVER_FILE), JSON.stringify(encryptSecretKey(approver.secretKey, passphrase), null, 2), { mode: 0o600 });
+    policy.approver = approver.publicKey.toBase58();
+  }
+
+  fs.writeFileSync(file, JSON.stringify(policy, null, 2));
+  console.log(`✅ Policy written to ${file}`);
+  console.log(`   Approver: ${policy.approver}`);
+  console.log('   Edit the file to set your limits (null = unrestricted).');
+  return { file, approver: policy.approver };
+}
+
+function show() {
+  const policy = loadPolicy();
+  console.log('🛡️  Spending Policy');
+  console.log('==================');
+  if (!policy) {
+    console.log('No policy configured - all spending is allowed.');
+    console.log('Create one with: node src/wallet/policy.js init');
+    return { file: null, policy: null, spentToday: {}, pending: [] };
+  }
+
+  console.log(`File: ${policyPath()}`);
+  console.log(JSON.stringify(policy, null, 2));
+
+  const ledger = loadLedger();
+  console.log('');
+  console.log('Last 24h:');
+  const assets = new Set([...Object.keys(policy.dailyLimit || {}), ...ledger.spends.map(s => s.asset)]);
+  const spent = {};
+  for (const asset of assets) {
+    const limit = policy.dailyLimit?.[asset];
+    const decimals = assetDecimals(asset, null, ledger);
+    spent[asset] = decimals === null ? null : formatAmount(spentToday(ledger, asset, decimals), decimals);
+    console.log(`   ${asset}: ${spent[asset] ?? '? (unknown decimals)'}${limit !== undefined ? ` / ${limit}` : ''}`);
+  }
+
+  const pending = Object.keys(ledger.pending);
+  if (pending.length > 0) {
+    console.log('');
+    console.log(`Blocked requests awaiting approval: ${pending.join(', ')}`);
+  }
+  return { file: policyPath(), policy, spentToday: spent, pending };
+}
+
+// Commands, called by sat and by the CLI below with parsed options.
+// Policy fields (amounts in SOL / token units, keyed by "SOL" or mint):
+// maxPerTransaction, dailyLimit, allowedMints, allowedRecipients, allowedPrograms
+export function showCommand() {
+  reportResult(show());
+}
+
+export async function initCommand() {
+  reportResult(await init());
+}
+
+export async function approveCommand([requestId], { ttl = 15 }) {
+  const token = await approve(requestId, ttl);
+  console.log('');
+  console.log('✅ Approved. Re-run the blocked command with:');
+  console.log(`   --approve ${token}`);
+  reportResult({ requestId, approval: token });
+}
+
+// CLI
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runScript(import.meta.url);
+}
@@ -0,0 +1,475 @@
+// Key Rotation
+// Move everything an old wallet owns or controls to a new key: SOL, tokens, NFTs,
+// mint/freeze authorities, NFT update authorities and durable nonce accounts
+
+import {
+  PublicKey,
+  SystemProgram,
+  Transaction
+} from '@solana/web3.js';
+import {
+  TOKEN_PROGRAM_ID,
+  TOKEN_2022_PROGRAM_ID,
+  ASSOCIATED_TOKEN_PROGRAM_ID,
+  MINT_SIZE,
+  AuthorityType,
+  unpackMint,
+  getAssociatedTokenAddressSync,
+  createSetAuthorityInstruction
+} from '@solana/spl-token';
+import { createUmi } from '@metaplex-foundation/umi-bundle-defaults';
+import { mplTokenMetadata, updateV1 } from '@metaplex-foundation/mpl-token-metadata';
+import { publicKey as umiPublicKey, signerIdentity, createSignerFromKeypair } from '@metaplex-foundation/umi';
+import bs58 from 'bs58';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { loadWalletKeypair, loadWalletPublicKey, loadRegistry } from './wallets.js';
+import { resolveAddress, formatAddress } from './address-book.js';
+import { loadNonceAccounts, getNonceInfo } from './nonce.js';
+import { loadTokenAccounts, planSweep, packSweep } from './sweep.js';
+import { enforcePolicy, recordSpend, PolicyViolation, printPolicyViolation, LAMPORTS_PER_SIGNATURE } from './policy.js';
+import { getConnection } from '../utils/network.js';
+import { reportResult, reportSignature, reportError } from '../utils/output.js';
+import { formatAmount, formatSol, lamportsToSol } from '../utils/amount.js';
+import { journalTransaction } from '../utils/journal.js';
+import { previewPlan, terminalConfirm, PreviewRejected, printPreviewRejection } from '../utils/preview.js';
+import { sendAndConfirm, reportSendError } from '../utils/send.js';
+import { UsageError } from '../cli/args.js';
+import { runScript } from '../cli/dispatch.js';
+
+const METADATA_PROGRAM_ID = new PublicKey('metaqbxxUerdq28cj1RbAWkYQm3ybzjb6a8bt518x1s');
+const SRC_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+// Mint layout offsets: mint authority at 4, freeze authority at 50 (each behind a 4-byte option tag)
+const MINT_AUTHORITY_OFFSET = 4;
+const FREEZE_AUTHORITY_OFFSET = 50;
+// Metadata layout: 1-byte key, update authority, mint
+const UPDATE_AUTHORITY_OFFSET = 1;
+const METADATA_MINT_OFFSET = 33;
+
+// The new key may be a registered wallet name, an @label or an address
+function resolveNewKey(target) {
+  const wallet = loadRegistry().wallets[target];
+  return wallet ? new PublicKey(wallet.publicKey) : resolveAddress(target);
+}
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+// Mints recorded by create-token-mint.js, token-launch.js, create-nft.js and create-collection.js
+function recordedMints() {
+  const mints = new Set();
+  const tokenMint = readJson('token-mint.json');
+  if (tokenMint?.mint) mints.add(tokenMint.mint);
+
+  for (const dir of ['tokens', 'nft']) {
+    const full = path.join(SRC_DIR, dir);
+    for (const file of fs.readdirSync(full).filter(f => /^(token-launch|nft|collection)-\d+\.json$/.test(f))) {
+      const data = readJson(path.join(full, file));
+      if (data?.mint) mints.add(data.mint);
+      (data?.nfts || []).forEach(nft => nft.mint && mints.add(nft.mint));
+    }
+  }
+  return [...mints];
+}
+
+// Ask the RPC for every mint/metadata account naming the key as an authority. Public RPCs
+// often refuse these scans, so they are opt-in and failures only narrow the inventory.
+async function scanAuthorities(connection, owner) {
+  const memcmp = offset => ({ memcmp: { offset, bytes: owner.toBase58() } });
+  const mints = new Set();
+  const scans = [
+    [TOKEN_PROGRAM_ID, [{ dataSize: MINT_SIZE }, memcmp(MINT_AUTHORITY_OFFSET)], null],
+    [TOKEN_PROGRAM_ID, [{ dataSize: MINT_SIZE }, memcmp(FREEZE_AUTHORITY_OFFSET)], null],
+    [TOKEN_2022_PROGRAM_ID, [memcmp(MINT_AUTHORITY_OFFSET)], null],
+    [TOKEN_2022_PROGRAM_ID, [memcmp(FREEZE_AUTHORITY_OFFSET)], null],
+    [METADATA_PROGRAM_ID, [memcmp(UPDATE_AUTHORITY_OFFSET)], METADATA_MINT_OFFSET]
+  ];
+
+  for (const [programId, filters, mintOffset] of scans) {
+    try {
+      const accounts = await connection.getProgramAccounts(programId, {
+        filters,
+        dataSlice: mintOffset === null ? { offset: 0, length: 0 } : { offset: mintOffset, length: 32 }
+      });
+      accounts.forEach(({ pubkey, account }) => {
+        mints.add(mintOffset === null ? pubkey.toBase58() : new PublicKey(account.data).toBase58());
+      });
+    } catch (err) {
+      console.log(`⚠️  On-chain scan of ${programId.toBase58().slice(0, 8)}... failed (${err.message}); using local records`);
+    }
+  }
+  return [...mints];
+}
+
+function metadataAddress(mint) {
+  return PublicKey.findProgramAddressSync(
+    [Buffer.from('metadata'), METADATA_PROGRAM_ID.toBuffer(), mint.toBuffer()],
+    METADATA_PROGRAM_ID
+  )[0];
+}
+
+async function getAccountsInfo(connection, addresses) {
+  const infos = [];
+  for (let i = 0; i < addresses.length; i += 100) {
+    infos.push(...await connection.getMultipleAccountsInfo(addresses.slice(i, i + 100)));
+  }
+  return infos;
+}
+
+// Mint/freeze authorities and NFT update authorities held by `owner` among the candidate mints
+async function loadAuthorities(connection, owner, candidates) {
+  const mints = candidates.map(m => new PublicKey(m));
+  const mintInfos = await getAccountsInfo(connection, mints);
+  const metadataInfos = await getAccountsInfo(connection, mints.map(metadataAddress));
+  const authorities = [];
+  const updateAuthorities = [];
+
+  mints.forEach((mint, i) => {
+    const info = mintInfos[i];
+    if (info && (info.owner.equals(TOKEN_PROGRAM_ID) || info.owner.equals(TOKEN_2022_PROGRAM_ID))) {
+      try {
+        const parsed = unpackMint(mint, info, info.owner);
+        if (parsed.mintAuthority?.equals(owner)) authorities.push({ mint, programId: info.owner, type: 'mint' });
+        if (parsed.freezeAuthority?.equals(owner)) authorities.push({ mint, programId: info.owner, type: 'freeze' });
+      } catch {
+        // Not a mint account (scan false positive)
+      }
+    }
+
+    const metadata = metadataInfos[i];
+    if (metadata && new PublicKey(metadata.data.subarray(UPDATE_AUTHORITY_OFFSET, UPDATE_AUTHORITY_OFFSET + 32)).equals(owner)) {
+      updateAuthorities.push({ mint, metadata: metadataAddress(mint) });
+    }
+  });
+
+  return { authorities, updateAuthorities };
+}
+
+// Nonce accounts from the toolkit registry whose on-chain authority is `owner`
+async function loadNonceAuthorities(connection, owner) {
+  const nonces = [];
+  for (const [label, entry] of Object.entries(loadNonceAccounts())) {
+    try {
+      const info = await getNonceInfo(connection, entry.address);
+      if (info.authority === owner.toBase58()) nonces.push({ label, address: new PublicKey(entry.address) });
+    } catch {
+      // Closed or unreadable nonce account
+    }
+  }
+  return nonces;
+}
+
+// Everything the old key owns or controls
+export async function inventory(connection, owner, { scan = false } = {}) {
+  const tokenAccounts = await loadTokenAccounts(connection, owner);
+  const candidates = new Set([
+    ...recordedMints(),
+    // Held NFTs (supply of one) may have been minted by this key too
+    ...tokenAccounts.filter(a => a.decimals === 0).map(a => a.mint.toBase58())
+  ]);
+  if (scan) {
+    (await scanAuthorities(connection, owner)).forEach(m => candidates.add(m));
+  }
+
+  const { authorities, updateAuthorities } = await loadAuthorities(connection, owner, [...candidates]);
+  return {
+    lamports: await connection.getBalance(owner),
+    tokenAccounts,
+    authorities,
+    updateAuthorities,
+    nonces: await loadNonceAuthorities(connection, owner)
+  };
+}
+
+export function planRotation(assets, owner, newKey) {
+  const tokens = planSweep(assets.tokenAccounts, owner, newKey);
+  const authorityItems = [
+    ...assets.authorities.map(a => ({
+      ...a,
+      instructions: [createSetAuthorityInstruction(
+        a.mint, owner, a.type === 'mint' ? AuthorityType.MintTokens : AuthorityType.FreezeAccount, newKey, [], a.programId
+      )]
+    })),
+    ...assets.nonces.map(n => ({
+      ...n,
+      instructions: [SystemProgram.nonceAuthorize({ noncePubkey: n.address, authorizedPubkey: owner, newAuthorizedPubkey: newKey })]
+    }))
+  ];
+
+  return {
+    owner,
+    newKey,
+    lamports: assets.lamports,
+    tokens,
+    authorityBatches: packSweep(authorityItems, owner),
+    tokenBatches: packSweep([...tokens.close, ...tokens.unwrap, ...tokens.transfer], owner),
+    authorities: assets.authorities,
+    updateAuthorities: assets.updateAuthorities,
+    nonces: assets.nonces
+  };
+}
+
+function printPlan(plan) {
+  console.log('🔄 Key Rotation Plan');
+  console.log('====================');
+  console.log(`Old key: ${plan.owner.toBase58()}`);
+  console.log(`New key: ${formatAddress(plan.newKey)}`);
+  console.log('');
+  console.log(`SOL: ${formatSol(plan.lamports)} (sent last, minus fees)`);
+  console.log(`Token balances to move: ${plan.tokens.transfer.length}`);
+  plan.tokens.transfer.forEach(a => console.log(`   ➡️  ${formatAmount(a.amount, a.decimals)} of ${a.mint.toBase58()}`));
+  console.log(`wSOL to unwrap: ${plan.tokens.unwrap.length}`);
+  console.log(`Empty token accounts to close: ${plan.tokens.close.length}`);
+  plan.tokens.skipped.forEach(a => console.log(`   ⚠️  Cannot move ${a.mint.toBase58()} from ${a.address.toBase58()}: ${a.reason}`));
+  console.log(`Mint/freeze authorities: ${plan.authorities.length}`);
+  plan.authorities.forEach(a => console.log(`   🔑 ${a.type} authority of ${a.mint.toBase58()}`));
+  console.log(`NFT update authorities: ${plan.updateAuthorities.length}`);
+  plan.updateAuthorities.forEach(a => console.log(`   🎨 ${a.mint.toBase58()}`));
+  console.log(`Nonce account authorities: ${plan.nonces.length}`);
+  plan.nonces.forEach(n => console.log(`   🔁 ${n.label} (${n.address.toBase58()})`));
+  console.log('');
+  const txCount = plan.authorityBatches.length + plan.updateAuthorities.length + plan.tokenBatches.length + 1;
+  console.log(`Transactions: ~${txCount}`);
+  console.log('');
+}
+
+function stepJournal(keypair, newKey, intent, params) {
+  return {
+    tool: 'rotate-key',
+    intent: `Rotate ${keypair.publicKey.toBase58()} to ${newKey}: ${intent}`,
+    params: { from: keypair.publicKey.toBase58(), to: newKey, ...params }
+  };
+}
+
+async function sendBatches(connection, keypair, batches, label, steps, newKey) {
+  for (const [i, batch] of batches.entries()) {
+    console.log(`${label} ${i + 1}/${batches.length}...`);
+    const transaction = new Transaction().add(...batch.flatMap(item => item.instructions));
+    const { signature } = await sendAndConfirm(connection, transaction, [keypair], {
+      journal: stepJournal(keypair, newKey, `${label.replace(/^\S+\s+/, '').toLowerCase()} ${i + 1}/${batches.length}`, { items: batch.length })
+    });
+    steps.push({ step: label, items: batch.length, signature });
+    console.log(`   ✅ ${signature}`);
+  }
+}
+
+export async function executeRotation(connection, plan, keypair, { approval = null, confirm = null } = {}) {
+  const newKey = plan.newKey.toBase58();
+
+  // Checked once before the first signature: the rotation hands over every asset at once
+  const ticket = enforcePolicy({
+    tool: 'rotate-key',
+    wallet: keypair.publicKey.toBase58(),
+    transfers: [
+      { mint: 'SOL', amount: lamportsToSol(plan.lamports), recipient: newKey },
+      ...plan.tokens.transfer.map(a => ({ mint: a.mint.toBase58(), amount: a.uiAmount, decimals: a.decimals, recipient: newKey }))
+    ],
+    programs: [...new Set([
+      SystemProgram.programId.toBase58(),
+      ASSOCIATED_TOKEN_PROGRAM_ID.toBase58(),
+      ...plan.authorities.map(a => a.programId.toBase58()),
+      ...[...plan.tokens.close, ...plan.tokens.unwrap, ...plan.tokens.transfer].map(a => a.programId.toBase58()),
+      ...(plan.updateAuthorities.length > 0 ? [METADATA_PROGRAM_ID.toBase58()] : [])
+    ])]
+  }, { approval });
+
+  // The first transaction is simulated before anything is signed; confirming it runs the whole rotation
+  const firstBatch = plan.authorityBatches[0] || plan.tokenBatches[0];
+  const first = new Transaction({ feePayer: keypair.publicKey }).add(...(firstBatch
+    ? firstBatch.flatMap(item => item.instructions)
+    : [SystemProgram.transfer({ fromPubkey: keypair.publicKey, toPubkey: plan.newKey, lamports: Math.max(plan.lamports - LAMPORTS_PER_SIGNATURE, 0) })]));
+  const count = plan.authorityBatches.length + plan.updateAuthorities.length + plan.tokenBatches.length + 1;
+  await previewPlan(connection, first, count, { confirm });
+
+  const steps = [];
+
+  // Authorities first: if the run stops part-way, control has already moved to the new key
+  await sendBatches(connection, keypair, plan.authorityBatches, '🔑 Authority transaction', steps, newKey);
+
+  if (plan.updateAuthorities.length > 0) {
+    const umi = createUmi(connection.rpcEndpoint).use(mplTokenMetadata());
+    const signer = createSignerFromKeypair(umi, umi.eddsa.createKeypairFromSecretKey(keypair.secretKey));
+    umi.use(signerIdentity(signer));
+
+    for (const { mint } of plan.updateAuthorities) {
+      console.log(`🎨 Update authority of ${mint.toBase58()}...`);
+      const result = await updateV1(umi, {
+        mint: umiPublicKey(mint.toBase58()),
+        authority: signer,
+        newUpdateAuthority: umiPublicKey(newKey)
+      }).sendAndConfirm(umi);
+      const signature = bs58.encode(result.signature);
+      journalTransaction(connection, { ...stepJournal(keypair, newKey, `update authority of ${mint.toBase58()}`, { mint: mint.toBase58() }), signature });
+      steps.push({ step: 'update-authority', mint: mint.toBase58(), signature });
+      console.log('   ✅ Done');
+    }
+  }
+
+  await sendBatches(connection, keypair, plan.tokenBatches, '🪙 Token transaction', steps, newKey);
+
+  // The SOL left over is only known once everything else has landed
+  const { blockhash } = await connection.getLatestBlockhash();
+  const probe = new Transaction({ feePayer: keypair.publicKey, recentBlockhash: blockhash })
+    .add(SystemProgram.transfer({ fromPubkey: keypair.publicKey, toPubkey: plan.newKey, lamports: 1 }));
+  const fee = (await connection.getFeeForMessage(probe.compileMessage())).value ?? 5000;
+  const lamports = await connection.getBalance(keypair.publicKey) - fee;
+  if (lamports > 0) {
+    console.log(`💸 Transferring ${formatSol(lamports)} SOL...`);
+    const { signature } = await sendAndConfirm(connection, new Transaction().add(
+      SystemProgram.transfer({ fromPubkey: keypair.publicKey, toPubkey: plan.newKey, lamports })
+    ), [keypair], {
+      journal: stepJournal(keypair, newKey, `transfer ${formatSol(lamports)} SOL`, { amount: formatSol(lamports) })
+    });
+    steps.push({ step: 'sol', lamports, signature });
+    console.log(`   ✅ ${signature}`);
+  }
+
+  recordSpend(ticket, steps[steps.length - 1]?.signature);
+  return steps;
+}
+
+// Check on-chain that nothing is left behind and the new key holds what was moved
+export async function verifyRotation(connection, owner, newKey, plan) {
+  const checks = [];
+  const check = (label, ok, detail = '') => checks.push({ label, ok, detail });
+
+  const lamports = await connection.getBalance(owner);
+  check('Old key SOL balance is zero', lamports === 0, `${formatSol(lamports)} SOL`);
+
+  const remaining = await loadTokenAccounts(connection, owner);
+  check('Old key has no token accounts', remaining.length === 0, remaining.map(a => a.mint.toBase58()).join(', '));
+
+  for (const a of plan.tokens.transfer) {
+    const ata = getAssociatedTokenAddressSync(a.mint, newKey, true, a.programId);
+    let amount = 0n;
+    try {
+      amount = BigInt((await connection.getTokenAccountBalance(ata)).value.amount);
+    } catch {
+      // Account missing
+    }
+    check(`New key holds ${formatAmount(a.amount, a.decimals)} of ${a.mint.toBase58()}`, amount >= a.amount, `balance ${amount}`);
+  }
+
+  const candidates = [...new Set([...plan.authorities, ...plan.updateAuthorities].map(a => a.mint.toBase58()))];
+  const after = await loadAuthorities(connection, newKey, candidates);
+  for (const a of plan.authorities) {
+    const moved = after.authorities.some(b => b.mint.equals(a.mint) && b.type === a.type);
+    check(`${a.type} authority of ${a.mint.toBase58()} is the new key`, moved);
+  }
+  for (const a of plan.updateAuthorities) {
+    const moved = after.updateAuthorities.some(b => b.mint.equals(a.mint));
+    check(`Update authority of ${a.mint.toBase58()} is the new key`, moved);
+  }
+  for (const n of plan.nonces) {
+    const info = await getNonceInfo(connection, n.address);
+    check(`Nonce ${n.label} authority is the new key`, info.authority === newKey.toBase58(), info.authority);
+  }
+
+  return checks;
+}
+
+function printReport(checks) {
+  console.log('');
+  console.log('📋 Verification Report');
+  console.log('======================');
+  checks.forEach(c => console.log(`${c.ok ? '✅' : '❌'} ${c.label}${!c.ok && c.detail ? ` (${c.detail})` : ''}`));
+  const failed = checks.filter(c => !c.ok).length;
+  console.log('');
+  console.log(failed === 0 ? '🎉 Rotation verified' : `⚠️  ${failed} check(s) failed - re-run execute to move what is left`);
+  return failed === 0;
+}
+
+function describeRotation(plan, steps = [], checks = []) {
+  const describe = items => items.map(({ instructions, ...item }) => item);
+  return {
+    oldKey: plan.owner.toBase58(),
+    newKey: plan.newKey.toBase58(),
+    lamports: plan.lamports,
+    tokens: describe([...plan.tokens.close, ...plan.tokens.unwrap, ...plan.tokens.transfer]),
+    skipped: describe(plan.tokens.skipped),
+    authorities: describe(plan.authorities),
+    updateAuthorities: describe(plan.updateAuthorities),
+    nonces: describe(plan.nonces),
+    steps,
+    checks
+  };
+}
+
+function writeReport(file, plan, steps, checks) {
+  fs.writeFileSync(file, JSON.stringify({
+    ...describeRotation(plan, steps, checks),
+    completedAt: new Date().toISOString()
+  }, (key, value) => (typeof value === 'bigint' ? value.toString() : value), 2));
+  console.log(`💾 Report saved to ${file}`);
+}
+
+const ROTATE_ACTIONS = ['plan', 'execute', 'verify'];
+
+// `sat wallet rotate`: without --scan, authorities are found from token-mint.json, the
+// token-launch/nft/collection records under src/ and NFTs the old key holds. Re-running execute is safe.
+export async function rotateCommand([action, newWallet], { wallet, approve, yes, scan, report = null }) {
+  if (!ROTATE_ACTIONS.includes(action)) {
+    throw new UsageError(`Unknown rotation step "${action}" - use ${ROTATE_ACTIONS.join(', ')}`);
+  }
+
+  try {
+    const connection = getConnection();
+    const owner = loadWalletPublicKey(wallet);
+    const newKey = resolveNewKey(newWallet);
+    if (newKey.equals(owner)) {
+      throw new Error('The new key is the wallet being rotated');
+    }
+
+    const assets = await inventory(connection, owner, { scan });
+    const plan = planRotation(assets, owner, newKey);
+
+    if (action === 'verify') {
+      // What the old key still holds is the plan; verification checks it is now empty
+      const checks = await verifyRotation(connection, owner, newKey, plan);
+      const ok = printReport(checks);
+      reportResult(describeRotation(plan, [], checks));
+      if (!ok) reportError('Rotation is incomplete: the old key still holds assets or authorities');
+      process.exit(ok ? 0 : 1);
+    }
+
+    printPlan(plan);
+    if (action === 'plan') {
+      console.log('📝 Plan only - run execute to carry it out');
+      reportResult(describeRotation(plan));
+      return;
+    }
+
+    const keypair = await loadWalletKeypair(wallet);
+    const steps = await executeRotation(connection, plan, keypair, { approval: approve, confirm: terminalConfirm(yes) });
+    const checks = await verifyRotation(connection, owner, newKey, plan);
+    const ok = printReport(checks);
+    const reportFile = report || `rotation-${owner.toBase58().slice(0, 8)}.json`;
+    writeReport(reportFile, plan, steps, checks);
+    steps.forEach(step => reportSignature(step.signature));
+    reportResult({ ...describeRotation(plan, steps, checks), reportFile });
+    if (!ok) reportError('Rotation is incomplete: the old key still holds assets or authorities');
+    process.exit(ok ? 0 : 1);
+  } catch (err) {
+    if (err instanceof PolicyViolation) {
+      printPolicyViolation(err);
+    } else if (err instanceof PreviewRejected) {
+      printPreviewRejection(err);
+    } else {
+      reportSendError(err);
+      console.error('❌', err.message);
+    }
+    process.exit(1);
+  }
+}
+
+// CLI
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runScript(import.meta.url);
+}
@@ -0,0 +1,235 @@
+// Message Signing
+// Sign off-chain messages (UTF-8, hex or Sign-In-With-Solana) to prove wallet ownership
+
+import bs58 from 'bs58';
+import crypto from 'crypto';
+import fs from 'fs';
+import nacl from 'tweetnacl';
+import { PublicKey, VersionedMessage } from '@solana/web3.js';
+import { loadWalletKeypair } from './wallets.js';
+import { reportResult } from '../utils/output.js';
+import { UsageError } from '../cli/args.js';
+import { runScript } from '../cli/dispatch.js';
+
+const SIWS_HEADER = ' wants you to sign in with your Solana account:';
+
+// Off-chain message signing domain. No transaction message starts with 0xff, so a signature
+// over a prefixed payload can never be replayed as a transaction signature.
+const OFFCHAIN_DOMAIN = Buffer.from('\xffsolana offchain', 'latin1');
+const OFFCHAIN_VERSION = 0;
+// Formats: 0 restricted ASCII and 1 limited UTF-8 up to 1212 bytes, 2 extended UTF-8
+const OFFCHAIN_SHORT_MAX = 1212;
+const OFFCHAIN_MAX = 0xffff;
+
+// Header + payload of a Solana off-chain message (version 0: domain, version, format, u16 length)
+export function offchainMessage(payload) {
+  const body = Buffer.from(payload);
+  if (body.length === 0) throw new Error('Message is empty');
+  if (body.length > OFFCHAIN_MAX) throw new Error(`Message is longer than ${OFFCHAIN_MAX} bytes`);
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(body);
+  } catch {
+    throw new Error('Off-chain messages must be valid UTF-8');
+  }
+
+  const ascii = body.every(byte => byte >= 0x20 && byte <= 0x7e);
+  const format = body.length > OFFCHAIN_SHORT_MAX ? 2 : ascii ? 0 : 1;
+  const header = Buffer.alloc(4);
+  header.writeUInt8(OFFCHAIN_VERSION, 0);
+  header.writeUInt8(format, 1);
+  header.writeUInt16LE(body.length, 2);
+  return Buffer.concat([OFFCHAIN_DOMAIN, header, body]);
+}
+
+// Message bytes from a UTF-8 string, or a hex payload wrapped as an off-chain message.
+// UTF-8 text is signed as-is, like a browser wallet's signMessage().
+export function encodeMessage(message, encoding = 'utf8') {
+  if (encoding === 'hex') {
+    const hex = message.replace(/^0x/, '');
+    if (!/^([0-9a-fA-F]{2})*$/.test(hex)) {
+      throw new Error('Message is not valid hex');
+    }
+    return offchainMessage(Buffer.from(hex, 'hex'));
+  }
+  return Buffer.from(message, 'utf8');
+}
+
+// True when `bytes` is exactly a serialized legacy or versioned transaction message
+function isTransactionMessage(bytes) {
+  try {
+    const message = VersionedMessage.deserialize(Uint8Array.from(bytes));
+    return Buffer.from(message.serialize()).equals(Buffer.from(bytes));
+  } catch {
+    return false;
+  }
+}
+
+// Signatures are base58 like on-chain signatures; base64 and hex are accepted too
+export function decodeSignature(signature) {
+  const attempts = [
+    () => bs58.decode(signature),
+    () => Buffer.from(signature, 'base64'),
+    () => Buffer.from(signature.replace(/^0x/, ''), 'hex')
+  ];
+  for (const attempt of attempts) {
+    try {
+      const bytes = attempt();
+      if (bytes.length === nacl.sign.signatureLength) return Uint8Array.from(bytes);
+    } catch {
+      // try the next encoding
+    }
+  }
+  throw new Error('Signature must be 64 bytes encoded as base58, base64 or hex');
+}
+
+// Sign-In-With-Solana message text (same layout wallets produce for signIn)
+export function buildSiwsMessage({ domain, address, statement, uri, version = '1', chainId, nonce, issuedAt, expirationTime, notBefore, requestId, resources = [] }) {
+  if (!domain || !address) {
+    throw new Error('SIWS messages need a domain and an address');
+  }
+
+  let message = `${domain}${SIWS_HEADER}\n${address}`;
+  if (statement) message += `\n\n${statement}`;
+
+  const fields = [];
+  if (uri) fields.push(`URI: ${uri}`);
+  if (version) fields.push(`Version: ${version}`);
+  if (chainId) fields.push(`Chain ID: ${chainId}`);
+  if (nonce) fields.push(`Nonce: ${nonce}`);
+  if (issuedAt) fields.push(`Issued At: ${issuedAt}`);
+  if (expirationTime) fields.push(`Expiration Time: ${expirationTime}`);
+  if (notBefore) fields.push(`Not Before: ${notBefore}`);
+  if (requestId) fields.push(`Request ID: ${requestId}`);
+  if (resources.length > 0) fields.push(`Resources:\n${resources.map(r => `- ${r}`).join('\n')}`);
+
+  if (fields.length > 0) message += `\n\n${fields.join('\n')}`;
+  return message;
+}
+
+const SIWS_FIELDS = {
+  'URI': 'uri',
+  'Version': 'version',
+  'Chain ID': 'chainId',
+  'Nonce': 'nonce',
+  'Issued At': 'issuedAt',
+  'Expiration Time': 'expirationTime',
+  'Not Before': 'notBefore',
+  'Request ID': 'requestId'
+};
+
+// Parse a SIWS message back into its fields, or null if it is not one
+export function parseSiwsMessage(message) {
+  const lines = message.split('\n');
+  if (!lines[0]?.endsWith(SIWS_HEADER) || !lines[1]) return null;
+
+  const parsed = { domain: lines[0].slice(0, -SIWS_HEADER.length), address: lines[1], resources: [] };
+  const body = lines.slice(2);
+  const fieldStart = body.findIndex(line => /^(URI|Version|Chain ID|Nonce|Issued At|Expiration Time|Not Before|Request ID|Resources):/.test(line));
+  const statementLines = (fieldStart === -1 ? body : body.slice(0, fieldStart)).filter(line => line !== '');
+  if (statementLines.length > 0) parsed.statement = statementLines.join('\n');
+
+  if (fieldStart !== -1) {
+    for (const line of body.slice(fieldStart)) {
+      const match = line.match(/^([A-Za-z ]+): (.*)$/);
+      if (match && SIWS_FIELDS[match[1]]) parsed[SIWS_FIELDS[match[1]]] = match[2];
+      else if (line.startsWith('- ')) parsed.resources.push(line.slice(2));
+    }
+  }
+  return parsed;
+}
+
+// Never signs a transaction message: its signature would be a valid transaction signature
+// that bypassed the preview and the spending policy
+export function signMessage(keypair, messageBytes) {
+  if (isTransactionMessage(messageBytes)) {
+    throw new Error('Refusing to sign: the message is a serialized Solana transaction');
+  }
+  return nacl.sign.detached(Uint8Array.from(messageBytes), keypair.secretKey);
+}
+
+// Verify a signature; SIWS messages also get their address, time window and
+// (optionally) expected domain/nonce checked
+export function verifyMessage(messageBytes, signature, publicKey, { expectedDomain = null, expectedNonce = null, now = new Date() } = {}) {
+  const pubkey = new PublicKey(publicKey);
+  const errors = [];
+
+  const signatureValid = nacl.sign.detached.verify(Uint8Array.from(messageBytes), decodeSignature(signature), pubkey.toBytes());
+  if (!signatureValid) errors.push('signature does not match message and public key');
+
+  const siws = parseSiwsMessage(Buffer.from(messageBytes).toString('utf8'));
+  if (siws) {
+    if (siws.address !== pubkey.toBase58()) errors.push(`SIWS address ${siws.address} is not the signer`);
+    if (siws.expirationTime && new Date(siws.expirationTime) < now) errors.push(`SIWS message expired at ${siws.expirationTime}`);
+    if (siws.notBefore && new Date(siws.notBefore) > now) errors.push(`SIWS message not valid before ${siws.notBefore}`);
+    if (expectedDomain && siws.domain !== expectedDomain) errors.push(`SIWS domain ${siws.domain} is not ${expectedDomain}`);
+    if (expectedNonce && siws.nonce !== expectedNonce) errors.push(`SIWS nonce ${siws.nonce} is not ${expectedNonce}`);
+  } else if (expectedDomain || expectedNonce) {
+    errors.push('--domain/--nonce given but the message is not a SIWS message');
+  }
+
+  return { valid: errors.length === 0, signatureValid, publicKey: pubkey.toBase58(), siws, errors };
+}
+
+// The message comes from --file, or the first positional argument
+export function readMessage(positional, { file = null, hex = false } = {}) {
+  const text = file ? fs.readFileSync(file, 'utf8') : positional;
+  const encoding = hex ? 'hex' : 'utf8';
+  return { text, encoding, bytes: text === undefined ? null : encodeMessage(text, encoding) };
+}
+
+// `sat wallet sign`: UTF-8 messages are signed as raw bytes with ed25519, the same as wallet
+// signMessage(); --hex payloads are signed as Solana off-chain messages (\xffsolana offchain header)
+export async function signCommand([messageArg], { wallet, file = null, hex, siws, domain, uri, statement, nonce, chainId, expiresIn, requestId, resource }) {
+  if (!siws && messageArg === undefined && !file) {
+    throw new UsageError('Give a message, --file <path> or --siws');
+  }
+
+  try {
+    const keypair = await loadWalletKeypair(wallet);
+    let message;
+
+    if (siws) {
+      const text = buildSiwsMessage({
+        domain,
+        address: keypair.publicKey.toBase58(),
+        statement,
+        uri,
+        chainId,
+        nonce: nonce || crypto.randomBytes(8).toString('hex'),
+        issuedAt: new Date().toISOString(),
+        expirationTime: expiresIn ? new Date(Date.now() + expiresIn * 60000).toISOString() : null,
+        requestId,
+        resources: resource
+      });
+      message = { text, encoding: 'utf8', bytes: encodeMessage(text) };
+    } else {
+      message = readMessage(messageArg, { file, hex });
+    }
+
+    const signature = signMessage(keypair, message.bytes);
+    const result = {
+      publicKey: keypair.publicKey.toBase58(),
+      message: message.text,
+      messageEncoding: message.encoding,
+      signature: bs58.encode(signature),
+      signatureBase64: Buffer.from(signature).toString('base64'),
+      siws: siws ? parseSiwsMessage(message.text) : null
+    };
+
+    console.log('✍️  Message Signed');
+    console.log('=================');
+    console.log(`Public Key: ${result.publicKey}`);
+    console.log(`Message (${result.messageEncoding}):`);
+    console.log(result.message.split('\n').map(line => `   ${line}`).join('\n'));
+    console.log(`Signature: ${result.signature}`);
+    reportResult(result);
+  } catch (err) {
+    console.error('❌', err.message);
+    process.exit(1);
+  }
+}
+
+// CLI
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runScript(import.meta.url);
+}
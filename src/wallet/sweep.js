@@ -0,0 +1,317 @@
+// Wallet Sweep
+// Close empty token accounts, burn dust, unwrap wSOL and move everything else to another wallet
+
+import {
+  PACKET_DATA_SIZE,
+  PublicKey,
+  SystemProgram,
+  Transaction
+} from '@solana/web3.js';
+import {
+  TOKEN_PROGRAM_ID,
+  TOKEN_2022_PROGRAM_ID,
+  ASSOCIATED_TOKEN_PROGRAM_ID,
+  getAssociatedTokenAddressSync,
+  createAssociatedTokenAccountIdempotentInstruction,
+  createTransferCheckedInstruction,
+  createBurnCheckedInstruction,
+  createCloseAccountInstruction
+} from '@solana/spl-token';
+import { loadWalletKeypair, loadWalletPublicKey } from './wallets.js';
+import { resolveAddress, formatAddress, warnIfUnfamiliar, recordSend } from './address-book.js';
+import { enforcePolicy, recordSpend, PolicyViolation, printPolicyViolation } from './policy.js';
+import { getConnection } from '../utils/network.js';
+import { reportResult, reportSignature, reportWarning } from '../utils/output.js';
+import { formatAmount, formatSol, toUiAmount, lamportsToSol, compareAmount, isAmount } from '../utils/amount.js';
+import { previewPlan, terminalConfirm, PreviewRejected, printPreviewRejection } from '../utils/preview.js';
+import { sendAndConfirm, reportSendError } from '../utils/send.js';
+import { UsageError } from '../cli/args.js';
+import { runScript } from '../cli/dispatch.js';
+
+const SIGNATURE_SIZE = 64;
+const TOKEN_ACCOUNT_SIZE = 165;
+
+// Every token account the wallet owns, under both token programs
+export async function loadTokenAccounts(connection, owner) {
+  const accounts = [];
+  for (const programId of [TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID]) {
+    const { value } = await connection.getParsedTokenAccountsByOwner(owner, { programId });
+    for (const { pubkey, account } of value) {
+      const info = account.data.parsed.info;
+      accounts.push({
+        address: pubkey,
+        programId,
+        mint: new PublicKey(info.mint),
+        amount: BigInt(info.tokenAmount.amount),
+        uiAmount: toUiAmount(info.tokenAmount.amount, info.tokenAmount.decimals),
+        decimals: info.tokenAmount.decimals,
+        isNative: info.isNative,
+        frozen: info.state === 'frozen',
+        closeAuthority: info.closeAuthority || null,
+        lamports: account.lamports
+      });
+    }
+  }
+  return accounts;
+}
+
+// Decide what happens to each token account and build its instructions
+export function planSweep(accounts, owner, destination, { burnDust = null } = {}) {
+  const plan = { close: [], unwrap: [], burn: [], transfer: [], skipped: [] };
+
+  for (const account of accounts) {
+    const canClose = !account.closeAuthority || account.closeAuthority === owner.toBase58();
+    const close = () => createCloseAccountInstruction(account.address, destination, owner, [], account.programId);
+
+    if (account.frozen) {
+      plan.skipped.push({ ...account, reason: 'frozen' });
+    } else if (account.isNative) {
+      // Closing a wSOL account releases the wrapped SOL together with the rent
+      if (!canClose) plan.skipped.push({ ...account, reason: `close authority is ${account.closeAuthority}` });
+      else plan.unwrap.push({ ...account, instructions: [close()], reclaimed: account.lamports });
+    } else if (account.amount === 0n) {
+      if (!canClose) plan.skipped.push({ ...account, reason: `close authority is ${account.closeAuthority}` });
+      else plan.close.push({ ...account, instructions: [close()], reclaimed: account.lamports });
+    } else if (burnDust !== null && compareAmount(account.amount, account.decimals, burnDust) <= 0 && canClose) {
+      plan.burn.push({
+        ...account,
+        instructions: [
+          createBurnCheckedInstruction(account.address, account.mint, owner, account.amount, account.decimals, [], account.programId),
+          close()
+        ],
+        reclaimed: account.lamports
+      });
+    } else {
+      const destinationAta = getAssociatedTokenAddressSync(account.mint, destination, true, account.programId);
+      const instructions = [
+        createAssociatedTokenAccountIdempotentInstruction(owner, destinationAta, destination, account.mint, account.programId),
+        createTransferCheckedInstruction(account.address, account.mint, destinationAta, owner, account.amount, account.decimals, [], account.programId)
+      ];
+      if (canClose) instructions.push(close());
+      plan.transfer.push({ ...account, destinationAta, instructions, reclaimed: canClose ? account.lamports : 0 });
+    }
+  }
+  return plan;
+}
+
+function transactionSize(transaction) {
+  return transaction.serializeMessage().length + 1 + SIGNATURE_SIZE;
+}
+
+// Greedily pack each account's instructions into as few transactions as fit.
+// An account's instructions always stay together in one transaction.
+export function packSweep(items, feePayer) {
+  const placeholderBlockhash = PublicKey.default.toBase58();
+  const batches = [];
+  let current = [];
+
+  for (const item of items) {
+    const candidate = new Transaction({ feePayer, recentBlockhash: placeholderBlockhash });
+    [...current, item].forEach(i => candidate.add(...i.instructions));
+
+    if (current.length > 0 && transactionSize(candidate) > PACKET_DATA_SIZE) {
+      batches.push(current);
+      current = [item];
+    } else {
+      current.push(item);
+    }
+  }
+  if (current.length > 0) batches.push(current);
+  return batches;
+}
+
+function sol(lamports) {
+  return `${formatSol(lamports)} SOL`;
+}
+
+function printPreview({ wallet, destination, plan, batches, balance, fees, ataRent, newAtas, finalLamports }) {
+  const reclaimed = [...plan.close, ...plan.burn, ...plan.transfer].reduce((sum, a) => sum + a.reclaimed, 0);
+  const unwrapped = plan.unwrap.reduce((sum, a) => sum + a.reclaimed, 0);
+
+  console.log('🧹 Sweep Preview');
+  console.log('================');
+  console.log(`Wallet: ${wallet}`);
+  console.log(`Destination: ${formatAddress(destination)}`);
+  console.log('');
+  console.log(`Close empty token accounts: ${plan.close.length}`);
+  console.log(`Unwrap wSOL accounts: ${plan.unwrap.length}${plan.unwrap.length ? ` (${sol(unwrapped)} incl. rent)` : ''}`);
+  console.log(`Burn dust: ${plan.burn.length}`);
+  plan.burn.forEach(a => console.log(`   🔥 ${formatAmount(a.amount, a.decimals)} of ${a.mint.toBase58()}`));
+  console.log(`Transfer tokens: ${plan.transfer.length}`);
+  plan.transfer.forEach(a => console.log(`   ➡️  ${formatAmount(a.amount, a.decimals)} of ${a.mint.toBase58()}`));
+  plan.skipped.forEach(a => console.log(`   ⏭️  Skipping ${a.address.toBase58()} (${a.mint.toBase58()}): ${a.reason}`));
+  console.log('');
+  console.log(`Rent reclaimed: ${sol(reclaimed)}`);
+  if (newAtas > 0) {
+    console.log(`New destination token accounts: ${newAtas} (${sol(ataRent)} rent, paid by this wallet)`);
+  }
+  console.log(`Transactions: ${batches.length + (finalLamports > 0 ? 1 : 0)}`);
+  console.log(`Estimated fees: ${sol(fees)}`);
+  console.log(`SOL balance: ${sol(balance)}`);
+  console.log(`SOL transferred at the end: ${sol(finalLamports)}`);
+  console.log(`Destination receives in total: ${sol(reclaimed + unwrapped + finalLamports)}`);
+  console.log('');
+}
+
+export async function sweep(destinationAddress, { walletName = null, burnDust = null, dryRun = false, rpcUrl = null, approval = null, confirm = null } = {}) {
+  const connection = getConnection({ rpcUrl });
+  const owner = loadWalletPublicKey(walletName);
+  const destination = resolveAddress(destinationAddress);
+
+  if (destination.equals(owner)) {
+    throw new Error('Destination is the wallet being swept');
+  }
+
+  const accounts = await loadTokenAccounts(connection, owner);
+  const plan = planSweep(accounts, owner, destination, { burnDust });
+  const items = [...plan.close, ...plan.unwrap, ...plan.burn, ...plan.transfer];
+  const batches = packSweep(items, owner);
+
+  // Destination token accounts that do not exist yet are created at this wallet's expense
+  const destinationAtas = plan.transfer.map(a => a.destinationAta);
+  const existing = destinationAtas.length > 0 ? await connection.getMultipleAccountsInfo(destinationAtas) : [];
+  const newAtas = existing.filter(info => !info).length;
+  const ataRent = newAtas > 0 ? newAtas * await connection.getMinimumBalanceForRentExemption(TOKEN_ACCOUNT_SIZE) : 0;
+
+  const { blockhash } = await connection.getLatestBlockhash();
+  const feeFor = async (instructions) => {
+    const tx = new Transaction({ feePayer: owner, recentBlockhash: blockhash }).add(...instructions);
+    return (await connection.getFeeForMessage(tx.compileMessage())).value ?? 5000;
+  };
+  const finalTransfer = (lamports) => SystemProgram.transfer({ fromPubkey: owner, toPubkey: destination, lamports });
+
+  let fees = 0;
+  for (const batch of batches) {
+    fees += await feeFor(batch.flatMap(item => item.instructions));
+  }
+  const finalFee = await feeFor([finalTransfer(1)]);
+  const balance = await connection.getBalance(owner);
+
+  if (balance < fees + ataRent) {
+    throw new Error(`Insufficient SOL for fees and new token accounts: need ${sol(fees + ataRent)}`);
+  }
+  const finalLamports = Math.max(balance - fees - ataRent - finalFee, 0);
+
+  printPreview({ wallet: owner.toBase58(), destination, plan, batches, balance, fees: fees + (finalLamports > 0 ? finalFee : 0), ataRent, newAtas, finalLamports });
+  if (warnIfUnfamiliar(destination)) console.log('');
+
+  const summary = {
+    wallet: owner.toBase58(),
+    destination: destination.toBase58(),
+    closed: plan.close.length,
+    unwrapped: plan.unwrap.length,
+    burned: plan.burn.length,
+    transferred: plan.transfer.length,
+    skipped: plan.skipped.map(a => ({ address: a.address.toBase58(), mint: a.mint.toBase58(), reason: a.reason }))
+  };
+  if (plan.skipped.length > 0) {
+    reportWarning(`${plan.skipped.length} token account(s) cannot be swept`);
+  }
+
+  if (items.length === 0 && finalLamports === 0) {
+    console.log('✅ Nothing to sweep');
+    return { ...summary, signatures: [] };
+  }
+  if (dryRun) {
+    console.log('📝 Dry run complete - nothing was sent');
+    return { ...summary, dryRun: true, signatures: [] };
+  }
+
+  // The whole sweep is one request for policy purposes, checked before the first signature
+  const reclaimedLamports = items.reduce((sum, a) => sum + a.reclaimed, 0) + finalLamports;
+  const ticket = enforcePolicy({
+    tool: 'sweep',
+    wallet: owner.toBase58(),
+    transfers: [
+      { mint: 'SOL', amount: lamportsToSol(reclaimedLamports), recipient: destination.toBase58() },
+      ...plan.transfer.map(a => ({ mint: a.mint.toBase58(), amount: a.uiAmount, decimals: a.decimals, recipient: destination.toBase58() }))
+    ],
+    programs: [...new Set([
+      SystemProgram.programId.toBase58(),
+      ASSOCIATED_TOKEN_PROGRAM_ID.toBase58(),
+      ...items.map(a => a.programId.toBase58())
+    ])]
+  }, { approval });
+
+  // The first transaction is simulated before the wallet is unlocked; confirming it sends them all
+  const first = new Transaction({ feePayer: owner }).add(...(batches.length > 0 ? batches[0].flatMap(item => item.instructions) : [finalTransfer(finalLamports)]));
+  await previewPlan(connection, first, batches.length + (finalLamports > 0 ? 1 : 0), { confirm });
+
+  const keypair = await loadWalletKeypair(walletName);
+  const signatures = [];
+
+  for (const [i, batch] of batches.entries()) {
+    console.log(`🧹 Sending transaction ${i + 1}/${batches.length} (${batch.length} token accounts)...`);
+    const transaction = new Transaction().add(...batch.flatMap(item => item.instructions));
+    const { signature } = await sendAndConfirm(connection, transaction, [keypair], {
+      journal: {
+        tool: 'sweep',
+        intent: `Sweep ${batch.length} token account${batch.length === 1 ? '' : 's'} of ${owner.toBase58()} into ${destination.toBase58()}`,
+        params: { from: owner.toBase58(), to: destination.toBase58(), accounts: batch.map(item => item.address.toBase58()) }
+      }
+    });
+    signatures.push(signature);
+    console.log(`   ✅ ${signature}`);
+  }
+
+  // The SOL left over is only known exactly once the token transactions have landed
+  const remaining = await connection.getBalance(owner);
+  const lamports = remaining - finalFee;
+  if (lamports > 0) {
+    console.log(`💸 Transferring ${sol(lamports)}...`);
+    const { signature } = await sendAndConfirm(connection, new Transaction().add(finalTransfer(lamports)), [keypair], {
+      journal: {
+        tool: 'sweep',
+        intent: `Sweep ${formatSol(lamports)} SOL from ${owner.toBase58()} into ${destination.toBase58()}`,
+        params: { from: owner.toBase58(), to: destination.toBase58(), amount: formatSol(lamports) }
+      }
+    });
+    signatures.push(signature);
+    console.log(`   ✅ ${signature}`);
+  }
+
+  recordSpend(ticket, signatures[signatures.length - 1]);
+  recordSend(destination);
+
+  console.log('');
+  console.log(`🎉 Swept ${owner.toBase58()} into ${formatAddress(destination)}`);
+  if (plan.skipped.length > 0) {
+    console.log(`⚠️  ${plan.skipped.length} token account(s) could not be swept (see preview)`);
+  }
+  return { ...summary, signatures };
+}
+
+// `sat wallet sweep`: closes empty token accounts, unwraps wSOL and transfers every other token
+// balance and all remaining SOL to the destination. Safe to re-run: each run starts from what
+// the wallet still holds.
+export async function sweepCommand([destination], { wallet, approve, yes, dryRun, burnDust = null }) {
+  if (burnDust !== null && !isAmount(burnDust, { allowZero: true })) {
+    throw new UsageError('--burn-dust needs a non-negative token amount');
+  }
+  try {
+    const result = await sweep(destination, {
+      walletName: wallet,
+      burnDust,
+      dryRun,
+      approval: approve,
+      confirm: terminalConfirm(yes)
+    });
+    result.signatures.forEach(reportSignature);
+    reportResult(result);
+  } catch (err) {
+    if (err instanceof PolicyViolation) {
+      printPolicyViolation(err);
+    } else if (err instanceof PreviewRejected) {
+      printPreviewRejection(err);
+    } else {
+      reportSendError(err);
+      console.error('❌', err.message);
+    }
+    process.exit(1);
+  }
+}
+
+// CLI
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runScript(import.meta.url);
+}
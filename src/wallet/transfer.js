@@ -1,54 +1,159 @@
-import { Connection, clusterApiUrl, LAMPORTS_PER_SOL, PublicKey, Keypair, Transaction, SystemProgram, sendAndConfirmTransaction } from '@solana/web3.js';
-import fs from 'fs';
+// SOL Transfer
+// Send SOL to an address or @label, or build the transfer for offline signing
 
-const wallet = JSON.parse(fs.readFileSync('wallet.json', 'utf8'));
-const connection = new Connection(clusterApiUrl('devnet'), 'confirmed');
+import { Transaction, SystemProgram } from '@solana/web3.js';
+import { loadWalletKeypair, loadWalletPublicKey } from './wallets.js';
+import { getNonceInfo, applyNonce } from './nonce.js';
+import { exportTransaction } from './offline-tx.js';
+import { resolveAddress, formatAddress, warnIfUnfamiliar, recordSend } from './address-book.js';
+import { enforcePolicy, recordSpend, PolicyViolation, printPolicyViolation } from './policy.js';
+import { getConnection, resolveNetwork, explorerUrl } from '../utils/network.js';
+import { reportResult, reportSignature, reportError } from '../utils/output.js';
+import { sendAndConfirm, reportSendError } from '../utils/send.js';
+import { parseSol, formatSol, lamportsToSol, isAmount, AmountError } from '../utils/amount.js';
+import { previewTransaction, terminalConfirm, PreviewRejected, printPreviewRejection } from '../utils/preview.js';
+import { UsageError } from '../cli/args.js';
+import { runScript } from '../cli/dispatch.js';
 
-// Load keypair from saved wallet
-const secretKey = new Uint8Array(wallet.secretKey);
-const keypair = Keypair.fromSecretKey(secretKey);
-
-// Get recipient from command line
-const recipientAddress = process.argv[2];
-const amount = parseFloat(process.argv[3]);
-
-if (!recipientAddress || !amount) {
-  console.log('Usage: node transfer.js <recipient-address> <amount-in-sol>');
-  process.exit(1);
-}
-
-console.log('💸 Transferring SOL');
-console.log('===================');
-console.log('From:', wallet.publicKey);
-console.log('To:', recipientAddress);
-console.log('Amount:', amount, 'SOL');
-console.log('');
-
-try {
-  const recipient = new PublicKey(recipientAddress);
-  
-  const transaction = new Transaction().add(
+function transferTransaction(fromPubkey, recipient, lamports) {
+  return new Transaction({ feePayer: fromPubkey }).add(
     SystemProgram.transfer({
-      fromPubkey: keypair.publicKey,
+      fromPubkey,
       toPubkey: recipient,
-      lamports: amount * LAMPORTS_PER_SOL,
+      lamports,
     })
   );
+}
 
-  const signature = await sendAndConfirmTransaction(
-    connection,
-    transaction,
-    [keypair]
-  );
+// Build an unsigned transfer for offline signing - only the public key is needed here
+export async function buildOfflineTransfer(connection, fromPubkey, recipientAddress, amount, outputFile, { nonceAccount = null, log = console.log } = {}) {
+  const recipient = resolveAddress(recipientAddress);
+  const lamports = parseSol(amount);
+
+  log('📝 Building Unsigned SOL Transfer');
+  log('=================================');
+  log('From:', fromPubkey.toBase58());
+  log('To:', formatAddress(recipient));
+  log('Amount:', formatSol(lamports), 'SOL');
+  log('');
+  warnIfUnfamiliar(recipient);
+
+  const transaction = transferTransaction(fromPubkey, recipient, lamports);
+
+  let nonceInfo = null;
+  let lastValidBlockHeight = null;
+  if (nonceAccount) {
+    nonceInfo = await getNonceInfo(connection, nonceAccount);
+    applyNonce(transaction, nonceInfo);
+  } else {
+    const latest = await connection.getLatestBlockhash('confirmed');
+    transaction.recentBlockhash = latest.blockhash;
+    lastValidBlockHeight = latest.lastValidBlockHeight;
+    log('⚠️  No --nonce given: this transaction expires in ~90 seconds');
+  }
+
+  return exportTransaction(outputFile, transaction, {
+    tool: 'transfer',
+    description: `Transfer ${formatSol(lamports)} SOL from ${fromPubkey.toBase58()} to ${recipient.toBase58()}`,
+    cluster: resolveNetwork().cluster,
+    nonceInfo,
+    lastValidBlockHeight
+  });
+}
+
+// Send `amount` SOL from `payer` after a simulation preview; throws PreviewRejected or
+// PolicyViolation before signing when the simulation, `confirm` or the policy says no
+export async function transferSol(connection, payer, recipientAddress, amount, { nonceAccount = null, approval = null, confirm = null, log = console.log } = {}) {
+  const lamports = parseSol(amount);
+  log('💸 Transferring SOL');
+  log('===================');
+  log('From:', payer.publicKey.toBase58());
+
+  const recipient = resolveAddress(recipientAddress);
+  log('To:', formatAddress(recipient));
+  log('Amount:', formatSol(lamports), 'SOL');
+  log('');
+  warnIfUnfamiliar(recipient);
+
+  const transaction = transferTransaction(payer.publicKey, recipient, lamports);
+
+  if (nonceAccount) {
+    applyNonce(transaction, await getNonceInfo(connection, nonceAccount));
+    log('🔢 Using durable nonce:', transaction.recentBlockhash);
+  }
+
+  const ticket = enforcePolicy({
+    tool: 'transfer',
+    wallet: payer.publicKey.toBase58(),
+    transfers: [{ mint: 'SOL', amount: lamportsToSol(lamports), recipient: recipient.toBase58() }]
+  }, { transaction, approval });
+  const preview = await previewTransaction(connection, transaction, { confirm, log });
+
+  const { signature } = await sendAndConfirm(connection, transaction, [payer], {
+    journal: {
+      tool: 'transfer',
+      intent: `Transfer ${formatSol(lamports)} SOL to ${recipient.toBase58()}`,
+      params: { from: payer.publicKey.toBase58(), to: recipient.toBase58(), amount: formatSol(lamports), nonceAccount }
+    },
+    log
+  });
+
+  recordSpend(ticket, signature);
+  recordSend(recipient);
+
+  const balance = await connection.getBalance(payer.publicKey);
+  return { signature, from: payer.publicKey.toBase58(), to: recipient.toBase58(), amount: lamportsToSol(lamports), balance: lamportsToSol(balance), preview };
+}
+
+// `sat wallet transfer`; the amount stays a string: it is converted to lamports exactly, not through a float
+export async function transferCommand([recipientAddress, amount], { wallet, approve, yes, nonce: nonceAccount = null, build: buildFile }) {
+  if (!isAmount(amount)) throw new UsageError(`Invalid amount: ${amount}`);
+  const connection = getConnection();
+
+  if (buildFile) {
+    try {
+      const envelope = await buildOfflineTransfer(connection, loadWalletPublicKey(wallet), recipientAddress, amount, buildFile, { nonceAccount });
+      console.log(`✅ Unsigned transaction written to ${buildFile}`);
+      console.log(`   Required signers: ${envelope.requiredSigners.join(', ')}`);
+      console.log(`   Next: node src/wallet/offline-tx.js sign ${buildFile}`);
+      reportResult({ file: buildFile, ...envelope });
+    } catch (err) {
+      if (err instanceof AmountError) reportError(err);
+      console.log('❌ Build failed:', err.message);
+      process.exit(1);
+    }
+    return;
+  }
+
+  // Load keypair from saved wallet
+  const keypair = await loadWalletKeypair(wallet);
+
+  try {
+    const result = await transferSol(connection, keypair, recipientAddress, amount, { nonceAccount, approval: approve, confirm: terminalConfirm(yes) });
+
+    console.log('✅ Transfer complete!');
+    console.log('Signature:', result.signature);
+    console.log(`Explorer: ${explorerUrl('tx', result.signature)}`);
+    console.log(`New balance: ${result.balance} SOL`);
+    reportSignature(result.signature);
+    reportResult({ ...result, explorer: explorerUrl('tx', result.signature) });
+  } catch (err) {
+    if (err instanceof PolicyViolation) {
+      printPolicyViolation(err);
+      process.exit(1);
+    }
+    if (err instanceof PreviewRejected) {
+      printPreviewRejection(err);
+      process.exit(1);
+    }
+    if (err instanceof AmountError) reportError(err);
+    reportSendError(err);
+    console.log('❌ Transfer failed:', err.message);
+    process.exit(1);
+  }
+}
 
-  console.log('✅ Transfer complete!');
-  console.log('Signature:', signature);
-  console.log(`Explorer: https://explorer.solana.com/tx/${signature}?cluster=devnet`);
-  
-  // Check new balance
-  const balance = await connection.getBalance(keypair.publicKey);
-  console.log(`New balance: ${balance / LAMPORTS_PER_SOL} SOL`);
-  
-} catch (err) {
-  console.log('❌ Transfer failed:', err.message);
+// CLI
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runScript(import.meta.url);
 }
@@ -0,0 +1,53 @@
+// Message Verification
+// Check an ed25519 message signature (and SIWS fields) against a public key
+
+import { loadWalletPublicKey } from './wallets.js';
+import { resolveAddress } from './address-book.js';
+import { verifyMessage, readMessage } from './sign-message.js';
+import { reportResult, reportError } from '../utils/output.js';
+import { UsageError } from '../cli/args.js';
+import { runScript } from '../cli/dispatch.js';
+
+// `sat wallet verify`: without a public key the selected wallet is checked; exits 1 if the signature is invalid
+export async function verifyCommand(positionals, { wallet, file = null, hex, domain, nonce }) {
+  // With --file the message is not positional, so the signature moves up one
+  const [messageArg, signature, publicKey] = file ? [undefined, ...positionals] : positionals;
+  if (!signature) {
+    throw new UsageError(file ? 'Missing <signature>' : 'Missing <message> <signature>');
+  }
+  if (file && positionals.length > 2) {
+    throw new UsageError(`Unexpected argument: ${positionals[2]}`);
+  }
+
+  try {
+    const message = readMessage(messageArg, { file, hex });
+    const signer = publicKey ? resolveAddress(publicKey) : loadWalletPublicKey(wallet);
+    const result = verifyMessage(message.bytes, signature, signer, {
+      expectedDomain: domain,
+      expectedNonce: nonce
+    });
+
+    reportResult(result);
+    if (result.valid) {
+      console.log(`✅ Valid signature from ${result.publicKey}`);
+      if (result.siws) {
+        console.log(`   SIWS domain: ${result.siws.domain}`);
+        if (result.siws.nonce) console.log(`   Nonce: ${result.siws.nonce}`);
+        if (result.siws.expirationTime) console.log(`   Expires: ${result.siws.expirationTime}`);
+      }
+    } else {
+      console.log(`❌ Verification failed for ${result.publicKey}`);
+      result.errors.forEach(error => console.log(`   - ${error}`));
+      reportError(`Verification failed: ${result.errors.join('; ')}`);
+      process.exit(1);
+    }
+  } catch (err) {
+    console.error('❌', err.message);
+    process.exit(1);
+  }
+}
+
+// CLI
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runScript(import.meta.url);
+}
@@ -0,0 +1,196 @@
+// Wallet Registry
+// Named wallet profiles (name → keyfile or watch-only public key) shared by every tool
+
+import { PublicKey } from '@solana/web3.js';
+import fs from 'fs';
+import path from 'path';
+import { loadKeypair, readWalletFile } from './keystore.js';
+import { toolkitPath } from '../utils/toolkit-home.js';
+import { reportResult } from '../utils/output.js';
+import { runScript } from '../cli/dispatch.js';
+
+const REGISTRY_FILE = 'wallets.json';
+const LEGACY_WALLET_FILE = 'wallet.json';
+
+// Only a missing registry starts empty: reading a corrupt one as empty would pick the wrong
+// wallet and the next save would drop every registered wallet
+export function loadRegistry() {
+  const file = toolkitPath(REGISTRY_FILE);
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return { default: null, wallets: {} };
+    throw err;
+  }
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Wallet registry ${file} is corrupt (${err.message}); fix or restore it`);
+  }
+}
+
+// Write via rename so a crash never leaves a half-written registry behind
+function saveRegistry(registry) {
+  const file = toolkitPath(REGISTRY_FILE);
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(registry, null, 2), { mode: 0o600 });
+  fs.renameSync(`${file}.tmp`, file);
+}
+
+// Selection order: explicit name, WALLET env, registry default, WALLET_PATH, ./wallet.json
+export function resolveWallet(name = null) {
+  const registry = loadRegistry();
+  const selected = name || process.env.WALLET || registry.default;
+
+  if (selected) {
+    const entry = registry.wallets[selected];
+    if (entry) {
+      return { name: selected, ...entry };
+    }
+    // Allow a keyfile path in place of a registered name
+    if (fs.existsSync(selected)) {
+      return { name: null, keyfile: path.resolve(selected), publicKey: readWalletFile(selected).publicKey };
+    }
+    throw new Error(`Unknown wallet "${selected}". Registered: ${Object.keys(registry.wallets).join(', ') || 'none'}`);
+  }
+
+  const keyfile = path.resolve(process.env.WALLET_PATH || LEGACY_WALLET_FILE);
+  return { name: null, keyfile, publicKey: readWalletFile(keyfile).publicKey };
+}
+
+export function loadWalletPublicKey(name = null) {
+  return new PublicKey(resolveWallet(name).publicKey);
+}
+
+export async function loadWalletKeypair(name = null) {
+  const wallet = resolveWallet(name);
+  if (!wallet.keyfile) {
+    throw new Error(`Wallet "${wallet.name}" is watch-only and cannot sign`);
+  }
+
+  const keypair = await loadKeypair(wallet.keyfile);
+  if (keypair.publicKey.toBase58() !== wallet.publicKey) {
+    throw new Error(`Keyfile ${wallet.keyfile} does not match the registered public key for "${wallet.name}"`);
+  }
+  return keypair;
+}
+
+// Register a keyfile, or a bare public key as a watch-only wallet
+export function addWallet(name, source, { makeDefault = false } = {}) {
+  if (!/^[\w.-]+$/.test(name)) {
+    throw new Error('Wallet names may only contain letters, numbers, ".", "_" and "-"');
+  }
+
+  const registry = loadRegistry();
+  if (registry.wallets[name]) {
+    throw new Error(`Wallet "${name}" already exists (remove it first)`);
+  }
+
+  let entry;
+  if (fs.existsSync(source)) {
+    entry = { keyfile: path.resolve(source), publicKey: readWalletFile(source).publicKey };
+  } else {
+    try {
+      entry = { keyfile: null, publicKey: new PublicKey(source).toBase58(), watchOnly: true };
+    } catch {
+      throw new Error(`"${source}" is neither a wallet file nor a public key`);
+    }
+  }
+  entry.addedAt = new Date().toISOString();
+
+  registry.wallets[name] = entry;
+  if (makeDefault || !registry.default) {
+    registry.default = name;
+  }
+  saveRegistry(registry);
+  return { name, ...entry };
+}
+
+export function removeWallet(name) {
+  const registry = loadRegistry();
+  if (!registry.wallets[name]) {
+    throw new Error(`Wallet not found: ${name}`);
+  }
+
+  delete registry.wallets[name];
+  if (registry.default === name) {
+    registry.default = Object.keys(registry.wallets)[0] || null;
+  }
+  saveRegistry(registry);
+  return registry.default;
+}
+
+export function setDefaultWallet(name) {
+  const registry = loadRegistry();
+  if (!registry.wallets[name]) {
+    throw new Error(`Wallet not found: ${name}`);
+  }
+  registry.default = name;
+  saveRegistry(registry);
+}
+
+function listWallets() {
+  const registry = loadRegistry();
+  const entries = Object.entries(registry.wallets);
+  const wallets = entries.map(([name, w]) => ({ name, ...w, default: name === registry.default }));
+
+  console.log('👛 Wallets');
+  console.log('=' .repeat(70));
+
+  if (entries.length === 0) {
+    console.log('No wallets registered yet.');
+    console.log('Use: node wallets.js add <name> <keyfile|public-key>');
+    return wallets;
+  }
+
+  entries.forEach(([name, w]) => {
+    const marker = name === registry.default ? '★' : ' ';
+    const kind = w.watchOnly ? 'watch-only' : w.keyfile;
+    console.log(`${marker} ${name.padEnd(16)} ${w.publicKey}`);
+    console.log(`  ${''.padEnd(16)} ${kind}`);
+  });
+  console.log('');
+  console.log(`Registry: ${toolkitPath(REGISTRY_FILE)}`);
+  return wallets;
+}
+
+// Commands, called by sat and by the CLI below with parsed options
+export function listCommand() {
+  reportResult(listWallets());
+}
+
+export function addCommand([name, keyOrFile], { default: makeDefault }) {
+  const wallet = addWallet(name, keyOrFile, { makeDefault });
+  console.log(`✅ Added ${wallet.watchOnly ? 'watch-only ' : ''}wallet "${wallet.name}" (${wallet.publicKey})`);
+  reportResult(wallet);
+}
+
+export function removeCommand([name]) {
+  removeWallet(name);
+  console.log(`✅ Removed wallet: ${name} (the keyfile itself was not deleted)`);
+  reportResult({ removed: name });
+}
+
+export function defaultCommand([name]) {
+  if (!name) {
+    console.log(`Default wallet: ${loadRegistry().default || '(none - using ./wallet.json)'}`);
+    reportResult({ default: loadRegistry().default || null });
+    return;
+  }
+  setDefaultWallet(name);
+  console.log(`✅ Default wallet: ${name}`);
+  reportResult({ default: name });
+}
+
+export function showCommand([name = null]) {
+  const wallet = resolveWallet(name);
+  console.log(`Name: ${wallet.name || '(unregistered)'}`);
+  console.log(`Public Key: ${wallet.publicKey}`);
+  console.log(`Keyfile: ${wallet.keyfile || 'watch-only'}`);
+  reportResult({ name: wallet.name || null, publicKey: wallet.publicKey, keyfile: wallet.keyfile || null, watchOnly: !wallet.keyfile });
+}
+
+// CLI
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runScript(import.meta.url);
+}
@@ -3,40 +3,37 @@
 // This is a client-side implementation using existing SPL token tools
 
 import { 
-  Connection, 
   PublicKey, 
-  Keypair,
   SystemProgram,
   SYSVAR_CLOCK_PUBKEY,
-  Transaction,
-  sendAndConfirmTransaction
+  Transaction
 } from '@solana/web3.js';
 import {
   TOKEN_PROGRAM_ID,
   getAssociatedTokenAddress,
+  getMint,
   createAssociatedTokenAccountInstruction,
   createTransferInstruction
 } from '@solana/spl-token';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { loadWalletKeypair } from '../wallet/wallets.js';
+import { getNonceInfo, applyNonce } from '../wallet/nonce.js';
+import { exportTransaction, signOfflineTransaction, broadcastOfflineTransaction, readEnvelope, loadTransaction } from '../wallet/offline-tx.js';
+import { resolveAddress, formatAddress, warnIfUnfamiliar } from '../wallet/address-book.js';
+import { enforcePolicy, recordSpend, PolicyViolation, printPolicyViolation } from '../wallet/policy.js';
+import { getConnection, resolveNetwork, explorerUrl } from '../utils/network.js';
+import { reportResult, reportSignature, reportError } from '../utils/output.js';
+import { parseAmount, formatAmount, toUiAmount, AmountError } from '../utils/amount.js';
+import { previewTransaction, terminalConfirm, PreviewRejected, printPreviewRejection } from '../utils/preview.js';
+import { sendAndConfirm, reportSendError } from '../utils/send.js';
+import { UsageError } from '../cli/args.js';
+import { runScript } from '../cli/dispatch.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Load wallet
-const walletFile = JSON.parse(fs.readFileSync(path.join(__dirname, 'wallet.json'), 'utf-8'));
-const secretKey = new Uint8Array(walletFile.secretKey);
-const keypair = Keypair.fromSecretKey(secretKey);
-
-const NETWORK = process.env.NETWORK || 'devnet';
-const connection = new Connection(
-  NETWORK === 'mainnet' 
-    ? 'https://api.mainnet-beta.solana.com'
-    : 'https://api.devnet.solana.com',
-  'confirmed'
-);
-
 // Simple escrow state storage
 const ESCROW_FILE = path.join(__dirname, 'escrows.json');
 
@@ -52,16 +49,25 @@ function saveEscrows(escrows) {
   fs.writeFileSync(ESCROW_FILE, JSON.stringify(escrows, null, 2));
 }
 
-// Create a time-locked escrow
-export async function createEscrow(recipient, mint, amount, unlockMinutes) {
-  console.log(`🔒 Creating Escrow on ${NETWORK}...`);
-  console.log(`   From: ${keypair.publicKey.toBase58()}`);
-  console.log(`   To: ${recipient}`);
-  console.log(`   Amount: ${amount}`);
-  console.log(`   Unlocks in: ${unlockMinutes} minutes`);
-
-  const recipientPubkey = new PublicKey(recipient);
+// Create a time-locked escrow. Nothing is signed until the release, which is what counts against
+// the spending policy, but an escrow the policy would not let through is refused up front
+export async function createEscrow(connection, keypair, recipientInput, mint, amount, unlockMinutes, { network = resolveNetwork(), approval = null, log = console.log } = {}) {
+  const recipientPubkey = resolveAddress(recipientInput);
+  const recipient = recipientPubkey.toBase58();
   const mintPubkey = new PublicKey(mint);
+  const { decimals } = await getMint(connection, mintPubkey);
+  const rawAmount = parseAmount(amount, decimals);
+  enforcePolicy({
+    ...releaseIntent({ mint, amount: toUiAmount(rawAmount, decimals), decimals, recipient }, keypair.publicKey),
+    programs: [TOKEN_PROGRAM_ID.toBase58()]
+  }, { approval });
+
+  log(`🔒 Creating Escrow on ${network.cluster}...`);
+  log(`   From: ${keypair.publicKey.toBase58()}`);
+  log(`   To: ${formatAddress(recipient)}`);
+  log(`   Amount: ${formatAmount(rawAmount, decimals)}`);
+  log(`   Unlocks in: ${unlockMinutes} minutes`);
+  warnIfUnfamiliar(recipient);
   
   // Get token accounts
   const senderATA = await getAssociatedTokenAddress(mintPubkey, keypair.publicKey);
@@ -72,7 +78,7 @@ export async function createEscrow(recipient, mint, amount, unlockMinutes) {
   const transaction = new Transaction();
   
   if (!recipientAccount) {
-    console.log('   Creating recipient token account...');
+    log('   Creating recipient token account...');
     transaction.add(
       createAssociatedTokenAccountInstruction(
         keypair.publicKey,
@@ -95,7 +101,9 @@ export async function createEscrow(recipient, mint, amount, unlockMinutes) {
     sender: keypair.publicKey.toBase58(),
     recipient: recipient,
     mint: mint,
-    amount: amount,
+    amount: toUiAmount(rawAmount, decimals),
+    rawAmount: rawAmount.toString(),
+    decimals,
     createdAt: new Date().toISOString(),
     unlockTime: new Date(unlockTime).toISOString(),
     status: 'locked',
@@ -108,30 +116,106 @@ export async function createEscrow(recipient, mint, amount, unlockMinutes) {
   escrows.push(escrow);
   saveEscrows(escrows);
 
-  console.log('✅ Escrow Created!');
-  console.log(`   ID: ${escrow.id}`);
-  console.log(`   Unlocks: ${escrow.unlockTime}`);
-  console.log('');
-  console.log('⚠️  NOTE: This is a simulated escrow.');
-  console.log('   Real PDA escrows require an on-chain program.');
-  console.log('   To execute: node escrow-tool.js release ' + escrow.id);
+  log('✅ Escrow Created!');
+  log(`   ID: ${escrow.id}`);
+  log(`   Unlocks: ${escrow.unlockTime}`);
+  log('');
+  log('⚠️  NOTE: This is a simulated escrow.');
+  log('   Real PDA escrows require an on-chain program.');
+  log('   To execute: node escrow-tool.js release ' + escrow.id);
+
+  return escrow;
+}
+
+function releaseIntent(escrow, owner) {
+  return {
+    tool: 'escrow-tool',
+    wallet: owner.toBase58(),
+    transfers: [{ mint: escrow.mint, amount: escrow.amount, decimals: escrow.decimals, recipient: escrow.recipient }]
+  };
+}
+
+async function buildReleaseTransaction(connection, owner, escrow) {
+  const mintPubkey = new PublicKey(escrow.mint);
+  const senderATA = await getAssociatedTokenAddress(mintPubkey, owner);
+  const recipientATA = new PublicKey(escrow.recipientATA);
+
+  // Escrows created before base-unit amounts were stored only have the UI amount
+  let amountRaw;
+  if (escrow.rawAmount) {
+    amountRaw = BigInt(escrow.rawAmount);
+  } else {
+    const { decimals } = await getMint(connection, mintPubkey);
+    amountRaw = parseAmount(escrow.amount, decimals);
+  }
+
+  return new Transaction({ feePayer: owner }).add(
+    createTransferInstruction(
+      senderATA,
+      recipientATA,
+      owner,
+      amountRaw
+    )
+  );
+}
+
+// Pre-sign the release against a durable nonce so it can be broadcast at unlock time
+// without the wallet. Advancing the nonce cancels it.
+export async function presignRelease(connection, keypair, escrowId, nonceAccount, { outputFile = null, approval = null, network = resolveNetwork(), log = console.log } = {}) {
+  const escrows = loadEscrows();
+  const escrow = escrows.find(e => e.id === escrowId);
+
+  if (!escrow) {
+    throw new Error(`Escrow not found: ${escrowId}`);
+  }
+  if (escrow.status !== 'locked') {
+    throw new Error('Escrow already released, cancelled or pre-signed');
+  }
+
+  const file = outputFile || path.join(__dirname, `${escrow.id}-release.json`);
+  log(`✍️  Pre-signing release for ${escrowId}...`);
 
+  const nonceInfo = await getNonceInfo(connection, nonceAccount);
+  const transaction = applyNonce(await buildReleaseTransaction(connection, keypair.publicKey, escrow), nonceInfo);
+
+  exportTransaction(file, transaction, {
+    tool: 'escrow-tool',
+    description: `Release escrow ${escrow.id}: ${escrow.amount} of ${escrow.mint} to ${escrow.recipient} (unlocks ${escrow.unlockTime})`,
+    cluster: network.cluster,
+    nonceInfo
+  });
+  // Checked when signed; releaseEscrow checks it again and counts it when it is broadcast
+  try {
+    await signOfflineTransaction(file, keypair, { approval, intent: releaseIntent(escrow, keypair.publicKey), record: false });
+  } catch (err) {
+    fs.rmSync(file, { force: true });
+    throw err;
+  }
+
+  escrow.status = 'presigned';
+  escrow.releaseTx = file;
+  escrow.nonceAccount = nonceInfo.nonceAccount;
+  saveEscrows(escrows);
+
+  log('✅ Release pre-signed!');
+  log(`   File: ${file}`);
+  log(`   Nonce: ${nonceInfo.nonceAccount}`);
+  log('   Broadcast after unlock with: node escrow-tool.js release ' + escrow.id);
+  log('   Cancel by advancing the nonce: node src/wallet/nonce.js advance ' + nonceInfo.nonceAccount);
   return escrow;
 }
 
-// Release an escrow after unlock time
-export async function releaseEscrow(escrowId) {
+// Release an escrow after unlock time; the release is simulated and confirmed before it is sent
+export async function releaseEscrow(connection, keypair, escrowId, { nonceAccount = null, approval = null, confirm = null, network = resolveNetwork(), log = console.log } = {}) {
   const escrows = loadEscrows();
   const escrow = escrows.find(e => e.id === escrowId);
   
   if (!escrow) {
-    console.error('❌ Escrow not found:', escrowId);
-    return;
+    throw new Error(`Escrow not found: ${escrowId}`);
   }
 
-  if (escrow.status !== 'locked') {
-    console.error('❌ Escrow already released or cancelled');
-    return;
+  if (escrow.status !== 'locked' && escrow.status !== 'presigned') {
+    throw new Error('Escrow already released or cancelled');
   }
 
   // Check unlock time
@@ -140,61 +224,62 @@ export async function releaseEscrow(escrowId) {
   
   if (now < unlockTime) {
     const minutesLeft = Math.ceil((unlockTime - now) / 60000);
-    console.error(`❌ Cannot release yet. ${minutesLeft} minutes remaining.`);
-    return;
+    throw new Error(`Cannot release yet. ${minutesLeft} minutes remaining.`);
   }
 
-  console.log(`🔓 Releasing Escrow ${escrowId}...`);
-  console.log(`   To: ${escrow.recipient}`);
-  console.log(`   Amount: ${escrow.amount}`);
+  log(`🔓 Releasing Escrow ${escrowId}...`);
+  log(`   To: ${escrow.recipient}`);
+  log(`   Amount: ${escrow.amount}`);
 
-  try {
-    // Execute the transfer
-    const mintPubkey = new PublicKey(escrow.mint);
-    const senderATA = await getAssociatedTokenAddress(mintPubkey, keypair.publicKey);
-    const recipientATA = new PublicKey(escrow.recipientATA);
-
-    // Check decimals
-    const mintInfo = await connection.getParsedAccountInfo(mintPubkey);
-    const decimals = mintInfo.value.data.parsed.info.decimals;
-    const amountRaw = BigInt(Math.floor(escrow.amount * Math.pow(10, decimals)));
-
-    const transaction = new Transaction().add(
-      createTransferInstruction(
-        senderATA,
-        recipientATA,
-        keypair.publicKey,
-        amountRaw
-      )
-    );
-
-    const signature = await sendAndConfirmTransaction(
-      connection,
-      transaction,
-      [keypair]
-    );
+  log('');
 
-    // Update escrow status
-    escrow.status = 'released';
-    escrow.releasedAt = new Date().toISOString();
-    escrow.signature = signature;
-    saveEscrows(escrows);
+  let signature;
+  let preview;
+  let ticket;
 
-    console.log('✅ Escrow Released!');
-    console.log(`   Signature: ${signature}`);
-    console.log(`   Explorer: https://explorer.solana.com/tx/${signature}?cluster=${NETWORK}`);
+  if (escrow.status === 'presigned') {
+    const transaction = loadTransaction(readEnvelope(escrow.releaseTx));
+    ticket = enforcePolicy(releaseIntent(escrow, keypair.publicKey), { transaction, approval });
+    preview = await previewTransaction(connection, transaction, { confirm, log });
+    log(`   Broadcasting pre-signed release: ${escrow.releaseTx}`);
+    signature = await broadcastOfflineTransaction(escrow.releaseTx, connection.rpcEndpoint);
+  } else {
+    const transaction = await buildReleaseTransaction(connection, keypair.publicKey, escrow);
+    if (nonceAccount) {
+      applyNonce(transaction, await getNonceInfo(connection, nonceAccount));
+    }
+    ticket = enforcePolicy(releaseIntent(escrow, keypair.publicKey), { transaction, approval });
+    preview = await previewTransaction(connection, transaction, { confirm, log });
 
-  } catch (error) {
-    console.error('❌ Release failed:', error.message);
+    ({ signature } = await sendAndConfirm(connection, transaction, [keypair], {
+      journal: {
+        tool: 'escrow-tool',
+        intent: `Release escrow ${escrow.id}: ${escrow.amount} of ${escrow.mint} to ${escrow.recipient}`,
+        params: { escrowId: escrow.id, mint: escrow.mint, amount: String(escrow.amount), recipient: escrow.recipient }
+      },
+      log
+    }));
   }
+  recordSpend(ticket, signature);
+
+  // Update escrow status
+  escrow.status = 'released';
+  escrow.releasedAt = new Date().toISOString();
+  escrow.signature = signature;
+  saveEscrows(escrows);
+
+  log('✅ Escrow Released!');
+  log(`   Signature: ${signature}`);
+  log(`   Explorer: ${explorerUrl('tx', signature, network)}`);
+  return { ...escrow, preview };
 }
 
 // List all escrows
-export function listEscrows() {
+export function listEscrows({ log = console.log } = {}) {
   const escrows = loadEscrows();
   
-  console.log(`📋 Escrows (${escrows.length} total)`);
-  console.log('='.repeat(60));
+  log(`📋 Escrows (${escrows.length} total)`);
+  log('='.repeat(60));
   
   const now = Date.now();
   
@@ -203,53 +288,67 @@ export function listEscrows() {
     const isUnlocked = now >= unlockTime;
     const status = e.status === 'released' ? '✅ Released' : 
                    isUnlocked ? '🔓 Ready' : '🔒 Locked';
+    const presigned = e.status === 'presigned' ? ' (release pre-signed)' : '';
     
-    console.log(`\n${e.id}`);
-    console.log(`   Status: ${status}`);
-    console.log(`   To: ${e.recipient}`);
-    console.log(`   Amount: ${e.amount}`);
-    console.log(`   Unlock: ${e.unlockTime}`);
+    log(`\n${e.id}`);
+    log(`   Status: ${status}${presigned}`);
+    log(`   To: ${formatAddress(e.recipient)}`);
+    log(`   Amount: ${e.amount}`);
+    log(`   Unlock: ${e.unlockTime}`);
     if (e.signature) {
-      console.log(`   Tx: ${e.signature}`);
+      log(`   Tx: ${e.signature}`);
     }
   });
+  return escrows;
 }
 
-// CLI
-if (import.meta.url === `file://${process.argv[1]}`) {
-  const args = process.argv.slice(2);
-  const command = args[0];
-
-  switch (command) {
-    case 'create':
-      if (args.length < 4) {
-        console.log('Usage: node escrow-tool.js create <recipient> <mint> <amount> <minutes>');
-        process.exit(1);
-      }
-      createEscrow(args[1], args[2], parseFloat(args[3]), parseInt(args[4]));
-      break;
-    
-    case 'release':
-      if (args.length < 2) {
-        console.log('Usage: node escrow-tool.js release <escrow-id>');
-        process.exit(1);
-      }
-      releaseEscrow(args[1]);
-      break;
-    
-    case 'list':
-      listEscrows();
-      break;
-    
-    default:
-      console.log('PDA Escrow Tool');
-      console.log('');
-      console.log('Commands:');
-      console.log('  create <recipient> <mint> <amount> <minutes>  Create time-locked escrow');
-      console.log('  release <escrow-id>                           Release unlocked escrow');
-      console.log('  list                                          Show all escrows');
-      console.log('');
-      console.log('Example:');
-      console.log('  node escrow-tool.js create RECIPIENT_MINT MINT_ADDRESS 100 60');
+async function escrowContext(walletName) {
+  const keypair = await loadWalletKeypair(walletName);
+  const network = resolveNetwork();
+  return { keypair, network, connection: getConnection({ network }) };
+}
+
+// Library errors end up here; policy blocks get the full explanation
+async function reportEscrow(label, task) {
+  try {
+    const escrow = await task;
+    reportSignature(escrow.signature);
+    reportResult(escrow);
+  } catch (error) {
+    if (error instanceof PolicyViolation) printPolicyViolation(error);
+    else if (error instanceof PreviewRejected) printPreviewRejection(error);
+    else {
+      if (error instanceof AmountError) reportError(error);
+      reportSendError(error);
+      console.error(`❌ ${label}:`, error.message);
+    }
+    process.exitCode = 1;
   }
 }
+
+// Commands, called by sat and by the CLI below with parsed options; only the ones that sign load the keypair
+export async function createCommand([recipient, mint, amount, minutes], { wallet, approve }) {
+  const lockMinutes = Number(minutes);
+  if (!Number.isInteger(lockMinutes) || lockMinutes < 0) throw new UsageError(`Invalid lock time in minutes: ${minutes}`);
+  const { keypair, network, connection } = await escrowContext(wallet);
+  await reportEscrow('Create failed', createEscrow(connection, keypair, recipient, mint, amount, lockMinutes, { approval: approve, network }));
+}
+
+export async function releaseCommand([escrowId], { wallet, approve, yes, nonce: nonceAccount = null }) {
+  const { keypair, network, connection } = await escrowContext(wallet);
+  await reportEscrow('Release failed', releaseEscrow(connection, keypair, escrowId, { nonceAccount, approval: approve, confirm: terminalConfirm(yes), network }));
+}
+
+export async function presignCommand([escrowId], { wallet, approve, nonce: nonceAccount, out = null }) {
+  const { keypair, network, connection } = await escrowContext(wallet);
+  await reportEscrow('Pre-sign failed', presignRelease(connection, keypair, escrowId, nonceAccount, { outputFile: out, approval: approve, network }));
+}
+
+// Reads the local escrow file only: no keypair, so listing never asks for a passphrase
+export function listCommand() {
+  reportResult(listEscrows());
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runScript(import.meta.url);
+}
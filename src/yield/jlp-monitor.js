@@ -1,24 +1,20 @@
 // JLP (Jupiter Liquidity Provider) Monitoring Tool
 // Tracks JLP price, yield, and pool stats
 
-import { Connection, PublicKey } from '@solana/web3.js';
+import { PublicKey } from '@solana/web3.js';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { resolveNetwork } from '../utils/network.js';
+import { reportResult, reportWarning } from '../utils/output.js';
+import { requireToken } from '../tokens/registry.js';
+import { runScript } from '../cli/dispatch.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const NETWORK = process.env.NETWORK || 'mainnet';
-const connection = new Connection(
-  NETWORK === 'mainnet' 
-    ? 'https://api.mainnet-beta.solana.com'
-    : 'https://api.devnet.solana.com',
-  'confirmed'
-);
-
-// JLP Token Mint
-const JLP_MINT = '27G8MtK7VtTcCHkpASjSDdkWWYfoqT6ggEuKidVJidD4';
+// JLP Token Mint (JLP only exists on mainnet)
+const JLP_MINT = requireToken('JLP', { cluster: 'mainnet-beta' }).mint;
 
 // Jupiter API endpoints
 const JUPITER_PRICE_API = 'https://price.jup.ag/v6/price';
@@ -35,14 +31,18 @@ async function getJLPPrice() {
 }
 
 async function getJLPInfo() {
+  const network = resolveNetwork({ defaultCluster: 'mainnet-beta' });
+
   console.log(`📊 JLP (Jupiter Liquidity Provider) Info`);
-  console.log(`Network: ${NETWORK}`);
+  console.log(`Network: ${network.cluster}`);
   console.log('=' .repeat(50));
   
   // Get price
   const price = await getJLPPrice();
   if (price) {
     console.log(`Price: $${price.toFixed(4)}`);
+  } else {
+    reportWarning('JLP price unavailable');
   }
   
   // Known stats (from research)
@@ -65,6 +65,7 @@ async function getJLPInfo() {
   console.log('🔗 Links:');
   console.log('  • Buy JLP: https://jup.ag/perps');
   console.log('  • Docs: https://station.jup.ag/guides/perpetual-exchange');
+  return { network: network.cluster, mint: JLP_MINT, price };
 }
 
 // Calculate potential yield
@@ -98,21 +99,19 @@ function showCalculator() {
     console.log(`  Yearly: $${result.yield.toFixed(2)}`);
     console.log(`  Total: $${result.total.toFixed(2)}`);
   });
+  return scenarios.map(({ amount, apy }) => ({ apy, ...calculateYield(amount, apy, 365) }));
 }
 
-// CLI
-if (import.meta.url === `file://${process.argv[1]}`) {
-  const args = process.argv.slice(2);
-  const command = args[0];
+export async function infoCommand() {
+  reportResult(await getJLPInfo());
+}
 
-  switch (command) {
-    case 'calc':
-      showCalculator();
-      break;
-    case 'info':
-    default:
-      getJLPInfo();
-  }
+export function calcCommand() {
+  reportResult({ scenarios: showCalculator() });
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runScript(import.meta.url);
 }
 
 export { getJLPPrice, calculateYield };
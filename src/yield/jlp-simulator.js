@@ -10,6 +10,9 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { reportResult } from '../utils/output.js';
+import { UsageError } from '../cli/args.js';
+import { runScript } from '../cli/dispatch.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -88,12 +91,7 @@ function formatPercent(value) {
   return value.toFixed(2) + '%';
 }
 
-function main() {
-  const principal = parseFloat(process.argv[2] || '10000');
-  const apy = parseFloat(process.argv[3] || '14.5');
-  const days = parseInt(process.argv[4] || '365');
-  const simulations = parseInt(process.argv[5] || '1000');
-  
+function main({ principal, apy, days, simulations }) {  
   console.log('🌲 JLP Position Simulator');
   console.log('==========================');
   console.log(`Principal: ${formatCurrency(principal)}`);
@@ -149,8 +147,10 @@ function main() {
   // APY scenarios
   console.log('📉 APY Sensitivity Analysis:');
   const apyScenarios = [10, 12, 14.5, 17, 20];
+  const sensitivity = [];
   for (const scenarioApy of apyScenarios) {
     const value = calculateCompoundInterest(principal, scenarioApy, days);
+    sensitivity.push({ apy: scenarioApy, value });
     console.log(`  ${scenarioApy.toString().padStart(2)}% APY: ${formatCurrency(value)} (${formatPercent((value/principal - 1) * 100)} ROI)`);
   }
   console.log('');
@@ -167,18 +167,33 @@ function main() {
     const value = calculateCompoundInterest(principal, alt.apy, days);
     console.log(`  ${alt.name.padEnd(20)}: ${formatCurrency(value)} (${alt.apy}% APY)`);
   }
+
+  reportResult({
+    principal, apy, days, simulations,
+    simple: { finalValue: simpleYield, profit: simpleProfit },
+    monteCarlo: mc,
+    risk: { downsideRisk, upsidePotential },
+    sensitivity
+  });
 }
 
-if (process.argv.includes('--help') || process.argv.includes('-h')) {
-  console.log('JLP Position Simulator');
-  console.log('======================');
-  console.log('Usage: node jlp-simulator.js <principal> <apy> <days> [simulations]');
-  console.log('');
-  console.log('Examples:');
-  console.log('  node jlp-simulator.js 10000 14.5 365     # $10k for 1 year');
-  console.log('  node jlp-simulator.js 50000 14.5 730     # $50k for 2 years');
-  console.log('  node jlp-simulator.js 10000 12 365 5000  # With 5000 simulations');
-  process.exit(0);
+// `sat yield simulate [principal] [apy] [days] [simulations]`, e.g. 50000 14.5 730 for $50k over 2 years
+export function simulateCommand([principal = '10000', apy = '14.5', days = '365', simulations = '1000']) {
+  const number = (name, value, { whole = false } = {}) => {
+    const parsed = Number(value);
+    if (!Number.isFinite(parsed) || parsed < 0 || (whole && !Number.isInteger(parsed))) {
+      throw new UsageError(`Invalid ${name}: ${value}`);
+    }
+    return parsed;
+  };
+  main({
+    principal: number('principal', principal),
+    apy: number('apy', apy),
+    days: number('days', days, { whole: true }),
+    simulations: number('simulations', simulations, { whole: true })
+  });
 }
 
-main();
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runScript(import.meta.url);
+}
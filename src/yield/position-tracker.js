@@ -1,36 +1,26 @@
 // Position Tracker
 // Tracks actual yield positions and calculates real returns
 
-import { Connection, PublicKey } from '@solana/web3.js';
+import { PublicKey } from '@solana/web3.js';
 import { getAssociatedTokenAddress, getAccount } from '@solana/spl-token';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { loadWalletPublicKey } from '../wallet/wallets.js';
+import { getConnection, resolveNetwork } from '../utils/network.js';
+import { reportResult } from '../utils/output.js';
+import { requireToken } from '../tokens/registry.js';
+import { toUiAmount } from '../utils/amount.js';
+import { runScript } from '../cli/dispatch.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const NETWORK = process.env.NETWORK || 'mainnet';
-const connection = new Connection(
-  NETWORK === 'mainnet' 
-    ? 'https://api.mainnet-beta.solana.com'
-    : 'https://api.devnet.solana.com',
-  'confirmed'
-);
-
-// Load wallet
-const walletFile = JSON.parse(fs.readFileSync(path.join(__dirname, 'wallet.json'), 'utf-8'));
-const walletPublicKey = new PublicKey(walletFile.publicKey);
-
-// Token mints for tracking
-const TRACKED_TOKENS = {
-  SOL: { mint: 'So11111111111111111111111111111111111111112', decimals: 9, priceId: 'SOL' },
-  USDC: { mint: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v', decimals: 6, priceId: 'USDC' },
-  JLP: { mint: '27G8MtK7VtTcCHkpASjSDdkWWYfoqT6ggEuKidVJidD4', decimals: 6, priceId: 'JLP' },
-  mSOL: { mint: 'mSoLzYCxHdYgdzU16g5QSh3i5K3z3KZK7ytfqcJm7So', decimals: 9, priceId: 'MSOL' },
-  jitoSOL: { mint: 'J1toso1uCk3RLmjorhTtrVwY9HJ7X8V9yYac6Y7kGCPn', decimals: 9, priceId: 'JITOSOL' },
-  INF: { mint: '5oVNBeEEQvYi1cX3ir8Dx5n1P7pdxydbGF2X6TxNxUFE', decimals: 9, priceId: 'INF' }
-};
+// Token mints for tracking; prices are looked up by upper-case symbol
+const TRACKED_TOKENS = Object.fromEntries(['SOL', 'USDC', 'JLP', 'mSOL', 'jitoSOL', 'INF'].map(symbol => {
+  const { mint, decimals } = requireToken(symbol, { cluster: 'mainnet-beta' });
+  return [symbol, { mint, decimals, priceId: symbol.toUpperCase() }];
+}));
 
 const POSITIONS_FILE = path.join(__dirname, 'positions.json');
 
@@ -56,28 +46,28 @@ async function getTokenPrice(tokenId) {
   }
 }
 
-async function getTokenBalance(mint, owner) {
+async function getTokenBalance(connection, mint, owner) {
   try {
     const ata = await getAssociatedTokenAddress(new PublicKey(mint), owner);
     const account = await getAccount(connection, ata);
-    return Number(account.amount);
+    return account.amount;
   } catch {
-    return 0;
+    return 0n;
   }
 }
 
-async function trackPosition(name, tokenKey, type = 'hold', apy = 0, notes = '') {
+// Record the current balance and value of `tokenKey` held by `owner` as position `name`
+async function trackPosition(connection, owner, name, tokenKey, type = 'hold', apy = 0, notes = '', { log = console.log } = {}) {
   const token = TRACKED_TOKENS[tokenKey];
   if (!token) {
-    console.error(`Unknown token: ${tokenKey}`);
-    return;
+    throw new Error(`Unknown token: ${tokenKey}`);
   }
 
-  console.log(`📊 Tracking ${name}...`);
+  log(`📊 Tracking ${name}...`);
   
-  const balance = await getTokenBalance(token.mint, walletPublicKey);
+  const balance = await getTokenBalance(connection, token.mint, owner);
   const price = await getTokenPrice(token.priceId);
-  const amount = balance / Math.pow(10, token.decimals);
+  const amount = toUiAmount(balance, token.decimals);
   const value = amount * price;
 
   const positions = loadPositions();
@@ -97,21 +87,21 @@ async function trackPosition(name, tokenKey, type = 'hold', apy = 0, notes = '')
   positions[name] = position;
   savePositions(positions);
 
-  console.log(`  Balance: ${amount.toFixed(4)} ${tokenKey}`);
-  console.log(`  Value: $${value.toFixed(2)}`);
-  console.log(`  APY: ${apy}%`);
+  log(`  Balance: ${amount.toFixed(4)} ${tokenKey}`);
+  log(`  Value: $${value.toFixed(2)}`);
+  log(`  APY: ${apy}%`);
   if (apy > 0) {
     const dailyYield = value * (apy / 100) / 365;
-    console.log(`  Est. Daily: $${dailyYield.toFixed(4)}`);
+    log(`  Est. Daily: $${dailyYield.toFixed(4)}`);
   }
 
   return position;
 }
 
-async function showPortfolio() {
+async function showPortfolio(walletPublicKey, network = resolveNetwork({ defaultCluster: 'mainnet-beta' })) {
   console.log('💼 Yield Position Tracker');
   console.log(`Wallet: ${walletPublicKey.toBase58()}`);
-  console.log(`Network: ${NETWORK}`);
+  console.log(`Network: ${network.cluster}`);
   console.log('=' .repeat(60));
   console.log('');
 
@@ -121,7 +111,7 @@ async function showPortfolio() {
   if (entries.length === 0) {
     console.log('No positions tracked yet.');
     console.log('Use: node position-tracker.js track <name> <token> [apy] [type]');
-    return;
+    return { positions, totalValue: 0, totalDailyYield: 0, blendedApy: null };
   }
 
   let totalValue = 0;
@@ -153,51 +143,50 @@ async function showPortfolio() {
   console.log(`Est. Monthly: $${(totalDailyYield * 30).toFixed(2)}`);
   console.log(`Est. Yearly: $${(totalDailyYield * 365).toFixed(2)}`);
   
-  if (totalValue > 0) {
-    const blendedApy = (totalDailyYield * 365 / totalValue) * 100;
+  const blendedApy = totalValue > 0 ? (totalDailyYield * 365 / totalValue) * 100 : null;
+  if (blendedApy !== null) {
     console.log(`Blended APY: ${blendedApy.toFixed(2)}%`);
   }
+  return { positions, totalValue, totalDailyYield, blendedApy };
 }
 
-async function removePosition(name) {
+async function removePosition(name, { log = console.log } = {}) {
   const positions = loadPositions();
   if (positions[name]) {
     delete positions[name];
     savePositions(positions);
-    console.log(`✅ Removed position: ${name}`);
-  } else {
-    console.log(`❌ Position not found: ${name}`);
+    log(`✅ Removed position: ${name}`);
+    return true;
   }
+  log(`❌ Position not found: ${name}`);
+  return false;
+}
+
+function positionContext(walletName) {
+  const network = resolveNetwork({ defaultCluster: 'mainnet-beta' });
+  const connection = getConnection({ network });
+  return { network, connection, walletPublicKey: loadWalletPublicKey(walletName) };
+}
+
+// Commands, called by sat and by the CLI below with parsed options
+export async function portfolioCommand(args, { wallet }) {
+  const { network, walletPublicKey } = positionContext(wallet);
+  reportResult(await showPortfolio(walletPublicKey, network));
+}
+
+// Tokens: SOL, USDC, JLP, mSOL, jitoSOL, INF; types: hold, stake, lp, lend
+export async function trackCommand([name, token, apy, type = 'hold', notes = ''], { wallet }) {
+  const { connection, walletPublicKey } = positionContext(wallet);
+  reportResult(await trackPosition(connection, walletPublicKey, name, token, type, parseFloat(apy) || 0, notes));
+}
+
+export async function untrackCommand([name]) {
+  if (await removePosition(name)) reportResult({ removed: name });
+  else process.exitCode = 1;
 }
 
-// CLI
 if (import.meta.url === `file://${process.argv[1]}`) {
-  const args = process.argv.slice(2);
-  const command = args[0];
-
-  switch (command) {
-    case 'track':
-      if (args.length < 3) {
-        console.log('Usage: node position-tracker.js track <name> <token> [apy] [type] [notes]');
-        console.log('Tokens: SOL, USDC, JLP, mSOL, jitoSOL, INF');
-        console.log('Types: hold, stake, lp, lend');
-        process.exit(1);
-      }
-      trackPosition(args[1], args[2], args[4] || 'hold', parseFloat(args[3]) || 0, args[5] || '');
-      break;
-    
-    case 'remove':
-      if (args[1]) {
-        removePosition(args[1]);
-      } else {
-        console.log('Usage: node position-tracker.js remove <name>');
-      }
-      break;
-    
-    case 'portfolio':
-    default:
-      showPortfolio();
-  }
+  runScript(import.meta.url);
 }
 
-export { trackPosition, showPortfolio, loadPositions };
+export { TRACKED_TOKENS, trackPosition, showPortfolio, loadPositions, removePosition };
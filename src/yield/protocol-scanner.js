@@ -6,7 +6,8 @@
  */
 
 import { Connection, PublicKey } from '@solana/web3.js';
-import fetch from 'node-fetch';
+import { reportResult } from '../utils/output.js';
+import { runScript } from '../cli/dispatch.js';
 
 // Protocol configurations
 const PROTOCOLS = {
@@ -292,7 +293,7 @@ function showAlerts() {
 }
 
 // Main function
-async function main() {
+async function main(principal = 10000) {
   showHeader();
   showEcosystemStats();
   
@@ -303,7 +304,7 @@ async function main() {
   
   showYieldComparison();
   showNewProtocols();
-  showInvestmentSimulator(10000);
+  showInvestmentSimulator(principal);
   showAlerts();
   
   console.log('\n' + '='.repeat(70));
@@ -312,64 +313,40 @@ async function main() {
   console.log('='.repeat(70) + '\n');
 }
 
-// Handle arguments
-const args = process.argv.slice(2);
-if (args.includes('--help') || args.includes('-h')) {
-  console.log(`
-Usage: node protocol-scanner.js [options]
+export async function scanCommand(args, { principal = 10000, protocol = null, yieldsOnly, alertsOnly }) {
+  const specificProtocol = protocol && PROTOCOLS[protocol] ? protocol : null;
 
-Options:
-  --principal <amount>    Set investment principal (default: 10000)
-  --protocol <name>       Show specific protocol only (jupiter, fragmetric, drift, etc.)
-  --yields-only          Show only yield comparison
-  --alerts-only          Show only alerts
-  --json                 Output as JSON
-  -h, --help             Show this help
-
-Examples:
-  node protocol-scanner.js
-  node protocol-scanner.js --principal 50000
-  node protocol-scanner.js --protocol jupiter
-  node protocol-scanner.js --yields-only
-`);
-  process.exit(0);
-}
-
-// Parse arguments
-const principalIndex = args.indexOf('--principal');
-const principal = principalIndex !== -1 ? parseInt(args[principalIndex + 1]) || 10000 : 10000;
-
-const protocolIndex = args.indexOf('--protocol');
-const specificProtocol = protocolIndex !== -1 ? args[protocolIndex + 1] : null;
+  // The human-readable views below all draw from the same data
+  if (specificProtocol) {
+    reportResult({ protocols: { [specificProtocol]: PROTOCOLS[specificProtocol] } });
+  } else {
+    reportResult({ protocols: PROTOCOLS, ecosystem: ECOSYSTEM });
+  }
 
-const yieldsOnly = args.includes('--yields-only');
-const alertsOnly = args.includes('--alerts-only');
-const jsonOutput = args.includes('--json');
+  if (yieldsOnly) {
+    showHeader();
+    showYieldComparison();
+    return;
+  }
 
-if (jsonOutput) {
-  console.log(JSON.stringify({ protocols: PROTOCOLS, ecosystem: ECOSYSTEM }, null, 2));
-  process.exit(0);
-}
+  if (alertsOnly) {
+    showHeader();
+    showAlerts();
+    return;
+  }
 
-if (yieldsOnly) {
-  showHeader();
-  showYieldComparison();
-  process.exit(0);
-}
+  if (specificProtocol) {
+    showHeader();
+    showProtocol(specificProtocol, PROTOCOLS[specificProtocol]);
+    return;
+  }
 
-if (alertsOnly) {
-  showHeader();
-  showAlerts();
-  process.exit(0);
+  await main(principal);
 }
 
-if (specificProtocol && PROTOCOLS[specificProtocol]) {
-  showHeader();
-  showProtocol(specificProtocol, PROTOCOLS[specificProtocol]);
-  process.exit(0);
+// CLI
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runScript(import.meta.url);
 }
 
-main().catch(err => {
-  console.error('Error:', err.message);
-  process.exit(1);
-});
+export { PROTOCOLS, ECOSYSTEM };
@@ -1,29 +1,17 @@
-import { Connection, clusterApiUrl, PublicKey, Keypair } from '@solana/web3.js';
-import { getOrCreateAssociatedTokenAccount, transfer } from '@solana/spl-token';
+import { PublicKey, Keypair, Transaction } from '@solana/web3.js';
+import { getAssociatedTokenAddressSync, createAssociatedTokenAccountIdempotentInstruction, createTransferCheckedInstruction } from '@solana/spl-token';
 import fs from 'fs';
+import { loadWalletKeypair } from '../wallet/wallets.js';
+import { getConnection, explorerUrl } from '../utils/network.js';
+import { reportResult, reportSignature } from '../utils/output.js';
+import { parseAmount } from '../utils/amount.js';
+import { sendAndConfirm } from '../utils/send.js';
+import { previewTransaction, terminalConfirm, PreviewRejected, printPreviewRejection } from '../utils/preview.js';
+import { runScript } from '../cli/dispatch.js';
 
-const wallet = JSON.parse(fs.readFileSync('wallet.json', 'utf8'));
-const connection = new Connection(clusterApiUrl('devnet'), 'confirmed');
-const secretKey = new Uint8Array(wallet.secretKey);
-const keypair = Keypair.fromSecretKey(secretKey);
-
-// Get mint from saved file
-let mintAddress;
-try {
-  const mintData = JSON.parse(fs.readFileSync('token-mint.json', 'utf8'));
-  mintAddress = mintData.mint;
-} catch {
-  console.log('❌ No token mint found. Run create-token-mint.js first.');
-  process.exit(1);
-}
-
-console.log('🧪 Testing Token Transfer');
-console.log('=========================');
-console.log('From:', wallet.publicKey);
-console.log('Mint:', mintAddress);
-console.log('');
-
-async function testTransfer() {
+// The recipient's token account is created in the same transaction as the transfer, so nothing
+// is signed before the preview is confirmed
+export async function testTransfer(connection, keypair, mintAddress, { confirm = null } = {}) {
   try {
     const mint = new PublicKey(mintAddress);
     
@@ -31,58 +19,63 @@ async function testTransfer() {
     const recipientKeypair = Keypair.generate();
     console.log('Test recipient:', recipientKeypair.publicKey.toBase58());
     
-    // Get sender token account
-    const senderTokenAccount = await getOrCreateAssociatedTokenAccount(
-      connection,
-      keypair,
-      mint,
-      keypair.publicKey
-    );
-    
-    // Get or create recipient token account
-    const recipientTokenAccount = await getOrCreateAssociatedTokenAccount(
-      connection,
-      keypair,
-      mint,
-      recipientKeypair.publicKey
-    );
+    const senderTokenAccount = getAssociatedTokenAddressSync(mint, keypair.publicKey);
+    const recipientTokenAccount = getAssociatedTokenAddressSync(mint, recipientKeypair.publicKey);
 
-    console.log('Sender account:', senderTokenAccount.address.toBase58());
-    console.log('Recipient account:', recipientTokenAccount.address.toBase58());
+    console.log('Sender account:', senderTokenAccount.toBase58());
+    console.log('Recipient account:', recipientTokenAccount.toBase58());
     
     // Check sender balance
-    const senderBalance = await connection.getTokenAccountBalance(senderTokenAccount.address);
-    console.log('Sender balance:', senderBalance.value.uiAmount);
-    
-    if (senderBalance.value.uiAmount < 100) {
-      console.log('❌ Insufficient balance. Mint more tokens first.');
+    const senderBalance = await connection.getTokenAccountBalance(senderTokenAccount).catch(() => null);
+    if (!senderBalance) {
+      console.log('❌ No token account for this mint yet. Mint tokens first.');
       process.exit(1);
     }
+    console.log('Sender balance:', senderBalance.value.uiAmountString);
     
     // Transfer 100 tokens
     const transferAmount = 100;
+    const { decimals } = senderBalance.value;
+    const rawAmount = parseAmount(transferAmount, decimals);
+
+    if (BigInt(senderBalance.value.amount) < rawAmount) {
+      console.log('❌ Insufficient balance. Mint more tokens first.');
+      process.exit(1);
+    }
+    
     console.log(`\nTransferring ${transferAmount} tokens...`);
     
-    const signature = await transfer(
-      connection,
-      keypair,
-      senderTokenAccount.address,
-      recipientTokenAccount.address,
-      keypair.publicKey,
-      transferAmount * 10**9 // 9 decimals
+    const transaction = new Transaction({ feePayer: keypair.publicKey }).add(
+      createAssociatedTokenAccountIdempotentInstruction(keypair.publicKey, recipientTokenAccount, recipientKeypair.publicKey, mint),
+      createTransferCheckedInstruction(
+        senderTokenAccount,
+        mint,
+        recipientTokenAccount,
+        keypair.publicKey,
+        rawAmount,
+        decimals
+      )
     );
+    await previewTransaction(connection, transaction, { confirm });
+    const { signature } = await sendAndConfirm(connection, transaction, [keypair], {
+      journal: {
+        tool: 'test-transfer',
+        intent: `Test transfer of ${transferAmount} ${mint.toBase58()} to ${recipientKeypair.publicKey.toBase58()}`,
+        params: { mint: mint.toBase58(), to: recipientKeypair.publicKey.toBase58(), amount: String(transferAmount), decimals }
+      }
+    });
 
     console.log('✅ Transfer complete!');
     console.log('Signature:', signature);
-    console.log(`Explorer: https://explorer.solana.com/tx/${signature}?cluster=devnet`);
+    console.log(`Explorer: ${explorerUrl('tx', signature)}`);
     
     // Verify balances
-    const newSenderBalance = await connection.getTokenAccountBalance(senderTokenAccount.address);
-    const recipientBalance = await connection.getTokenAccountBalance(recipientTokenAccount.address);
+    const newSenderBalance = await connection.getTokenAccountBalance(senderTokenAccount);
+    const recipientBalance = await connection.getTokenAccountBalance(recipientTokenAccount);
     
     console.log('\nNew balances:');
-    console.log('Sender:', newSenderBalance.value.uiAmount);
-    console.log('Recipient:', recipientBalance.value.uiAmount);
+    console.log('Sender:', newSenderBalance.value.uiAmountString);
+    console.log('Recipient:', recipientBalance.value.uiAmountString);
     
     // Save test recipient for future use
     const testData = {
@@ -94,11 +87,50 @@ async function testTransfer() {
     };
     fs.writeFileSync('test-transfer.json', JSON.stringify(testData, null, 2));
     console.log('\n✅ Test data saved to test-transfer.json');
+    reportSignature(signature);
+    reportResult({
+      mint: mintAddress,
+      recipient: testData.recipient,
+      transferred: transferAmount,
+      balances: { sender: newSenderBalance.value.uiAmount, recipient: recipientBalance.value.uiAmount },
+      explorer: explorerUrl('tx', signature)
+    });
     
   } catch (err) {
+    if (err instanceof PreviewRejected) {
+      printPreviewRejection(err);
+      process.exitCode = 1;
+      return;
+    }
     console.log('❌ Transfer failed:', err.message);
     console.log(err);
+    process.exitCode = 1;
+  }
+}
+
+export async function testTransferCommand(args, { wallet, yes }) {
+  const connection = getConnection();
+  const keypair = await loadWalletKeypair(wallet);
+
+  // Get mint from saved file
+  let mintAddress;
+  try {
+    const mintData = JSON.parse(fs.readFileSync('token-mint.json', 'utf8'));
+    mintAddress = mintData.mint;
+  } catch {
+    console.log('❌ No token mint found. Run create-token-mint.js first.');
+    process.exit(1);
   }
+
+  console.log('🧪 Testing Token Transfer');
+  console.log('=========================');
+  console.log('From:', keypair.publicKey.toBase58());
+  console.log('Mint:', mintAddress);
+  console.log('');
+
+  await testTransfer(connection, keypair, mintAddress, { confirm: terminalConfirm(yes) });
 }
 
-testTransfer();
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runScript(import.meta.url);
+}
@@ -5,22 +5,13 @@ import { Connection, PublicKey } from '@solana/web3.js';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { reportResult } from '../utils/output.js';
+import { UsageError } from '../cli/args.js';
+import { runScript } from '../cli/dispatch.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const NETWORK = process.env.NETWORK || 'mainnet';
-
-// Token mints
-const TOKENS = {
-  SOL: 'So11111111111111111111111111111111111111112',
-  USDC: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v',
-  JLP: '27G8MtK7VtTcCHkpASjSDdkWWYfoqT6ggEuKidVJidD4',
-  mSOL: 'mSoLzYCxHdYgdzU16g5QSh3i5K3z3KZK7ytfqcJm7So',
-  jitoSOL: 'J1toso1uCk3RLmjorhTtrVwY9HJ7X8V9yYac6Y7kGCPn',
-  INF: '5oVNBeEEQvYi1cX3ir8Dx5n1P7pdxydbGF2X6TxNxUFE'
-};
-
 // Yield opportunities database
 const YIELD_OPPORTUNITIES = [
   {
@@ -137,7 +128,7 @@ function showCalculator(principal = 10000) {
   console.log('Strategy                APY     Daily      Monthly    Yearly');
   console.log('-'.repeat(60));
   
-  YIELD_OPPORTUNITIES.forEach(opp => {
+  const strategies = YIELD_OPPORTUNITIES.map(opp => {
     const apy = (opp.apyMin + opp.apyMax) / 2; // Use average
     const yearly = calculateYield(principal, apy);
     const monthly = yearly / 12;
@@ -150,6 +141,7 @@ function showCalculator(principal = 10000) {
     const yearlyStr = `$${yearly.toFixed(2)}`;
     
     console.log(`${name}${apyStr}${dailyStr}${monthlyStr}${yearlyStr}`);
+    return { name: opp.name, apy, daily, monthly, yearly };
   });
   
   console.log('');
@@ -158,6 +150,7 @@ function showCalculator(principal = 10000) {
   const blended = (principal * 0.4 * 0.12) + (principal * 0.4 * 0.09) + (principal * 0.2 * 0.08);
   console.log(`  Blended APY: ${((blended/principal)*100).toFixed(2)}%`);
   console.log(`  Yearly yield: $${blended.toFixed(2)}`);
+  return { principal, strategies, blended: { apy: (blended / principal) * 100, yearly: blended } };
 }
 
 function showDetails(name) {
@@ -167,7 +160,7 @@ function showDetails(name) {
   
   if (!opp) {
     console.log(`❌ Opportunity "${name}" not found`);
-    return;
+    return null;
   }
   
   console.log(`\n📋 ${opp.name}`);
@@ -183,34 +176,30 @@ function showDetails(name) {
   console.log('');
   console.log('⚠️  Cons:');
   opp.cons.forEach(c => console.log(`  • ${c}`));
+  return opp;
 }
 
-// CLI
-if (import.meta.url === `file://${process.argv[1]}`) {
-  const args = process.argv.slice(2);
-  const command = args[0];
+// Commands, called by sat and by the CLI below with parsed options
+export function dashboardCommand() {
+  showDashboard();
+  reportResult({ opportunities: YIELD_OPPORTUNITIES });
+  reportResult({ calculator: showCalculator(10000) });
+}
 
-  switch (command) {
-    case 'calc':
-      const principal = parseFloat(args[1]) || 10000;
-      showCalculator(principal);
-      break;
-    
-    case 'details':
-      if (args[1]) {
-        showDetails(args[1]);
-      } else {
-        console.log('Usage: node yield-dashboard.js details <opportunity-name>');
-      }
-      break;
-    
-    case 'dashboard':
-    default:
-      showDashboard();
-      if (!command || command === 'dashboard') {
-        showCalculator(10000);
-      }
-  }
+export function calcCommand([principal = '10000']) {
+  const amount = Number(principal);
+  if (!(amount > 0)) throw new UsageError(`Invalid principal: ${principal}`);
+  reportResult(showCalculator(amount));
+}
+
+export function detailsCommand([name]) {
+  const opportunity = showDetails(name);
+  if (opportunity) reportResult(opportunity);
+  else process.exitCode = 1;
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runScript(import.meta.url);
 }
 
 export { YIELD_OPPORTUNITIES, calculateYield };